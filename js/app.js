@@ -1,14 +1,16 @@
 // =====================================================
-// MAIN APPLICATION COMPONENT -v13- WITH STRESS VISUALIZATION SYSTEM
+// MAIN APPLICATION COMPONENT -v29- WITH CAT REACHABILITY
 // =====================================================
 
 /**
  * Main Cat Tree Builder application component
  * Orchestrates the entire design interface including toolbox, canvas, and controls
  * Provides fixed layout with internal scrolling for sidebars to keep canvas centered
+ * @param {Object} props - Component props
+ * @param {Object} props.recoveredDesign - Unsaved autosave record to offer for recovery, if any
  */
-const CatTreeBuilder = () => {
-  const { useState, useRef } = React;
+const CatTreeBuilder = ({ recoveredDesign = null }) => {
+  const { useState, useRef, useEffect, useMemo } = React;
   
   // ========================================
   // CORE STATE MANAGEMENT - UI LAYOUT & WORKSPACE
@@ -16,6 +18,11 @@ const CatTreeBuilder = () => {
   
   // Modal States
   const [showSaveModal, setShowSaveModal] = useState(false);
+  const [showLibraryModal, setShowLibraryModal] = useState(false);
+  
+  // Design library entry currently open ({id, name}), null for unsaved/imported designs
+  const [currentDesign, setCurrentDesign] = useState(null);
+  const captureThumbnailRef = useRef(null);
   
   // Workspace Configuration
   const [gridWidth, setGridWidth] = useState(6); // 6 feet default
@@ -36,6 +43,36 @@ const CatTreeBuilder = () => {
   const [catWeights, setCatWeights] = useState([15]); // Default 15lb cat
   const [showStressVisualization, setShowStressVisualization] = useState(false); // NEW: Control stress colors
 
+  // Cat reachability panel state
+  const [showReachPanel, setShowReachPanel] = useState(false);
+  const [showReachability, setShowReachability] = useState(false); // Jump routes and problem gaps in the canvas
+  const [agilityProfiles, setAgilityProfiles] = useState(() => CatReachability.getProfiles());
+  const [agilityProfileId, setAgilityProfileId] = useState(() => DesignStorage.getSetting('agilityProfile'));
+  const [reachFocusId, setReachFocusId] = useState(null); // Spot whose route alone is drawn
+
+  // History panel state
+  const [showHistoryPanel, setShowHistoryPanel] = useState(false);
+
+  // Cut list dialog state
+  const [showCutList, setShowCutList] = useState(false);
+
+  // Price catalog dialog state
+  const [showPriceCatalog, setShowPriceCatalog] = useState(false);
+
+  // Command palette & rebindable keymap
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [keymap, setKeymap] = useState(() => KeyboardShortcuts.getKeymap());
+
+  // Autosave & recovery state
+  const [autosaveEnabled, setAutosaveEnabled] = useState(() => DesignStorage.getSetting('autosaveEnabled'));
+  const [pendingRecovery, setPendingRecovery] = useState(recoveredDesign);
+
+  // Texture quality (lower resolutions keep large designs smooth on slower machines)
+  const [textureQuality, setTextureQuality] = useState(() => DesignStorage.getSetting('textureQuality'));
+
+  // Unit system for display and input (designs are always stored in inches and pounds)
+  const [unitSystem, setUnitSystem] = useState(() => Units.normalizeSystem(DesignStorage.getSetting('unitSystem')));
+
   // ========================================
   // PIECE MANAGEMENT HOOK - CENTRAL DATA MANAGEMENT
   // ========================================
@@ -47,7 +84,10 @@ const CatTreeBuilder = () => {
   const {
     // Core Data Arrays
     pieces,
+    pieceCounts,
     selectedPiece,
+    selectedPieceIds,
+    selectedPieces,
     movementIncrement,
     groups,
     selectedGroup,
@@ -58,12 +98,17 @@ const CatTreeBuilder = () => {
     // Piece Operations
     addPieceFromVariant,
     selectPiece,
+    selectPieces,
+    clearSelection,
     movePiece,
     dragPiece,
     rotatePiece,
     deletePiece,
     clearAllPieces,
     getDesignStats,
+    getDesignData,
+    priceCatalog,
+    changePriceCatalog,
     setMovementIncrement,
     updatePieceDimensions,
     duplicatePiece,
@@ -73,6 +118,23 @@ const CatTreeBuilder = () => {
     flipPiece,        // NEW: Platform flip functionality
     canFlipPiece,     // NEW: Check if piece can be flipped
     
+    // Multi-Selection Operations
+    moveSelection,
+    rotateSelection,
+    deleteSelection,
+    duplicateSelection,
+    toggleSelectionLock,
+    updateSelectionCustomization,
+    groupSelection,
+    
+    // Collision Detection
+    collisions,
+    preventOverlap,
+    setPreventOverlap,
+    
+    // Passage Connectivity
+    passages,
+    
     // Group Operations
     createGroup,
     ungroupPieces,
@@ -85,6 +147,7 @@ const CatTreeBuilder = () => {
     addOpening,
     removeOpening,
     moveOpening,
+    updateOpening,
     selectOpening,
     toggleOpeningLock,
     changeOpeningFace,
@@ -92,24 +155,309 @@ const CatTreeBuilder = () => {
     // Customization Operations
     updatePieceCustomization,
     closeCustomizationPanel,
-    openCustomizationPanel
+    openCustomizationPanel,
+    
+    // History Operations
+    history,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    
+    // Persistence Operations
+    loadDesignData,
+    insertDesignData,
+    importReport,
+    clearImportReport
   } = usePieceManagement();
 
+  /**
+   * IDs of every piece involved in an overlap, for canvas highlighting
+   */
+  const collidingPieceIds = useMemo(() => (
+    [...new Set(collisions.flatMap(conflict => conflict.pieceIds))]
+  ), [collisions]);
+
+  // Hollow piece the crawl route is shown to, from outside the tree
+  const [routeTargetId, setRouteTargetId] = useState(null);
+
+  /**
+   * Crawl route highlighted in the canvas; null when no route is shown or none exists
+   */
+  const passageRoute = useMemo(() => (
+    routeTargetId && passages ? PassageConnectivity.findRoute(passages, routeTargetId) : null
+  ), [passages, routeTargetId]);
+
+  /**
+   * Jumps between resting spots; only built while the analysis is open or drawn
+   */
+  const jumpGraph = useMemo(() => (
+    (showReachPanel || showReachability) && pieces.length > 0 ? CatReachability.buildJumpGraph(pieces) : null
+  ), [pieces, showReachPanel, showReachability]);
+
+  /**
+   * Reachability of every resting spot for the selected agility profile
+   */
+  const reachability = useMemo(() => (
+    jumpGraph ? CatReachability.evaluate(jumpGraph, agilityProfiles[agilityProfileId] || agilityProfiles.adult) : null
+  ), [jumpGraph, agilityProfiles, agilityProfileId]);
+
+  // ========================================
+  // TRANSFORM GIZMO - VIEWPORT EDITS
+  // ========================================
+
+  /**
+   * Selected group as currently stored, so the gizmo sees lock changes
+   */
+  const liveSelectedGroup = selectedGroup ? groups.find(g => g.id === selectedGroup.id) || null : null;
+
+  /**
+   * Applies a released gizmo handle through the regular editing operations,
+   * so their lock checks and clamps apply exactly as for the buttons
+   * @param {Object} change - {target: {type, id}, kind: 'move'|'rotate'|'tilt', axis, amount}
+   */
+  const handleGizmoTransform = ({ target, kind, axis, amount }) => {
+    if (target.type === 'group') {
+      if (kind === 'rotate') return rotateGroup(target.id, amount);
+      if (kind !== 'move') return;
+
+      // moveGroup places the group center, so offset the current center on this axis
+      const groupPieces = pieces.filter(p => p.groupId === target.id);
+      if (groupPieces.length === 0) return;
+      const center = groupPieces.reduce((sum, p) => sum + p[axis], 0) / groupPieces.length;
+      return moveGroup(target.id, 'custom', { [axis]: center + amount });
+    }
+
+    const piece = pieces.find(p => p.id === target.id);
+    if (!piece) return;
+    if (kind === 'move') return movePiece(piece.id, 'custom', { [axis]: piece[axis] + amount });
+    if (kind === 'rotate') return rotatePiece(piece.id, amount);
+
+    // Tilt goes through customization, which clamps the angle but doesn't check locks itself
+    if (!piece.locked) {
+      updatePieceCustomization(piece.id, { [axis]: (piece[axis] || 0) + amount * Math.PI / 180 });
+    }
+  };
+
+  // ========================================
+  // AUTOSAVE - BROWSER STORAGE WORKING COPY
+  // ========================================
+  
+  /**
+   * Design and workspace payloads, memoized so autosave only fires on real changes
+   * The design is the same versioned document file and library saves write, so recovery
+   * skips migrations and keeps the design's price catalog. It follows the design's content only:
+   * naming the design on save must not make the work it just saved look unsaved again
+   */
+  const autosaveDesign = useMemo(() => getDesignData(), [getDesignData]);
+  
+  const autosaveWorkspace = useMemo(() => ({
+    gridWidth,
+    gridHeight,
+    catWeights,
+    background: { image: backgroundImage, offsetX: bgOffsetX, offsetY: bgOffsetY, zoom: bgZoom }
+  }), [gridWidth, gridHeight, catWeights, backgroundImage, bgOffsetX, bgOffsetY, bgZoom]);
+  
+  const autosave = useAutosave({
+    enabled: autosaveEnabled,
+    paused: !!pendingRecovery, // Don't overwrite recoverable work before the user decides
+    design: autosaveDesign,
+    workspace: autosaveWorkspace
+  });
+
+  // ========================================
+  // KEYBOARD SHORTCUTS & COMMAND PALETTE
+  // ========================================
+  
+  /**
+   * Runs the handler matching the current selection
+   * Several selected pieces win over a group, a group over a single piece, a piece over an opening
+   * @param {Object} handlers - Optional {pieces(), group(id), piece(id), opening(id)}
+   */
+  const applyToSelection = (handlers) => {
+    if (selectedPieces.length > 1 && handlers.pieces) return handlers.pieces();
+    if (selectedGroup && handlers.group) return handlers.group(selectedGroup.id);
+    if (selectedPiece && handlers.piece) return handlers.piece(selectedPiece.id);
+    if (selectedOpening && handlers.opening) return handlers.opening(selectedOpening.id);
+  };
+  
+  /**
+   * Saves over the open library design, or asks where to save a new one
+   */
+  const quickSave = () => {
+    if (currentDesign) {
+      handleSaveDesign(currentDesign.name, { asNew: false })
+        .catch(error => console.error('❌ Quick save failed:', error));
+    } else {
+      setShowSaveModal(true);
+    }
+  };
+  
+  const hasPieceSelection = selectedPieces.length > 0 || !!selectedGroup;
+  const hasSelection = hasPieceSelection || !!selectedOpening;
+  
+  /**
+   * Every action reachable from the keyboard and the command palette
+   * Command IDs match KeyboardShortcuts.DEFAULT_KEYMAP; variant insertions have no default key
+   */
+  const commands = [
+    ...[
+      ['move-left', 'Move left', '←', 'left'],
+      ['move-right', 'Move right', '→', 'right'],
+      ['move-forward', 'Move forward', '↑', 'forward'],
+      ['move-back', 'Move back', '↓', 'back'],
+      ['move-up', 'Raise', '⤒', 'up'],
+      ['move-down', 'Lower', '⤓', 'down']
+    ].map(([id, label, icon, direction]) => ({
+      id,
+      label: `${label} ${Units.formatLength(movementIncrement, unitSystem)}`,
+      group: 'Edit',
+      icon,
+      enabled: hasPieceSelection,
+      run: () => applyToSelection({
+        pieces: () => moveSelection(direction),
+        group: (id) => moveGroup(id, direction),
+        piece: (id) => movePiece(id, direction)
+      })
+    })),
+    ...[['rotate-right', 'Rotate +15°', '↻', 15], ['rotate-left', 'Rotate -15°', '↺', -15]].map(([id, label, icon, degrees]) => ({
+      id,
+      label,
+      group: 'Edit',
+      icon,
+      enabled: hasPieceSelection,
+      run: () => applyToSelection({
+        pieces: () => rotateSelection(degrees),
+        group: (id) => rotateGroup(id, degrees),
+        piece: (id) => rotatePiece(id, degrees)
+      })
+    })),
+    {
+      id: 'duplicate',
+      label: 'Duplicate selection',
+      group: 'Edit',
+      icon: '📋',
+      keywords: 'copy',
+      enabled: selectedPieces.length > 0,
+      run: () => applyToSelection({ pieces: duplicateSelection, piece: duplicatePiece })
+    },
+    {
+      id: 'delete',
+      label: 'Delete selection',
+      group: 'Edit',
+      icon: '🗑️',
+      keywords: 'remove',
+      enabled: selectedPieces.length > 0 || !!selectedOpening,
+      run: () => applyToSelection({ pieces: deleteSelection, piece: deletePiece, opening: removeOpening })
+    },
+    {
+      id: 'toggle-lock',
+      label: 'Lock / unlock selection',
+      group: 'Edit',
+      icon: '🔒',
+      enabled: hasSelection,
+      run: () => applyToSelection({
+        pieces: toggleSelectionLock,
+        group: toggleGroupLock,
+        piece: togglePieceLock,
+        opening: toggleOpeningLock
+      })
+    },
+    {
+      id: 'deselect',
+      label: 'Deselect',
+      group: 'Edit',
+      icon: '⊘',
+      enabled: hasSelection,
+      run: clearSelection
+    },
+    { id: 'undo', label: 'Undo', group: 'Edit', icon: '↩️', enabled: canUndo, run: () => undo() },
+    { id: 'redo', label: 'Redo', group: 'Edit', icon: '↪️', enabled: canRedo, run: () => redo() },
+    {
+      id: 'save',
+      label: currentDesign ? `Save "${currentDesign.name}"` : 'Save design…',
+      group: 'File',
+      icon: '💾',
+      enabled: pieces.length > 0,
+      run: quickSave
+    },
+    { id: 'open-library', label: 'Open design library', group: 'File', icon: '📚', keywords: 'load import', run: () => setShowLibraryModal(true) },
+    { id: 'cut-list', label: 'Cut list', group: 'File', icon: '🪚', keywords: 'lumber plywood sheet post print', enabled: pieces.length > 0, run: () => setShowCutList(true) },
+    { id: 'price-catalog', label: 'Price catalog', group: 'File', icon: '🏷️', keywords: 'cost supplier prices hardware', run: () => setShowPriceCatalog(true) },
+    { id: 'toggle-history', label: 'Show edit history', group: 'View', icon: '🕘', run: () => setShowHistoryPanel(prev => !prev) },
+    { id: 'command-palette', label: 'Command palette', group: 'View', icon: '⌨️', keywords: 'shortcuts keys', run: () => setShowCommandPalette(true) },
+    {
+      id: 'toggle-units',
+      label: Units.isMetric(unitSystem) ? 'Use imperial units (in, lb)' : 'Use metric units (cm, kg)',
+      group: 'View',
+      icon: '📏',
+      keywords: 'units metric imperial inches centimeters pounds kilograms',
+      run: () => changeUnitSystem(Units.isMetric(unitSystem) ? 'imperial' : 'metric')
+    },
+    { id: 'clear-all', label: 'Clear all pieces', group: 'File', icon: '🗑️', enabled: pieces.length > 0, run: clearAllPieces },
+    ...Object.values(CatTreePieces.categories).flatMap(category =>
+      category.variants.map(variant => ({
+        id: `insert:${variant.id}`,
+        label: `Add ${variant.name}`,
+        group: category.name,
+        icon: category.icon,
+        keywords: variant.description,
+        run: () => addPieceFromVariant(variant.id)
+      }))
+    )
+  ];
+  
+  // Dialogs own the keyboard while they are open
+  useKeyboardShortcuts({
+    commands,
+    keymap,
+    active: !showCommandPalette && !showSaveModal && !showLibraryModal && !showCutList && !showPriceCatalog && !showReachPanel && !pendingRecovery
+  });
+  
+  /**
+   * Rebinds a command and persists the keymap
+   * @param {string} commandId - Command to rebind
+   * @param {string} combo - New key combo
+   */
+  const rebindShortcut = (commandId, combo) => {
+    setKeymap(KeyboardShortcuts.rebind(commandId, combo));
+  };
+
   // ========================================
   // EVENT HANDLERS - FILE & DESIGN MANAGEMENT
   // ========================================
   
   /**
-   * Handles file upload for loading saved designs
-   * @param {Event} event - File input change event
+   * Handles JSON file import for loading saved designs
+   * @param {File} file - Design file chosen in the library
+   * @param {Object} options - Import options
+   * @param {boolean} options.merge - Import into the current design as a new group instead of replacing it
    */
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      console.log(`📁 Loading design file: ${file.name}`);
-      loadDesign(file);
+  const handleImportFile = async (file, { merge = false } = {}) => {
+    console.log(`${merge ? '📥 Importing design file into current design' : '📁 Loading design file'}: ${file.name}`);
+    const loaded = await loadDesign(file, { merge });
+    if (loaded && !merge) {
+      setCurrentDesign(null);
     }
   };
+
+  /**
+   * Keeps the open design's name in step with a rename in the library
+   * @param {string} id - Renamed design ID
+   * @param {string} name - New design name
+   */
+  const handleRenameLibraryDesign = (id, name) => {
+    setCurrentDesign(prev => (prev && prev.id === id ? { ...prev, name } : prev));
+  };
+
+  /**
+   * Imports a library design into the current design as a new group
+   * @param {Object} record - Design library record
+   */
+  const handleInsertLibraryDesign = (record) => {
+    console.log(`📥 Importing library design into current design: ${record.name}`);
+    insertDesignData(record, { label: `Import ${record.name}` });
+  };
   
   /**
    * Handles background image upload
@@ -191,14 +539,144 @@ const CatTreeBuilder = () => {
   };
 
   /**
-   * Handles design save operation with optional name
+   * Handles design save operation to the library or a JSON file
    * @param {string} designName - Name for the saved design
+   * @param {Object} options - Save options
+   * @param {string} options.destination - 'library' or 'file'
+   * @param {boolean} options.asNew - Create a new library entry instead of updating the open one
+   */
+  const handleSaveDesign = async (designName, { destination = 'library', asNew = true } = {}) => {
+    const name = designName || 'My Cat Tree';
+    console.log(`💾 Saving design: ${name} (${destination})`);
+    
+    if (destination === 'file') {
+      saveDesign(name);
+      autosave.markSaved();
+      return;
+    }
+    
+    const record = await DesignStorage.saveDesign({
+      ...getDesignData(name),
+      id: asNew ? null : currentDesign?.id,
+      workspace: autosaveWorkspace,
+      thumbnail: captureThumbnailRef.current ? captureThumbnailRef.current() : null
+    });
+    if (!record) {
+      throw new Error('Design library save failed');
+    }
+    setCurrentDesign({ id: record.id, name: record.name });
+    autosave.markSaved();
+  };
+
+  /**
+   * Applies saved workspace settings (grid, cat weights, background)
+   * @param {Object} workspace - Workspace snapshot from autosave or the library
+   */
+  const applyWorkspace = (workspace = {}) => {
+    if (workspace.gridWidth) setGridWidth(validateGridDimension(workspace.gridWidth));
+    if (workspace.gridHeight) setGridHeight(validateGridDimension(workspace.gridHeight));
+    if (Array.isArray(workspace.catWeights) && workspace.catWeights.length > 0) setCatWeights(workspace.catWeights);
+    if (workspace.background) {
+      setBackgroundImage(workspace.background.image || null);
+      setBgOffsetX(workspace.background.offsetX || 0);
+      setBgOffsetY(workspace.background.offsetY || 0);
+      setBgZoom(workspace.background.zoom || 1.0);
+    }
+  };
+
+  /**
+   * Opens a design from the library
+   * @param {Object} record - Design library record
+   */
+  const handleOpenLibraryDesign = (record) => {
+    console.log(`📚 Opening library design: ${record.name}`);
+    if (loadDesignData(record, `Open ${record.name}`)) {
+      applyWorkspace(record.workspace);
+      setCurrentDesign({ id: record.id, name: record.name });
+    }
+  };
+
+  /**
+   * Opens a bundled template as a new, unsaved design
+   * @param {Object} template - Prefab design data
+   */
+  const handleOpenTemplate = (template) => {
+    console.log(`🏰 Opening template: ${template.name}`);
+    if (loadDesignData(template, `Open template ${template.name}`)) {
+      setCurrentDesign(null);
+    }
+  };
+
+  /**
+   * Inserts a bundled template into the current design as a locked group
+   * @param {Object} template - Prefab design data
+   * @param {Object} position - Target {x, z} in inches
+   */
+  const handleInsertTemplate = (template, position) => {
+    console.log(`🏰 Inserting template: ${template.name} at (${position.x}, ${position.z})`);
+    insertDesignData(template, { position, locked: true, label: `Insert template ${template.name}` });
+  };
+
+  /**
+   * Restores the autosaved design and workspace offered at startup
+   */
+  const handleRecoverDesign = () => {
+    const { design, workspace } = pendingRecovery;
+    console.log('🛟 Recovering unsaved design');
+    
+    loadDesignData(design, 'Recover unsaved design');
+    applyWorkspace(workspace);
+    setPendingRecovery(null);
+  };
+
+  /**
+   * Discards the autosaved design offered at startup
+   */
+  const handleDiscardRecovery = () => {
+    console.log('🗑️ Discarding unsaved design');
+    DesignStorage.clearAutosave();
+    setPendingRecovery(null);
+  };
+
+  /**
+   * Toggles autosave and persists the preference
+   */
+  const toggleAutosave = () => {
+    const enabled = !autosaveEnabled;
+    DesignStorage.updateSettings({ autosaveEnabled: enabled });
+    setAutosaveEnabled(enabled);
+    console.log(`☁️ Autosave ${enabled ? 'enabled' : 'disabled'}`);
+  };
+
+  /**
+   * Changes the procedural texture resolution and persists the preference
+   * @param {string} quality - 'low', 'medium' or 'high'
    */
-  const handleSaveDesign = (designName) => {
-    console.log(`💾 Saving design: ${designName || 'My Cat Tree'}`);
-    saveDesign(designName || 'My Cat Tree');
+  const changeTextureQuality = (quality) => {
+    DesignStorage.updateSettings({ textureQuality: quality });
+    setTextureQuality(quality);
   };
 
+  /**
+   * Switches between imperial and metric display and persists the preference
+   * @param {string} system - 'imperial' or 'metric'
+   */
+  const changeUnitSystem = (system) => {
+    DesignStorage.updateSettings({ unitSystem: system });
+    setUnitSystem(Units.normalizeSystem(system));
+    console.log(`📏 Units: ${Units.getSystem(system).label}`);
+  };
+
+  /**
+   * Keep the movement increment one of the steps the unit system offers
+   */
+  useEffect(() => {
+    const increments = Units.getIncrements(unitSystem);
+    if (!increments.some(increment => Math.abs(increment - movementIncrement) < 1e-6)) {
+      setMovementIncrement(Units.getDefaultIncrement(unitSystem));
+    }
+  }, [unitSystem, movementIncrement, setMovementIncrement]);
+
   /**
    * Handles opening click events from the 3D canvas
    * @param {string} openingId - ID of the clicked opening
@@ -226,25 +704,73 @@ const CatTreeBuilder = () => {
     setShowStressVisualization(false);  // Turn off stress colors when panel closes
   };
 
+  /**
+   * Picks the agility profile the reachability analysis uses and persists the choice
+   * @param {string} profileId - Agility profile ID
+   */
+  const changeAgilityProfile = (profileId) => {
+    DesignStorage.updateSettings({ agilityProfile: profileId });
+    setAgilityProfileId(profileId);
+    console.log(`🐾 Agility profile: ${profileId}`);
+  };
+
+  /**
+   * Saves edited jump limits for an agility profile
+   * @param {string} profileId - Agility profile ID
+   * @param {Object} limits - Any of maxUp, maxDown, maxAcross in inches
+   */
+  const saveAgilityProfile = (profileId, limits) => {
+    CatReachability.saveProfile(profileId, limits);
+    setAgilityProfiles(CatReachability.getProfiles());
+  };
+
+  /**
+   * Restores an agility profile's built-in jump limits
+   * @param {string} profileId - Agility profile ID
+   */
+  const resetAgilityProfile = (profileId) => {
+    CatReachability.resetProfile(profileId);
+    setAgilityProfiles(CatReachability.getProfiles());
+  };
+
   /**
    * Validates and clamps grid dimension input
    * @param {number} value - Input value to validate
    * @returns {number} Clamped value within valid range
    */
   const validateGridDimension = (value) => {
-    const numValue = parseInt(value) || SharedUtils.MOVEMENT.MIN_GRID_SIZE;
+    const numValue = Math.round(parseFloat(value)) || SharedUtils.MOVEMENT.MIN_GRID_SIZE;
     return Math.max(
       SharedUtils.MOVEMENT.MIN_GRID_SIZE, 
       Math.min(SharedUtils.MOVEMENT.MAX_GRID_SIZE, numValue)
     );
   };
 
+  /**
+   * Converts a workspace size typed in the current units to feet
+   * Metric sizes are entered in meters and rounded to whole feet
+   * @param {string} value - Input value
+   * @returns {number} Size in feet
+   */
+  const gridInputToFeet = (value) => (
+    Units.isMetric(unitSystem) ? Units.fromDisplayLength(parseFloat(value) * 100, unitSystem) / 12 : value
+  );
+
+  /**
+   * Workspace size in feet shown in the current units
+   * @param {number} feet - Size in feet
+   * @returns {number} Feet, or meters to one decimal in metric
+   */
+  const feetToGridInput = (feet) => (
+    Units.isMetric(unitSystem) ? Number(Units.formatNumber(Units.toDisplayLength(feet * 12, unitSystem) / 100, 1)) : feet
+  );
+
   /**
    * Handles grid width changes with validation
    * @param {Event} e - Input change event
    */
   const handleGridWidthChange = (e) => {
-    const validatedValue = validateGridDimension(e.target.value);
+    const validatedValue = validateGridDimension(gridInputToFeet(e.target.value));
     setGridWidth(validatedValue);
   };
 
@@ -253,7 +779,7 @@ const CatTreeBuilder = () => {
    * @param {Event} e - Input change event
    */
   const handleGridHeightChange = (e) => {
-    const validatedValue = validateGridDimension(e.target.value);
+    const validatedValue = validateGridDimension(gridInputToFeet(e.target.value));
     setGridHeight(validatedValue);
   };
 
@@ -337,17 +863,18 @@ const CatTreeBuilder = () => {
                   title: `${openings.length} openings on hollow pieces`
                 }, openings.length)
               ]),
-              // Total Cost
-              React.createElement('div', {
+              // Total Cost (opens the price catalog)
+              React.createElement('button', {
                 key: 'cost',
-                className: 'flex items-center space-x-1'
+                onClick: () => setShowPriceCatalog(true),
+                className: 'flex items-center space-x-1 hover:opacity-80 transition-opacity',
+                title: `Total estimated cost: ${SharedUtils.Utils.formatCurrency(stats.totalCost)} (${priceCatalog.name}). Click to edit prices`
               }, [
                 React.createElement('span', { key: 'icon' }, '💰'),
                 React.createElement('span', { 
                   key: 'amount', 
-                  className: 'font-medium text-app-mint-100',
-                  title: `Total estimated cost: $${stats.totalCost}`
-                }, `$${stats.totalCost}`)
+                  className: 'font-medium text-app-mint-100'
+                }, SharedUtils.Utils.formatCurrency(stats.totalCost))
               ]),
               // Maximum Height
               React.createElement('div', {
@@ -358,8 +885,8 @@ const CatTreeBuilder = () => {
                 React.createElement('span', { 
                   key: 'height', 
                   className: 'font-medium',
-                  title: `Tallest point in design: ${stats.maxHeight} inches`
-                }, `${stats.maxHeight}"`)
+                  title: `Tallest point in design: ${Units.formatLength(stats.maxHeight, unitSystem)}`
+                }, Units.formatLength(stats.maxHeight, unitSystem))
               ])
             ])
           ]),
@@ -379,32 +906,34 @@ const CatTreeBuilder = () => {
               React.createElement('span', {
                 key: 'label',
                 className: 'text-sm font-medium text-white',
-                title: 'Workspace dimensions in feet'
+                title: `Workspace dimensions in ${Units.isMetric(unitSystem) ? 'meters' : 'feet'}`
               }, '📐'),
               // Width Input
               React.createElement('input', {
                 key: 'width-input',
                 type: 'number',
-                min: SharedUtils.MOVEMENT.MIN_GRID_SIZE,
-                max: SharedUtils.MOVEMENT.MAX_GRID_SIZE,
-                value: gridWidth,
+                min: feetToGridInput(SharedUtils.MOVEMENT.MIN_GRID_SIZE),
+                max: feetToGridInput(SharedUtils.MOVEMENT.MAX_GRID_SIZE),
+                step: Units.isMetric(unitSystem) ? 0.1 : 1,
+                value: feetToGridInput(gridWidth),
                 onChange: handleGridWidthChange,
                 className: 'w-12 px-1 py-1 text-xs border border-app-mint-300 rounded text-center focus:outline-none focus:ring-2 focus:ring-app-pink-500 bg-white/90',
-                title: `Workspace width (${SharedUtils.MOVEMENT.MIN_GRID_SIZE}-${SharedUtils.MOVEMENT.MAX_GRID_SIZE} feet)`
+                title: `Workspace width (${Units.formatFeet(SharedUtils.MOVEMENT.MIN_GRID_SIZE, unitSystem)}-${Units.formatFeet(SharedUtils.MOVEMENT.MAX_GRID_SIZE, unitSystem)})`
               }),
               React.createElement('span', { key: 'x', className: 'text-gray-500' }, '×'),
               // Height Input
               React.createElement('input', {
                 key: 'height-input',
                 type: 'number',
-                min: SharedUtils.MOVEMENT.MIN_GRID_SIZE,
-                max: SharedUtils.MOVEMENT.MAX_GRID_SIZE,
-                value: gridHeight,
+                min: feetToGridInput(SharedUtils.MOVEMENT.MIN_GRID_SIZE),
+                max: feetToGridInput(SharedUtils.MOVEMENT.MAX_GRID_SIZE),
+                step: Units.isMetric(unitSystem) ? 0.1 : 1,
+                value: feetToGridInput(gridHeight),
                 onChange: handleGridHeightChange,
                 className: 'w-12 px-1 py-1 text-xs border border-app-mint-300 rounded text-center focus:outline-none focus:ring-2 focus:ring-app-pink-500 bg-white/90',
-                title: `Workspace depth (${SharedUtils.MOVEMENT.MIN_GRID_SIZE}-${SharedUtils.MOVEMENT.MAX_GRID_SIZE} feet)`
+                title: `Workspace depth (${Units.formatFeet(SharedUtils.MOVEMENT.MIN_GRID_SIZE, unitSystem)}-${Units.formatFeet(SharedUtils.MOVEMENT.MAX_GRID_SIZE, unitSystem)})`
               }),
-              React.createElement('span', { key: 'feet', className: 'text-xs text-app-mint-100' }, 'ft')
+              React.createElement('span', { key: 'feet', className: 'text-xs text-app-mint-100' }, Units.isMetric(unitSystem) ? 'm' : 'ft')
             ]),
 
             // ========================================
@@ -524,6 +1053,75 @@ const CatTreeBuilder = () => {
                 ])
               ]),
               
+              // Undo / Redo / History Buttons
+              React.createElement('div', {
+                key: 'history-controls',
+                className: 'flex items-center space-x-1 bg-white/20 backdrop-blur-sm px-2 py-1 rounded-lg border border-app-mint-200'
+              }, [
+                React.createElement('button', {
+                  key: 'undo',
+                  onClick: () => undo(),
+                  disabled: !canUndo,
+                  className: 'w-8 h-8 rounded text-sm text-white hover:bg-white/20 transition-colors disabled:opacity-40 disabled:cursor-not-allowed',
+                  title: canUndo ? `Undo ${history.past[history.past.length - 1].label} (${KeyboardShortcuts.describe(keymap, 'undo')})` : 'Nothing to undo'
+                }, '↩️'),
+                React.createElement('button', {
+                  key: 'redo',
+                  onClick: () => redo(),
+                  disabled: !canRedo,
+                  className: 'w-8 h-8 rounded text-sm text-white hover:bg-white/20 transition-colors disabled:opacity-40 disabled:cursor-not-allowed',
+                  title: canRedo ? `Redo ${history.future[history.future.length - 1].label} (${KeyboardShortcuts.describe(keymap, 'redo')})` : 'Nothing to redo'
+                }, '↪️'),
+                React.createElement('button', {
+                  key: 'history',
+                  onClick: () => setShowHistoryPanel(prev => !prev),
+                  className: `w-8 h-8 rounded text-sm text-white transition-colors ${showHistoryPanel ? 'bg-white/30' : 'hover:bg-white/20'}`,
+                  title: 'Show edit history'
+                }, '🕘'),
+                React.createElement('button', {
+                  key: 'commands',
+                  onClick: () => setShowCommandPalette(true),
+                  className: `w-8 h-8 rounded text-sm text-white transition-colors ${showCommandPalette ? 'bg-white/30' : 'hover:bg-white/20'}`,
+                  title: `Commands & keyboard shortcuts (${KeyboardShortcuts.describe(keymap, 'command-palette')})`
+                }, '⌨️'),
+                // Autosave Toggle with Status
+                React.createElement('button', {
+                  key: 'autosave',
+                  onClick: toggleAutosave,
+                  className: `h-8 px-2 rounded text-xs text-white transition-colors hover:bg-white/20 ${autosaveEnabled ? '' : 'opacity-50 line-through'}`,
+                  title: !autosaveEnabled
+                    ? 'Autosave is off - click to turn on'
+                    : autosave.status === 'error'
+                      ? 'Autosave failed - browser storage may be full'
+                      : autosave.lastSavedAt
+                        ? `Autosaved at ${new Date(autosave.lastSavedAt).toLocaleTimeString()} - click to turn off`
+                        : 'Autosave is on - click to turn off'
+                }, autosave.status === 'error' ? '⚠️ Auto' : autosave.status === 'pending' ? '☁️ …' : '☁️ Auto'),
+                // Texture Quality
+                React.createElement('select', {
+                  key: 'texture-quality',
+                  value: textureQuality,
+                  onChange: (e) => changeTextureQuality(e.target.value),
+                  className: 'h-8 px-1 rounded text-xs text-white bg-transparent hover:bg-white/20 transition-colors cursor-pointer focus:outline-none',
+                  title: 'Texture quality - lower it if large designs feel sluggish'
+                }, [
+                  React.createElement('option', { key: 'high', value: 'high', className: 'text-gray-800' }, '🎨 High'),
+                  React.createElement('option', { key: 'medium', value: 'medium', className: 'text-gray-800' }, '🎨 Medium'),
+                  React.createElement('option', { key: 'low', value: 'low', className: 'text-gray-800' }, '🎨 Low')
+                ]),
+                // Unit System
+                React.createElement('select', {
+                  key: 'unit-system',
+                  value: unitSystem,
+                  onChange: (e) => changeUnitSystem(e.target.value),
+                  className: 'h-8 px-1 rounded text-xs text-white bg-transparent hover:bg-white/20 transition-colors cursor-pointer focus:outline-none',
+                  title: 'Units for sizes, positions and weights (saved designs always keep inches and pounds)'
+                }, Object.entries(Units.SYSTEMS).map(([id, system]) =>
+                  React.createElement('option', { key: id, value: id, className: 'text-gray-800' },
+                    id === 'metric' ? '📏 cm / kg' : '📏 in / lb')
+                ))
+              ]),
+              
               // Save Design Button
               React.createElement('button', {
                 key: 'save',
@@ -534,34 +1132,21 @@ const CatTreeBuilder = () => {
                     ? 'bg-app-purple-300 text-app-purple-500 cursor-not-allowed'
                     : 'bg-app-mint-500 hover:bg-app-mint-600 text-white shadow-md hover:shadow-lg transform hover:scale-105'
                 }`,
-                title: pieces.length === 0 ? 'Add pieces to save design' : 'Save current design to file'
+                title: pieces.length === 0 ? 'Add pieces to save design' : 'Save current design to the library or a file'
               }, [
                 React.createElement('span', { key: 'icon' }, '💾'),
                 React.createElement('span', { key: 'text' }, 'Save')
               ]),
               
-              // Load Design Button with Hidden File Input - FIXED
-              React.createElement('div', {
-                key: 'load-wrapper',
-                className: 'relative'
+              // Design Library Button (open saved designs, import JSON)
+              React.createElement('button', {
+                key: 'library',
+                onClick: () => setShowLibraryModal(true),
+                className: 'px-4 py-2 bg-app-pink-500 hover:bg-app-pink-600 text-white rounded-lg font-medium flex items-center space-x-2 shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105',
+                title: 'Open a saved design or import a JSON file'
               }, [
-                React.createElement('input', {
-                  key: 'file-input',
-                  id: 'file-upload-input',
-                  type: 'file',
-                  accept: '.json',
-                  onChange: handleFileUpload,
-                  className: 'hidden'  // Changed from absolute positioning to hidden
-                }),
-                React.createElement('label', {  // Changed from button to label
-                  key: 'load-button',
-                  htmlFor: 'file-upload-input',  // Links label to input
-                  className: 'inline-flex px-4 py-2 bg-app-pink-500 hover:bg-app-pink-600 text-white rounded-lg font-medium items-center space-x-2 shadow-md hover:shadow-lg transition-all duration-200 transform hover:scale-105 cursor-pointer',
-                  title: 'Load a saved design from file'
-                }, [
-                  React.createElement('span', { key: 'icon' }, '📂'),
-                  React.createElement('span', { key: 'text' }, 'Load')
-                ])
+                React.createElement('span', { key: 'icon' }, '📚'),
+                React.createElement('span', { key: 'text' }, 'Library')
               ]),
               
               // Clear All Button
@@ -596,6 +1181,40 @@ const CatTreeBuilder = () => {
               }, [
                 React.createElement('span', { key: 'icon' }, '⚖️'),
                 React.createElement('span', { key: 'text' }, showStressVisualization ? 'Stress ✓' : 'Stress')
+              ]),
+
+              // Reachability Button - stays highlighted while jump routes are drawn
+              React.createElement('button', {
+                key: 'reachability',
+                onClick: () => setShowReachPanel(true),
+                disabled: pieces.length === 0,
+                className: `px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-all duration-200 ${
+                  pieces.length === 0
+                    ? 'bg-app-purple-300 text-app-purple-500 cursor-not-allowed'
+                    : showReachability
+                      ? 'bg-app-purple-700 text-white shadow-lg scale-105 ring-2 ring-app-purple-300'
+                      : 'bg-app-purple-600 hover:bg-app-purple-700 text-white shadow-md hover:shadow-lg transform hover:scale-105'
+                }`,
+                title: pieces.length === 0 ? 'Add pieces to check which spots a cat can reach' : 'Check which spots a cat can jump to, for kittens, adults, seniors and less mobile cats'
+              }, [
+                React.createElement('span', { key: 'icon' }, '🐾'),
+                React.createElement('span', { key: 'text' }, showReachability ? 'Reach ✓' : 'Reach')
+              ]),
+
+              // Cut List Button
+              React.createElement('button', {
+                key: 'cut-list',
+                onClick: () => setShowCutList(true),
+                disabled: pieces.length === 0,
+                className: `px-4 py-2 rounded-lg font-medium flex items-center space-x-2 transition-all duration-200 ${
+                  pieces.length === 0
+                    ? 'bg-app-purple-300 text-app-purple-500 cursor-not-allowed'
+                    : 'bg-app-purple-600 hover:bg-app-purple-700 text-white shadow-md hover:shadow-lg transform hover:scale-105'
+                }`,
+                title: pieces.length === 0 ? 'Add pieces to get a cut list' : 'Plywood sheets and post lengths to cut, with printable diagrams'
+              }, [
+                React.createElement('span', { key: 'icon' }, '🪚'),
+                React.createElement('span', { key: 'text' }, 'Cut List')
               ])
             ])
           ])
@@ -605,7 +1224,7 @@ const CatTreeBuilder = () => {
   };
 
   /**
-   * Renders the left sidebar containing toolbox and customization panel
+   * Renders the left sidebar containing toolbox, template gallery and customization panel
    * @returns {React.Element} Left sidebar component
    */
   const renderLeftSidebar = () => {
@@ -624,7 +1243,24 @@ const CatTreeBuilder = () => {
           key: 'toolbox',
           addPieceFromVariant: addPieceFromVariant,
           selectedCategory: selectedCategory,
-          setSelectedCategory: setSelectedCategory
+          setSelectedCategory: setSelectedCategory,
+          unitSystem: unitSystem
+        })
+      ]),
+
+      // ========================================
+      // TEMPLATE GALLERY (COLLAPSIBLE)
+      // ========================================
+      React.createElement('div', {
+        key: 'templates-container',
+        className: 'bg-app-card rounded-xl shadow-lg flex-shrink-0 overflow-hidden'
+      }, [
+        React.createElement(PrefabGallery, {
+          key: 'templates',
+          onOpenTemplate: handleOpenTemplate,
+          onInsertTemplate: handleInsertTemplate,
+          hasDesign: pieces.length > 0,
+          unitSystem: unitSystem
         })
       ]),
 
@@ -638,15 +1274,20 @@ const CatTreeBuilder = () => {
         React.createElement(CustomizationPanel, {
           key: 'customization',
           selectedPiece: selectedPiece,
+          selectedPieces: selectedPieces,
           showPanel: showCustomizationPanel,
           onClose: closeCustomizationPanel,
           onUpdateCustomization: updatePieceCustomization,
+          onUpdateSelectionCustomization: updateSelectionCustomization,
           openings: openings,
           onAddOpening: addOpening,
           onRemoveOpening: removeOpening,
+          onUpdateOpening: updateOpening,
           onSelectOpening: selectOpening,
           flipPiece: flipPiece,           // NEW: Pass flip function
-          canFlipPiece: canFlipPiece      // NEW: Pass flip check function
+          canFlipPiece: canFlipPiece,     // NEW: Pass flip check function
+          unitSystem: unitSystem,
+          priceCatalog: priceCatalog
         })
       ])
     ]);
@@ -672,19 +1313,31 @@ const CatTreeBuilder = () => {
           key: 'canvas',
           pieces: pieces,
           selectedPiece: selectedPiece,
+          selectedPieceIds: selectedPieceIds,
+          selectedGroup: liveSelectedGroup,
           movementIncrement: movementIncrement,
           gridWidth: gridWidth,
           gridHeight: gridHeight,
           openings: openings,
           selectedOpening: selectedOpening,
           onPieceClick: selectPiece,
+          onBoxSelect: selectPieces,
           onPieceDrag: dragPiece,
+          onGizmoTransform: handleGizmoTransform,
           onOpeningClick: handleOpeningClick,
           showStressVisualization: showStressVisualization,  // Pass stress visualization state
+          catWeights: catWeights,  // Cats for the center of gravity overlay
+          collidingPieceIds: collidingPieceIds,  // Overlapping pieces shown in the error color
+          passageRoute: passageRoute,  // Crawl route through tunnels and houses
+          reachability: showReachability ? reachability : null,  // Jump routes and gaps for the agility profile
+          reachFocusId: reachFocusId,  // Spot whose route alone is drawn
+          textureQuality: textureQuality,  // Procedural texture resolution
+          unitSystem: unitSystem,  // Grid rulers, measurement pillar and hints
           backgroundImage: backgroundImage,  // Pass background image
           bgOffsetX: bgOffsetX,  // Background X offset
           bgOffsetY: bgOffsetY,  // Background Y offset
-          bgZoom: bgZoom  // Background zoom level
+          bgZoom: bgZoom,  // Background zoom level
+          captureRef: captureThumbnailRef  // Thumbnail capture for the design library
         })
       ]),
       
@@ -716,7 +1369,16 @@ const CatTreeBuilder = () => {
           onUpdateCustomization: updatePieceDimensions,
           setMovementIncrement: setMovementIncrement,
           flipPiece: flipPiece,         // NEW: Pass flip function
-          canFlipPiece: canFlipPiece    // NEW: Pass flip check function
+          canFlipPiece: canFlipPiece,   // NEW: Pass flip check function
+          unitSystem: unitSystem,
+          priceCatalog: priceCatalog,
+          selectedPieces: selectedPieces,
+          onMoveSelection: moveSelection,
+          onRotateSelection: rotateSelection,
+          onDeleteSelection: deleteSelection,
+          onDuplicateSelection: duplicateSelection,
+          onToggleSelectionLock: toggleSelectionLock,
+          onGroupSelection: groupSelection
         })
       ])
     ]);
@@ -762,7 +1424,11 @@ const CatTreeBuilder = () => {
         }, [
           React.createElement(PartsListManagement, {
             pieces: pieces,
+            unitSystem: unitSystem,
+            designName: currentDesign?.name || 'My Cat Tree',
+            priceCatalog: priceCatalog,
             selectedPiece: selectedPiece,
+            selectedPieceIds: selectedPieceIds,
             onPieceClick: selectPiece,
             getDesignStats: getDesignStats,
             onToggleLock: togglePieceLock,
@@ -775,7 +1441,14 @@ const CatTreeBuilder = () => {
             openings: openings,
             selectedOpening: selectedOpening,
             onOpeningClick: selectOpening,
-            onToggleOpeningLock: toggleOpeningLock
+            onToggleOpeningLock: toggleOpeningLock,
+            collisions: collisions,
+            preventOverlap: preventOverlap,
+            onTogglePreventOverlap: setPreventOverlap,
+            passages: passages,
+            routeTargetId: routeTargetId,
+            passageRoute: passageRoute,
+            onShowRoute: setRouteTargetId
           })
         ])
       ])
@@ -795,7 +1468,23 @@ const CatTreeBuilder = () => {
       key: 'save-modal',
       isOpen: showSaveModal,
       onClose: () => setShowSaveModal(false),
-      onSave: handleSaveDesign
+      onSave: handleSaveDesign,
+      currentDesignName: currentDesign?.name || null
+    }),
+    
+    // ========================================
+    // DESIGN LIBRARY MODAL
+    // ========================================
+    React.createElement(DesignLibraryModal, {
+      key: 'library-modal',
+      isOpen: showLibraryModal,
+      onClose: () => setShowLibraryModal(false),
+      onOpen: handleOpenLibraryDesign,
+      onInsert: handleInsertLibraryDesign,
+      onImportFile: handleImportFile,
+      onRename: handleRenameLibraryDesign,
+      currentDesignId: currentDesign?.id || null,
+      hasDesign: pieces.length > 0
     }),
     
     // ========================================
@@ -807,7 +1496,94 @@ const CatTreeBuilder = () => {
       onClose: handleStressTestClose,  // Use enhanced close handler
       pieces: pieces,
       catWeights: catWeights,
-      onUpdateCatWeights: setCatWeights
+      onUpdateCatWeights: setCatWeights,
+      unitSystem: unitSystem,
+      priceCatalog: priceCatalog
+    }),
+
+    // ========================================
+    // CAT REACHABILITY & AGILITY PROFILES
+    // ========================================
+    React.createElement(ReachabilityPanel, {
+      key: 'reachability',
+      isOpen: showReachPanel,
+      onClose: () => setShowReachPanel(false),
+      jumpGraph: jumpGraph,
+      result: reachability,
+      profiles: agilityProfiles,
+      profileId: agilityProfiles[agilityProfileId] ? agilityProfileId : 'adult',
+      onChangeProfile: changeAgilityProfile,
+      onSaveProfile: saveAgilityProfile,
+      onResetProfile: resetAgilityProfile,
+      focusSpotId: reachFocusId,
+      onFocusSpot: setReachFocusId,
+      showInView: showReachability,
+      onToggleShowInView: () => setShowReachability(show => !show),
+      unitSystem: unitSystem
+    }),
+    
+    // ========================================
+    // CUT LIST & CUTTING DIAGRAMS
+    // ========================================
+    React.createElement(CutListModal, {
+      key: 'cut-list',
+      isOpen: showCutList,
+      onClose: () => setShowCutList(false),
+      pieces: pieces,
+      unitSystem: unitSystem
+    }),
+    
+    // ========================================
+    // PRICE CATALOG & SUPPLIER PROFILES
+    // ========================================
+    React.createElement(PriceCatalogModal, {
+      key: 'price-catalog',
+      isOpen: showPriceCatalog,
+      onClose: () => setShowPriceCatalog(false),
+      catalog: priceCatalog,
+      onChangeCatalog: changePriceCatalog,
+      totalCost: stats.totalCost
+    }),
+    
+    // ========================================
+    // UNSAVED DESIGN RECOVERY PROMPT
+    // ========================================
+    React.createElement(RecoveryPrompt, {
+      key: 'recovery-prompt',
+      record: pendingRecovery,
+      onRecover: handleRecoverDesign,
+      onDiscard: handleDiscardRecovery
+    }),
+    
+    // ========================================
+    // IMPORT REPORT (MIGRATION & VALIDATION ISSUES)
+    // ========================================
+    React.createElement(ImportReportModal, {
+      key: 'import-report',
+      report: importReport,
+      onClose: clearImportReport
+    }),
+    
+    // ========================================
+    // EDIT HISTORY PANEL
+    // ========================================
+    React.createElement(HistoryPanel, {
+      key: 'history-panel',
+      isOpen: showHistoryPanel,
+      onClose: () => setShowHistoryPanel(false),
+      history: history,
+      onUndo: undo,
+      onRedo: redo
+    }),
+    
+    React.createElement(CommandPalette, {
+      key: 'command-palette',
+      isOpen: showCommandPalette,
+      onClose: () => setShowCommandPalette(false),
+      commands: commands,
+      keymap: keymap,
+      onRebind: rebindShortcut,
+      onResetKeymap: () => setKeymap(KeyboardShortcuts.resetKeymap())
     }),
     
     // ========================================
@@ -846,57 +1622,71 @@ const CatTreeBuilder = () => {
 /**
  * Initializes the React application with proper error handling
  * Supports both React 18 and React 17 rendering methods
+ * Checks browser storage for an unsaved autosave first so the app can offer recovery
  */
 const initializeApplication = () => {
   console.log('🚀 Initializing Cat Tree Builder application...');
   
-  try {
-    // React 18 compatible initialization
-    const root = ReactDOM.createRoot ? 
-      ReactDOM.createRoot(document.getElementById('root')) : 
-      null;
-
-    if (root) {
-      // React 18 concurrent features
-      console.log('✅ Using React 18 createRoot API');
-      root.render(
-        React.createElement(SharedUtils.ErrorBoundary, {}, 
-          React.createElement(CatTreeBuilder)
-        )
-      );
-    } else {
-      // React 17 fallback for compatibility
-      console.log('✅ Using React 17 legacy render API');
-      ReactDOM.render(
-        React.createElement(SharedUtils.ErrorBoundary, {}, 
-          React.createElement(CatTreeBuilder)
-        ), 
-        document.getElementById('root')
+  /**
+   * Renders the application, optionally offering an autosaved design for recovery
+   * @param {Object} recoveredDesign - Recoverable autosave record or null
+   */
+  const renderApplication = (recoveredDesign) => {
+    try {
+      const app = React.createElement(SharedUtils.ErrorBoundary, {}, 
+        React.createElement(CatTreeBuilder, { recoveredDesign })
       );
-    }
-    
-    console.log('🎉 Cat Tree Builder application initialized successfully!');
-  } catch (error) {
-    console.error('❌ Failed to initialize application:', error);
-    
-    // Fallback error display
-    const rootElement = document.getElementById('root');
-    if (rootElement) {
-      rootElement.innerHTML = `
-        <div style="padding: 2rem; text-align: center; color: #dc2626;">
-          <h1>⚠️ Application Failed to Load</h1>
-          <p>Please refresh the page and try again.</p>
-          <details style="margin-top: 1rem; text-align: left;">
-            <summary>Error Details</summary>
-            <pre style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; overflow: auto;">
+      
+      // React 18 compatible initialization
+      const root = ReactDOM.createRoot ? 
+        ReactDOM.createRoot(document.getElementById('root')) : 
+        null;
+
+      if (root) {
+        // React 18 concurrent features
+        console.log('✅ Using React 18 createRoot API');
+        root.render(app);
+      } else {
+        // React 17 fallback for compatibility
+        console.log('✅ Using React 17 legacy render API');
+        ReactDOM.render(app, document.getElementById('root'));
+      }
+      
+      console.log('🎉 Cat Tree Builder application initialized successfully!');
+    } catch (error) {
+      console.error('❌ Failed to initialize application:', error);
+      
+      // Fallback error display
+      const rootElement = document.getElementById('root');
+      if (rootElement) {
+        rootElement.innerHTML = `
+          <div style="padding: 2rem; text-align: center; color: #dc2626;">
+            <h1>⚠️ Application Failed to Load</h1>
+            <p>Please refresh the page and try again.</p>
+            <details style="margin-top: 1rem; text-align: left;">
+              <summary>Error Details</summary>
+              <pre style="background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; overflow: auto;">
 ${error.message}
 ${error.stack}
-            </pre>
-          </details>
-        </div>
-      `;
+              </pre>
+            </details>
+          </div>
+        `;
+      }
     }
-  }
+  };
+  
+  // Look for unsaved work from a previous session before the first render
+  const autosaveCheck = DesignStorage.getSetting('autosaveEnabled') ?
+    DesignStorage.loadAutosave() :
+    Promise.resolve(null);
+  
+  autosaveCheck
+    .then(record => renderApplication(DesignStorage.isRecoverable(record) ? record : null))
+    .catch(error => {
+      console.warn('⚠️ Autosave check failed, starting fresh:', error);
+      renderApplication(null);
+    });
 };
 
 // ========================================
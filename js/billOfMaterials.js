@@ -0,0 +1,363 @@
+// =====================================================
+// BILL OF MATERIALS SYSTEM -v1- LUMBER, COVERINGS, SISAL & HARDWARE
+// =====================================================
+
+/**
+ * Everything needed to build a design, in one list
+ * Lumber comes from the cut list, coverings and sisal rope from each piece's outer surface,
+ * and fasteners from the connections StructuralAnalysis recommends between touching pieces.
+ * Amounts are kept in inches (square/cubic inches for areas and volumes) and converted for display.
+ */
+const BillOfMaterials = {
+
+  // ========================================
+  // MATERIAL SETTINGS
+  // ========================================
+
+  // Extra covering bought for overlaps, seams and trimming
+  COVERING_ALLOWANCE: 1.1,
+
+  // Sisal rope diameter in inches; each wrap covers one diameter of height
+  SISAL_ROPE_DIAMETER: 0.375,
+
+  // Materials that are a wrap over the wooden frame rather than the frame itself
+  COVERING_MATERIALS: ['fabric', 'carpet', 'cushion'],
+
+  /**
+   * Fasteners referenced by StructuralAnalysis.connectionTypes[].hardware
+   */
+  HARDWARE_ITEMS: {
+    screw: { name: 'Wood screws #8 × 1¼"', unit: 'pcs' },
+    screwLong: { name: 'Wood screws #10 × 2½"', unit: 'pcs' },
+    bracketLight: { name: 'L-brackets 2"', unit: 'pcs' },
+    bracketHeavy: { name: 'Heavy duty angle brackets 4"', unit: 'pcs' },
+    bolt: { name: 'Carriage bolts ⅜" × 3"', unit: 'pcs' },
+    washer: { name: 'Flat washers ⅜"', unit: 'pcs' },
+    nut: { name: 'Hex nuts ⅜"', unit: 'pcs' },
+    plate: { name: 'Metal reinforcement plates', unit: 'pcs' },
+    glue: { name: 'Wood glue', unit: 'joint' }
+  },
+
+  SECTIONS: [
+    { id: 'lumber', title: 'Lumber', icon: '🪵' },
+    { id: 'coverings', title: 'Coverings', icon: '🧶' },
+    { id: 'sisal', title: 'Sisal Rope', icon: '🪢' },
+    { id: 'hardware', title: 'Hardware', icon: '🔩' },
+    { id: 'readyMade', title: 'Ready-Made Items', icon: '🛏️' }
+  ],
+
+  // ========================================
+  // SURFACE AREAS
+  // ========================================
+
+  /**
+   * Outer surface a covering or sisal wrap has to cover
+   * Flat pieces are covered on top and around the edges, panels on one face
+   * @param {Object} piece - Piece object
+   * @returns {number} Area in square inches
+   */
+  getCoveredArea: (piece) => {
+    const { width, height, depth } = piece;
+    const category = CatTreePieces.getCategoryKey(piece.variantId);
+    const round = ['cylinder', 'oval', 'tapered', 'raised-edge-round'].includes(piece.shape);
+
+    if (category === 'post') {
+      return (round ? Math.PI * width : 2 * (width + depth)) * height;
+    }
+
+    if (piece.hollow) {
+      const panels = CatTreePieces.getWallPanels(piece);
+      if (panels) return panels.reduce((sum, panel) => sum + panel.width * panel.height, 0);
+      if (piece.shape === 'cylinder') return Math.PI * width * height + Math.PI * width * width / 4;
+      // Round tunnels: tube circumference along their length
+      return Math.PI * height * width;
+    }
+
+    if (category === 'panel') return width * height;
+
+    const topArea = round ? Math.PI * width * depth / 4 : width * depth;
+    const perimeter = round ? Math.PI * (width + depth) / 2 : 2 * (width + depth);
+    return topArea + perimeter * height;
+  },
+
+  // ========================================
+  // SECTION BUILDERS
+  // ========================================
+
+  /**
+   * Sheet and post stock from the cut list, with board feet
+   * @param {Object} cutList - Result of CutList.generate
+   * @returns {Array} BOM lines
+   */
+  buildLumber: (cutList) => {
+    const lines = [];
+    const byThickness = {};
+
+    cutList.sheets.forEach(sheet => {
+      const key = sheet.thickness.toFixed(3);
+      byThickness[key] = byThickness[key] || { thickness: sheet.thickness, count: 0, volume: 0 };
+      byThickness[key].count += 1;
+      byThickness[key].volume += sheet.usedArea * sheet.thickness;
+    });
+    Object.values(byThickness).forEach(group => lines.push({
+      item: 'Plywood sheet',
+      size: { thickness: group.thickness, width: cutList.stock.sheetWidth, length: cutList.stock.sheetLength },
+      measure: 'count',
+      amount: group.count,
+      unit: 'sheet',
+      volume: group.volume
+    }));
+
+    const byProfile = {};
+    cutList.bars.forEach(bar => {
+      byProfile[bar.profile] = byProfile[bar.profile] || { bar, count: 0, cutLength: 0, volume: 0 };
+      byProfile[bar.profile].count += 1;
+      byProfile[bar.profile].cutLength += bar.cutLength;
+      // Posts are cut from square stock, so board feet use the full width × depth
+      byProfile[bar.profile].volume += bar.cuts.reduce((sum, cut) => sum + cut.section * cut.length, 0);
+    });
+    Object.values(byProfile).forEach(group => lines.push({
+      item: 'Post stock',
+      profile: group.bar,
+      size: { length: cutList.stock.postLength },
+      measure: 'count',
+      amount: group.count,
+      unit: 'length',
+      run: group.cutLength,
+      volume: group.volume
+    }));
+
+    return lines;
+  },
+
+  /**
+   * Square footage of each covering material
+   * @param {Array} pieces - Pieces to build
+   * @returns {Array} BOM lines
+   */
+  buildCoverings: (pieces) => {
+    const byMaterial = {};
+    pieces
+      .filter(piece => BillOfMaterials.COVERING_MATERIALS.includes(piece.material))
+      .forEach(piece => {
+        byMaterial[piece.material] = byMaterial[piece.material] || { area: 0, count: 0 };
+        byMaterial[piece.material].area += BillOfMaterials.getCoveredArea(piece) * BillOfMaterials.COVERING_ALLOWANCE;
+        byMaterial[piece.material].count += 1;
+      });
+
+    return Object.entries(byMaterial).map(([material, group]) => ({
+      item: CatTreePieces.materials[material]?.name || material,
+      measure: 'area',
+      amount: group.area,
+      pieceCount: group.count
+    }));
+  },
+
+  /**
+   * Linear feet of sisal rope to wrap every sisal piece, one rope diameter per turn
+   * @param {Array} pieces - Pieces to build
+   * @returns {Array} BOM lines
+   */
+  buildSisal: (pieces) => {
+    const wrapped = pieces.filter(piece => piece.material === 'sisal');
+    if (wrapped.length === 0) return [];
+
+    const area = wrapped.reduce((sum, piece) => sum + BillOfMaterials.getCoveredArea(piece), 0);
+    return [{
+      item: 'Sisal rope',
+      measure: 'run',
+      amount: area / BillOfMaterials.SISAL_ROPE_DIAMETER,
+      pieceCount: wrapped.length
+    }];
+  },
+
+  /**
+   * Fastener counts from the recommended connections
+   * @param {Object} connections - Result of StructuralAnalysis.recommendConnections
+   * @returns {Array} BOM lines
+   */
+  buildHardware: (connections) => {
+    const counts = {};
+    connections.connections.forEach(conn => {
+      (StructuralAnalysis.connectionTypes[conn.type]?.hardware || []).forEach(({ item, count }) => {
+        counts[item] = (counts[item] || 0) + count;
+      });
+    });
+
+    return Object.entries(counts).map(([key, count]) => ({
+      item: BillOfMaterials.HARDWARE_ITEMS[key]?.name || key,
+      measure: 'count',
+      amount: count,
+      unit: BillOfMaterials.HARDWARE_ITEMS[key]?.unit || 'pcs'
+    }));
+  },
+
+  /**
+   * Bedding and accessories bought as they are, with their cost
+   * @param {Array} pieces - Pieces to build
+   * @param {Object|null} catalog - Price catalog for piece costs
+   * @returns {Array} BOM lines
+   */
+  buildReadyMade: (pieces, catalog = null) => {
+    const byVariant = {};
+    pieces
+      .filter(piece => CutList.PURCHASED_CATEGORIES.includes(CatTreePieces.getCategoryKey(piece.variantId)))
+      .forEach(piece => {
+        byVariant[piece.variantId] = byVariant[piece.variantId] || { name: piece.name, count: 0, cost: 0 };
+        byVariant[piece.variantId].count += 1;
+        byVariant[piece.variantId].cost += PriceCatalog.getPieceCost(piece, catalog);
+      });
+
+    return Object.values(byVariant).map(group => ({
+      item: group.name,
+      measure: 'count',
+      amount: group.count,
+      unit: 'pcs',
+      cost: group.cost
+    }));
+  },
+
+  // ========================================
+  // FULL BILL OF MATERIALS
+  // ========================================
+
+  /**
+   * Builds the bill of materials for a design
+   * Accessories that come with a kit are left out; their parent's line covers them
+   * @param {Array} pieces - Array of piece objects
+   * @param {Object} stock - Cut list stock sizes (defaults to the saved settings)
+   * @param {Object|null} catalog - Price catalog for piece and hardware costs
+   * @returns {Object} {sections: [{id, title, icon, lines, subtotal}], totals}
+   */
+  build: (pieces, stock = CutList.getStock(), catalog = null) => {
+    const buildPieces = pieces.filter(piece => !piece.included);
+    const cutList = CutList.generate(buildPieces, stock);
+    const connections = StructuralAnalysis.recommendConnections(StructuralAnalysis.analyzeSupportStructure(pieces), catalog);
+
+    const linesBySection = {
+      lumber: BillOfMaterials.buildLumber(cutList),
+      coverings: BillOfMaterials.buildCoverings(buildPieces),
+      sisal: BillOfMaterials.buildSisal(buildPieces),
+      hardware: BillOfMaterials.buildHardware(connections),
+      readyMade: BillOfMaterials.buildReadyMade(buildPieces, catalog)
+    };
+
+    const pieceCost = PriceCatalog.getTotalCost(buildPieces, catalog);
+    const subtotals = {
+      hardware: connections.totalHardwareCost,
+      readyMade: linesBySection.readyMade.reduce((sum, line) => sum + line.cost, 0)
+    };
+
+    const sections = BillOfMaterials.SECTIONS
+      .map(section => ({ ...section, lines: linesBySection[section.id], subtotal: subtotals[section.id] ?? null }))
+      .filter(section => section.lines.length > 0);
+
+    return {
+      sections,
+      cutList,
+      connectionCount: connections.count,
+      totals: {
+        pieceCost,
+        hardwareCost: connections.totalHardwareCost,
+        total: pieceCost + connections.totalHardwareCost,
+        lumberVolume: linesBySection.lumber.reduce((sum, line) => sum + line.volume, 0)
+      }
+    };
+  },
+
+  // ========================================
+  // DISPLAY & EXPORT
+  // ========================================
+
+  /**
+   * Quantity of a line in display units
+   * @param {Object} line - BOM line
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @returns {Object} {value, unit} with value rounded for display
+   */
+  displayQuantity: (line, unitSystem) => {
+    const units = Units.quantityUnits(unitSystem);
+    const metric = Units.isMetric(unitSystem);
+    switch (line.measure) {
+      case 'area':
+        return { value: Units.formatNumber(Units.toDisplayArea(line.amount, unitSystem), metric ? 2 : 1), unit: units.area };
+      case 'run':
+        return { value: Units.formatNumber(Units.toDisplayRun(line.amount, unitSystem), metric ? 2 : 1), unit: units.run };
+      default:
+        return { value: String(line.amount), unit: line.amount === 1 || line.unit === 'pcs' ? line.unit : `${line.unit}s` };
+    }
+  },
+
+  /**
+   * Extra detail shown after a line: stock size, board feet or pieces covered
+   * @param {Object} line - BOM line
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @returns {string} Notes text
+   */
+  describeLine: (line, unitSystem) => {
+    const units = Units.quantityUnits(unitSystem);
+    const metric = Units.isMetric(unitSystem);
+    const volume = (cubicInches) => `${Units.formatNumber(Units.toDisplayVolume(cubicInches, unitSystem), metric ? 3 : 1)} ${units.volume}`;
+
+    if (line.size?.thickness) {
+      return `${Units.formatLength(line.size.thickness, unitSystem)} thick, ${Units.formatDimensions(line.size.width, line.size.length, null, unitSystem)}; ${volume(line.volume)} in parts`;
+    }
+    if (line.size?.length) {
+      return `${CutList.formatProfile(line.profile, unitSystem)}, ${Units.formatLength(line.size.length, unitSystem)} each; ${Units.formatNumber(Units.toDisplayRun(line.run, unitSystem), metric ? 2 : 1)} ${units.run} of cuts, ${volume(line.volume)}`;
+    }
+    if (line.measure === 'area') {
+      return `${line.pieceCount} piece${line.pieceCount !== 1 ? 's' : ''}, incl. ${Math.round((BillOfMaterials.COVERING_ALLOWANCE - 1) * 100)}% for overlaps`;
+    }
+    if (line.measure === 'run') {
+      return `${Units.formatLength(BillOfMaterials.SISAL_ROPE_DIAMETER, unitSystem, metric ? 1 : 3)} rope, wraps ${line.pieceCount} piece${line.pieceCount !== 1 ? 's' : ''}`;
+    }
+    return '';
+  },
+
+  /**
+   * CSV rows for the bill of materials, header row first
+   * @param {Object} bom - Result of build
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @returns {Array<Array>} Rows
+   */
+  toCSVRows: (bom, unitSystem) => {
+    const rows = [['Section', 'Item', 'Quantity', 'Unit', 'Notes', 'Cost']];
+    bom.sections.forEach(section => {
+      section.lines.forEach(line => {
+        const { value, unit } = BillOfMaterials.displayQuantity(line, unitSystem);
+        rows.push([
+          section.title, line.item, value, unit,
+          BillOfMaterials.describeLine(line, unitSystem),
+          line.cost !== undefined ? line.cost.toFixed(2) : ''
+        ]);
+      });
+      if (section.subtotal !== null) {
+        rows.push([section.title, 'Subtotal', '', '', '', section.subtotal.toFixed(2)]);
+      }
+    });
+
+    const units = Units.quantityUnits(unitSystem);
+    rows.push(['Total', 'Lumber', Units.formatNumber(Units.toDisplayVolume(bom.totals.lumberVolume, unitSystem), Units.isMetric(unitSystem) ? 3 : 1), units.volume, '', '']);
+    rows.push(['Total', 'Pieces', '', '', 'Catalog price of every piece', bom.totals.pieceCost.toFixed(2)]);
+    rows.push(['Total', 'Hardware', '', '', `${bom.connectionCount} connections`, bom.totals.hardwareCost.toFixed(2)]);
+    rows.push(['Total', 'Estimated total', '', '', '', bom.totals.total.toFixed(2)]);
+    return rows;
+  },
+
+  /**
+   * Downloads the bill of materials as a CSV file
+   * @param {Object} bom - Result of build
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @param {string} designName - Name used for the file
+   */
+  exportCSV: (bom, unitSystem, designName = 'My Cat Tree') => {
+    SharedUtils.Utils.downloadCSV(
+      BillOfMaterials.toCSVRows(bom, unitSystem),
+      `${designName.replace(/[^a-zA-Z0-9]/g, '_')}_bill_of_materials.csv`
+    );
+    console.log(`🧾 Exported bill of materials for ${designName}`);
+  }
+};
+
+// Export for use in other modules
+window.BillOfMaterials = BillOfMaterials;
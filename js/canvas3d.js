@@ -1,23 +1,35 @@
 // =====================================================
-// OPTIMIZED 3D CANVAS COMPONENT -v30- STRUCTURAL STRESS VISUALIZATION
+// OPTIMIZED 3D CANVAS COMPONENT -v42- CAT REACHABILITY OVERLAY
 // =====================================================
 
 const Canvas3D = ({ 
   pieces, 
   selectedPiece, 
+  selectedPieceIds = [],  // Every selected piece (Shift/Ctrl-click and drag-rectangle selection)
+  selectedGroup = null,  // Selected group, which gets the transform gizmo as a whole
   movementIncrement, 
   onPieceClick, 
   onPieceDrag, 
+  onBoxSelect = () => {},  // Receives (pieceIds, {additive}) when a selection rectangle is released
+  onGizmoTransform = () => {},  // Receives {target, kind, axis, amount} when a gizmo handle is released
   onOpeningClick = () => {}, 
   gridWidth = 10, 
   gridHeight = 10, 
   openings = [], 
   selectedOpening = null,
   showStressVisualization = false,  // Control stress visualization
+  catWeights = [15],  // Cat weights used for the stability overlay
+  collidingPieceIds = [],  // Pieces that overlap another piece (highlighted in the error color)
+  passageRoute = null,  // Crawl route {points, pieceIds} from PassageConnectivity.findRoute
+  reachability = null,  // Jump routes and problem gaps from CatReachability.evaluate
+  reachFocusId = null,  // Resting spot whose route (or blocking gap) alone is drawn
+  textureQuality = 'high',  // Procedural texture resolution: 'low', 'medium' or 'high'
+  unitSystem = 'imperial',  // Units for the grid, rulers, measurement pillar and hints
   backgroundImage = null,  // Background image prop
   bgOffsetX = 0,  // Background X offset
   bgOffsetY = 0,  // Background Y offset
-  bgZoom = 1.0    // Background zoom level
+  bgZoom = 1.0,   // Background zoom level
+  captureRef = null  // Receives a captureThumbnail(width, height) function for design previews
 }) => {
   const { useRef, useEffect, useMemo, useCallback, useState } = React;
   
@@ -37,12 +49,23 @@ const Canvas3D = ({
   
   // Object Management
   const meshMapRef = useRef(new Map()); // Maps piece/opening IDs to Three.js objects
+  const stabilityOverlayRef = useRef(null); // Center of gravity marker and support polygon
+  const routeOverlayRef = useRef(null); // Line and waypoints of the highlighted crawl route
+  const reachOverlayRef = useRef(null); // Jump arcs, problem gaps and unreachable spot rings
+  const snapGuidesRef = useRef(null); // Alignment guide lines shown while dragging
+  const selectionBoxRef = useRef(null); // Rectangle overlay drawn during drag-rectangle selection
+  const gizmoRef = useRef(null); // Transform gizmo attached to the selected piece or group
+  const gizmoTargetRef = useRef(null); // {type, id, pieceIds} the gizmo currently controls
+  const pieceBuildKeysRef = useRef(new Map()); // Piece ID -> build key of the object in meshMapRef
+  const openingBuildKeysRef = useRef(new Map()); // Opening ID -> build key of the marker in meshMapRef
+  const supportMapRef = useRef(null); // Latest stress analysis while stress visualization is on
   const animationIdRef = useRef(null);
   
   // Current State References (for event handlers)
   const currentPiecesRef = useRef(pieces);
   const currentOpeningsRef = useRef(openings);
-  const currentCallbacksRef = useRef({ onPieceClick, onPieceDrag, onOpeningClick });
+  const currentCallbacksRef = useRef({ onPieceClick, onPieceDrag, onOpeningClick, onBoxSelect, onGizmoTransform });
+  const movementIncrementRef = useRef(movementIncrement);
   
   // Performance Monitoring
   const performanceRef = useRef({
@@ -57,7 +80,11 @@ const Canvas3D = ({
     isDragging: false,
     draggedPieceId: null,
     startPos: { x: 0, y: 0 },
-    mode: 'none' // 'none', 'piece', 'rotate', 'pan'
+    mode: 'none', // 'none', 'piece', 'rotate', 'pan', 'box', 'gizmo'
+    objectOffset: null, // Scene object position minus piece position (panel pivots, centered meshes)
+    placement: null, // Latest snapped {x, y, z} of the dragged piece
+    additive: false, // Selection rectangle adds to the current selection
+    gizmo: null // Active gizmo handle drag (see startGizmoDrag)
   });
 
   // Cleanup utilities from SharedUtils
@@ -95,7 +122,7 @@ const Canvas3D = ({
   const signature = pieces.map(p => 
       `${p.id}-${p.x.toFixed(1)}-${p.y.toFixed(1)}-${p.z.toFixed(1)}-` +
       `${p.rotationY.toFixed(3)}-${p.tiltX || 0}-${p.tiltZ || 0}-` +
-      `${p.width}-${p.height}-${p.depth}-` +
+      `${p.width}-${p.height}-${p.depth}-${p.shape}-${p.hollow ? 1 : 0}-${p.flipped ? 1 : 0}-` +
       `${p.locked ? 1 : 0}-${p.color || 0}-${p.material || 'wood'}-` +
       `${p.apexPosition || 0.5}-${showStressVisualization ? 1 : 0}`  // Include stress viz state
     ).join('|');
@@ -117,7 +144,7 @@ const Canvas3D = ({
    */
   const openingSignature = useMemo(() => {
     return openings.map(o => 
-      `${o.id}-${o.parentPieceId}-${o.face}-${o.offsetX}-${o.offsetY}-${o.offsetZ}`
+      `${o.id}-${o.parentPieceId}-${o.face}-${o.shape}-${o.width}-${o.height}-${o.offsetX}-${o.offsetY}-${o.offsetZ}`
     ).join('|');
   }, [openings]);
   
@@ -125,8 +152,43 @@ const Canvas3D = ({
    * Creates a signature for selection state changes
    */
   const selectionSignature = useMemo(() => {
-    return `${selectedPiece?.id || 'none'}-${selectedOpening?.id || 'none'}`;
-  }, [selectedPiece?.id, selectedOpening?.id]);
+    return `${selectedPiece?.id || 'none'}-${selectedPieceIds.join(',')}-${selectedOpening?.id || 'none'}-${collidingPieceIds.join(',')}`;
+  }, [selectedPiece?.id, selectedPieceIds, selectedOpening?.id, collidingPieceIds]);
+  
+  /**
+   * Fast lookup for selected pieces (the primary selection counts even without an ID list)
+   */
+  const selectedIdSet = useMemo(() => {
+    const ids = new Set(selectedPieceIds);
+    if (selectedPiece) ids.add(selectedPiece.id);
+    return ids;
+  }, [selectedPiece?.id, selectedPieceIds]);
+  
+  /**
+   * Fast lookup for overlapping pieces
+   */
+  const collidingIdSet = useMemo(() => new Set(collidingPieceIds), [collidingPieceIds]);
+
+  /**
+   * What the transform gizmo controls: an unlocked group, or a single unlocked piece outside any group
+   * Locked and grouped pieces get no gizmo, matching what movePiece and rotatePiece accept
+   */
+  const gizmoTarget = useMemo(() => {
+    if (selectedGroup) {
+      const pieceIds = pieces.filter(p => p.groupId === selectedGroup.id).map(p => p.id);
+      return !selectedGroup.locked && pieceIds.length > 0
+        ? { type: 'group', id: selectedGroup.id, pieceIds }
+        : null;
+    }
+    if (!selectedPiece || selectedPieceIds.length > 1) return null;
+
+    const piece = pieces.find(p => p.id === selectedPiece.id);
+    return piece && !piece.locked && !piece.groupId
+      ? { type: 'piece', id: piece.id, pieceIds: [piece.id] }
+      : null;
+  }, [pieces, selectedPiece?.id, selectedPieceIds, selectedGroup]);
+
+  const gizmoSignature = gizmoTarget ? `${gizmoTarget.type}:${gizmoTarget.id}:${gizmoTarget.pieceIds.join(',')}` : 'none';
 
   // ========================================
   // REF UPDATES - KEEP CURRENT STATE FOR EVENT HANDLERS
@@ -139,8 +201,9 @@ const Canvas3D = ({
   useEffect(() => {
     currentPiecesRef.current = pieces;
     currentOpeningsRef.current = openings;
-    currentCallbacksRef.current = { onPieceClick, onPieceDrag, onOpeningClick };
-  }, [pieces, openings, onPieceClick, onPieceDrag, onOpeningClick]);
+    currentCallbacksRef.current = { onPieceClick, onPieceDrag, onOpeningClick, onBoxSelect, onGizmoTransform };
+    movementIncrementRef.current = movementIncrement;
+  }, [pieces, openings, onPieceClick, onPieceDrag, onOpeningClick, onBoxSelect, onGizmoTransform, movementIncrement]);
 
   // ========================================
   // GRID TEXTURE GENERATION
@@ -232,12 +295,14 @@ const Canvas3D = ({
   
   /**
    * Creates an optimized grid texture for the ground plane (grid overlay only)
+   * Grid lines and ruler labels follow the unit system (6"/2' or 10 cm/50 cm squares)
    * @param {number} widthFeet - Workspace width in feet
    * @param {number} heightFeet - Workspace height in feet
+   * @param {string} units - 'imperial' or 'metric'
    * @returns {HTMLCanvasElement} Canvas element with grid texture
    */
-  const createGridTexture = useCallback((widthFeet, heightFeet) => {
-    console.log(`🎨 Creating ${widthFeet}' x ${heightFeet}' grid overlay texture...`);
+  const createGridTexture = useCallback((widthFeet, heightFeet, units = 'imperial') => {
+    console.log(`🎨 Creating ${widthFeet}' x ${heightFeet}' ${Units.normalizeSystem(units)} grid overlay texture...`);
     
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
@@ -259,6 +324,11 @@ const Canvas3D = ({
     
     const borderSize = borderSizeInches * PIXELS_PER_INCH;
     
+    // Grid spacing in inches for the unit system
+    const spacing = Units.getSystem(units).grid;
+    const minorStep = Units.fromDisplayLength(spacing.minor, units);
+    const majorStep = Units.fromDisplayLength(spacing.major, units);
+    
     // Calculate workspace boundaries
     const workspacePixelWidth = workspaceWidthInches * PIXELS_PER_INCH;
     const workspacePixelHeight = workspaceHeightInches * PIXELS_PER_INCH;
@@ -267,22 +337,22 @@ const Canvas3D = ({
     
     // Function to draw the grid overlay
     const drawGrid = () => {
-      // Draw fine grid lines (6-inch increments) with better visibility
+      // Draw fine grid lines (6 inches / 10 cm) with better visibility
       ctx.beginPath();
       ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';  // White with high opacity for visibility
       ctx.lineWidth = 1;
       ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
       ctx.shadowBlur = 1;
       
-      // Vertical 6-inch lines
-      for (let inches = 0; inches <= workspaceWidthInches; inches += 6) {
+      // Vertical fine lines
+      for (let inches = 0; inches <= workspaceWidthInches; inches += minorStep) {
         const x = workspaceLeft + (inches * PIXELS_PER_INCH);
         ctx.moveTo(x, workspaceTop);
         ctx.lineTo(x, workspaceTop + workspacePixelHeight);
       }
       
-      // Horizontal 6-inch lines
-      for (let inches = 0; inches <= workspaceHeightInches; inches += 6) {
+      // Horizontal fine lines
+      for (let inches = 0; inches <= workspaceHeightInches; inches += minorStep) {
         const y = workspaceTop + (inches * PIXELS_PER_INCH);
         ctx.moveTo(workspaceLeft, y);
         ctx.lineTo(workspaceLeft + workspacePixelWidth, y);
@@ -294,22 +364,22 @@ const Canvas3D = ({
       ctx.shadowBlur = 0;
       ctx.stroke();
       
-      // Draw major grid lines (24-inch increments) with better visibility
+      // Draw major grid lines (24 inches / 50 cm) with better visibility
       ctx.beginPath();
       ctx.strokeStyle = 'rgba(255, 255, 255, 1.0)';  // Full white for major lines
       ctx.lineWidth = 2;
       ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
       ctx.shadowBlur = 2;
       
-      // Vertical 24-inch lines
-      for (let inches = 0; inches <= workspaceWidthInches; inches += 24) {
+      // Vertical major lines
+      for (let inches = 0; inches <= workspaceWidthInches; inches += majorStep) {
         const x = workspaceLeft + (inches * PIXELS_PER_INCH);
         ctx.moveTo(x, workspaceTop);
         ctx.lineTo(x, workspaceTop + workspacePixelHeight);
       }
       
-      // Horizontal 24-inch lines
-      for (let inches = 0; inches <= workspaceHeightInches; inches += 24) {
+      // Horizontal major lines
+      for (let inches = 0; inches <= workspaceHeightInches; inches += majorStep) {
         const y = workspaceTop + (inches * PIXELS_PER_INCH);
         ctx.moveTo(workspaceLeft, y);
         ctx.lineTo(workspaceLeft + workspacePixelWidth, y);
@@ -340,7 +410,7 @@ const Canvas3D = ({
     
     // Draw ruler markings and labels
     drawRulerMarkings(ctx, canvas, borderSize, workspaceLeft, workspaceTop, 
-      workspacePixelWidth, workspacePixelHeight, widthFeet, heightFeet, PIXELS_PER_INCH);
+      workspacePixelWidth, workspacePixelHeight, widthFeet, heightFeet, PIXELS_PER_INCH, units);
     
     console.log('✅ Optimized grid texture created successfully');
     return canvas;
@@ -348,9 +418,20 @@ const Canvas3D = ({
   
   /**
    * Helper function to draw ruler markings and labels
+   * Imperial rulers are labeled every foot; metric rulers every 50 cm, in meters
    */
   const drawRulerMarkings = (ctx, canvas, borderSize, workspaceLeft, workspaceTop, 
-    workspacePixelWidth, workspacePixelHeight, widthFeet, heightFeet, PIXELS_PER_INCH) => {
+    workspacePixelWidth, workspacePixelHeight, widthFeet, heightFeet, PIXELS_PER_INCH, units = 'imperial') => {
+    
+    const metric = Units.isMetric(units);
+    const spacing = Units.getSystem(units).grid;
+    const labelStep = Units.fromDisplayLength(spacing.ruler, units);
+    const minorStep = Units.fromDisplayLength(metric ? spacing.minor : spacing.ruler, units);
+    const widthInches = widthFeet * 12;
+    const heightInches = heightFeet * 12;
+    const rulerLabel = (inches) => (
+      metric ? `${Units.formatNumber(Units.toDisplayLength(inches, units) / 100, 1, true)}m` : `${Math.round(inches / 12)}'`
+    );
     
     // Draw ruler markings on borders
     ctx.strokeStyle = '#999999';
@@ -359,8 +440,8 @@ const Canvas3D = ({
     ctx.font = `${Math.max(20, borderSize * 0.6)}px Arial`;
     
     // Top ruler (X-axis)
-    for (let feet = 0; feet <= widthFeet; feet++) {
-      const x = workspaceLeft + (feet * 12 * PIXELS_PER_INCH);
+    for (let inches = 0; inches <= widthInches + 1e-6; inches += labelStep) {
+      const x = workspaceLeft + (inches * PIXELS_PER_INCH);
       
       // Major tick
       ctx.beginPath();
@@ -370,12 +451,12 @@ const Canvas3D = ({
       
       // Label
       ctx.textAlign = 'center';
-      ctx.fillText(`${feet}'`, x, borderSize/2);
+      ctx.fillText(rulerLabel(inches), x, borderSize/2);
     }
     
-    // Minor ticks (1-foot intervals)
-    for (let feet = 1; feet < widthFeet; feet++) {
-      const x = workspaceLeft + (feet * 12 * PIXELS_PER_INCH);
+    // Minor ticks (1 foot / 10 cm intervals)
+    for (let inches = minorStep; inches < widthInches; inches += minorStep) {
+      const x = workspaceLeft + (inches * PIXELS_PER_INCH);
       ctx.beginPath();
       ctx.moveTo(x, borderSize - 5);
       ctx.lineTo(x, borderSize);
@@ -387,8 +468,8 @@ const Canvas3D = ({
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     
-    for (let feet = 0; feet <= heightFeet; feet++) {
-      const y = workspaceTop + workspacePixelHeight - (feet * 12 * PIXELS_PER_INCH);
+    for (let inches = 0; inches <= heightInches + 1e-6; inches += labelStep) {
+      const y = workspaceTop + (inches * PIXELS_PER_INCH);
       
       // Major tick
       ctx.beginPath();
@@ -396,8 +477,7 @@ const Canvas3D = ({
       ctx.lineTo(borderSize, y);
       ctx.stroke();
       
-      // Label - display feet value based on Three.js Z coordinate
-      const displayFeet = heightFeet - feet;
+      // Label - distance from the far edge, matching the Three.js Z direction
       ctx.fillStyle = '#666666';
       ctx.font = `${Math.max(20, borderSize * 0.6)}px Arial`;
       ctx.textAlign = 'center';
@@ -410,13 +490,13 @@ const Canvas3D = ({
       ctx.save();
       ctx.translate(labelX, labelY);
       ctx.rotate(-Math.PI/2);
-      ctx.fillText(`${displayFeet}'`, 0, 0);
+      ctx.fillText(rulerLabel(inches), 0, 0);
       ctx.restore();
     }
     
-    // Minor ticks (1-foot intervals)
-    for (let feet = 1; feet < heightFeet; feet++) {
-      const y = workspaceTop + workspacePixelHeight - (feet * 12 * PIXELS_PER_INCH);
+    // Minor ticks (1 foot / 10 cm intervals)
+    for (let inches = minorStep; inches < heightInches; inches += minorStep) {
+      const y = workspaceTop + (inches * PIXELS_PER_INCH);
       ctx.beginPath();
       ctx.moveTo(borderSize - 5, y);
       ctx.lineTo(borderSize, y);
@@ -480,6 +560,239 @@ const Canvas3D = ({
     z: Math.round(position.z / gridSize) * gridSize
   }), []);
 
+  /**
+   * Finds the piece under the cursor, ignoring the piece being dragged and openings
+   * @param {MouseEvent} event - Mouse event
+   * @param {string} excludeId - ID of the dragged piece
+   * @returns {Object|null} {piece, point} or null when only the floor is under the cursor
+   */
+  const getPieceUnderCursor = useCallback((event, excludeId) => {
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycasterRef.current.setFromCamera(mouse, cameraRef.current);
+
+    const candidates = [];
+    meshMapRef.current.forEach((object, id) => {
+      if (id !== excludeId && !object.userData.isOpening) candidates.push(object);
+    });
+
+    const hit = raycasterRef.current.intersectObjects(candidates, true).find(intersect => {
+      const pieceId = intersect.object.userData.pieceId || intersect.object.parent?.userData.pieceId;
+      return pieceId && pieceId !== excludeId;
+    });
+    if (!hit) return null;
+
+    const pieceId = hit.object.userData.pieceId || hit.object.parent.userData.pieceId;
+    const piece = currentPiecesRef.current.find(p => p.id === pieceId);
+    return piece ? { piece, point: hit.point } : null;
+  }, []);
+
+  /**
+   * Replaces the alignment guide lines shown while dragging
+   * @param {Array} guides - From SurfaceSnapping.alignToNeighbors
+   * @param {number} height - World y to draw the guides at
+   */
+  const updateSnapGuides = useCallback((guides, height) => {
+    const scene = sceneRef.current;
+    if (snapGuidesRef.current) {
+      scene.remove(snapGuidesRef.current);
+      snapGuidesRef.current.traverse(cleanupGeometry);
+      snapGuidesRef.current = null;
+    }
+    if (!guides || guides.length === 0) return;
+
+    const group = new THREE.Group();
+    const material = new THREE.LineDashedMaterial({ color: 0xff00aa, dashSize: 1, gapSize: 0.5, depthTest: false });
+    const y = height + 0.1;
+    guides.forEach(guide => {
+      const ends = guide.axis === 'x'
+        ? [new THREE.Vector3(guide.value, y, guide.from - 2), new THREE.Vector3(guide.value, y, guide.to + 2)]
+        : [new THREE.Vector3(guide.from - 2, y, guide.value), new THREE.Vector3(guide.to + 2, y, guide.value)];
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(ends), material);
+      line.computeLineDistances();
+      line.renderOrder = 999;
+      group.add(line);
+    });
+
+    scene.add(group);
+    snapGuidesRef.current = group;
+  }, [cleanupGeometry]);
+
+  /**
+   * Shows the selection rectangle between two screen points, or hides it
+   * @param {Object|null} start - {x, y} client coordinates where the drag began
+   * @param {Object} end - {x, y} current client coordinates
+   */
+  const updateSelectionBox = useCallback((start, end) => {
+    const box = selectionBoxRef.current;
+    if (!box) return;
+    if (!start) {
+      box.style.display = 'none';
+      return;
+    }
+    box.style.display = 'block';
+    box.style.left = `${Math.min(start.x, end.x)}px`;
+    box.style.top = `${Math.min(start.y, end.y)}px`;
+    box.style.width = `${Math.abs(end.x - start.x)}px`;
+    box.style.height = `${Math.abs(end.y - start.y)}px`;
+  }, []);
+
+  /**
+   * Finds the pieces whose on-screen center lies inside a screen rectangle
+   * @param {Object} start - {x, y} client coordinates of one corner
+   * @param {Object} end - {x, y} client coordinates of the opposite corner
+   * @returns {string[]} IDs of the enclosed pieces
+   */
+  const getPiecesInScreenRect = useCallback((start, end) => {
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const left = Math.min(start.x, end.x);
+    const right = Math.max(start.x, end.x);
+    const top = Math.min(start.y, end.y);
+    const bottom = Math.max(start.y, end.y);
+
+    return currentPiecesRef.current.filter(piece => {
+      const object = meshMapRef.current.get(piece.id);
+      if (!object) return false;
+
+      const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3()).project(cameraRef.current);
+      if (center.z > 1) return false; // Behind the camera
+
+      const x = rect.left + (center.x + 1) / 2 * rect.width;
+      const y = rect.top + (1 - center.y) / 2 * rect.height;
+      return x >= left && x <= right && y >= top && y <= bottom;
+    }).map(piece => piece.id);
+  }, []);
+
+  // ========================================
+  // TRANSFORM GIZMO - DIRECT MOVE/ROTATE/TILT
+  // ========================================
+
+  /**
+   * Centers the gizmo on the objects it controls and turns its rings to match a single piece
+   */
+  const placeGizmo = useCallback(() => {
+    const gizmo = gizmoRef.current;
+    const target = gizmoTargetRef.current;
+    if (!gizmo || !target) return;
+
+    const bounds = new THREE.Box3();
+    target.pieceIds.forEach(id => {
+      const object = meshMapRef.current.get(id);
+      if (object) bounds.expandByObject(object);
+    });
+    if (bounds.isEmpty()) return;
+
+    bounds.getCenter(gizmo.position);
+    TransformGizmo.fitToCamera(gizmo, cameraRef.current);
+    const object = target.type === 'piece' ? meshMapRef.current.get(target.id) : null;
+    TransformGizmo.orientRings(gizmo, object ? object.rotation : null);
+  }, []);
+
+  /**
+   * Takes the gizmo out of the scene and frees its geometry
+   */
+  const removeGizmo = useCallback(() => {
+    if (!gizmoRef.current) return;
+    sceneRef.current.remove(gizmoRef.current);
+    gizmoRef.current.traverse(cleanupGeometry);
+    gizmoRef.current = null;
+  }, [cleanupGeometry]);
+
+  /**
+   * Projects the cursor onto a gizmo drag plane
+   * @param {MouseEvent} event - Mouse event
+   * @param {THREE.Plane} plane - Drag plane
+   * @returns {THREE.Vector3|null} Point on the plane, or null when the plane is edge-on
+   */
+  const getPointOnPlane = useCallback((event, plane) => {
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycasterRef.current.setFromCamera(mouse, cameraRef.current);
+    return raycasterRef.current.ray.intersectPlane(plane, new THREE.Vector3());
+  }, []);
+
+  /**
+   * Starts dragging a gizmo handle; the raycaster must already be set from the mouse
+   * @param {string} handleId - Handle under the cursor
+   * @returns {boolean} Whether the drag started
+   */
+  const startGizmoDrag = useCallback((handleId) => {
+    const gizmo = gizmoRef.current;
+    const target = gizmoTargetRef.current;
+    const axis = TransformGizmo.getHandleAxis(gizmo, handleId);
+    const origin = gizmo.position.clone();
+    const plane = TransformGizmo.getDragPlane(handleId, axis, origin, cameraRef.current);
+    const start = raycasterRef.current.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!start) return false;
+
+    dragStateRef.current.mode = 'gizmo';
+    dragStateRef.current.gizmo = {
+      handleId, axis, origin, plane, target,
+      lastPoint: start,
+      total: 0,   // Raw amount, accumulated so rings can turn past 180°
+      amount: 0,  // Snapped amount shown in the preview
+      pieces: target.pieceIds.map(id => currentPiecesRef.current.find(p => p.id === id)).filter(Boolean)
+    };
+    TransformGizmo.setHighlight(gizmo, handleId);
+    return true;
+  }, []);
+
+  /**
+   * Follows the cursor with a gizmo handle and previews the snapped result
+   * Hold Alt to skip snapping
+   * @param {MouseEvent} event - Mouse move event
+   */
+  const updateGizmoDrag = useCallback((event) => {
+    const state = dragStateRef.current.gizmo;
+    const point = getPointOnPlane(event, state.plane);
+    if (!point) return;
+
+    state.total += TransformGizmo.measureDrag(state.handleId, state.axis, state.origin, state.lastPoint, point);
+    state.lastPoint = point;
+
+    const amount = event.altKey
+      ? state.total
+      : TransformGizmo.snapAmount(state.handleId, state.total, movementIncrementRef.current);
+    if (amount === state.amount) return;
+    state.amount = amount;
+
+    TransformGizmo.previewChange(state.pieces, { handleId: state.handleId, amount }).forEach(piece => {
+      const object = meshMapRef.current.get(piece.id);
+      if (object) placePieceObject(object, piece);
+    });
+    placeGizmo();
+  }, [getPointOnPlane, placeGizmo]);
+
+  /**
+   * Ends a gizmo drag and hands the change to the parent
+   * The preview is undone first, so a change the parent refuses leaves nothing behind
+   */
+  const finishGizmoDrag = useCallback(() => {
+    const state = dragStateRef.current.gizmo;
+    state.pieces.forEach(piece => {
+      const object = meshMapRef.current.get(piece.id);
+      if (object) placePieceObject(object, piece);
+    });
+    placeGizmo();
+    if (gizmoRef.current) TransformGizmo.setHighlight(gizmoRef.current, null);
+
+    if (state.amount !== 0) {
+      const { kind, axis } = TransformGizmo.HANDLES[state.handleId];
+      currentCallbacksRef.current.onGizmoTransform({
+        target: { type: state.target.type, id: state.target.id },
+        kind,
+        axis,
+        amount: state.amount
+      });
+    }
+  }, [placeGizmo]);
+
   // ========================================
   // SCENE INITIALIZATION - ONE-TIME SETUP
   // ========================================
@@ -617,7 +930,7 @@ const Canvas3D = ({
       scene.add(groundPlane);
 
       // Visible textured ground
-      const gridTexture = new THREE.CanvasTexture(createGridTexture(gridWidth, gridHeight, backgroundImage));
+      const gridTexture = new THREE.CanvasTexture(createGridTexture(gridWidth, gridHeight, unitSystem));
       gridTexture.needsUpdate = true;
       
       const workspaceWidthInches = gridWidth * 12;
@@ -659,6 +972,15 @@ const Canvas3D = ({
           -((event.clientY - rect.top) / rect.height) * 2 + 1
         );
         raycasterRef.current.setFromCamera(mouse, camera);
+
+        // Gizmo handles are drawn over everything, so they win over the pieces behind them
+        const gizmoHandle = event.button === 0 && gizmoRef.current
+          ? TransformGizmo.pickHandle(gizmoRef.current, raycasterRef.current)
+          : null;
+        if (gizmoHandle && startGizmoDrag(gizmoHandle)) {
+          renderer.domElement.style.cursor = 'grabbing';
+          return;
+        }
         
         const allIntersects = raycasterRef.current.intersectObjects(
           Array.from(meshMapRef.current.values()), true
@@ -688,15 +1010,27 @@ const Canvas3D = ({
               pieceId = hitObject.parent.userData.pieceId;
             }
             
-            if (pieceId) {
+            if (pieceId && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+              // Shift/Ctrl-click toggles the piece in the selection without dragging
+              currentCallbacksRef.current.onPieceClick(pieceId, { additive: true });
+            } else if (pieceId) {
               const piece = currentPiecesRef.current.find(p => p.id === pieceId);
               if (piece && !piece.locked) {
+                const object = meshMapRef.current.get(pieceId);
                 dragStateRef.current.mode = 'piece';
                 dragStateRef.current.draggedPieceId = pieceId;
+                dragStateRef.current.objectOffset = object
+                  ? { x: object.position.x - piece.x, y: object.position.y - piece.y, z: object.position.z - piece.z }
+                  : { x: 0, y: 0, z: 0 };
                 renderer.domElement.style.cursor = 'grabbing';
               }
               currentCallbacksRef.current.onPieceClick(pieceId);
             }
+          } else if (event.shiftKey || event.ctrlKey || event.metaKey) {
+            // Shift/Ctrl + drag on empty space - selection rectangle (Ctrl adds to the selection)
+            dragStateRef.current.mode = 'box';
+            dragStateRef.current.additive = event.ctrlKey || event.metaKey;
+            renderer.domElement.style.cursor = 'crosshair';
           } else {
             // Click on empty space - rotate mode
             dragStateRef.current.mode = 'rotate';
@@ -718,6 +1052,16 @@ const Canvas3D = ({
             -((event.clientY - rect.top) / rect.height) * 2 + 1
           );
           raycasterRef.current.setFromCamera(mouse, camera);
+
+          const gizmoHandle = gizmoRef.current
+            ? TransformGizmo.pickHandle(gizmoRef.current, raycasterRef.current)
+            : null;
+          if (gizmoRef.current) TransformGizmo.setHighlight(gizmoRef.current, gizmoHandle);
+          if (gizmoHandle) {
+            renderer.domElement.style.cursor = 'grab';
+            return;
+          }
+
           const allIntersects = raycasterRef.current.intersectObjects(
             Array.from(meshMapRef.current.values()), true
           );
@@ -753,16 +1097,34 @@ const Canvas3D = ({
             dragStateRef.current.isDragging = true;
           }
 
-          const worldPos = getWorldPosition(event);
-          if (worldPos) {
-            const snapped = snapToGrid(worldPos, movementIncrement);
-            const meshOrGroup = meshMapRef.current.get(dragStateRef.current.draggedPieceId);
-            if (meshOrGroup) {
-              meshOrGroup.position.x = snapped.x;
-              meshOrGroup.position.z = snapped.z;
-            }
+          const draggedId = dragStateRef.current.draggedPieceId;
+          const piece = currentPiecesRef.current.find(p => p.id === draggedId);
+          const meshOrGroup = meshMapRef.current.get(draggedId);
+
+          // Holding Alt places freely: ground projection at the original height, no stacking or guides
+          const under = event.altKey ? null : getPieceUnderCursor(event, draggedId);
+          const worldPos = under ? under.point : getWorldPosition(event);
+
+          if (worldPos && piece && meshOrGroup) {
+            const snapped = snapToGrid(worldPos, movementIncrementRef.current);
+            const placement = event.altKey
+              ? { x: snapped.x, y: piece.y, z: snapped.z, guides: [] }
+              : SurfaceSnapping.resolveDragPlacement(piece, snapped, under ? under.piece : null, currentPiecesRef.current);
+
+            const offset = dragStateRef.current.objectOffset;
+            meshOrGroup.position.set(placement.x + offset.x, placement.y + offset.y, placement.z + offset.z);
+            dragStateRef.current.placement = { x: placement.x, y: placement.y, z: placement.z };
+            updateSnapGuides(placement.guides, placement.y);
           }
         } 
+        // Handle gizmo handle dragging
+        else if (dragStateRef.current.mode === 'gizmo') {
+          updateGizmoDrag(event);
+        }
+        // Handle selection rectangle
+        else if (dragStateRef.current.mode === 'box') {
+          updateSelectionBox(dragStateRef.current.startPos, { x: event.clientX, y: event.clientY });
+        }
         // Handle camera rotation
         else if (dragStateRef.current.mode === 'rotate') {
           const deltaX = event.clientX - lastMouseX;
@@ -808,23 +1170,36 @@ const Canvas3D = ({
       /**
        * Finishes any active drag operation and resets state
        */
-      const finishDrag = () => {
+      const finishDrag = (event) => {
         if (dragStateRef.current.isDragging && dragStateRef.current.draggedPieceId) {
-          const meshOrGroup = meshMapRef.current.get(dragStateRef.current.draggedPieceId);
-          if (meshOrGroup) {
-            const finalX = meshOrGroup.position.x;
-            const finalZ = meshOrGroup.position.z;
-            const originalPiece = currentPiecesRef.current.find(p => p.id === dragStateRef.current.draggedPieceId);
-            const finalY = originalPiece ? originalPiece.y : 0;
-            currentCallbacksRef.current.onPieceDrag(dragStateRef.current.draggedPieceId, finalX, finalY, finalZ);
+          const placement = dragStateRef.current.placement;
+          if (placement) {
+            currentCallbacksRef.current.onPieceDrag(dragStateRef.current.draggedPieceId, placement.x, placement.y, placement.z);
           }
         }
+        if (dragStateRef.current.mode === 'gizmo') {
+          finishGizmoDrag();
+        }
+        if (isMouseDown && dragStateRef.current.mode === 'box') {
+          // A click without dragging selects nothing, clearing a non-additive selection
+          const end = event && event.clientX !== undefined
+            ? { x: event.clientX, y: event.clientY }
+            : dragStateRef.current.startPos;
+          const ids = getPiecesInScreenRect(dragStateRef.current.startPos, end);
+          currentCallbacksRef.current.onBoxSelect(ids, { additive: dragStateRef.current.additive });
+        }
+        updateSnapGuides([], 0);
+        updateSelectionBox(null);
 
         dragStateRef.current = {
           isDragging: false,
           draggedPieceId: null,
           startPos: { x: 0, y: 0 },
-          mode: 'none'
+          mode: 'none',
+          objectOffset: null,
+          placement: null,
+          additive: false,
+          gizmo: null
         };
         isMouseDown = false;
         renderer.domElement.style.cursor = 'default';
@@ -875,6 +1250,9 @@ const Canvas3D = ({
         }
 
         animationIdRef.current = requestAnimationFrame(animate);
+
+        // Keep the gizmo the same size on screen at any zoom
+        if (gizmoRef.current) TransformGizmo.fitToCamera(gizmoRef.current, camera);
         renderer.render(scene, camera);
 
       };
@@ -904,6 +1282,10 @@ const Canvas3D = ({
           document.removeEventListener('mouseup', finishDrag);
           
           cleanupScene(scene);
+          gizmoRef.current = null;
+          meshMapRef.current.clear();
+          pieceBuildKeysRef.current.clear();
+          openingBuildKeysRef.current.clear();
           
           if (mountRef.current && renderer.domElement) {
             mountRef.current.removeChild(renderer.domElement);
@@ -951,7 +1333,7 @@ const Canvas3D = ({
       // Create new moveable grid overlay (background handled separately)
       const createGridAndAddToScene = () => {
         // Create transparent grid overlay that shows scene background through it
-        const gridTexture = new THREE.CanvasTexture(createGridTexture(gridWidth, gridHeight));
+        const gridTexture = new THREE.CanvasTexture(createGridTexture(gridWidth, gridHeight, unitSystem));
         gridTexture.needsUpdate = true;
         
         const workspaceWidthInches = gridWidth * 12;
@@ -984,7 +1366,9 @@ const Canvas3D = ({
 
         // Post dimensions - made thicker and more visible
         const postRadius = 3; // 3 inch radius (6" diameter)
-        const maxHeight = 72; // 6 feet tall (72 inches)
+        const pillar = Units.getSystem(unitSystem).pillar;
+        const maxHeight = Units.fromDisplayLength(pillar.height, unitSystem); // 6 feet or 180 cm tall
+        const markerStep = Units.fromDisplayLength(pillar.marker, unitSystem); // Every foot or 25 cm
 
         // Main post (blue color for high visibility)
         const postGeometry = new THREE.CylinderGeometry(postRadius, postRadius, maxHeight, 16);
@@ -995,12 +1379,12 @@ const Canvas3D = ({
         post.receiveShadow = true;
         pillarGroup.add(post);
 
-        // Add bright green marker rings every 12 inches (1 foot)
+        // Add bright green marker rings every foot (25 cm in metric)
         const markerMaterial = new THREE.MeshLambertMaterial({ color: 0x00ff00 }); // Bright green
         const markerThickness = 2; // 2 inch thick markers (more visible)
         const markerRadius = postRadius + 1; // Slightly larger than post
 
-        for (let height = 12; height <= maxHeight; height += 12) {
+        for (let height = markerStep; height <= maxHeight + 1e-6; height += markerStep) {
           const markerGeometry = new THREE.CylinderGeometry(markerRadius, markerRadius, markerThickness, 16);
           const marker = new THREE.Mesh(markerGeometry, markerMaterial);
           marker.position.y = height;
@@ -1013,7 +1397,7 @@ const Canvas3D = ({
         pillarGroup.position.x = (workspaceWidthInches / 2) + offset;
         pillarGroup.position.z = (workspaceHeightInches / 2) + offset;
 
-        console.log(`📏 Created measurement pillar at position (${pillarGroup.position.x}, ${pillarGroup.position.z}) - ${maxHeight}" tall with ${maxHeight/12} markers`);
+        console.log(`📏 Created measurement pillar at position (${pillarGroup.position.x}, ${pillarGroup.position.z}) - ${Units.formatLength(maxHeight, unitSystem)} tall with ${Math.round(maxHeight / markerStep)} markers`);
 
         return pillarGroup;
       };
@@ -1033,7 +1417,7 @@ const Canvas3D = ({
     } catch (error) {
       console.error('❌ Error updating grid:', error);
     }
-  }, [gridWidth, gridHeight, createGridTexture]);
+  }, [gridWidth, gridHeight, unitSystem, createGridTexture]);
 
   // ========================================
   // BACKGROUND IMAGE MANAGEMENT - SEPARATE FROM GRID
@@ -1130,279 +1514,279 @@ const Canvas3D = ({
   }, [backgroundImage, bgOffsetX, bgOffsetY, bgZoom, preloadImage]);
 
   // ========================================
-  // SCENE OBJECTS UPDATE - FIXED ROTATION ORDER FOR PANELS
+  // SCENE OBJECT HELPERS - BUILD, PLACE & STYLE
+  // ========================================
+
+  /**
+   * Key of everything that requires rebuilding a piece's geometry or base material
+   * Position and rotation are left out; those only move the existing object
+   * @param {Object} piece - Piece object
+   * @param {Array} pieceOpenings - Openings cut into the piece
+   * @returns {string} Build key
+   */
+  const getPieceBuildKey = useCallback((piece, pieceOpenings = []) => [
+    piece.variantId, piece.shape, piece.hollow ? 1 : 0,
+    piece.width, piece.height, piece.depth,
+    piece.flipped ? 1 : 0, piece.apexPosition || 0.5,
+    piece.material || 'wood', piece.color || 0,
+    CatTreePieces.textureSettings.quality,
+    ...pieceOpenings.map(o => `${o.face}:${o.shape}:${o.width}:${o.height}:${o.offsetX}:${o.offsetY}:${o.offsetZ}`)
+  ].join('|'), []);
+
+  /**
+   * Builds the scene object for a piece
+   * FIXED: Panels get a bottom pivot group with YXZ rotation order
+   * @param {Object} piece - Piece object
+   * @param {Array} pieceOpenings - Openings to cut into a hollow piece
+   * @returns {THREE.Object3D|null} Mesh, or pivot group for panels
+   */
+  const buildPieceObject = useCallback((piece, pieceOpenings = []) => {
+    const mesh = piece.hollow
+      ? CatTreePieces.createHollowGeometry(piece, pieceOpenings)
+      : CatTreePieces.createSolidGeometry(piece);
+    if (!mesh) return null;
+
+    mesh.userData = { isPiece: true, pieceId: piece.id };
+    if (!(piece.shape && piece.shape.includes('panel'))) return mesh;
+
+    // Position mesh so its bottom is at the pivot point
+    const pivotGroup = new THREE.Group();
+    pivotGroup.rotation.order = 'YXZ';
+    mesh.position.set(0, piece.height / 2, 0);
+    pivotGroup.add(mesh);
+    pivotGroup.userData = { isPiece: true, pieceId: piece.id };
+    return pivotGroup;
+  }, []);
+
+  /**
+   * Moves and rotates an existing piece object to match the piece data
+   * @param {THREE.Object3D} object - Object from buildPieceObject
+   * @param {Object} piece - Piece object
+   */
+  const placePieceObject = useCallback((object, piece) => {
+    if (piece.shape && piece.shape.includes('panel')) {
+      // For tilted panels, adjust position to keep rotation more centered
+      const zOffset = piece.tiltX ? -Math.sin(piece.tiltX) * (piece.height / 2) : 0;
+      object.position.set(piece.x, piece.y, piece.z + zOffset);
+    } else {
+      // Piece sits on ground at y position, centered at x,z
+      object.position.set(piece.x, piece.y + piece.height / 2, piece.z);
+    }
+    object.rotation.set(piece.tiltX || 0, piece.rotationY || 0, piece.tiltZ || 0);
+  }, []);
+
+  /**
+   * Moves an opening outline onto its parent piece, matching the parent's positioning style
+   * @param {THREE.Object3D} object - Object from CatTreePieces.createOpeningMarker
+   * @param {Object} parentPiece - Piece the opening is cut into
+   */
+  const placeOpeningObject = useCallback((object, parentPiece) => {
+    if (parentPiece.shape && parentPiece.shape.includes('panel')) {
+      object.position.set(parentPiece.x, parentPiece.y, parentPiece.z);
+      object.rotation.order = 'YXZ';
+    } else {
+      object.position.set(parentPiece.x, parentPiece.y + parentPiece.height / 2, parentPiece.z);
+    }
+    object.rotation.set(parentPiece.tiltX || 0, parentPiece.rotationY || 0, parentPiece.tiltZ || 0);
+  }, []);
+
+  /**
+   * Applies selection/lock/conflict colors plus the structural stress tint
+   * Stress tints go on the per-object material copies made by applySelectionHighlight, never the shared cache
+   * @param {THREE.Object3D} object - Piece object
+   * @param {Object} piece - Piece object
+   * @param {boolean} isSelected - Whether the piece is selected
+   * @param {boolean} hasConflict - Whether the piece overlaps another piece
+   * @param {Object|null} stressNode - Support map entry when stress visualization is on
+   */
+  const applyPieceAppearance = useCallback((object, piece, isSelected, hasConflict, stressNode) => {
+    // Show stress for any piece with stress > 0.1 (lowered threshold)
+    const stressed = stressNode && stressNode.stressLevel > 0.1;
+    const stressColor = stressed ? new THREE.Color(window.StructuralAnalysis.getStressColor(stressNode.stressLevel)) : null;
+
+    CatTreePieces.applySelectionHighlight(object, isSelected, piece.locked, piece, hasConflict, stressed);
+
+    object.traverse((child) => {
+      if (!child.isMesh || !child.material || child.material.sharedMaterialKey) return;
+      child.material.emissiveIntensity = 1;
+      child.material.transparent = false;
+      child.material.opacity = 1;
+      if (!stressed) return;
+
+      // Emissive stress color (glowing effect) with a 30% color blend at maximum stress
+      child.material.emissive = stressColor.clone();
+      child.material.emissiveIntensity = Math.min(stressNode.stressLevel * 0.6, 0.8);
+      child.material.color.lerp(stressColor, stressNode.stressLevel * 0.3);
+
+      // Subtle outline effect for high stress
+      if (stressNode.stressLevel > 0.7) {
+        child.material.transparent = true;
+        child.material.opacity = 0.9;
+      }
+    });
+  }, []);
+
+  /**
+   * Colors an opening outline for its selection state (outlines own their materials)
+   * @param {THREE.Object3D} object - Opening outline
+   * @param {boolean} isSelected - Whether the opening is selected
+   */
+  const applyOpeningAppearance = useCallback((object, isSelected) => {
+    object.traverse((child) => {
+      if (child.isMesh && child.material) {
+        child.material.color.setHex(isSelected ? 0xff4444 : 0x00aa00);
+        if (child.material.emissive) {
+          child.material.emissive.setHex(isSelected ? 0x111111 : 0x000000);
+        }
+      }
+    });
+  }, []);
+
+  /**
+   * Removes a piece or opening object from the scene and frees its geometry
+   * @param {string} id - Piece or opening ID
+   */
+  const removeSceneObject = useCallback((id) => {
+    const object = meshMapRef.current.get(id);
+    if (!object) return;
+    if (object.parent) object.parent.remove(object);
+    CatTreePieces.disposePieceObject(object);
+    meshMapRef.current.delete(id);
+  }, []);
+
+  // ========================================
+  // SCENE OBJECTS UPDATE - KEYED RECONCILIATION
   // ========================================
   
   /**
-   * Updates all pieces and openings in the scene when data changes
-   * FIXED: Uses YXZ rotation order for panels with tilt
+   * Reconciles pieces and openings against meshMapRef instead of rebuilding the scene
+   * Added or geometry-changed objects are (re)built, removed ones disposed,
+   * and everything else is only moved and restyled
    * ENHANCED: Includes structural stress visualization
    */
   useEffect(() => {
     if (!sceneRef.current) return;
   
-    console.log(`🔄 Updating scene objects...`);
     const updateStart = performance.now();
+    const scene = sceneRef.current;
+    const counts = { created: 0, rebuilt: 0, removed: 0, reused: 0 };
   
     try {
-      // ========================================
-      // COMPLETE REMOVAL OF ALL PIECE/OPENING OBJECTS
-      // ========================================
-      const objectsToRemove = [];
-      sceneRef.current.traverse((child) => {
-        if (child.userData.isPiece || child.userData.isOpening) {
-          objectsToRemove.push(child);
-        }
-      });
-      
-      console.log(`🗑️ Removing ${objectsToRemove.length} old objects`);
-      
-      // Clean up and remove old objects
-      objectsToRemove.forEach(obj => {
-        // Dispose of geometry and materials
-        if (obj.geometry) {
-          obj.geometry.dispose();
-        }
-        if (obj.material) {
-          if (Array.isArray(obj.material)) {
-            obj.material.forEach(mat => mat.dispose());
-          } else {
-            obj.material.dispose();
-          }
-        }
-        // Also clean up children for groups
-        if (obj.children) {
-          obj.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-              if (Array.isArray(child.material)) {
-                child.material.forEach(mat => mat.dispose());
-              } else {
-                child.material.dispose();
-              }
-            }
-          });
-        }
-        // Remove from parent
-        if (obj.parent) {
-          obj.parent.remove(obj);
-        }
-      });
-      
-      // Clear the mesh map completely
-      meshMapRef.current.clear();
-    
+      // Pieces built at another quality get rebuilt through their build key
+      CatTreePieces.setTextureQuality(textureQuality);
+
       // ========================================
       // STRUCTURAL STRESS ANALYSIS (WHEN ENABLED)
       // ========================================
-      let supportMap = null;
+      supportMapRef.current = null;
       if (showStressVisualization && window.StructuralAnalysis && pieces.length > 0) {
         try {
-          console.log('🔍 Performing structural analysis for visualization...');
-          supportMap = window.StructuralAnalysis.analyzeSupportStructure(pieces);
-          console.log(`✅ Analyzed ${Object.keys(supportMap).length} pieces for stress`);
+          supportMapRef.current = window.StructuralAnalysis.analyzeSupportStructure(pieces);
+          console.log(`✅ Analyzed ${Object.keys(supportMapRef.current).length} pieces for stress`);
         } catch (error) {
           console.warn('⚠️ Structural analysis error:', error);
         }
       }
-    
-      // ========================================
-      // CREATE ALL PIECES FRESH
-      // ========================================
-      console.log(`🔨 Creating ${pieces.length} new piece meshes`);
-      
-      const piecesToCreate = pieces.map(piece => {
-        console.log(`  Creating ${piece.name}: color=0x${(piece.color || 0).toString(16)}, material=${piece.material}`);
-        
-        let mesh;
-        if (piece.hollow) {
-          mesh = CatTreePieces.createHollowGeometry(piece);
-        } else {
-          mesh = CatTreePieces.createSolidGeometry(piece);
-        }
-      
-        if (mesh) {
-          // SPECIAL POSITIONING FOR PANELS - BOTTOM PIVOT WITH FIXED ROTATION ORDER
-          if (piece.shape && piece.shape.includes('panel')) {
-            console.log(`🎯 Using BOTTOM PIVOT for panel: ${piece.name}`);
-            
-            // Create a pivot group at the bottom of the panel
-            const pivotGroup = new THREE.Group();
-            
-            // For tilted panels, adjust position to keep rotation more centered
-            let xOffset = 0;
-            let zOffset = 0;
-            if (piece.tiltX) {
-              const tiltCompensation = Math.sin(piece.tiltX) * (piece.height / 2);
-              zOffset = -tiltCompensation;
-            }
-            
-            pivotGroup.position.set(piece.x + xOffset, piece.y, piece.z + zOffset);
-            
-            // CRITICAL: Set rotation order to YXZ
-            pivotGroup.rotation.order = 'YXZ';
-            
-            // Position mesh so its bottom is at the pivot point
-            mesh.position.set(0, piece.height/2, 0);
-            
-            // Apply rotations to the group
-            pivotGroup.rotation.y = piece.rotationY || 0;
-            if (piece.tiltX) {
-              pivotGroup.rotation.x = piece.tiltX;
-            }
-            if (piece.tiltZ) {
-              pivotGroup.rotation.z = piece.tiltZ;
-            }
-            
-            pivotGroup.add(mesh);
-            pivotGroup.userData = { isPiece: true, pieceId: piece.id };
-            mesh.userData = { isPiece: true, pieceId: piece.id };
-            
-            return { piece, object: pivotGroup };
-          } else {
-            // STANDARD POSITIONING FOR NON-PANELS
-            console.log(`✅ Using standard positioning for ${piece.name}`);
-            
-            // Set position: piece sits on ground at y position, centered at x,z
-            mesh.position.set(piece.x, piece.y + piece.height/2, piece.z);
-            
-            // Apply rotations directly to the mesh
-            mesh.rotation.y = piece.rotationY || 0;
-            if (piece.tiltX) mesh.rotation.x = piece.tiltX;
-            if (piece.tiltZ) mesh.rotation.z = piece.tiltZ;
-            
-            mesh.userData = { isPiece: true, pieceId: piece.id };
-            
-            return { piece, object: mesh };
-          }
+
+      /**
+       * Builds, rebuilds or reuses one keyed object
+       * @returns {THREE.Object3D|null} Object now in the scene
+       */
+      const reconcile = (id, key, buildKeys, build) => {
+        let object = meshMapRef.current.get(id);
+        if (object && buildKeys.get(id) === key) {
+          counts.reused++;
+          return object;
         }
-        return null;
-      }).filter(Boolean);
-    
-      // Add pieces to scene in batch with stress visualization
-      piecesToCreate.forEach(({ piece, object }) => {
-        const isSelected = selectedPiece?.id === piece.id;
-        
-        // Apply selection highlighting
-        if (object.type === 'Group') {
-          // For grouped panels, apply to the mesh child
-          object.traverse((child) => {
-            if (child.isMesh) {
-              CatTreePieces.applySelectionHighlight(child, isSelected, piece.locked, piece);
-            }
-          });
+
+        if (object) {
+          removeSceneObject(id);
+          counts.rebuilt++;
         } else {
-          CatTreePieces.applySelectionHighlight(object, isSelected, piece.locked, piece);
+          counts.created++;
         }
-        
-        // ========================================
-        // STRUCTURAL STRESS VISUALIZATION
-        // ========================================
-        if (showStressVisualization && supportMap && supportMap[piece.id]) {
-          const node = supportMap[piece.id];
-          
-          // Show stress for any piece with stress > 0.1 (lowered threshold)
-          if (node.stressLevel > 0.1) {
-            const stressColor = window.StructuralAnalysis.getStressColor(node.stressLevel);
-            
-            console.log(`⚖️ Applying stress visualization to ${piece.name}: ${(node.stressLevel * 100).toFixed(1)}% stress`);
-            
-            // Apply stress visualization to all meshes in the object
-            object.traverse((child) => {
-              if (child.isMesh && child.material) {
-                // Clone material to avoid affecting other instances
-                child.material = child.material.clone();
-                
-                // Apply emissive stress color (glowing effect)
-                child.material.emissive = new THREE.Color(stressColor);
-                child.material.emissiveIntensity = Math.min(node.stressLevel * 0.6, 0.8); // Increased intensity
-                
-                // Also blend the base color for better visibility
-                const originalColor = child.material.color.clone();
-                child.material.color.lerpColors(
-                  originalColor,
-                  new THREE.Color(stressColor),
-                  node.stressLevel * 0.3 // 30% color blend at maximum stress
-                );
-                
-                // Add subtle outline effect for high stress
-                if (node.stressLevel > 0.7) {
-                  child.material.transparent = true;
-                  child.material.opacity = 0.9;
-                }
-              }
-            });
-          }
+
+        object = build();
+        if (!object) {
+          buildKeys.delete(id);
+          return null;
         }
-        
-        meshMapRef.current.set(piece.id, object);
-        sceneRef.current.add(object);
+        meshMapRef.current.set(id, object);
+        buildKeys.set(id, key);
+        scene.add(object);
+        return object;
+      };
+
+      /**
+       * Disposes objects whose IDs are no longer present
+       */
+      const removeStale = (buildKeys, liveIds) => {
+        Array.from(buildKeys.keys()).forEach(id => {
+          if (liveIds.has(id)) return;
+          removeSceneObject(id);
+          buildKeys.delete(id);
+          counts.removed++;
+        });
+      };
+
+      // ========================================
+      // PIECES
+      // ========================================
+      const pieceKeys = pieceBuildKeysRef.current;
+      removeStale(pieceKeys, new Set(pieces.map(p => p.id)));
+
+      // Hollow pieces are rebuilt with their openings cut out whenever those change
+      const openingsByPiece = new Map();
+      openings.forEach(opening => {
+        if (!openingsByPiece.has(opening.parentPieceId)) openingsByPiece.set(opening.parentPieceId, []);
+        openingsByPiece.get(opening.parentPieceId).push(opening);
       });
-    
+
+      const piecesById = new Map();
+      pieces.forEach(piece => {
+        piecesById.set(piece.id, piece);
+        const pieceOpenings = piece.hollow ? (openingsByPiece.get(piece.id) || []) : [];
+        const object = reconcile(
+          piece.id, getPieceBuildKey(piece, pieceOpenings), pieceKeys, () => buildPieceObject(piece, pieceOpenings)
+        );
+        if (!object) return;
+
+        placePieceObject(object, piece);
+        applyPieceAppearance(
+          object, piece, selectedIdSet.has(piece.id), collidingIdSet.has(piece.id),
+          supportMapRef.current ? supportMapRef.current[piece.id] : null
+        );
+      });
+
       // ========================================
-      // CREATE ALL OPENINGS
+      // OPENINGS
       // ========================================
-      const openingsToCreate = openings.map(opening => {
-        const parentPiece = pieces.find(p => p.id === opening.parentPieceId);
-        if (parentPiece) {
-          const openingMesh = CatTreePieces.createOpeningMarker(opening, parentPiece);
-          if (openingMesh) {
-            // Match parent positioning style
-            if (parentPiece.shape && parentPiece.shape.includes('panel')) {
-              openingMesh.position.set(
-                parentPiece.x,
-                parentPiece.y,
-                parentPiece.z
-              );
-              openingMesh.rotation.order = 'YXZ';
-            } else {
-              openingMesh.position.set(
-                parentPiece.x,
-                parentPiece.y + parentPiece.height/2,
-                parentPiece.z
-              );
-            }
-            openingMesh.rotation.y = parentPiece.rotationY;
-            if (parentPiece.tiltX) openingMesh.rotation.x = parentPiece.tiltX;
-            if (parentPiece.tiltZ) openingMesh.rotation.z = parentPiece.tiltZ;
-            
-            return { opening, object: openingMesh };
-          }
-        }
-        return null;
-      }).filter(Boolean);
-    
-      // Add openings to scene in batch
-      openingsToCreate.forEach(({ opening, object }) => {
-        if (selectedOpening?.id === opening.id) {
-          object.traverse((child) => {
-            if (child.isMesh && child.material) {
-              child.material = child.material.clone();
-              child.material.color.setHex(0xff4444);
-              if (child.material.emissive) {
-                child.material.emissive.setHex(0x111111);
-              }
-            }
-          });
-        }
-        
-        meshMapRef.current.set(opening.id, object);
-        sceneRef.current.add(object);
+      const openingKeys = openingBuildKeysRef.current;
+      const placedOpenings = openings.filter(opening => piecesById.has(opening.parentPieceId));
+      removeStale(openingKeys, new Set(placedOpenings.map(o => o.id)));
+
+      placedOpenings.forEach(opening => {
+        const parentPiece = piecesById.get(opening.parentPieceId);
+        const key = [
+          opening.face, opening.shape, opening.width, opening.height,
+          opening.offsetX, opening.offsetY, opening.offsetZ,
+          parentPiece.id, getPieceBuildKey(parentPiece)
+        ].join('|');
+        const object = reconcile(opening.id, key, openingKeys, () => CatTreePieces.createOpeningMarker(opening, parentPiece));
+        if (!object) return;
+
+        placeOpeningObject(object, parentPiece);
+        applyOpeningAppearance(object, selectedOpening?.id === opening.id);
       });
     
       const updateEnd = performance.now();
-      console.log(`✅ Scene update completed in ${(updateEnd - updateStart).toFixed(2)}ms`);
-      
-      // Log stress visualization stats
-      if (showStressVisualization && supportMap) {
-        const stressedPieces = Object.values(supportMap).filter(node => node.stressLevel > 0.1);
-        console.log(`⚖️ Stress visualization applied to ${stressedPieces.length} pieces`);
-      }
+      const cache = CatTreePieces.getTextureCacheStats();
+      console.log(`✅ Scene reconciled in ${(updateEnd - updateStart).toFixed(2)}ms: ${counts.created} created, ${counts.rebuilt} rebuilt, ${counts.removed} removed, ${counts.reused} reused | ${cache.textures} shared textures (${cache.quality})`);
       
     } catch (error) {
       console.error('❌ Error updating pieces and openings:', error);
     }
-  }, [pieceSignature, openingSignature, selectedPiece?.id, selectedOpening?.id, showStressVisualization]);
+  }, [pieceSignature, openingSignature, showStressVisualization, textureQuality]);
 
   // ========================================
   // SELECTION HIGHLIGHTING - MINIMAL RE-RENDERS FOR PERFORMANCE
@@ -1417,22 +1801,14 @@ const Canvas3D = ({
 
     console.log('🎯 Updating selection highlights...');
 
-    // Update piece selection highlights
+    // Update piece selection highlights (keeping any stress tint)
     pieces.forEach(piece => {
       const object = meshMapRef.current.get(piece.id);
       if (object) {
-        const isSelected = selectedPiece?.id === piece.id;
-        
-        // Handle both grouped panels and regular meshes
-        if (object.type === 'Group') {
-          object.traverse((child) => {
-            if (child.isMesh) {
-              CatTreePieces.applySelectionHighlight(child, isSelected, piece.locked, piece);
-            }
-          });
-        } else {
-          CatTreePieces.applySelectionHighlight(object, isSelected, piece.locked, piece);
-        }
+        applyPieceAppearance(
+          object, piece, selectedIdSet.has(piece.id), collidingIdSet.has(piece.id),
+          supportMapRef.current ? supportMapRef.current[piece.id] : null
+        );
       }
     });
 
@@ -1440,28 +1816,369 @@ const Canvas3D = ({
     openings.forEach(opening => {
       const object = meshMapRef.current.get(opening.id);
       if (object) {
-        const isSelected = selectedOpening?.id === opening.id;
-        object.traverse((child) => {
-          if (child.isMesh && child.material) {
-            child.material = child.material.clone();
-            if (isSelected) {
-              child.material.color.setHex(0xff4444);
-              if (child.material.emissive) {
-                child.material.emissive.setHex(0x111111);
-              }
-            } else {
-              child.material.color.setHex(0x00aa00);
-              if (child.material.emissive) {
-                child.material.emissive.setHex(0x000000);
-              }
-            }
-          }
-        });
+        applyOpeningAppearance(object, selectedOpening?.id === opening.id);
       }
     });
 
   }, [selectionSignature]);
 
+  // ========================================
+  // TRANSFORM GIZMO ATTACHMENT
+  // ========================================
+
+  /**
+   * Attaches the gizmo to the current target and keeps it on the target as pieces change
+   * Runs after scene reconciliation, so the target objects are already in place
+   */
+  useEffect(() => {
+    if (!sceneRef.current) return;
+
+    gizmoTargetRef.current = gizmoTarget;
+    const withTilt = gizmoTarget?.type === 'piece';
+    if (gizmoRef.current && (!gizmoTarget || gizmoRef.current.userData.withTilt !== withTilt)) {
+      removeGizmo();
+    }
+    if (!gizmoTarget) return;
+
+    if (!gizmoRef.current) {
+      const gizmo = TransformGizmo.createGizmo({ tilt: withTilt });
+      gizmo.userData.withTilt = withTilt;
+      sceneRef.current.add(gizmo);
+      gizmoRef.current = gizmo;
+    }
+    placeGizmo();
+  }, [pieceSignature, gizmoSignature]);
+
+  // ========================================
+  // STABILITY OVERLAY - CENTER OF GRAVITY & SUPPORT POLYGON
+  // ========================================
+  
+  const catWeightsSignature = catWeights.join(',');
+  
+  /**
+   * Shows the support polygon on the floor and the combined center of gravity
+   * (with a plumb line to the floor) while stress visualization is active
+   */
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    
+    // Remove the previous overlay
+    if (stabilityOverlayRef.current) {
+      stabilityOverlayRef.current.traverse(cleanupGeometry);
+      sceneRef.current.remove(stabilityOverlayRef.current);
+      stabilityOverlayRef.current = null;
+    }
+    
+    if (!showStressVisualization || !window.StabilityAnalysis || pieces.length === 0) return;
+    
+    try {
+      const stability = window.StabilityAnalysis.analyzeStability(pieces, catWeights);
+      if (!stability) return;
+      
+      const color = window.StabilityAnalysis.getRatingColor(stability.rating);
+      const overlay = new THREE.Group();
+      overlay.userData = { isStabilityOverlay: true };
+      
+      // Support polygon outline just above the ground
+      if (stability.supportPolygon.length >= 2) {
+        const outline = new THREE.LineLoop(
+          new THREE.BufferGeometry().setFromPoints(
+            stability.supportPolygon.map(p => new THREE.Vector3(p.x, 0.1, p.z))
+          ),
+          new THREE.LineBasicMaterial({ color: color })
+        );
+        overlay.add(outline);
+      }
+      
+      // Highlight the edge the tree would tip over
+      if (stability.tipEdge) {
+        const tipEdge = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(stability.tipEdge.from.x, 0.15, stability.tipEdge.from.z),
+            new THREE.Vector3(stability.tipEdge.to.x, 0.15, stability.tipEdge.to.z)
+          ]),
+          new THREE.LineBasicMaterial({ color: 0xff0000 })
+        );
+        overlay.add(tipEdge);
+      }
+      
+      // Center of gravity marker, visible through pieces
+      const com = stability.centerOfMass;
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(1.2, 16, 12),
+        new THREE.MeshBasicMaterial({ color: color, depthTest: false, transparent: true, opacity: 0.9 })
+      );
+      marker.position.set(com.x, com.y, com.z);
+      marker.renderOrder = 999;
+      overlay.add(marker);
+      
+      // Plumb line and floor projection
+      const plumbLine = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(com.x, com.y, com.z),
+          new THREE.Vector3(com.x, 0.1, com.z)
+        ]),
+        new THREE.LineBasicMaterial({ color: color, depthTest: false })
+      );
+      plumbLine.renderOrder = 999;
+      overlay.add(plumbLine);
+      
+      const projection = new THREE.Mesh(
+        new THREE.RingGeometry(0.8, 1.4, 24),
+        new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide })
+      );
+      projection.rotation.x = -Math.PI / 2;
+      projection.position.set(com.x, 0.12, com.z);
+      overlay.add(projection);
+      
+      sceneRef.current.add(overlay);
+      stabilityOverlayRef.current = overlay;
+      console.log(`🧭 Stability overlay: CoG at (${com.x.toFixed(1)}, ${com.y.toFixed(1)}, ${com.z.toFixed(1)})`);
+    } catch (error) {
+      console.warn('⚠️ Stability analysis error:', error);
+    }
+  }, [pieceSignature, showStressVisualization, catWeightsSignature]);
+
+  // ========================================
+  // PASSAGE ROUTE OVERLAY
+  // ========================================
+  
+  const routeSignature = passageRoute
+    ? passageRoute.points.map(p => `${p.x.toFixed(2)},${p.y.toFixed(2)},${p.z.toFixed(2)}`).join(';')
+    : 'none';
+  
+  /**
+   * Draws the crawl route through tunnels and houses, visible through walls,
+   * with a marker at every entrance and passage along the way
+   */
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    
+    // Remove the previous route
+    if (routeOverlayRef.current) {
+      routeOverlayRef.current.traverse(cleanupGeometry);
+      sceneRef.current.remove(routeOverlayRef.current);
+      routeOverlayRef.current = null;
+    }
+    
+    if (!passageRoute || passageRoute.points.length < 2) return;
+    
+    const color = 0xff8800;
+    const points = passageRoute.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    const overlay = new THREE.Group();
+    overlay.userData = { isRouteOverlay: true };
+    
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: color, depthTest: false, transparent: true })
+    );
+    line.renderOrder = 999;
+    overlay.add(line);
+    
+    // Waypoints: the start, each portal crossed and the destination
+    points.forEach((point, index) => {
+      const isEnd = index === 0 || index === points.length - 1;
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(isEnd ? 1 : 0.6, 12, 8),
+        new THREE.MeshBasicMaterial({ color: color, depthTest: false, transparent: true, opacity: 0.9 })
+      );
+      marker.position.copy(point);
+      marker.renderOrder = 999;
+      overlay.add(marker);
+    });
+    
+    sceneRef.current.add(overlay);
+    routeOverlayRef.current = overlay;
+    console.log(`🐾 Crawl route through ${passageRoute.pieceIds.length} piece(s)`);
+  }, [routeSignature]);
+
+  // ========================================
+  // CAT REACHABILITY OVERLAY
+  // ========================================
+  
+  /**
+   * Jumps, gaps and spots to draw: everything for the profile, or just one spot's way up
+   */
+  const reachDrawing = useMemo(() => {
+    if (!reachability) return null;
+    const focus = reachFocusId && reachability.spots.find(spot => spot.id === reachFocusId);
+    if (!focus) {
+      return {
+        jumps: reachability.routeJumps,
+        gaps: reachability.problemGaps,
+        unreachable: reachability.unreachable,
+        stranded: reachability.stranded
+      };
+    }
+    const gap = !focus.reachable && reachability.problemGaps.find(jump => jump.to === focus.id);
+    const approach = gap && reachability.spots.find(spot => spot.id === gap.from);
+    return {
+      jumps: focus.reachable ? focus.route : ((approach && approach.route) || []),
+      gaps: gap ? [gap] : [],
+      unreachable: focus.reachable ? [] : [focus],
+      stranded: focus.reachable && !focus.canGetDown ? [focus] : []
+    };
+  }, [reachability, reachFocusId]);
+  
+  const reachSignature = reachDrawing
+    ? [
+      ...reachDrawing.jumps.map(jump => `${jump.id}:${jump.hard}:${jump.fromPoint.x.toFixed(2)},${jump.fromPoint.z.toFixed(2)},${jump.toPoint.x.toFixed(2)},${jump.toPoint.z.toFixed(2)}`),
+      ...reachDrawing.gaps.map(jump => `gap:${jump.id}:${jump.fromPoint.x.toFixed(2)},${jump.fromPoint.z.toFixed(2)},${jump.toPoint.x.toFixed(2)},${jump.toPoint.z.toFixed(2)}`),
+      ...reachDrawing.unreachable.map(spot => `out:${spot.id}:${spot.center.x.toFixed(2)},${spot.y.toFixed(2)},${spot.center.z.toFixed(2)}`),
+      ...reachDrawing.stranded.map(spot => `stuck:${spot.id}:${spot.center.x.toFixed(2)},${spot.y.toFixed(2)},${spot.center.z.toFixed(2)}`)
+    ].join(';')
+    : 'none';
+  
+  /**
+   * Draws the easiest jumps as arcs (green, orange when hard), the gaps that keep a cat
+   * out of a spot as dashed red lines, and rings on spots a cat can't reach (red)
+   * or can't get back down from (orange); all visible through the pieces
+   */
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    
+    // Remove the previous overlay
+    if (reachOverlayRef.current) {
+      reachOverlayRef.current.traverse(cleanupGeometry);
+      sceneRef.current.remove(reachOverlayRef.current);
+      reachOverlayRef.current = null;
+    }
+    
+    if (!reachDrawing) return;
+    
+    const colors = { easy: 0x22c55e, hard: 0xf59e0b, gap: 0xef4444 };
+    const overlay = new THREE.Group();
+    overlay.userData = { isReachOverlay: true };
+    const lift = 0.5;  // Keeps lines off the surfaces they start and end on
+    
+    const addLine = (points, material) => {
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+      line.computeLineDistances();
+      line.renderOrder = 999;
+      overlay.add(line);
+    };
+    
+    // Jumps arc over the gap, higher for longer jumps
+    reachDrawing.jumps.forEach(jump => {
+      const from = new THREE.Vector3(jump.fromPoint.x, jump.fromPoint.y + lift, jump.fromPoint.z);
+      const to = new THREE.Vector3(jump.toPoint.x, jump.toPoint.y + lift, jump.toPoint.z);
+      const control = from.clone().lerp(to, 0.5);
+      control.y = Math.max(from.y, to.y) + 2 + Math.hypot(to.x - from.x, to.z - from.z) * 0.2;
+      const color = jump.hard ? colors.hard : colors.easy;
+      addLine(
+        new THREE.QuadraticBezierCurve3(from, control, to).getPoints(16),
+        new THREE.LineBasicMaterial({ color: color, depthTest: false, transparent: true })
+      );
+      const landing = new THREE.Mesh(
+        new THREE.SphereGeometry(0.6, 12, 8),
+        new THREE.MeshBasicMaterial({ color: color, depthTest: false, transparent: true, opacity: 0.9 })
+      );
+      landing.position.copy(to);
+      landing.renderOrder = 999;
+      overlay.add(landing);
+    });
+    
+    // Problem gaps are drawn straight, so they read as "too far" rather than a route
+    reachDrawing.gaps.forEach(jump => {
+      addLine(
+        [
+          new THREE.Vector3(jump.fromPoint.x, jump.fromPoint.y + lift, jump.fromPoint.z),
+          new THREE.Vector3(jump.toPoint.x, jump.toPoint.y + lift, jump.toPoint.z)
+        ],
+        new THREE.LineDashedMaterial({ color: colors.gap, dashSize: 1.5, gapSize: 1, depthTest: false, transparent: true })
+      );
+    });
+    
+    // Rings sized to each spot
+    const addRing = (spot, color) => {
+      const radius = Math.max(2, Math.sqrt(spot.area / Math.PI) * 0.7);
+      const ring = new THREE.Mesh(
+        new THREE.RingGeometry(radius * 0.8, radius, 32),
+        new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide, depthTest: false, transparent: true, opacity: 0.8 })
+      );
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.set(spot.center.x, spot.y + lift, spot.center.z);
+      ring.renderOrder = 999;
+      overlay.add(ring);
+    };
+    reachDrawing.unreachable.forEach(spot => addRing(spot, colors.gap));
+    reachDrawing.stranded.forEach(spot => addRing(spot, colors.hard));
+    
+    sceneRef.current.add(overlay);
+    reachOverlayRef.current = overlay;
+    console.log(`🐾 Reachability overlay: ${reachDrawing.jumps.length} jump(s), ${reachDrawing.gaps.length} problem gap(s)`);
+  }, [reachSignature]);
+
+  // ========================================
+  // THUMBNAIL CAPTURE - DESIGN LIBRARY PREVIEWS
+  // ========================================
+  
+  /**
+   * Renders the design from a framed three-quarter view and returns it as an image
+   * Uses the live renderer, so the preview matches what the user sees on screen
+   * @param {number} width - Thumbnail width in pixels
+   * @param {number} height - Thumbnail height in pixels
+   * @returns {string|null} JPEG data URL, or null when the scene isn't ready
+   */
+  const captureThumbnail = useCallback((width = 240, height = 180) => {
+    const renderer = rendererRef.current;
+    const scene = sceneRef.current;
+    const camera = cameraRef.current;
+    if (!renderer || !scene || !camera) return null;
+
+    try {
+      // Frame every piece and opening in the scene
+      const bounds = new THREE.Box3();
+      meshMapRef.current.forEach(object => bounds.expandByObject(object));
+      if (bounds.isEmpty()) {
+        bounds.set(new THREE.Vector3(-12, 0, -12), new THREE.Vector3(12, 24, 12));
+      }
+      const center = bounds.getCenter(new THREE.Vector3());
+      const radius = Math.max(12, bounds.getSize(new THREE.Vector3()).length() / 2);
+
+      const source = renderer.domElement;
+      const thumbCamera = camera.clone();
+      thumbCamera.aspect = source.width / source.height;
+      const distance = radius / Math.sin(THREE.MathUtils.degToRad(thumbCamera.fov / 2));
+      thumbCamera.position.copy(center).add(new THREE.Vector3(1, 0.8, 1.2).normalize().multiplyScalar(distance));
+      thumbCamera.lookAt(center);
+      thumbCamera.updateProjectionMatrix();
+
+      // Draw buffer is only valid right after render, so copy it immediately (gizmo left out)
+      if (gizmoRef.current) gizmoRef.current.visible = false;
+      renderer.render(scene, thumbCamera);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const cropScale = Math.min(source.width / width, source.height / height);
+      const cropWidth = width * cropScale;
+      const cropHeight = height * cropScale;
+      canvas.getContext('2d').drawImage(
+        source,
+        (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+        0, 0, width, height
+      );
+      if (gizmoRef.current) gizmoRef.current.visible = true;
+      renderer.render(scene, camera);
+
+      return canvas.toDataURL('image/jpeg', 0.8);
+    } catch (error) {
+      console.warn('⚠️ Thumbnail capture failed:', error);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Exposes thumbnail capture to the parent through captureRef
+   */
+  useEffect(() => {
+    if (!captureRef) return;
+    captureRef.current = captureThumbnail;
+    return () => {
+      captureRef.current = null;
+    };
+  }, [captureRef, captureThumbnail]);
+
   // ========================================
   // COMPONENT RENDER
   // ========================================
@@ -1498,21 +2215,48 @@ const Canvas3D = ({
       }, [
         React.createElement('strong', { key: 'label' }, 'Controls: '),
         'Left-click to select/drag pieces | Right-click + drag to pan view | Left-click + drag empty space to rotate | Scroll to zoom',
+        React.createElement('br', { key: 'br-select' }),
+        React.createElement('span', {
+          key: 'select-info',
+          className: 'text-xs text-blue-600'
+        }, '🔲 Shift/Ctrl-click to add or remove pieces | Shift + drag empty space to box-select, Ctrl + drag to add to the selection'),
         React.createElement('br', { key: 'br' }),
         React.createElement('span', { 
           key: 'grid-info', 
           className: 'text-xs text-blue-600' 
-        }, `🎯 Grid: ${gridWidth}' x ${gridHeight}' workspace | Light lines = 6" squares, Dark lines = 2' squares | Snap: ${movementIncrement}"`),
+        }, Units.isMetric(unitSystem)
+          ? `🎯 Grid: ${Units.formatFeet(gridWidth, unitSystem)} x ${Units.formatFeet(gridHeight, unitSystem)} workspace | Light lines = 10 cm squares, Dark lines = 50 cm squares | Snap: ${Units.formatLength(movementIncrement, unitSystem)}`
+          : `🎯 Grid: ${gridWidth}' x ${gridHeight}' workspace | Light lines = 6" squares, Dark lines = 2' squares | Snap: ${Units.formatLength(movementIncrement, unitSystem)}`),
         React.createElement('br', { key: 'br2' }),
         React.createElement('span', { 
           key: 'sidebar-info', 
           className: 'text-xs text-purple-600' 
-        }, '💡 Green cross marks origin (0,0) | Panels pivot from bottom edge | Green markers = openings'),
+        }, '💡 Green cross marks origin (0,0) | Panels pivot from bottom edge | Green outlines = openings'),
+        React.createElement('br', { key: 'br-snap' }),
+        React.createElement('span', {
+          key: 'snap-info',
+          className: 'text-xs text-pink-600'
+        }, '🧲 Dragged pieces stack on the piece under the cursor and align to its edges (pink guides) | Hold Alt to place freely'),
+        React.createElement('br', { key: 'br-gizmo' }),
+        React.createElement('span', {
+          key: 'gizmo-info',
+          className: 'text-xs text-green-600'
+        }, `🕹️ Gizmo: drag arrows to move (${Units.formatLength(movementIncrement, unitSystem)} steps), the green ring to rotate and the red/blue rings to tilt (15° steps) | Hold Alt for no snapping`),
         showStressVisualization && React.createElement('br', { key: 'br3' }),
         showStressVisualization && React.createElement('span', {
           key: 'stress-info',
           className: 'text-xs text-orange-600 font-medium'
-        }, '⚖️ Stress visualization active: Green=Safe, Yellow=Caution, Orange=Warning, Red=Critical'),
+        }, '⚖️ Stress visualization active: Green=Safe, Yellow=Caution, Orange=Warning, Red=Critical | Sphere = center of gravity, floor outline = base'),
+        passageRoute && React.createElement('br', { key: 'br-route' }),
+        passageRoute && React.createElement('span', {
+          key: 'route-info',
+          className: 'text-xs text-orange-600 font-medium'
+        }, '🐾 Orange line = crawl route from outside through tunnels and houses'),
+        reachability && React.createElement('br', { key: 'br-reach' }),
+        reachability && React.createElement('span', {
+          key: 'reach-info',
+          className: 'text-xs text-green-600 font-medium'
+        }, `🐾 ${reachability.profile.name} cat: Green arcs = easiest jumps, Orange = hard jump, Red dashes = gap too far or blocked | Red ring = out of reach, Orange ring = no safe way down`),
         backgroundImage && React.createElement('br', { key: 'br4' }),
         backgroundImage && React.createElement('span', {
           key: 'bg-info',
@@ -1525,6 +2269,14 @@ const Canvas3D = ({
       ])
     ])),
 
+    // Drag-rectangle selection overlay (positioned in screen coordinates while dragging)
+    React.createElement('div', {
+      key: 'selection-box',
+      ref: selectionBoxRef,
+      className: 'fixed border-2 border-blue-500 bg-blue-200/20 pointer-events-none z-20',
+      style: { display: 'none' }
+    }),
+
     // Show instructions toggle button when hidden
     !showInstructions && React.createElement('button', {
       key: 'show-instructions-btn',
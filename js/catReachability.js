@@ -0,0 +1,510 @@
+// =====================================================
+// CAT REACHABILITY SYSTEM -v2- JUMP GRAPH, HEADROOM & AGILITY PROFILES
+// =====================================================
+
+const CatReachability = {
+
+  // ========================================
+  // ANALYSIS SETTINGS
+  // ========================================
+
+  /**
+   * Tuning values for the jump graph
+   * Distances in inches, areas in square inches
+   */
+  settings: {
+    minSurfaceArea: 24,       // Smallest top a cat can land and sit on (posts and roof ridges are smaller)
+    maxSurfaceTilt: 20,       // Degrees a surface may lean and still be a resting spot
+    stepHeight: 1,            // Rises and gaps this small are walked, not jumped
+    flightClearance: 3,       // Height above the surfaces the jump path is checked for obstacles
+    floorStandoff: 3,         // How far out from a piece a jump from the floor starts
+    sideClearance: 4,         // Room beside an overhanging surface for a cat to jump up past its edge
+    minHeadroom: 8,           // Clear height a cat needs above a spot to sit on it
+    hardJump: 0.8,            // Jumps using more than this share of a profile's limits are flagged as hard
+    hopCost: 0.1              // Route cost per jump, so equally easy routes prefer fewer jumps
+  },
+
+  // Graph node for the floor under the tree
+  FLOOR: 'floor',
+
+  // Piece categories with tops a cat rests on; house roofs count, tunnels and posts don't
+  RESTING_CATEGORIES: ['platform', 'perch', 'bedding', 'house'],
+  RESTING_SHAPES: ['rockwall-bed'],
+
+  /**
+   * Built-in agility profiles: the furthest a cat comfortably jumps up, down and across
+   * Saved edits override these per browser, see getProfiles
+   */
+  DEFAULT_PROFILES: {
+    kitten: {
+      name: 'Kitten',
+      icon: '🐈',
+      description: 'Young cat still building strength and confidence',
+      maxUp: 18,
+      maxDown: 24,
+      maxAcross: 18
+    },
+    adult: {
+      name: 'Adult',
+      icon: '🐱',
+      description: 'Healthy adult cat',
+      maxUp: 36,
+      maxDown: 48,
+      maxAcross: 36
+    },
+    senior: {
+      name: 'Senior',
+      icon: '🧓',
+      description: 'Older cat with stiffer joints; landings hurt more than take-offs',
+      maxUp: 20,
+      maxDown: 18,
+      maxAcross: 18
+    },
+    'mobility-impaired': {
+      name: 'Mobility Impaired',
+      icon: '♿',
+      description: 'Three-legged, arthritic or recovering cat that needs steps, not jumps',
+      maxUp: 10,
+      maxDown: 10,
+      maxAcross: 8
+    }
+  },
+
+  // ========================================
+  // AGILITY PROFILES
+  // ========================================
+
+  /**
+   * Agility profiles with any saved edits applied
+   * @returns {Object} Profiles by ID, each with a customized flag
+   */
+  getProfiles: () => {
+    const saved = DesignStorage.getSetting('agilityProfiles') || {};
+    const profiles = {};
+    Object.entries(CatReachability.DEFAULT_PROFILES).forEach(([id, profile]) => {
+      profiles[id] = { ...profile, ...(saved[id] || {}), id, customized: !!saved[id] };
+    });
+    return profiles;
+  },
+
+  /**
+   * Saves edited jump limits for a profile
+   * @param {string} profileId - Profile ID
+   * @param {Object} limits - Any of maxUp, maxDown, maxAcross in inches
+   */
+  saveProfile: (profileId, limits) => {
+    if (!CatReachability.DEFAULT_PROFILES[profileId]) return;
+    const saved = DesignStorage.getSetting('agilityProfiles') || {};
+    const clean = {};
+    ['maxUp', 'maxDown', 'maxAcross'].forEach(key => {
+      if (limits[key] !== undefined && isFinite(limits[key])) clean[key] = Math.max(1, Math.min(120, limits[key]));
+    });
+    DesignStorage.updateSettings({ agilityProfiles: { ...saved, [profileId]: { ...(saved[profileId] || {}), ...clean } } });
+  },
+
+  /**
+   * Restores a profile's built-in limits
+   * @param {string} profileId - Profile ID
+   */
+  resetProfile: (profileId) => {
+    const { [profileId]: removed, ...rest } = DesignStorage.getSetting('agilityProfiles') || {};
+    DesignStorage.updateSettings({ agilityProfiles: rest });
+  },
+
+  // ========================================
+  // RESTING SURFACES
+  // ========================================
+
+  /**
+   * Tops of the pieces a cat can land and rest on
+   * A top with pieces sitting on it or hanging low over it, leaving too little room to sit,
+   * is flagged with the piece that crowds it
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Array} Surfaces {id, pieceId, name, y, parts, center, area, crampedBy}
+   */
+  getSurfaces: (pieces) => {
+    const { minSurfaceArea, maxSurfaceTilt, minHeadroom } = CatReachability.settings;
+    const maxTilt = maxSurfaceTilt * Math.PI / 180;
+
+    // Area of a top covered by another piece whose underside is less than minHeadroom above it
+    const crowding = (surface) => pieces
+      .filter(piece => piece.id !== surface.pieceId)
+      .map(piece => {
+        const bottom = StructuralAnalysis.getOrientedFootprint(piece).bottom;
+        if (bottom.y < surface.y - 0.1 || bottom.y >= surface.y + minHeadroom) return null;
+        const area = bottom.parts.reduce((sum, part) => sum + surface.parts.reduce((inner, top) => (
+          inner + StructuralAnalysis.polygonArea(StructuralAnalysis.clipPolygon(part, top)).area
+        ), 0), 0);
+        return area > 0 ? { pieceId: piece.id, name: piece.name, area } : null;
+      })
+      .filter(Boolean);
+
+    return pieces
+      .filter(piece =>
+        CatReachability.RESTING_CATEGORIES.includes(CatTreePieces.getCategoryKey(piece.variantId)) ||
+        CatReachability.RESTING_SHAPES.includes(piece.shape)
+      )
+      .filter(piece => Math.abs(piece.tiltX || 0) <= maxTilt && Math.abs(piece.tiltZ || 0) <= maxTilt)
+      .map(piece => {
+        const top = StructuralAnalysis.getOrientedFootprint(piece).top;
+        const areas = top.parts.map(part => StructuralAnalysis.polygonArea(part));
+        const area = areas.reduce((sum, part) => sum + part.area, 0);
+        return {
+          id: piece.id,
+          pieceId: piece.id,
+          name: piece.name,
+          y: top.y,
+          parts: top.parts,
+          area,
+          center: area > 0
+            ? {
+              x: areas.reduce((sum, part) => sum + part.x * part.area, 0) / area,
+              y: top.y,
+              z: areas.reduce((sum, part) => sum + part.z * part.area, 0) / area
+            }
+            : { x: piece.x, y: top.y, z: piece.z }
+        };
+      })
+      .filter(surface => surface.area >= minSurfaceArea)
+      .map(surface => {
+        const crowded = crowding(surface);
+        const covered = crowded.reduce((sum, piece) => sum + piece.area, 0);
+        const largest = crowded.sort((a, b) => b.area - a.area)[0];
+        return {
+          ...surface,
+          crampedBy: surface.area - covered < minSurfaceArea ? { pieceId: largest.pieceId, name: largest.name } : null
+        };
+      });
+  },
+
+  /**
+   * Horizontal gap between two surfaces and the closest points across it
+   * @param {Array} partsA - Convex counter-clockwise XZ polygons
+   * @param {Array} partsB - Convex counter-clockwise XZ polygons
+   * @returns {Object} {distance, from, to, overlap} - 0 with both points inside the overlap polygon when they overlap in plan
+   */
+  _surfaceGap: (partsA, partsB) => {
+    let best = { distance: Infinity, from: null, to: null };
+
+    const vertexToEdges = (points, polygon, swap) => {
+      points.forEach(p => {
+        polygon.forEach((a, i) => {
+          const q = CatReachability._closestOnEdge(p, a, polygon[(i + 1) % polygon.length]);
+          const distance = Math.hypot(p.x - q.x, p.z - q.z);
+          if (distance < best.distance) best = swap ? { distance, from: q, to: p } : { distance, from: p, to: q };
+        });
+      });
+    };
+
+    for (const a of partsA) {
+      for (const b of partsB) {
+        const shared = StructuralAnalysis.clipPolygon(a, b);
+        const overlap = StructuralAnalysis.polygonArea(shared);
+        if (overlap.area > 1e-6) {
+          const point = { x: overlap.x, z: overlap.z };
+          return { distance: 0, from: point, to: point, overlap: shared };
+        }
+        vertexToEdges(a, b, false);
+        vertexToEdges(b, a, true);
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Closest point to p on the segment a-b
+   * @param {Object} p - {x, z}
+   * @param {Object} a - Segment start {x, z}
+   * @param {Object} b - Segment end {x, z}
+   * @returns {Object} {x, z}
+   */
+  _closestOnEdge: (p, a, b) => {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / lengthSq)) : 0;
+    return { x: a.x + t * dx, z: a.z + t * dz };
+  },
+
+  /**
+   * Where a cat on a lower surface can jump up past the edge of one overhanging it
+   * The take-off has to be out from under the upper surface with room to rise beside its edge;
+   * candidates are spots just that far out from the upper edge, and along the lower surface's
+   * own edges, and the one nearest the upper edge is used
+   * @param {Array} lowerParts - Lower surface polygons
+   * @param {Array} upperParts - Upper surface polygons
+   * @param {number} clearance - Room needed beside the upper edge
+   * @returns {Object|null} {distance, from, to} - from on the lower surface, to on the upper edge; null when there's no room
+   */
+  _takeoffPoint: (lowerParts, upperParts, clearance) => {
+    const samplesPerEdge = 8;
+    const inside = (p, parts) => parts.some(part => part.every((a, i) => {
+      const b = part[(i + 1) % part.length];
+      return (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x) >= 0;
+    }));
+    const nearestEdge = (p) => upperParts.flatMap(part => part.map((a, i) => (
+      CatReachability._closestOnEdge(p, a, part[(i + 1) % part.length])
+    ))).reduce((best, q) => {
+      const distance = Math.hypot(p.x - q.x, p.z - q.z);
+      return !best || distance < best.distance ? { distance, point: q } : best;
+    }, null);
+
+    // Points along each edge, pushed out along the edge's outward normal (parts are counter-clockwise)
+    const edgeSamples = (parts, offset) => parts.flatMap(part => part.flatMap((a, i) => {
+      const b = part[(i + 1) % part.length];
+      const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+      const nx = (b.z - a.z) / length * offset;
+      const nz = -(b.x - a.x) / length * offset;
+      return Array.from({ length: samplesPerEdge + 1 }, (_, step) => ({
+        x: a.x + (b.x - a.x) * step / samplesPerEdge + nx,
+        z: a.z + (b.z - a.z) * step / samplesPerEdge + nz
+      }));
+    }));
+
+    let best = null;
+    [
+      ...edgeSamples(upperParts, clearance + 0.01).filter(p => inside(p, lowerParts)),
+      ...edgeSamples(lowerParts, 0)
+    ].forEach(p => {
+      if (inside(p, upperParts)) return;
+      const edge = nearestEdge(p);
+      if (edge.distance >= clearance && (!best || edge.distance < best.distance)) {
+        best = { distance: edge.distance, from: p, to: edge.point };
+      }
+    });
+    return best;
+  },
+
+  // ========================================
+  // JUMP GRAPH
+  // ========================================
+
+  /**
+   * Every jump between resting surfaces, and between each surface and the floor
+   * Geometry only; how hard a jump is depends on the profile (see evaluate)
+   * Jumps onto a cramped surface are blocked by whatever crowds it
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Object} {surfaces, jumps} - jumps {id, from, to, rise, across, fromPoint, toPoint, blockedBy}
+   */
+  buildJumpGraph: (pieces) => {
+    const startTime = performance.now();
+    const { flightClearance, floorStandoff, sideClearance, stepHeight } = CatReachability.settings;
+    const surfaces = CatReachability.getSurfaces(pieces);
+    const jumps = [];
+
+    // Jumps from the floor start just outside the surface edge furthest from the middle of the tree
+    const treeCenter = surfaces.reduce((sum, s) => ({
+      x: sum.x + s.center.x / surfaces.length,
+      z: sum.z + s.center.z / surfaces.length
+    }), { x: 0, z: 0 });
+
+    surfaces.forEach(surface => {
+      const edge = surface.parts.flat().reduce((best, p) => (
+        !best || Math.hypot(p.x - treeCenter.x, p.z - treeCenter.z) > Math.hypot(best.x - treeCenter.x, best.z - treeCenter.z) ? p : best
+      ), null);
+      const outward = Math.hypot(edge.x - surface.center.x, edge.z - surface.center.z) || 1;
+      const floorPoint = {
+        x: edge.x + (edge.x - surface.center.x) / outward * floorStandoff,
+        y: 0,
+        z: edge.z + (edge.z - surface.center.z) / outward * floorStandoff
+      };
+      const edgePoint = { x: edge.x, y: surface.y, z: edge.z };
+
+      jumps.push(
+        { id: `${CatReachability.FLOOR}>${surface.id}`, from: CatReachability.FLOOR, to: surface.id, rise: surface.y, across: floorStandoff, fromPoint: floorPoint, toPoint: edgePoint, blockedBy: surface.crampedBy },
+        { id: `${surface.id}>${CatReachability.FLOOR}`, from: surface.id, to: CatReachability.FLOOR, rise: -surface.y, across: floorStandoff, fromPoint: edgePoint, toPoint: floorPoint, blockedBy: null }
+      );
+    });
+
+    for (let i = 0; i < surfaces.length; i++) {
+      for (let j = i + 1; j < surfaces.length; j++) {
+        const a = surfaces[i];
+        const b = surfaces[j];
+        let gap = CatReachability._surfaceGap(a.parts, b.parts);
+        let blockedBy = null;
+
+        // One overhangs the other: the cat has to get out from under the upper surface's edge,
+        // otherwise the upper surface's own underside is in the way
+        if (gap.overlap && Math.abs(a.y - b.y) > stepHeight) {
+          const aIsLower = a.y < b.y;
+          const upper = aIsLower ? b : a;
+          const takeoff = CatReachability._takeoffPoint((aIsLower ? a : b).parts, upper.parts, sideClearance);
+          if (!takeoff) {
+            blockedBy = { pieceId: upper.pieceId, name: upper.name };
+          } else {
+            gap = aIsLower ? takeoff : { distance: takeoff.distance, from: takeoff.to, to: takeoff.from };
+          }
+        }
+
+        const fromPoint = { x: gap.from.x, y: a.y, z: gap.from.z };
+        const toPoint = { x: gap.to.x, y: b.y, z: gap.to.z };
+
+        // Anything across a gap, a little above both surfaces, is in the way
+        if (!blockedBy && gap.distance > stepHeight) {
+          const obstruction = CollisionDetection.findObstruction(
+            new THREE.Vector3(fromPoint.x, fromPoint.y + flightClearance, fromPoint.z),
+            new THREE.Vector3(toPoint.x, toPoint.y + flightClearance, toPoint.z),
+            pieces.filter(p => p.id !== a.pieceId && p.id !== b.pieceId)
+          );
+          if (obstruction) blockedBy = { pieceId: obstruction.id, name: obstruction.name };
+        }
+
+        jumps.push(
+          { id: `${a.id}>${b.id}`, from: a.id, to: b.id, rise: b.y - a.y, across: gap.distance, fromPoint, toPoint, blockedBy: b.crampedBy || blockedBy },
+          { id: `${b.id}>${a.id}`, from: b.id, to: a.id, rise: a.y - b.y, across: gap.distance, fromPoint: toPoint, toPoint: fromPoint, blockedBy: a.crampedBy || blockedBy }
+        );
+      }
+    }
+
+    const elapsed = performance.now() - startTime;
+    if (elapsed > 50) {
+      console.log(`🐾 Jump graph: ${surfaces.length} surface(s), ${jumps.length} jump(s) in ${elapsed.toFixed(1)}ms`);
+    }
+    return { surfaces, jumps };
+  },
+
+  /**
+   * How much of a cat's ability a jump takes
+   * Rise and distance share one budget: a cat can't make its highest and its longest jump at once
+   * @param {Object} jump - Jump from buildJumpGraph
+   * @param {Object} profile - Agility profile
+   * @returns {number} 0 for a step, 1 at the limit, above 1 when out of reach
+   */
+  getDifficulty: (jump, profile) => {
+    const { stepHeight } = CatReachability.settings;
+    if (Math.abs(jump.rise) <= stepHeight && jump.across <= stepHeight) return 0;
+    const limit = jump.rise >= 0 ? profile.maxUp : profile.maxDown;
+    return Math.hypot(jump.across / profile.maxAcross, Math.abs(jump.rise) / limit);
+  },
+
+  // ========================================
+  // PROFILE EVALUATION
+  // ========================================
+
+  /**
+   * Which surfaces a cat with a given profile can reach, and how
+   * Routes minimise the sum of squared difficulties, so one hard jump costs more than a few easy ones
+   * @param {Object} graph - Result of buildJumpGraph
+   * @param {Object} profile - Agility profile
+   * @returns {Object} {profile, spots, jumps, unreachable, stranded, problemGaps, hardJumps}
+   */
+  evaluate: (graph, profile) => {
+    const { hardJump, hopCost } = CatReachability.settings;
+    const FLOOR = CatReachability.FLOOR;
+
+    const jumps = graph.jumps.map(jump => {
+      const difficulty = CatReachability.getDifficulty(jump, profile);
+      return { ...jump, difficulty, feasible: difficulty <= 1 && !jump.blockedBy, hard: difficulty > hardJump };
+    });
+    const usable = jumps.filter(jump => jump.feasible);
+
+    // Easiest routes up from the floor (Dijkstra; graphs are small)
+    const cost = new Map([[FLOOR, 0]]);
+    const via = new Map();
+    const done = new Set();
+    while (true) {
+      let current = null;
+      cost.forEach((value, id) => {
+        if (!done.has(id) && (current === null || value < cost.get(current))) current = id;
+      });
+      if (current === null) break;
+      done.add(current);
+      usable.filter(jump => jump.from === current).forEach(jump => {
+        const next = cost.get(current) + hopCost + jump.difficulty * jump.difficulty;
+        if (!cost.has(jump.to) || next < cost.get(jump.to)) {
+          cost.set(jump.to, next);
+          via.set(jump.to, jump);
+        }
+      });
+    }
+
+    // Spots with a way back down to the floor
+    const canGetDown = new Set([FLOOR]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      usable.forEach(jump => {
+        if (canGetDown.has(jump.to) && !canGetDown.has(jump.from)) {
+          canGetDown.add(jump.from);
+          grew = true;
+        }
+      });
+    }
+
+    const spots = graph.surfaces.map(surface => {
+      if (!via.has(surface.id)) return { ...surface, reachable: false, canGetDown: canGetDown.has(surface.id), route: null };
+      const route = [];
+      for (let jump = via.get(surface.id); jump; jump = via.get(jump.from)) route.unshift(jump);
+      return {
+        ...surface,
+        reachable: true,
+        canGetDown: canGetDown.has(surface.id),
+        route,
+        hardest: route.reduce((max, jump) => Math.max(max, jump.difficulty), 0)
+      };
+    });
+
+    // The easiest jump that would open up each unreachable spot
+    const problemGaps = spots
+      .filter(spot => !spot.reachable)
+      .map(spot => jumps
+        .filter(jump => jump.to === spot.id && (jump.from === FLOOR || via.has(jump.from)))
+        .sort((a, b) => (a.blockedBy ? 1 : 0) - (b.blockedBy ? 1 : 0) || a.difficulty - b.difficulty)[0])
+      .filter(Boolean);
+
+    const routeJumps = new Map();
+    spots.forEach(spot => (spot.route || []).forEach(jump => routeJumps.set(jump.id, jump)));
+
+    return {
+      profile,
+      spots,
+      jumps,
+      routeJumps: [...routeJumps.values()],
+      unreachable: spots.filter(spot => !spot.reachable),
+      stranded: spots.filter(spot => spot.reachable && !spot.canGetDown),
+      problemGaps,
+      hardJumps: [...routeJumps.values()].filter(jump => jump.hard)
+    };
+  },
+
+  /**
+   * Builds the jump graph and evaluates it for one profile
+   * @param {Array} pieces - Array of piece objects
+   * @param {string} profileId - Agility profile ID
+   * @returns {Object} Result of evaluate
+   */
+  analyze: (pieces, profileId = 'adult') => {
+    const profiles = CatReachability.getProfiles();
+    return CatReachability.evaluate(CatReachability.buildJumpGraph(pieces), profiles[profileId] || profiles.adult);
+  },
+
+  /**
+   * Name of either end of a jump
+   * @param {Object} result - Result of evaluate
+   * @param {string} id - Surface ID or FLOOR
+   * @returns {string} Display name
+   */
+  getSpotName: (result, id) => (
+    id === CatReachability.FLOOR ? 'Floor' : (result.spots.find(spot => spot.id === id)?.name || 'Unknown')
+  ),
+
+  /**
+   * Plain-language description of a jump
+   * @param {Object} jump - Evaluated jump
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @returns {string} e.g. '24" up, 6" across'
+   */
+  describeJump: (jump, unitSystem = 'imperial') => {
+    const parts = [];
+    if (Math.abs(jump.rise) > CatReachability.settings.stepHeight) {
+      parts.push(`${Units.formatLength(Math.abs(jump.rise), unitSystem, 0)} ${jump.rise > 0 ? 'up' : 'down'}`);
+    }
+    if (jump.across > CatReachability.settings.stepHeight) {
+      parts.push(`${Units.formatLength(jump.across, unitSystem, 0)} across`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'a step';
+  }
+};
+
+// Export for use in other modules
+window.CatReachability = CatReachability;
@@ -1,5 +1,5 @@
 // =====================================================
-// OPTIMIZED CAT TREE PIECES SYSTEM -v23- RANDOM COLOR SELECTION
+// OPTIMIZED CAT TREE PIECES SYSTEM -v30- CUSTOM OPENINGS
 // =====================================================
 
 // Performance debugging flag
@@ -56,6 +56,10 @@ const CatTreePieces = {
   /**
    * Complete piece category system with variants for each type
    * Organized by functional purpose: shelter, movement, rest, scratching, climbing
+   * A variant may list a `kit` of accessories added with it:
+   *   kit: [{ variantId, offset: { x, y, z }, included }]
+   * Offsets are inches from the parent's position in the parent's unrotated frame;
+   * included accessories come with the parent and add nothing to the price.
    */
   categories: {
     
@@ -383,7 +387,13 @@ const CatTreePieces = {
           hollow: false, shape: 'rock-wall-panel', 
           availableMaterials: ['wood', 'sisal'], 
           availableColors: true,
-          description: 'Panel with slotted areas to attach sisal climbing rocks (panel comes with 4 sisal rocks) and other climbing accessories'
+          description: 'Panel with slotted areas to attach sisal climbing rocks (panel comes with 4 sisal rocks) and other climbing accessories',
+          kit: [
+            { variantId: 'accessory-sisal-rock-small', offset: { x: -6, y: 0, z: 3 }, included: true },
+            { variantId: 'accessory-sisal-rock-small', offset: { x: 6, y: 0, z: 3 }, included: true },
+            { variantId: 'accessory-sisal-rock-medium', offset: { x: 0, y: 0, z: 6 }, included: true },
+            { variantId: 'accessory-sisal-rock-large', offset: { x: -3, y: 0, z: -3 }, included: true }
+          ]
         }
       ]
     },
@@ -469,9 +479,120 @@ const CatTreePieces = {
       name: 'Arch Entrance', 
       width: 7, height: 9, shape: 'arch', cost: 0,
       description: 'Arched doorway entrance'
+    },
+    'oval-entrance': {
+      name: 'Oval Entrance',
+      width: 7, height: 10, shape: 'oval', cost: 0,
+      description: 'Tall oval doorway for larger cats'
+    },
+    'rounded-entrance': {
+      name: 'Rounded Doorway',
+      width: 9, height: 9, shape: 'rounded-rectangle', cost: 0,
+      description: 'Wide doorway with rounded corners'
+    },
+    'paw-window': {
+      name: 'Paw Print Window',
+      width: 6, height: 6, shape: 'paw', cost: 0,
+      description: 'Decorative paw print cutout'
     }
   },
 
+  /**
+   * Shapes an opening can be cut in
+   */
+  OPENING_SHAPES: {
+    circle: { name: 'Round', icon: '⭕' },
+    oval: { name: 'Oval', icon: '🥚' },
+    square: { name: 'Square', icon: '⬜' },
+    rectangle: { name: 'Rectangle', icon: '🚪' },
+    'rounded-rectangle': { name: 'Rounded Rectangle', icon: '▢' },
+    arch: { name: 'Arch', icon: '🏛️' },
+    paw: { name: 'Paw Print', icon: '🐾' }
+  },
+
+  /**
+   * Smallest and largest opening width/height, in inches
+   */
+  OPENING_SIZE_LIMITS: { min: 2, max: 24 },
+
+  // ========================================
+  // OPENING TEMPLATE LIBRARY - USER-DEFINED OPENING TYPES
+  // ========================================
+
+  /**
+   * Opening templates the user has saved, kept in local settings
+   * @returns {Array} Templates {id, name, width, height, shape, description}
+   */
+  getCustomOpeningTypes: () => {
+    const stored = DesignStorage.getSetting('openingTemplates');
+    return Array.isArray(stored) ? stored : [];
+  },
+
+  /**
+   * Built-in opening types followed by the user's saved templates
+   * @returns {Object} Opening types keyed by ID; saved templates are marked custom
+   */
+  getOpeningTypes: () => {
+    const types = { ...CatTreePieces.openingTypes };
+    CatTreePieces.getCustomOpeningTypes().forEach(template => {
+      types[template.id] = { ...template, cost: 0, custom: true };
+    });
+    return types;
+  },
+
+  /**
+   * Finds a built-in or saved opening type
+   * @param {string} typeId - Opening type ID
+   * @returns {Object|null} Opening type definition
+   */
+  getOpeningType: (typeId) => CatTreePieces.getOpeningTypes()[typeId] || null,
+
+  /**
+   * Clamps an opening size and falls back to a known shape
+   * @param {Object} opening - Anything with width, height and shape
+   * @returns {Object} {width, height, shape}
+   */
+  normalizeOpeningSize: ({ width, height, shape }) => {
+    const { min, max } = CatTreePieces.OPENING_SIZE_LIMITS;
+    const clamp = (value, fallback) => Math.round(Math.max(min, Math.min(max, isFinite(value) ? value : fallback)) * 100) / 100;
+    const validShape = CatTreePieces.OPENING_SHAPES[shape] ? shape : 'rectangle';
+    const clampedWidth = clamp(width, 6);
+    return {
+      width: clampedWidth,
+      // Round and square shapes keep their proportions
+      height: validShape === 'circle' || validShape === 'square' ? clampedWidth : clamp(height, 6),
+      shape: validShape
+    };
+  },
+
+  /**
+   * Saves an opening template to the local library
+   * @param {Object} template - {name, width, height, shape}
+   * @returns {Object} Saved template with its new ID
+   */
+  saveOpeningTemplate: (template) => {
+    const saved = {
+      id: `custom-${Date.now()}`,
+      name: (template.name || '').trim() || 'Custom Opening',
+      ...CatTreePieces.normalizeOpeningSize(template),
+      description: template.description || 'Saved opening template'
+    };
+    DesignStorage.updateSettings({ openingTemplates: [...CatTreePieces.getCustomOpeningTypes(), saved] });
+    log(`⭐ Saved opening template ${saved.name}`);
+    return saved;
+  },
+
+  /**
+   * Removes an opening template from the local library
+   * Openings already placed keep their size and shape
+   * @param {string} templateId - Template ID
+   */
+  deleteOpeningTemplate: (templateId) => {
+    DesignStorage.updateSettings({
+      openingTemplates: CatTreePieces.getCustomOpeningTypes().filter(template => template.id !== templateId)
+    });
+  },
+
   // ========================================
   // UTILITY FUNCTIONS - PIECE MANAGEMENT
   // ========================================
@@ -489,6 +610,42 @@ const CatTreePieces = {
     return null;
   },
 
+  /**
+   * Finds the category a variant belongs to
+   * @param {string} variantId - The variant ID to search for
+   * @returns {string|null} Category key (e.g. 'platform') or null if not found
+   */
+  getCategoryKey: (variantId) => {
+    for (const [categoryKey, categoryData] of Object.entries(CatTreePieces.categories)) {
+      if (categoryData.variants.some(v => v.id === variantId)) return categoryKey;
+    }
+    return null;
+  },
+
+  /**
+   * Accessories bundled with a variant
+   * @param {string} variantId - Variant ID
+   * @returns {Array} Kit entries {variantId, offset, included}, empty when the variant has no kit
+   */
+  getKit: (variantId) => CatTreePieces.getVariantById(variantId)?.kit || [],
+
+  /**
+   * World position of a kit accessory, turning its offset with the parent's rotation
+   * @param {Object} parent - Parent piece
+   * @param {Object} offset - {x, y, z} offset from the kit definition
+   * @returns {Object} {x, y, z}
+   */
+  getKitChildPosition: (parent, offset) => {
+    const angle = parent.rotationY || 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+      x: parent.x + offset.x * cos + offset.z * sin,
+      y: parent.y + (offset.y || 0),
+      z: parent.z - offset.x * sin + offset.z * cos
+    };
+  },
+
   /**
    * Creates a piece instance from a variant definition
    * @param {string} variantId - ID of the variant to create
@@ -555,14 +712,142 @@ const CatTreePieces = {
     return SharedUtils.COLORS.PIECE_TYPES.platform;
   },
 
+  // ========================================
+  // SHARED MATERIAL & TEXTURE CACHE
+  // ========================================
+
+  /**
+   * Procedural texture resolution per quality level
+   * Patterns are drawn at 512px scale and downsampled, so every level looks alike, only softer
+   */
+  textureSettings: {
+    quality: 'high',
+    resolutions: { low: 128, medium: 256, high: 512 }
+  },
+
+  // Base materials and their canvas textures keyed by "surface|color|resolution",
+  // each with the number of meshes currently using it
+  _materialCache: new Map(),
+
+  /**
+   * Changes the resolution used for newly generated textures
+   * Existing pieces keep their textures until rebuilt
+   * @param {string} quality - 'low', 'medium' or 'high'
+   */
+  setTextureQuality: (quality) => {
+    if (!CatTreePieces.textureSettings.resolutions[quality]) {
+      console.warn(`⚠️ Unknown texture quality "${quality}", keeping ${CatTreePieces.textureSettings.quality}`);
+      return;
+    }
+    if (quality !== CatTreePieces.textureSettings.quality) {
+      console.log(`🎨 Texture quality: ${quality} (${CatTreePieces.textureSettings.resolutions[quality]}px)`);
+    }
+    CatTreePieces.textureSettings.quality = quality;
+  },
+
+  /**
+   * Pixel size of newly generated textures at the current quality
+   * @returns {number} Texture width and height in pixels
+   */
+  getTextureResolution: () => CatTreePieces.textureSettings.resolutions[CatTreePieces.textureSettings.quality],
+
+  /**
+   * Cache key for a piece's base material: rock wall panels always use the rock texture
+   * @param {Object} piece - Piece object
+   * @param {number} color - Resolved piece color
+   * @returns {string} Cache key
+   */
+  _getMaterialKey: (piece, color) => {
+    const surface = piece.shape === 'rock-wall-panel' ? 'rock-wall' : (piece.material || 'plain');
+    return `${surface}|${color}|${CatTreePieces.getTextureResolution()}`;
+  },
+
+  /**
+   * Counts every mesh of a freshly built object against the cached material it uses
+   * @param {THREE.Object3D} object - Newly built piece object
+   * @returns {THREE.Object3D} The same object
+   */
+  _retainSharedMaterials: (object) => {
+    object.traverse(child => {
+      const key = child.isMesh && child.material && child.material.sharedMaterialKey;
+      const entry = key && CatTreePieces._materialCache.get(key);
+      if (!entry) return;
+      entry.refCount++;
+      child.sharedMaterialKey = key;
+    });
+    return object;
+  },
+
+  /**
+   * Hands a mesh's cached material back; the material and texture are freed with their last user
+   * @param {THREE.Mesh} mesh - Mesh built by this module
+   */
+  _releaseSharedMaterial: (mesh) => {
+    const key = mesh.sharedMaterialKey;
+    if (!key) return;
+    delete mesh.sharedMaterialKey;
+
+    const entry = CatTreePieces._materialCache.get(key);
+    if (!entry || --entry.refCount > 0) return;
+
+    if (entry.material.map) entry.material.map.dispose();
+    entry.material.dispose();
+    CatTreePieces._materialCache.delete(key);
+    log(`🧹 Released material ${key} (${CatTreePieces._materialCache.size} cached)`);
+  },
+
+  /**
+   * Disposes one mesh built by this module
+   * Geometry and per-mesh material clones are freed; cached materials and textures are released by count
+   * @param {THREE.Object3D} mesh - Mesh (non-meshes are ignored)
+   */
+  disposeMesh: (mesh) => {
+    if (mesh.geometry) mesh.geometry.dispose();
+    if (mesh.material) {
+      (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach(material => {
+        if (material.sharedMaterialKey) return;
+        // Highlight clones share the cached texture, so only free textures nobody else owns
+        if (material.map && !material.map.isSharedTexture) material.map.dispose();
+        material.dispose();
+      });
+    }
+    CatTreePieces._releaseSharedMaterial(mesh);
+  },
+
+  /**
+   * Disposes a piece or opening object built by this module, including all its children
+   * @param {THREE.Object3D} object - Object returned by createSolidGeometry/createHollowGeometry/createOpeningMarker
+   */
+  disposePieceObject: (object) => {
+    if (!object) return;
+    object.traverse(CatTreePieces.disposeMesh);
+  },
+
+  /**
+   * Snapshot of the cache for diagnostics
+   * @returns {Object} {materials, textures, references, quality}
+   */
+  getTextureCacheStats: () => {
+    const entries = Array.from(CatTreePieces._materialCache.values());
+    return {
+      materials: entries.length,
+      textures: entries.filter(entry => entry.material.map).length,
+      references: entries.reduce((sum, entry) => sum + entry.refCount, 0),
+      quality: CatTreePieces.textureSettings.quality
+    };
+  },
+
   // ========================================
   // TEXTURE GENERATION FUNCTIONS
   // ========================================
   
   /**
-   * Helper function to create material with appropriate texture based on piece properties
+   * Shared base material for a piece, created on first use per (material, color, resolution)
+   * Meshes are counted when the piece object is built; callers must clone before changing it
+   * (applySelectionHighlight does for highlighted pieces). The material is tinted with the piece
+   * color, which is how an unhighlighted piece is drawn
    * @param {Object} piece - Piece object with material and color properties
-   * @returns {THREE.MeshLambertMaterial} Configured material
+   * @returns {THREE.MeshLambertMaterial} Cached material
    */
   _createMaterialForPiece: (piece) => {
     // Get the color for this piece
@@ -570,6 +855,44 @@ const CatTreePieces = {
       ? piece.color
       : CatTreePieces.getRandomColor();
 
+    const key = CatTreePieces._getMaterialKey(piece, color);
+    const cached = CatTreePieces._materialCache.get(key);
+    if (cached) return cached.material;
+
+    const material = CatTreePieces._buildMaterial(piece, color);
+    material.color.setHex(color);
+    material.sharedMaterialKey = key;
+    if (material.map) material.map.isSharedTexture = true;
+    CatTreePieces._materialCache.set(key, { material, refCount: 0 });
+    log(`🎨 Cached material ${key} (${CatTreePieces._materialCache.size} total)`);
+    return material;
+  },
+
+  /**
+   * Canvas for a procedural texture at the current quality
+   * The context is scaled so drawing code can keep using its logical width and height
+   * @param {number} width - Logical texture width
+   * @param {number} height - Logical texture height
+   * @returns {Object} {canvas, ctx}
+   */
+  _createTextureCanvas: (width, height) => {
+    const scale = CatTreePieces.getTextureResolution() / 512;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(canvas.width / width, canvas.height / height);
+    return { canvas, ctx };
+  },
+
+  /**
+   * Builds a new material with the texture for a piece's surface
+   * @param {Object} piece - Piece object with material and shape properties
+   * @param {number} color - Resolved piece color
+   * @returns {THREE.MeshLambertMaterial} New material
+   */
+  _buildMaterial: (piece, color) => {
+
     // Rock wall panels always use rock texture regardless of material
     if (piece.shape === 'rock-wall-panel') {
       const texture = CatTreePieces._createRockWallTexture(512, 512, color);
@@ -616,10 +939,7 @@ const CatTreePieces = {
    * @returns {THREE.CanvasTexture} Rock wall texture
    */
   _createRockWallTexture: (width = 512, height = 512, baseColor = 0x8B4513) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    const { canvas, ctx } = CatTreePieces._createTextureCanvas(width, height);
     
     // Convert hex color to RGB
     const r = (baseColor >> 16) & 255;
@@ -665,10 +985,7 @@ const CatTreePieces = {
    * @returns {THREE.CanvasTexture} Sisal texture
    */
   _createSisalTexture: (width = 512, height = 512, baseColor = 0xD2B48C) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    const { canvas, ctx } = CatTreePieces._createTextureCanvas(width, height);
 
     // Force natural sisal color (wheat/tan)
     const sisalBeige = { r: 222, g: 200, b: 160 }; // Warm beige/wheat color
@@ -733,10 +1050,7 @@ const CatTreePieces = {
    * @returns {THREE.CanvasTexture} Carpet texture
    */
   _createCarpetTexture: (width = 512, height = 512, baseColor = 0x8B7355) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    const { canvas, ctx } = CatTreePieces._createTextureCanvas(width, height);
 
     // Convert hex color to RGB
     const r = (baseColor >> 16) & 255;
@@ -807,10 +1121,7 @@ const CatTreePieces = {
    * @returns {THREE.CanvasTexture} Fabric texture
    */
   _createFabricTexture: (width = 512, height = 512, baseColor = 0xA0A0A0) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    const { canvas, ctx } = CatTreePieces._createTextureCanvas(width, height);
 
     // Convert hex color to RGB
     const r = (baseColor >> 16) & 255;
@@ -857,10 +1168,7 @@ const CatTreePieces = {
    * @returns {THREE.CanvasTexture} Wood texture
    */
   _createWoodTexture: (width = 512, height = 512, baseColor = 0x8B4513) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    const { canvas, ctx } = CatTreePieces._createTextureCanvas(width, height);
 
     // Convert hex color to RGB
     const r = (baseColor >> 16) & 255;
@@ -996,7 +1304,7 @@ const CatTreePieces = {
           console.log(`✅ Created flipped platform ${piece.name} in ${(endTime - startTime).toFixed(2)}ms`);
         }
         
-        return flipGroup;
+        return CatTreePieces._retainSharedMaterials(flipGroup);
       }
       
       if (DEBUG_PERFORMANCE) {
@@ -1004,7 +1312,7 @@ const CatTreePieces = {
         console.log(`✅ Created solid ${piece.name} in ${(endTime - startTime).toFixed(2)}ms`);
       }
       
-      return mesh;
+      return CatTreePieces._retainSharedMaterials(mesh);
       
     } catch (error) {
       console.error(`❌ Error creating geometry for ${piece.name}:`, error);
@@ -1014,7 +1322,7 @@ const CatTreePieces = {
       mesh.castShadow = true;
       mesh.receiveShadow = true;
       mesh.userData = { isPiece: true, pieceId: piece.id };
-      return mesh;
+      return CatTreePieces._retainSharedMaterials(mesh);
     }
   },
 
@@ -1555,43 +1863,104 @@ const CatTreePieces = {
   
   /**
    * Creates Three.js geometry for hollow pieces with wall structure
+   * Openings on the piece are cut out of the walls they sit on
    * @param {Object} piece - Piece object with dimensions and shape
+   * @param {Array} openings - Openings on this piece
    * @returns {THREE.Group} Three.js group containing wall meshes
    */
-  createHollowGeometry: (piece) => {
+  createHollowGeometry: (piece, openings = []) => {
     const startTime = DEBUG_PERFORMANCE ? performance.now() : 0;
     log(`🏠 Creating hollow ${piece.name}...`);
     
-    let result;
+    const result = CatTreePieces._buildHollowWalls(piece);
+    if (result && openings.length > 0) {
+      CatTreePieces._cutOpenings(result, piece, openings);
+    }
+    
+    if (DEBUG_PERFORMANCE) {
+      const endTime = performance.now();
+      console.log(`✅ Created hollow ${piece.name} with ${openings.length} openings in ${(endTime - startTime).toFixed(2)}ms`);
+    }
+    
+    return result ? CatTreePieces._retainSharedMaterials(result) : result;
+  },
+
+  /**
+   * Builds the uncut walls of a hollow piece
+   * @param {Object} piece - Piece object
+   * @returns {THREE.Group} Group containing wall meshes
+   */
+  _buildHollowWalls: (piece) => {
     switch (piece.shape) {
       case 'aframe':
-        result = CatTreePieces._createHollowAFrame(piece);
-        break;
+        return CatTreePieces._createHollowAFrame(piece);
       case 'cylinder':
-        result = CatTreePieces._createHollowCylinder(piece);
-        break;
+        return CatTreePieces._createHollowCylinder(piece);
       case 'tunnel':
-        result = CatTreePieces._createHollowTunnel(piece);
-        break;
+        return CatTreePieces._createHollowTunnel(piece);
       case 'tube-tunnel':
-        result = CatTreePieces._createTubeTunnel(piece);
-        break;
+        return CatTreePieces._createTubeTunnel(piece);
       case 'tunnel-curve90':
-        result = CatTreePieces._createCurved90Tunnel(piece);
-        break;
+        return CatTreePieces._createCurved90Tunnel(piece);
       case 'tunnel-ramp':
-        result = CatTreePieces._createRampTunnel(piece);
-        break;
+        return CatTreePieces._createRampTunnel(piece);
       default:
-        result = CatTreePieces._createHollowBox(piece);
+        return CatTreePieces._createHollowBox(piece);
     }
-    
-    if (DEBUG_PERFORMANCE) {
-      const endTime = performance.now();
-      console.log(`✅ Created hollow ${piece.name} in ${(endTime - startTime).toFixed(2)}ms`);
+  },
+
+  /**
+   * Wall thickness the hollow builders use for a shape, before scaling
+   * @param {Object} piece - Hollow piece object
+   * @returns {number} Thickness in inches
+   */
+  getHollowWallThickness: (piece) => (
+    piece.shape === 'tube-tunnel' || piece.shape === 'tunnel-curve90' ? 1.25 : 0.75
+  ),
+
+  /**
+   * Flat wall panels a hollow piece is built from, at full size
+   * Mirrors the walls of _createHollowBox, _createHollowAFrame and _createHollowTunnel
+   * @param {Object} piece - Hollow piece object
+   * @returns {Array|null} Panels {name, width, height, thickness, outline}, or null for curved shapes
+   */
+  getWallPanels: (piece) => {
+    const wallThickness = 0.75;
+    const { width, height, depth } = piece;
+    const panel = (name, panelWidth, panelHeight, outline = 'rectangle') => ({
+      name, width: panelWidth, height: panelHeight, thickness: wallThickness, outline
+    });
+
+    switch (piece.shape) {
+      case 'box':
+        return [
+          panel('front', width, height),
+          panel('back', width, height),
+          panel('left', depth - wallThickness, height),
+          panel('right', depth - wallThickness, height),
+          panel('top', width, depth),
+          panel('bottom', width, depth)
+        ];
+      case 'aframe': {
+        const roofLength = Math.sqrt((width / 2) * (width / 2) + height * height);
+        return [
+          panel('front', width, height, 'triangle'),
+          panel('back', width, height, 'triangle'),
+          panel('bottom', width, depth),
+          panel('left', roofLength, depth),
+          panel('right', roofLength, depth)
+        ];
+      }
+      case 'tunnel':
+        return [
+          panel('top', width, depth),
+          panel('bottom', width, depth),
+          panel('left', width, height - 2 * wallThickness),
+          panel('right', width, height - 2 * wallThickness)
+        ];
+      default:
+        return null;
     }
-    
-    return result;
   },
 
   /**
@@ -2023,78 +2392,332 @@ const CatTreePieces = {
   },
 
   // ========================================
-  // OPENING MARKER CREATION SYSTEM
+  // OPENING CUT-OUT SYSTEM
   // ========================================
-  
+
+  // Wall geometries that are closed solids; cutting them fills in the sides of the hole
+  // Everything else (cylinder shells, end rings, bent tubes) is an open surface and is only trimmed
+  SOLID_WALL_GEOMETRIES: ['BoxGeometry', 'ExtrudeGeometry', 'LatheGeometry'],
+
   /**
-   * Creates visual markers for openings on hollow pieces
-   * @param {Object} opening - Opening definition
-   * @param {Object} parentPiece - Parent piece the opening is on
-   * @returns {THREE.Group} Three.js group containing opening marker
+   * Faces an opening can sit on: outward normal of the bounding-box face,
+   * and the direction that counts as "up" for the opening's shape
    */
-  createOpeningMarker: (opening, parentPiece) => {
-    const group = new THREE.Group();
-    const face = opening.face || 'front';
-    
-    const SCALE_FACTOR = 0.96;
-    const [parentHalfWidth, parentHalfHeight, parentHalfDepth] = [
-      (parentPiece.width * SCALE_FACTOR) / 2,
-      (parentPiece.height * SCALE_FACTOR) / 2,
-      (parentPiece.depth * SCALE_FACTOR) / 2
-    ];
-    
-    // Face position and rotation calculations
-    const positions = {
-      front: { pos: [opening.offsetX || 0, opening.offsetY || 0, parentHalfDepth + 0.1], rot: [0, 0, 0] },
-      back: { pos: [opening.offsetX || 0, opening.offsetY || 0, -parentHalfDepth - 0.1], rot: [0, Math.PI, 0] },
-      left: { pos: [-parentHalfWidth - 0.1, opening.offsetY || 0, opening.offsetZ || 0], rot: [0, Math.PI/2, 0] },
-      right: { pos: [parentHalfWidth + 0.1, opening.offsetY || 0, opening.offsetZ || 0], rot: [0, -Math.PI/2, 0] },
-      top: { pos: [opening.offsetX || 0, parentHalfHeight + 0.1, opening.offsetZ || 0], rot: [-Math.PI/2, 0, 0] },
-      bottom: { pos: [opening.offsetX || 0, -parentHalfHeight - 0.1, opening.offsetZ || 0], rot: [Math.PI/2, 0, 0] }
-    };
-    
-    const { pos, rot } = positions[face];
-    
-    // Create marker geometry based on opening shape
-    let geometry;
-    switch (opening.shape) {
+  OPENING_FACES: {
+    front: { normal: [0, 0, 1], up: [0, 1, 0] },
+    back: { normal: [0, 0, -1], up: [0, 1, 0] },
+    left: { normal: [-1, 0, 0], up: [0, 1, 0] },
+    right: { normal: [1, 0, 0], up: [0, 1, 0] },
+    top: { normal: [0, 1, 0], up: [0, 0, -1] },
+    bottom: { normal: [0, -1, 0], up: [0, 0, 1] }
+  },
+
+  /**
+   * Outline of an opening shape, centered on the origin
+   * Always convex; a paw print is outlined by the oval that holds its pad and toes
+   * @param {string} shape - A key of OPENING_SHAPES
+   * @param {number} width - Opening width
+   * @param {number} height - Opening height
+   * @param {number} segments - Segments used for a full curve
+   * @returns {THREE.Vector2[]} Points in counter-clockwise order
+   */
+  getOpeningOutline: (shape, width, height, segments = 32) => {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    const points = [];
+
+    switch (shape) {
       case 'circle':
-        geometry = new THREE.CircleGeometry(opening.width/2, 32);
+      case 'oval':
+      case 'paw':
+        for (let i = 0; i < segments; i++) {
+          const angle = (i / segments) * Math.PI * 2;
+          points.push(new THREE.Vector2(Math.cos(angle) * halfWidth, Math.sin(angle) * halfHeight));
+        }
         break;
-      case 'arch':
-        const archShape = new THREE.Shape();
-        archShape.absarc(0, 0, opening.width/2, 0, Math.PI, false);
-        archShape.lineTo(-opening.width/2, -opening.height/2);
-        archShape.lineTo(opening.width/2, -opening.height/2);
-        geometry = new THREE.ShapeGeometry(archShape);
+      case 'arch': {
+        // Straight sides topped by a half ellipse no taller than the opening
+        const rise = Math.min(halfWidth, height);
+        const springY = halfHeight - rise;
+        if (rise < height) {
+          points.push(new THREE.Vector2(-halfWidth, -halfHeight), new THREE.Vector2(halfWidth, -halfHeight));
+        }
+        for (let i = 0; i <= segments / 2; i++) {
+          const angle = (i / (segments / 2)) * Math.PI;
+          points.push(new THREE.Vector2(Math.cos(angle) * halfWidth, springY + Math.sin(angle) * rise));
+        }
+        break;
+      }
+      case 'rounded-rectangle': {
+        // Quarter circles in each corner, a fifth of the shorter side
+        const radius = Math.min(halfWidth, halfHeight) * 0.4;
+        const steps = Math.max(2, Math.round(segments / 4));
+        [[1, 1], [-1, 1], [-1, -1], [1, -1]].forEach(([sx, sy], corner) => {
+          const cx = sx * (halfWidth - radius);
+          const cy = sy * (halfHeight - radius);
+          for (let i = 0; i <= steps; i++) {
+            const angle = (corner + i / steps) * (Math.PI / 2);
+            points.push(new THREE.Vector2(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius));
+          }
+        });
         break;
+      }
       default:
-        geometry = new THREE.PlaneGeometry(opening.width, opening.height);
+        points.push(
+          new THREE.Vector2(-halfWidth, -halfHeight),
+          new THREE.Vector2(halfWidth, -halfHeight),
+          new THREE.Vector2(halfWidth, halfHeight),
+          new THREE.Vector2(-halfWidth, halfHeight)
+        );
     }
-    
-    const material = new THREE.MeshBasicMaterial({ 
-      color: 0x00aa00, 
-      side: THREE.DoubleSide, 
-      transparent: true, 
-      opacity: 0.9 
+    return points;
+  },
+
+  /**
+   * Paw print layout as fractions of the opening: a main pad and four toes, {x, y, rx, ry}
+   */
+  PAW_PADS: [
+    { x: 0, y: -0.18, rx: 0.3, ry: 0.24 },
+    { x: -0.36, y: 0.12, rx: 0.1, ry: 0.13 },
+    { x: -0.13, y: 0.33, rx: 0.1, ry: 0.13 },
+    { x: 0.13, y: 0.33, rx: 0.1, ry: 0.13 },
+    { x: 0.36, y: 0.12, rx: 0.1, ry: 0.13 }
+  ],
+
+  /**
+   * Holes actually cut for an opening - one for most shapes, one per pad for a paw print
+   * @param {string} shape - A key of OPENING_SHAPES
+   * @param {number} width - Opening width
+   * @param {number} height - Opening height
+   * @param {number} segments - Segments used for a full curve
+   * @param {number} inset - How far each hole is shrunk (for drawing a rim inside it)
+   * @returns {Array} Outlines, each THREE.Vector2[] in counter-clockwise order
+   */
+  getOpeningCutouts: (shape, width, height, segments = 32, inset = 0) => {
+    if (shape !== 'paw') {
+      return [CatTreePieces.getOpeningOutline(shape, width - inset * 2, height - inset * 2, segments)];
+    }
+
+    return CatTreePieces.PAW_PADS.map(pad => {
+      const rx = Math.max(pad.rx * width - inset, pad.rx * width * 0.5);
+      const ry = Math.max(pad.ry * height - inset, pad.ry * height * 0.5);
+      const points = [];
+      for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector2(pad.x * width + Math.cos(angle) * rx, pad.y * height + Math.sin(angle) * ry));
+      }
+      return points;
     });
-    
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(...pos);
-    mesh.rotation.set(...rot);
-    mesh.userData = { 
-      isOpening: true, 
-      openingId: opening.id, 
-      parentPieceId: parentPiece.id 
+  },
+
+  /**
+   * First wall surface a ray meets
+   * @param {THREE.Object3D|null} walls - Uncut walls of the piece (matrices current)
+   * @param {THREE.Vector3} point - Point the ray passes through
+   * @param {THREE.Vector3} direction - Ray direction (unit length)
+   * @param {number} reach - How far outside the point the ray starts
+   * @returns {Object|null} {point, normal} with the normal facing back along the ray
+   */
+  _castOntoWalls: (walls, point, direction, reach) => {
+    if (!walls) return null;
+    const raycaster = new THREE.Raycaster(point.clone().addScaledVector(direction, -reach), direction, 0, reach * 2);
+    const hit = raycaster.intersectObject(walls, true)[0];
+    if (!hit || !hit.face) return null;
+
+    // Blend the vertex normals at the hit so faceted curves read as smooth
+    const normals = hit.object.geometry.getAttribute('normal');
+    const normal = hit.face.normal.clone();
+    if (normals) {
+      const positions = hit.object.geometry.getAttribute('position');
+      const corners = [hit.face.a, hit.face.b, hit.face.c].map(index =>
+        new THREE.Vector3().fromBufferAttribute(positions, index).applyMatrix4(hit.object.matrixWorld)
+      );
+      const weights = THREE.Triangle.getBarycoord(hit.point, ...corners, new THREE.Vector3());
+      normal.set(0, 0, 0);
+      [hit.face.a, hit.face.b, hit.face.c].forEach((index, corner) => {
+        normal.addScaledVector(new THREE.Vector3().fromBufferAttribute(normals, index), weights.getComponent(corner));
+      });
+      if (normal.lengthSq() < 1e-8) normal.copy(hit.face.normal);
+    }
+    normal.transformDirection(hit.object.matrixWorld);
+    if (normal.dot(direction) > 0) normal.negate();
+    return { point: hit.point.clone(), normal };
+  },
+
+  /**
+   * Where an opening meets its parent's walls, in the parent's local frame
+   * The opening's offsets pick a point on the bounding-box face; a ray from outside finds the
+   * wall there, so openings sit on curved and sloped walls and face along the wall's normal.
+   * Without walls (or when the ray misses) the opening sits flat on the bounding-box face.
+   * @param {Object} opening - Opening definition
+   * @param {Object} parentPiece - Piece the opening is on
+   * @param {THREE.Object3D|null} walls - Uncut walls from _buildHollowWalls
+   * @returns {Object} {position, normal, up, side, depth, onWall} - depth is how far the cut must reach
+   */
+  getOpeningPlacement: (opening, parentPiece, walls = null) => {
+    const SCALE_FACTOR = 0.96;
+    const face = CatTreePieces.OPENING_FACES[opening.face] || CatTreePieces.OPENING_FACES.front;
+    const faceNormal = new THREE.Vector3(...face.normal);
+    const halfSize = new THREE.Vector3(parentPiece.width, parentPiece.height, parentPiece.depth).multiplyScalar(SCALE_FACTOR / 2);
+    const reach = halfSize.length() * 2 + 1;
+    if (walls) walls.updateMatrixWorld(true);
+
+    // Offsets along the face; the axis through the face is pinned to the face itself
+    const facePoint = new THREE.Vector3(opening.offsetX || 0, opening.offsetY || 0, opening.offsetZ || 0);
+    ['x', 'y', 'z'].forEach(axis => {
+      if (faceNormal[axis] !== 0) facePoint[axis] = faceNormal[axis] * halfSize[axis];
+    });
+
+    const centerHit = CatTreePieces._castOntoWalls(walls, facePoint, faceNormal.clone().negate(), reach);
+    const position = centerHit ? centerHit.point : facePoint;
+    const normal = centerHit ? centerHit.normal : faceNormal;
+
+    // "Up" for the opening, laid onto the wall surface
+    const up = new THREE.Vector3(...face.up);
+    up.addScaledVector(normal, -up.dot(normal));
+    if (up.lengthSq() < 1e-6) up.copy(faceNormal).addScaledVector(normal, -faceNormal.dot(normal));
+    up.normalize();
+    const side = new THREE.Vector3().crossVectors(up, normal);
+
+    // How far the wall falls away under the opening's edges (curved walls)
+    const halfWidth = opening.width / 2;
+    const halfHeight = opening.height / 2;
+    let falloff = 0;
+    if (centerHit) {
+      [[halfWidth, 0], [-halfWidth, 0], [0, halfHeight], [0, -halfHeight]].forEach(([x, y]) => {
+        const sample = position.clone().addScaledVector(side, x).addScaledVector(up, y);
+        const hit = CatTreePieces._castOntoWalls(walls, sample, normal.clone().negate(), reach);
+        if (hit) falloff = Math.max(falloff, position.clone().sub(hit.point).dot(normal));
+      });
+    }
+
+    const wallThickness = CatTreePieces.getHollowWallThickness(parentPiece) * SCALE_FACTOR;
+    return {
+      position,
+      normal,
+      up,
+      side,
+      depth: wallThickness + Math.min(falloff, Math.max(halfWidth, halfHeight)),
+      onWall: !!centerHit
     };
-    
-    group.add(mesh);
-    group.userData = { 
-      isOpening: true, 
-      openingId: opening.id, 
-      parentPieceId: parentPiece.id 
+  },
+
+  /**
+   * Solid that carves an opening out of a wall
+   * @param {Object} opening - Opening definition
+   * @param {Object} placement - Placement from getOpeningPlacement
+   * @returns {THREE.BufferGeometry} Extruded outline in the parent's local frame
+   */
+  _createOpeningCutter: (opening, placement) => {
+    const margin = 0.25;
+    const length = placement.depth + margin * 2;
+    const shapes = CatTreePieces.getOpeningCutouts(opening.shape, opening.width, opening.height)
+      .map(outline => new THREE.Shape(outline));
+    const geometry = new THREE.ExtrudeGeometry(shapes, { depth: length, bevelEnabled: false });
+
+    // Extrusions run along +z; turn that onto the wall normal, ending just outside the surface
+    const matrix = new THREE.Matrix4().makeBasis(placement.side, placement.up, placement.normal);
+    matrix.setPosition(placement.position.clone().addScaledVector(placement.normal, margin - length));
+    geometry.applyMatrix4(matrix);
+    geometry.computeBoundingBox();
+    return geometry;
+  },
+
+  /**
+   * Cuts every opening out of the walls it passes through
+   * @param {THREE.Group} group - Uncut walls from _buildHollowWalls (modified in place)
+   * @param {Object} piece - Hollow piece
+   * @param {Array} openings - Openings on the piece
+   */
+  _cutOpenings: (group, piece, openings) => {
+    // Place every opening before any wall is cut, so one hole can't move another
+    const cutters = openings
+      .map(opening => CatTreePieces._createOpeningCutter(opening, CatTreePieces.getOpeningPlacement(opening, piece, group)));
+
+    group.traverse(child => {
+      if (!child.isMesh) return;
+      if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+      const wallBox = child.geometry.boundingBox.clone().applyMatrix4(child.matrixWorld);
+      const touching = cutters.filter(cutter => cutter.boundingBox.intersectsBox(wallBox));
+      if (touching.length === 0) return;
+
+      const solid = CatTreePieces.SOLID_WALL_GEOMETRIES.includes(child.geometry.type);
+      CSG.subtractFromMesh(child, touching, solid);
+      log(`🕳️ Cut ${touching.length} opening(s) from ${piece.name} ${child.userData.wallName || 'wall'}`);
+    });
+
+    cutters.forEach(cutter => cutter.dispose());
+  },
+
+  /**
+   * Creates the selectable outline of an opening
+   * A rim around the hole and a faint pane across it, both draped over the wall surface;
+   * the hole itself is cut by createHollowGeometry
+   * @param {Object} opening - Opening definition
+   * @param {Object} parentPiece - Parent piece the opening is on
+   * @returns {THREE.Group} Three.js group containing the opening outline
+   */
+  createOpeningMarker: (opening, parentPiece) => {
+    const group = new THREE.Group();
+    const walls = parentPiece.hollow ? CatTreePieces._buildHollowWalls(parentPiece) : null;
+    const placement = CatTreePieces.getOpeningPlacement(opening, parentPiece, walls);
+    const reach = Math.max(parentPiece.width, parentPiece.height, parentPiece.depth) * 2;
+
+    const border = Math.min(0.4, opening.width / 4, opening.height / 4);
+    const outer = CatTreePieces.getOpeningCutouts(opening.shape, opening.width, opening.height);
+    const inner = CatTreePieces.getOpeningCutouts(opening.shape, opening.width, opening.height, 32, border);
+    const rimShapes = outer.map((outline, index) => {
+      const rimShape = new THREE.Shape(outline);
+      rimShape.holes.push(new THREE.Path(inner[index]));
+      return rimShape;
+    });
+
+    const parts = [
+      { part: 'rim', geometry: new THREE.ShapeGeometry(rimShapes), opacity: 0.9 },
+      { part: 'pane', geometry: new THREE.ShapeGeometry(inner.map(outline => new THREE.Shape(outline))), opacity: 0.15 }
+    ];
+
+    parts.forEach(({ part, geometry, opacity }) => {
+      // Drape each vertex onto the uncut wall, just proud of the surface
+      const position = geometry.getAttribute('position');
+      for (let i = 0; i < position.count; i++) {
+        const point = placement.position.clone()
+          .addScaledVector(placement.side, position.getX(i))
+          .addScaledVector(placement.up, position.getY(i));
+        const hit = CatTreePieces._castOntoWalls(walls, point, placement.normal.clone().negate(), reach);
+        const height = hit ? hit.point.clone().sub(placement.position).dot(placement.normal) : 0;
+        point.addScaledVector(placement.normal, height + 0.05);
+        position.setXYZ(i, point.x, point.y, point.z);
+      }
+      geometry.computeVertexNormals();
+      geometry.computeBoundingSphere();
+
+      const material = new THREE.MeshBasicMaterial({
+        color: 0x00aa00,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity,
+        depthWrite: part === 'rim'
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.userData = {
+        isOpening: true,
+        openingId: opening.id,
+        parentPieceId: parentPiece.id,
+        openingPart: part
+      };
+      group.add(mesh);
+    });
+
+    // The uncut walls were only needed to find the surface
+    if (walls) walls.traverse(child => child.isMesh && child.geometry.dispose());
+
+    group.userData = {
+      isOpening: true,
+      openingId: opening.id,
+      parentPieceId: parentPiece.id
     };
-    
+
     return group;
   },
 
@@ -2104,18 +2727,25 @@ const CatTreePieces = {
   
   /**
    * Applies selection highlighting to piece meshes
+   * Highlighted meshes get their own copy of the material; unhighlighted ones go back to the
+   * shared cached material, so most pieces draw with one material per (material, color)
    * @param {THREE.Mesh|THREE.Group} mesh - Mesh or group to highlight
    * @param {boolean} isSelected - Whether piece is selected
    * @param {boolean} isLocked - Whether piece is locked
    * @param {Object} piece - Piece object for color reference
+   * @param {boolean} hasConflict - Whether piece overlaps another piece
+   * @param {boolean} keepOwnMaterial - Keep a material copy even when unhighlighted (the caller tints it further)
    */
-  applySelectionHighlight: (mesh, isSelected, isLocked, piece) => {
+  applySelectionHighlight: (mesh, isSelected, isLocked, piece, hasConflict = false, keepOwnMaterial = false) => {
     if (!mesh) return;
+    const highlighted = isSelected || hasConflict || isLocked || keepOwnMaterial;
     
     // Determine target color based on state
     let targetColor;
     if (isSelected) {
       targetColor = SharedUtils.COLORS.SELECTION;
+    } else if (hasConflict) {
+      targetColor = SharedUtils.COLORS.ERROR;
     } else if (isLocked) {
       // Keep original color for locked pieces, add subtle red highlight via emissive
       targetColor = piece && piece.color !== undefined && piece.color !== null ? piece.color : CatTreePieces.getRandomColor();
@@ -2129,6 +2759,17 @@ const CatTreePieces = {
     // Apply color to all meshes in the object
     mesh.traverse((child) => {
       if (child.isMesh && child.material) {
+        const shared = child.sharedMaterialKey && CatTreePieces._materialCache.get(child.sharedMaterialKey);
+
+        // Unhighlighted pieces draw with the cached material, which already has the piece color
+        if (shared && !highlighted) {
+          if (child.material !== shared.material) {
+            child.material.dispose();
+            child.material = shared.material;
+          }
+          return;
+        }
+
         // Clone material to avoid affecting other instances
         if (!child.material.isCustomMaterial) {
           child.material = child.material.clone();
@@ -2139,6 +2780,7 @@ const CatTreePieces = {
         // Set emissive color for selection/lock states
         if (child.material.emissive) {
           child.material.emissive.setHex(
+            hasConflict ? 0x440000 : // Red glow for overlapping pieces, even when selected
             isSelected ? 0x111111 : 
             isLocked ? 0x220000 : // Subtle red glow for locked pieces
             0x000000
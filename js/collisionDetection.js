@@ -0,0 +1,357 @@
+// =====================================================
+// COLLISION DETECTION SYSTEM -v2- SEGMENT OBSTRUCTION QUERIES
+// =====================================================
+
+const CollisionDetection = {
+
+  // ========================================
+  // SETTINGS & CACHES
+  // ========================================
+
+  /**
+   * Numeric tolerances for the triangle tests
+   * Rendered pieces are already shrunk 4% by CatTreePieces, so faces that merely touch never intersect
+   */
+  settings: {
+    epsilon: 1e-6,
+    probeShrink: 0.999,  // Edges are tested slightly shrunk so identical, flush faces still register as overlapping
+    rayDirection: [0.8660, 0.4226, 0.2672] // Skewed ray avoids hitting edges exactly in parity tests
+  },
+
+  // Local-space triangles keyed by everything that changes a piece's geometry (not its placement)
+  _localShapeCache: new Map(),
+
+  // World-space triangles per (immutable) piece object
+  _worldShapeCache: new WeakMap(),
+
+  // ========================================
+  // GEOMETRY EXTRACTION
+  // ========================================
+
+  /**
+   * Key describing a piece's geometry independent of position and rotation
+   * @param {Object} piece - Piece object
+   * @returns {string} Geometry key
+   */
+  getShapeKey: (piece) => [
+    piece.variantId, piece.shape, piece.hollow ? 1 : 0,
+    piece.width, piece.height, piece.depth,
+    piece.flipped ? 1 : 0, piece.apexPosition || 0.5
+  ].join('|'),
+
+  /**
+   * Triangles of the piece geometry built by CatTreePieces, relative to the object Canvas3D positions
+   * @param {Object} piece - Piece object
+   * @returns {Float32Array} 9 floats per triangle
+   */
+  getLocalTriangles: (piece) => {
+    const key = CollisionDetection.getShapeKey(piece);
+    const cached = CollisionDetection._localShapeCache.get(key);
+    if (cached) return cached;
+
+    const object = piece.hollow
+      ? CatTreePieces.createHollowGeometry(piece)
+      : CatTreePieces.createSolidGeometry(piece);
+
+    const values = [];
+    if (object) {
+      object.position.set(0, 0, 0);
+      object.rotation.set(0, 0, 0);
+      object.updateMatrixWorld(true);
+
+      const vertex = new THREE.Vector3();
+      object.traverse(child => {
+        if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+        const positions = child.geometry.attributes.position;
+        const index = child.geometry.index;
+        const count = index ? index.count : positions.count;
+        for (let i = 0; i < count; i++) {
+          vertex.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+          values.push(vertex.x, vertex.y, vertex.z);
+        }
+      });
+
+      // Only the vertex data is needed; release the temporary geometry (materials are shared)
+      CatTreePieces.disposePieceObject(object);
+    }
+
+    const triangles = new Float32Array(values);
+    CollisionDetection._localShapeCache.set(key, triangles);
+    return triangles;
+  },
+
+  /**
+   * Placement matrix matching Canvas3D: panels pivot from their bottom edge (YXZ order),
+   * everything else is centered on the piece and rotated about that center
+   * @param {Object} piece - Piece object
+   * @returns {THREE.Matrix4} Local-to-world matrix
+   */
+  getPlacementMatrix: (piece) => {
+    if (piece.shape && piece.shape.includes('panel')) {
+      const zOffset = piece.tiltX ? -Math.sin(piece.tiltX) * (piece.height / 2) : 0;
+      const pivot = new THREE.Matrix4().compose(
+        new THREE.Vector3(piece.x, piece.y, piece.z + zOffset),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(piece.tiltX || 0, piece.rotationY || 0, piece.tiltZ || 0, 'YXZ')),
+        new THREE.Vector3(1, 1, 1)
+      );
+      return pivot.multiply(new THREE.Matrix4().makeTranslation(0, piece.height / 2, 0));
+    }
+
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3(piece.x, piece.y + piece.height / 2, piece.z),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(piece.tiltX || 0, piece.rotationY || 0, piece.tiltZ || 0)),
+      new THREE.Vector3(1, 1, 1)
+    );
+  },
+
+  /**
+   * World-space collision shape of a piece
+   * @param {Object} piece - Piece object
+   * @returns {Object} {triangles, probe, box} where probe is the triangles shrunk toward the center
+   */
+  getWorldShape: (piece) => {
+    const cached = CollisionDetection._worldShapeCache.get(piece);
+    if (cached) return cached;
+
+    const local = CollisionDetection.getLocalTriangles(piece);
+    const matrix = CollisionDetection.getPlacementMatrix(piece);
+    const triangles = new Float32Array(local.length);
+    const box = new THREE.Box3();
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < local.length; i += 3) {
+      vertex.set(local[i], local[i + 1], local[i + 2]).applyMatrix4(matrix);
+      triangles[i] = vertex.x;
+      triangles[i + 1] = vertex.y;
+      triangles[i + 2] = vertex.z;
+      box.expandByPoint(vertex);
+    }
+
+    // Shrunk copy used as the "probe" side of edge tests
+    const center = box.getCenter(new THREE.Vector3());
+    const shrink = CollisionDetection.settings.probeShrink;
+    const probe = new Float32Array(triangles.length);
+    for (let i = 0; i < triangles.length; i += 3) {
+      probe[i] = center.x + (triangles[i] - center.x) * shrink;
+      probe[i + 1] = center.y + (triangles[i + 1] - center.y) * shrink;
+      probe[i + 2] = center.z + (triangles[i + 2] - center.z) * shrink;
+    }
+
+    const shape = { triangles, probe, box };
+    CollisionDetection._worldShapeCache.set(piece, shape);
+    return shape;
+  },
+
+  // ========================================
+  // TRIANGLE TESTS
+  // ========================================
+
+  /**
+   * Möller–Trumbore test of segment p→p+dir (t in (0, maxT)) against triangle i of a buffer
+   * @returns {boolean} Whether the segment crosses the triangle interior
+   */
+  _segmentHitsTriangle: (px, py, pz, dx, dy, dz, maxT, tris, i) => {
+    const eps = CollisionDetection.settings.epsilon;
+    const ax = tris[i], ay = tris[i + 1], az = tris[i + 2];
+    const e1x = tris[i + 3] - ax, e1y = tris[i + 4] - ay, e1z = tris[i + 5] - az;
+    const e2x = tris[i + 6] - ax, e2y = tris[i + 7] - ay, e2z = tris[i + 8] - az;
+
+    const hx = dy * e2z - dz * e2y, hy = dz * e2x - dx * e2z, hz = dx * e2y - dy * e2x;
+    const det = e1x * hx + e1y * hy + e1z * hz;
+    if (Math.abs(det) < eps) return false; // Parallel or degenerate
+
+    const inv = 1 / det;
+    const sx = px - ax, sy = py - ay, sz = pz - az;
+    const u = (sx * hx + sy * hy + sz * hz) * inv;
+    if (u <= eps || u >= 1 - eps) return false;
+
+    const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+    const v = (dx * qx + dy * qy + dz * qz) * inv;
+    if (v <= eps || u + v >= 1 - eps) return false;
+
+    const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return t > eps && t < maxT - eps;
+  },
+
+  /**
+   * Whether an edge of triangle s (in a probe buffer) passes through triangle t
+   * @returns {boolean} Whether any edge crosses the target triangle
+   */
+  _edgesHitTriangle: (source, s, target, t) => {
+    for (let k = 0; k < 3; k++) {
+      const from = s + k * 3;
+      const to = s + ((k + 1) % 3) * 3;
+      if (CollisionDetection._segmentHitsTriangle(
+        source[from], source[from + 1], source[from + 2],
+        source[to] - source[from], source[to + 1] - source[from + 1], source[to + 2] - source[from + 2],
+        1, target, t
+      )) return true;
+    }
+    return false;
+  },
+
+  /**
+   * Two triangles interpenetrate when an edge of one passes through the other
+   * Edges come from the shrunk probe copies; exactly touching faces are not reported
+   * @returns {boolean} Whether triangle i of A and triangle j of B intersect
+   */
+  _trianglesIntersect: (shapeA, i, shapeB, j) => {
+    return CollisionDetection._edgesHitTriangle(shapeA.probe, i, shapeB.triangles, j) ||
+      CollisionDetection._edgesHitTriangle(shapeB.probe, j, shapeA.triangles, i);
+  },
+
+  /**
+   * Offsets of the triangles whose bounds touch a region
+   * @param {Float32Array} tris - Triangle buffer
+   * @param {THREE.Box3} region - Region of interest
+   * @returns {Array} Triangle start offsets
+   */
+  _trianglesInBox: (tris, region) => {
+    const offsets = [];
+    for (let i = 0; i < tris.length; i += 9) {
+      const minX = Math.min(tris[i], tris[i + 3], tris[i + 6]);
+      const maxX = Math.max(tris[i], tris[i + 3], tris[i + 6]);
+      const minY = Math.min(tris[i + 1], tris[i + 4], tris[i + 7]);
+      const maxY = Math.max(tris[i + 1], tris[i + 4], tris[i + 7]);
+      const minZ = Math.min(tris[i + 2], tris[i + 5], tris[i + 8]);
+      const maxZ = Math.max(tris[i + 2], tris[i + 5], tris[i + 8]);
+      if (maxX < region.min.x || minX > region.max.x ||
+          maxY < region.min.y || minY > region.max.y ||
+          maxZ < region.min.z || minZ > region.max.z) continue;
+      offsets.push(i);
+    }
+    return offsets;
+  },
+
+  /**
+   * Ray parity test: is a point inside a closed mesh?
+   * @param {Array} point - [x, y, z]
+   * @param {Float32Array} tris - Triangle buffer of a closed mesh
+   * @returns {boolean} Whether the point is inside
+   */
+  _pointInsideMesh: (point, tris) => {
+    const [dx, dy, dz] = CollisionDetection.settings.rayDirection;
+    let crossings = 0;
+    for (let i = 0; i < tris.length; i += 9) {
+      if (CollisionDetection._segmentHitsTriangle(point[0], point[1], point[2], dx, dy, dz, 1e6, tris, i)) {
+        crossings++;
+      }
+    }
+    return crossings % 2 === 1;
+  },
+
+  // ========================================
+  // PIECE COLLISIONS
+  // ========================================
+
+  /**
+   * Checks whether two pieces occupy the same space
+   * Hollow pieces may contain other pieces (a bed inside a house), solid ones may not
+   * @param {Object} pieceA - First piece
+   * @param {Object} pieceB - Second piece
+   * @returns {boolean} Whether the pieces interpenetrate
+   */
+  piecesCollide: (pieceA, pieceB) => {
+    const shapeA = CollisionDetection.getWorldShape(pieceA);
+    const shapeB = CollisionDetection.getWorldShape(pieceB);
+    if (shapeA.triangles.length === 0 || shapeB.triangles.length === 0) return false;
+    if (!shapeA.box.intersectsBox(shapeB.box)) return false;
+
+    // Only triangles inside the shared bounding region can intersect
+    const region = shapeA.box.clone().intersect(shapeB.box);
+    const candidatesA = CollisionDetection._trianglesInBox(shapeA.triangles, region);
+    const candidatesB = CollisionDetection._trianglesInBox(shapeB.triangles, region);
+
+    for (const i of candidatesA) {
+      for (const j of candidatesB) {
+        if (CollisionDetection._trianglesIntersect(shapeA, i, shapeB, j)) return true;
+      }
+    }
+
+    // No surface crossings: one piece may still sit entirely inside a solid one
+    const firstVertex = (tris) => [tris[0], tris[1], tris[2]];
+    if (!pieceB.hollow && shapeB.box.containsBox(shapeA.box) &&
+        CollisionDetection._pointInsideMesh(firstVertex(shapeA.probe), shapeB.triangles)) return true;
+    if (!pieceA.hollow && shapeA.box.containsBox(shapeB.box) &&
+        CollisionDetection._pointInsideMesh(firstVertex(shapeB.probe), shapeA.triangles)) return true;
+
+    return false;
+  },
+
+  /**
+   * Finds every pair of overlapping pieces
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Array} Conflicts {id, pieceIds: [a, b], pieceNames: [a, b]}
+   */
+  findCollisions: (pieces) => {
+    const startTime = performance.now();
+    const collisions = [];
+
+    for (let a = 0; a < pieces.length; a++) {
+      for (let b = a + 1; b < pieces.length; b++) {
+        try {
+          if (CollisionDetection.piecesCollide(pieces[a], pieces[b])) {
+            collisions.push({
+              id: `${pieces[a].id}|${pieces[b].id}`,
+              pieceIds: [pieces[a].id, pieces[b].id],
+              pieceNames: [pieces[a].name, pieces[b].name]
+            });
+          }
+        } catch (error) {
+          console.warn(`⚠️ Collision check failed for ${pieces[a].name} / ${pieces[b].name}:`, error);
+        }
+      }
+    }
+
+    const elapsed = performance.now() - startTime;
+    if (collisions.length > 0 || elapsed > 50) {
+      console.log(`💥 ${collisions.length} overlapping piece pair(s) found in ${elapsed.toFixed(1)}ms`);
+    }
+    return collisions;
+  },
+
+  /**
+   * IDs of the pieces a given piece overlaps
+   * @param {Object} piece - Piece to test (may be a not-yet-applied candidate position)
+   * @param {Array} others - Pieces to test against (the piece itself is skipped by id)
+   * @returns {Array} Overlapping piece IDs
+   */
+  findOverlapping: (piece, others) => {
+    return others
+      .filter(other => other.id !== piece.id && CollisionDetection.piecesCollide(piece, other))
+      .map(other => other.id);
+  },
+
+  // ========================================
+  // SEGMENT QUERIES
+  // ========================================
+
+  /**
+   * A piece standing in the way of a straight segment
+   * The segment is blocked when it crosses a surface of the piece, or ends inside a solid piece
+   * @param {THREE.Vector3} from - Segment start (world space)
+   * @param {THREE.Vector3} to - Segment end (world space)
+   * @param {Array} pieces - Pieces to test
+   * @returns {Object|null} The first blocking piece found, or null when the way is clear
+   */
+  findObstruction: (from, to, pieces) => {
+    const segmentBox = new THREE.Box3().setFromPoints([from, to]);
+    const dx = to.x - from.x, dy = to.y - from.y, dz = to.z - from.z;
+
+    return pieces.find(piece => {
+      const shape = CollisionDetection.getWorldShape(piece);
+      if (shape.triangles.length === 0 || !shape.box.intersectsBox(segmentBox)) return false;
+
+      const crosses = CollisionDetection._trianglesInBox(shape.triangles, segmentBox).some(i =>
+        CollisionDetection._segmentHitsTriangle(from.x, from.y, from.z, dx, dy, dz, 1, shape.triangles, i)
+      );
+      if (crosses) return true;
+
+      return !piece.hollow && shape.box.containsPoint(to) &&
+        CollisionDetection._pointInsideMesh([to.x, to.y, to.z], shape.triangles);
+    }) || null;
+  }
+};
+
+// Export for use in other modules
+window.CollisionDetection = CollisionDetection;
@@ -0,0 +1,293 @@
+// =====================================================
+// COMMAND PALETTE COMPONENT -v1- SEARCHABLE ACTIONS & KEYMAP
+// =====================================================
+
+/**
+ * Searchable list of every editor action and every piece variant
+ * A second view lists the keyboard shortcuts and lets the user rebind them
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the palette is shown
+ * @param {Function} props.onClose - Close handler
+ * @param {Array} props.commands - Commands {id, label, group, icon, keywords, enabled, run}
+ * @param {Object} props.keymap - Command ID -> combo list
+ * @param {Function} props.onRebind - Called with (commandId, combo)
+ * @param {Function} props.onResetKeymap - Restores the default keymap
+ */
+const CommandPalette = ({ isOpen, onClose, commands, keymap, onRebind, onResetKeymap }) => {
+  const { useState, useMemo, useEffect, useRef } = React;
+
+  // ========================================
+  // LOCAL STATE MANAGEMENT
+  // ========================================
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [view, setView] = useState('commands'); // 'commands' | 'keymap'
+  const [capturingId, setCapturingId] = useState(null); // Command waiting for its new key combo
+  const inputRef = useRef(null);
+
+  // ========================================
+  // DERIVED STATE
+  // ========================================
+
+  /**
+   * Commands matching every word of the search
+   */
+  const matches = useMemo(() => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return commands.filter(command => {
+      const text = `${command.label} ${command.group} ${command.keywords || ''}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }, [commands, query]);
+
+  /**
+   * Commands that have a keymap entry, in keymap order
+   */
+  const bindableCommands = useMemo(() => {
+    return Object.keys(keymap)
+      .map(id => commands.find(c => c.id === id))
+      .filter(Boolean);
+  }, [commands, keymap]);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Start each opening with an empty search on the command list
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setActiveIndex(0);
+    setView('commands');
+    setCapturingId(null);
+  }, [isOpen]);
+
+  /**
+   * Focus the search box whenever the command list is shown
+   */
+  useEffect(() => {
+    if (isOpen && view === 'commands' && inputRef.current) inputRef.current.focus();
+  }, [isOpen, view]);
+
+  /**
+   * Keep the highlighted row inside the filtered list
+   */
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  /**
+   * Close on Escape, or take the next key combo while rebinding
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (capturingId) {
+        const combo = KeyboardShortcuts.formatCombo(e);
+        if (!combo) return;
+        e.preventDefault();
+        if (combo !== 'Escape') onRebind(capturingId, combo);
+        setCapturingId(null);
+      } else if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, capturingId, onClose, onRebind]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Runs a command and closes the palette
+   * @param {Object} command - Command to run
+   */
+  const runCommand = (command) => {
+    if (!command || command.enabled === false) return;
+    onClose();
+    command.run();
+  };
+
+  /**
+   * Arrow keys move the highlight, Enter runs it
+   * @param {KeyboardEvent} e - Key event from the search box
+   */
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(matches.length - 1, index + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(0, index - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runCommand(matches[activeIndex]);
+    }
+  };
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  /**
+   * Renders a combo as keycap chips
+   * @param {string} commandId - Command ID
+   */
+  const renderShortcut = (commandId) => {
+    const combos = keymap[commandId] || [];
+    if (combos.length === 0) return null;
+    return React.createElement('span', {
+      key: 'shortcut',
+      className: 'ml-2 flex-shrink-0 space-x-1'
+    }, combos.map(combo =>
+      React.createElement('kbd', {
+        key: combo,
+        className: 'px-1.5 py-0.5 text-[10px] font-mono bg-gray-100 border border-gray-300 rounded text-gray-600'
+      }, KeyboardShortcuts.describeCombo(combo))
+    ));
+  };
+
+  /**
+   * Renders one command row in the search results
+   * @param {Object} command - Command
+   * @param {number} index - Row index
+   */
+  const renderCommand = (command, index) => {
+    const disabled = command.enabled === false;
+    return React.createElement('button', {
+      key: command.id,
+      onClick: () => runCommand(command),
+      onMouseEnter: () => setActiveIndex(index),
+      disabled,
+      className: `w-full flex items-center justify-between px-3 py-2 text-left text-sm rounded transition-colors ${
+        index === activeIndex ? 'bg-app-mint-100' : ''
+      } ${disabled ? 'text-gray-400 cursor-not-allowed' : 'text-app-purple-800'}`
+    }, [
+      React.createElement('span', {
+        key: 'label',
+        className: 'flex items-center space-x-2 min-w-0'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'w-5 text-center flex-shrink-0' }, command.icon || '•'),
+        React.createElement('span', { key: 'text', className: 'truncate' }, command.label),
+        React.createElement('span', { key: 'group', className: 'text-[10px] text-gray-400 flex-shrink-0' }, command.group)
+      ]),
+      renderShortcut(command.id)
+    ]);
+  };
+
+  /**
+   * Renders one row of the keymap editor
+   * @param {Object} command - Bindable command
+   */
+  const renderBinding = (command) => {
+    const capturing = capturingId === command.id;
+    return React.createElement('div', {
+      key: command.id,
+      className: 'flex items-center justify-between px-3 py-1.5 text-sm'
+    }, [
+      React.createElement('span', {
+        key: 'label',
+        className: 'flex items-center space-x-2 text-app-purple-800 min-w-0'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'w-5 text-center flex-shrink-0' }, command.icon || '•'),
+        React.createElement('span', { key: 'text', className: 'truncate' }, command.label)
+      ]),
+      React.createElement('button', {
+        key: 'bind',
+        onClick: () => setCapturingId(capturing ? null : command.id),
+        className: `ml-2 px-2 py-1 text-xs rounded border flex-shrink-0 transition-colors ${
+          capturing
+            ? 'bg-app-pink-100 border-app-pink-400 text-app-pink-700 animate-pulse'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`,
+        title: 'Click, then press the new key combination (Esc cancels)'
+      }, capturing ? 'Press keys…' : (KeyboardShortcuts.describe(keymap, command.id) || 'Unbound'))
+    ]);
+  };
+
+  // ========================================
+  // RENDER
+  // ========================================
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-start justify-center pt-24 bg-black/30',
+    onClick: onClose
+  }, React.createElement('div', {
+    className: 'w-full max-w-lg max-h-[70vh] flex flex-col bg-white rounded-xl shadow-2xl border border-app-mint-200 overflow-hidden',
+    role: 'dialog',
+    'aria-label': 'Command palette',
+    onClick: (e) => e.stopPropagation()
+  }, [
+    // Header with view switch
+    React.createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between p-3 border-b border-app-mint-200 bg-gradient-to-r from-app-purple-50 to-app-pink-50 flex-shrink-0'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        className: 'text-sm font-bold text-app-purple-800 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon' }, '⌨️'),
+        React.createElement('span', { key: 'text' }, view === 'commands' ? 'Commands' : 'Keyboard Shortcuts')
+      ]),
+      React.createElement('div', {
+        key: 'actions',
+        className: 'flex items-center space-x-1'
+      }, [
+        view === 'keymap' && React.createElement('button', {
+          key: 'reset',
+          onClick: onResetKeymap,
+          className: 'px-2 py-1 text-xs rounded bg-gray-100 hover:bg-gray-200 text-gray-700'
+        }, 'Reset'),
+        React.createElement('button', {
+          key: 'view',
+          onClick: () => {
+            setCapturingId(null);
+            setView(view === 'commands' ? 'keymap' : 'commands');
+          },
+          className: 'px-2 py-1 text-xs rounded bg-app-mint-100 hover:bg-app-mint-200 text-app-mint-800'
+        }, view === 'commands' ? 'Edit shortcuts' : 'Back to commands'),
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          className: 'text-app-purple-400 hover:text-app-purple-600 transition-colors px-1'
+        }, '✕')
+      ])
+    ]),
+
+    // Search box (command view only)
+    view === 'commands' && React.createElement('div', {
+      key: 'search',
+      className: 'p-2 border-b border-gray-100 flex-shrink-0'
+    }, React.createElement('input', {
+      ref: inputRef,
+      type: 'text',
+      value: query,
+      onChange: (e) => setQuery(e.target.value),
+      onKeyDown: handleSearchKeyDown,
+      placeholder: 'Search actions and pieces…',
+      className: 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-app-purple-500'
+    })),
+
+    // Results or keymap editor
+    React.createElement('div', {
+      key: 'list',
+      className: 'flex-1 overflow-y-auto p-2'
+    }, view === 'commands'
+      ? (matches.length > 0
+          ? matches.map(renderCommand)
+          : React.createElement('p', {
+              key: 'empty',
+              className: 'text-center text-sm text-gray-400 py-6'
+            }, `Nothing matches "${query}"`))
+      : bindableCommands.map(renderBinding))
+  ]));
+};
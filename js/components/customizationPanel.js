@@ -1,22 +1,28 @@
 // =====================================================
-// CUSTOMIZATION PANEL COMPONENT -v1- PIECE PROPERTY EDITOR
+// CUSTOMIZATION PANEL COMPONENT -v5- CUSTOM OPENINGS
 // =====================================================
 
 /**
  * Customization panel for editing piece properties, materials, colors, and openings
  * Provides comprehensive controls for modifying selected pieces
+ * With several pieces selected it switches to a bulk material and color editor
  */
 const CustomizationPanel = ({ 
   selectedPiece, 
+  selectedPieces = [],
   showPanel, 
   onClose, 
   onUpdateCustomization, 
+  onUpdateSelectionCustomization, 
   openings, 
   onAddOpening, 
   onRemoveOpening, 
+  onUpdateOpening,  // Changes an opening's size, shape or name
   onSelectOpening,
   flipPiece,
-  canFlipPiece
+  canFlipPiece,
+  unitSystem = 'imperial',  // Display and input units; values stay in inches
+  priceCatalog = null  // Catalog the piece cost is shown with
 }) => {
   const { useState, useEffect, useCallback, useMemo } = React;
   
@@ -33,6 +39,9 @@ const CustomizationPanel = ({
   const [localMaterial, setLocalMaterial] = useState('wood');
   const [localTilt, setLocalTilt] = useState({ x: 0, z: 0 });
   const [localApexPosition, setLocalApexPosition] = useState(0.5);
+  const [customOpening, setCustomOpening] = useState({ name: '', shape: 'oval', width: 8, height: 10 });
+  const [templateVersion, setTemplateVersion] = useState(0); // Bumped when the template library changes
+  const [lengthDrafts, setLengthDrafts] = useState({}); // Opening sizes being typed, committed on blur or Enter
   
   // ========================================
   // DERIVED STATE
@@ -53,6 +62,51 @@ const CustomizationPanel = ({
     if (!selectedPiece) return [];
     return openings.filter(o => o.parentPieceId === selectedPiece.id);
   }, [openings, selectedPiece?.id]);
+
+  /**
+   * Built-in opening types and the user's saved templates
+   */
+  const openingTypes = useMemo(() => CatTreePieces.getOpeningTypes(), [templateVersion]);
+
+  /**
+   * Which opening types (and the custom size being drafted) still have room somewhere on the piece,
+   * and what is wrong with the openings already on it (resizing the piece can leave them crowded
+   * or hanging off a wall)
+   */
+  const openingRoom = useMemo(() => {
+    if (!selectedPiece?.hollow) return { types: {}, custom: false, problems: {} };
+
+    const hasRoom = (type, id) => !!OpeningPlacement.findSpot(
+      { ...type, id, parentPieceId: selectedPiece.id, face: 'front' },
+      selectedPiece,
+      pieceOpenings,
+      OpeningPlacement.FACES
+    );
+    const types = {};
+    Object.entries(openingTypes).forEach(([typeId, type]) => {
+      types[typeId] = hasRoom(type, `candidate-${typeId}`);
+    });
+    const custom = hasRoom(CatTreePieces.normalizeOpeningSize(customOpening), 'candidate-custom');
+
+    const problems = {};
+    pieceOpenings.forEach(opening => {
+      const check = OpeningPlacement.validate(opening, selectedPiece, pieceOpenings, unitSystem);
+      if (!check.valid) problems[opening.id] = check.issues[0].message;
+    });
+
+    return { types, custom, problems };
+  }, [selectedPiece, pieceOpenings, openingTypes, customOpening, unitSystem]);
+  
+  /**
+   * Materials every selected piece can be made from (bulk editing)
+   */
+  const sharedMaterials = useMemo(() => {
+    if (selectedPieces.length < 2) return [];
+    return selectedPieces.reduce((shared, piece) => {
+      const available = CatTreePieces.getVariantById(piece.variantId)?.availableMaterials || [];
+      return shared === null ? available : shared.filter(mat => available.includes(mat));
+    }, null);
+  }, [selectedPieces]);
   
   /**
    * Check if piece can be flipped
@@ -94,9 +148,10 @@ const CustomizationPanel = ({
   
   /**
    * Handle dimension changes
+   * Input is in the display unit; dimensions are stored in inches
    */
   const handleDimensionChange = useCallback((dimension, value) => {
-    const numValue = parseFloat(value) || 1;
+    const numValue = Units.fromDisplayLength(parseFloat(value), unitSystem) || 1;
     const clampedValue = Math.max(1, Math.min(dimension === 'height' ? 72 : 48, numValue));
     
     setLocalDimensions(prev => ({
@@ -109,7 +164,7 @@ const CustomizationPanel = ({
         [dimension]: clampedValue
       });
     }
-  }, [selectedPiece, onUpdateCustomization]);
+  }, [selectedPiece, onUpdateCustomization, unitSystem]);
   
   /**
    * Handle color selection
@@ -179,6 +234,100 @@ const CustomizationPanel = ({
     }
   }, [selectedPiece, onAddOpening]);
   
+  /**
+   * Handle adding an opening at the drafted custom size
+   */
+  const handleAddCustomOpening = useCallback(() => {
+    if (selectedPiece && selectedPiece.hollow) {
+      onAddOpening(selectedPiece.id, 'custom', 'front', {
+        ...CatTreePieces.normalizeOpeningSize(customOpening),
+        name: customOpening.name.trim() || 'Custom Opening'
+      });
+    }
+  }, [selectedPiece, onAddOpening, customOpening]);
+
+  /**
+   * Save an opening (or the drafted custom size) to the template library
+   */
+  const handleSaveOpeningTemplate = useCallback((source) => {
+    CatTreePieces.saveOpeningTemplate(source);
+    setTemplateVersion(version => version + 1);
+  }, []);
+
+  /**
+   * Remove a saved template; openings already placed keep their size
+   */
+  const handleDeleteOpeningTemplate = useCallback((templateId) => {
+    const template = openingTypes[templateId];
+    if (!template || !confirm(`Delete the "${template.name}" template? Openings already placed keep their size.`)) return;
+    CatTreePieces.deleteOpeningTemplate(templateId);
+    setTemplateVersion(version => version + 1);
+  }, [openingTypes]);
+
+  /**
+   * Number input for an opening width or height, shown in the display unit
+   * The typed text is kept as a draft and only applied on blur or Enter, so partial values
+   * ("1" on the way to "12", an empty field) never resize the opening or reach the undo history
+   * @param {string} key - React key
+   * @param {string} draftId - Identifies the draft, unique across every opening input
+   * @param {number} value - Length in inches
+   * @param {Function} onChange - Called with the new length in inches
+   * @param {boolean} disabled - Whether the input is disabled
+   */
+  const renderOpeningLengthInput = (key, draftId, value, onChange, disabled = false) => {
+    const { min, max } = CatTreePieces.OPENING_SIZE_LIMITS;
+    const draft = lengthDrafts[draftId];
+    const clearDraft = () => setLengthDrafts(prev => {
+      const { [draftId]: cleared, ...rest } = prev;
+      return rest;
+    });
+    const commit = () => {
+      if (draft === undefined) return;
+      clearDraft();
+      const parsed = parseFloat(draft);
+      if (!isNaN(parsed)) onChange(Units.fromDisplayLength(parsed, unitSystem));
+    };
+
+    return React.createElement('input', {
+      key,
+      type: 'number',
+      min: Number(Units.formatNumber(Units.toDisplayLength(min, unitSystem), 1)),
+      max: Number(Units.formatNumber(Units.toDisplayLength(max, unitSystem), 1)),
+      step: Units.isMetric(unitSystem) ? 0.5 : 0.25,
+      value: draft !== undefined ? draft : Number(Units.formatNumber(Units.toDisplayLength(value, unitSystem), Units.isMetric(unitSystem) ? 1 : 2)),
+      onChange: (e) => {
+        const text = e.target.value;
+        setLengthDrafts(prev => ({ ...prev, [draftId]: text }));
+      },
+      onBlur: commit,
+      onKeyDown: (e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') clearDraft();
+      },
+      onClick: (e) => e.stopPropagation(),
+      disabled,
+      className: 'w-16 px-1 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:bg-gray-100'
+    });
+  };
+
+  /**
+   * Opening shape picker
+   * @param {string} key - React key
+   * @param {string} value - Shape ID
+   * @param {Function} onChange - Called with the new shape ID
+   * @param {boolean} disabled - Whether the picker is disabled
+   */
+  const renderOpeningShapeSelect = (key, value, onChange, disabled = false) => React.createElement('select', {
+    key,
+    value,
+    onChange: (e) => onChange(e.target.value),
+    onClick: (e) => e.stopPropagation(),
+    disabled,
+    className: 'px-1 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50'
+  }, Object.entries(CatTreePieces.OPENING_SHAPES).map(([shapeId, shape]) =>
+    React.createElement('option', { key: shapeId, value: shapeId }, `${shape.icon} ${shape.name}`)
+  ));
+
   /**
    * Handle piece flip
    */
@@ -212,6 +361,137 @@ const CustomizationPanel = ({
     ]);
   }
   
+  if (showPanel && selectedPieces.length > 1) {
+    const lockedCount = selectedPieces.filter(p => p.locked).length;
+    const sharedValue = (key, fallback) => {
+      const values = new Set(selectedPieces.map(p => p[key] ?? fallback));
+      return values.size === 1 ? [...values][0] : null;
+    };
+    const commonMaterial = sharedValue('material', 'wood');
+    const commonColor = sharedValue('color', null);
+    
+    return React.createElement('div', {
+      className: 'h-full flex flex-col bg-transparent overflow-hidden'
+    }, [
+      // ========================================
+      // HEADER
+      // ========================================
+      React.createElement('div', {
+        key: 'header',
+        className: 'p-3 border-b border-app-mint-200 bg-gradient-to-r from-app-purple-50 to-app-pink-50 flex-shrink-0'
+      }, [
+        React.createElement('div', {
+          key: 'header-content',
+          className: 'flex items-center justify-between'
+        }, [
+          React.createElement('h2', {
+            key: 'title',
+            className: 'text-lg font-bold text-app-purple-800 flex items-center space-x-2'
+          }, [
+            React.createElement('span', { key: 'icon' }, '🎨'),
+            React.createElement('span', { key: 'text' }, 'Customization')
+          ]),
+          React.createElement('button', {
+            key: 'close',
+            onClick: onClose,
+            className: 'text-app-purple-400 hover:text-app-purple-600 transition-colors'
+          }, '✕')
+        ])
+      ]),
+      
+      // ========================================
+      // SELECTION INFO
+      // ========================================
+      React.createElement('div', {
+        key: 'selection-info',
+        className: 'p-3 bg-indigo-50 border-b border-indigo-200 flex-shrink-0'
+      }, [
+        React.createElement('div', {
+          key: 'name',
+          className: 'font-medium text-indigo-900 flex items-center space-x-2'
+        }, [
+          React.createElement('span', { key: 'icon' }, '🔲'),
+          React.createElement('span', { key: 'text' }, `${selectedPieces.length} pieces selected`)
+        ]),
+        React.createElement('div', {
+          key: 'names',
+          className: 'text-xs text-indigo-700 mt-1 truncate',
+          title: selectedPieces.map(p => p.name).join(', ')
+        }, selectedPieces.map(p => p.name).join(', ')),
+        lockedCount > 0 && React.createElement('div', {
+          key: 'locked',
+          className: 'text-xs text-red-600 font-medium mt-1'
+        }, `🔒 ${lockedCount} locked piece${lockedCount > 1 ? 's are' : ' is'} left unchanged`)
+      ]),
+      
+      // ========================================
+      // BULK MATERIALS & COLORS
+      // ========================================
+      React.createElement('div', {
+        key: 'bulk-content',
+        className: 'flex-1 overflow-y-auto p-4 space-y-4'
+      }, [
+        // Material Selection
+        React.createElement('div', {
+          key: 'materials',
+          className: 'space-y-3'
+        }, [
+          React.createElement('h3', {
+            key: 'title',
+            className: 'text-sm font-semibold text-gray-700'
+          }, 'Material'),
+          sharedMaterials.length > 0
+            ? React.createElement('div', {
+                key: 'material-buttons',
+                className: 'grid grid-cols-2 gap-2'
+              }, sharedMaterials.map(mat =>
+                React.createElement('button', {
+                  key: mat,
+                  onClick: () => onUpdateSelectionCustomization({ material: mat }),
+                  disabled: lockedCount === selectedPieces.length,
+                  className: `p-2 rounded-lg text-sm font-medium transition-all ${
+                    commonMaterial === mat
+                      ? 'bg-purple-500 text-white shadow-md'
+                      : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                  } disabled:opacity-50 disabled:cursor-not-allowed`
+                }, CatTreePieces.materials[mat]?.name || mat)
+              ))
+            : React.createElement('p', {
+                key: 'no-materials',
+                className: 'text-xs text-gray-500'
+              }, 'The selected pieces have no material in common.')
+        ]),
+        
+        // Color Selection
+        React.createElement('div', {
+          key: 'colors',
+          className: 'space-y-3'
+        }, [
+          React.createElement('h3', {
+            key: 'title',
+            className: 'text-sm font-semibold text-gray-700'
+          }, 'Color'),
+          React.createElement('div', {
+            key: 'color-grid',
+            className: 'grid grid-cols-4 gap-2'
+          }, SharedUtils.COLORS.PALETTE.map(color =>
+            React.createElement('button', {
+              key: color,
+              onClick: () => onUpdateSelectionCustomization({ color: parseInt(color.slice(1), 16) }),
+              disabled: lockedCount === selectedPieces.length,
+              className: `h-10 rounded-lg border-2 transition-all ${
+                commonColor === parseInt(color.slice(1), 16)
+                  ? 'border-purple-500 shadow-md scale-110'
+                  : 'border-gray-300 hover:border-gray-400'
+              } disabled:opacity-50 disabled:cursor-not-allowed`,
+              style: { backgroundColor: color }
+            })
+          ))
+        ])
+      ])
+    ]);
+  }
+  
   return React.createElement('div', {
     className: 'h-full flex flex-col bg-transparent overflow-hidden'
   }, [
@@ -259,7 +539,7 @@ const CustomizationPanel = ({
         key: 'details',
         className: 'text-sm text-blue-700 mt-1'
       }, [
-        `${selectedPiece.width}" × ${selectedPiece.height}" × ${selectedPiece.depth}" • $${selectedPiece.cost}`,
+        `${Units.formatDimensions(selectedPiece.width, selectedPiece.height, selectedPiece.depth, unitSystem)} • $${PriceCatalog.getPieceCost(selectedPiece, priceCatalog)}`,
         selectedPiece.locked && React.createElement('span', {
           key: 'locked',
           className: 'ml-2 text-red-600 font-medium'
@@ -329,7 +609,7 @@ const CustomizationPanel = ({
           React.createElement('h3', {
             key: 'title',
             className: 'text-sm font-semibold text-gray-700'
-          }, 'Dimensions (inches)'),
+          }, `Dimensions (${Units.getSystem(unitSystem).lengthName})`),
           ['width', 'height', 'depth'].map(dimension => 
             React.createElement('div', {
               key: dimension,
@@ -342,9 +622,10 @@ const CustomizationPanel = ({
               React.createElement('input', {
                 key: 'input',
                 type: 'number',
-                min: 1,
-                max: dimension === 'height' ? 72 : 48,
-                value: localDimensions[dimension],
+                min: Number(Units.formatNumber(Units.toDisplayLength(1, unitSystem), 1)),
+                max: Number(Units.formatNumber(Units.toDisplayLength(dimension === 'height' ? 72 : 48, unitSystem), 1)),
+                step: Units.isMetric(unitSystem) ? 0.1 : 'any',
+                value: Number(Units.formatNumber(Units.toDisplayLength(localDimensions[dimension], unitSystem), Units.isMetric(unitSystem) ? 1 : 2)),
                 onChange: (e) => handleDimensionChange(dimension, e.target.value),
                 disabled: selectedPiece.locked,
                 className: 'flex-1 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:bg-gray-100'
@@ -352,7 +633,7 @@ const CustomizationPanel = ({
               React.createElement('span', {
                 key: 'unit',
                 className: 'text-xs text-gray-500'
-              }, '"')
+              }, Units.lengthSymbol(unitSystem).trim())
             ])
           )
         ]),
@@ -541,7 +822,7 @@ const CustomizationPanel = ({
         className: 'space-y-4'
       }, [
         // Add Opening Buttons
-        pieceOpenings.length < 4 && React.createElement('div', {
+        React.createElement('div', {
           key: 'add-openings',
           className: 'space-y-3'
         }, [
@@ -552,28 +833,94 @@ const CustomizationPanel = ({
           React.createElement('div', {
             key: 'opening-buttons',
             className: 'grid grid-cols-2 gap-2'
-          }, Object.entries(CatTreePieces.openingTypes).map(([typeId, type]) =>
-            React.createElement('button', {
+          }, Object.entries(openingTypes).map(([typeId, type]) =>
+            React.createElement('div', {
               key: typeId,
-              onClick: () => handleAddOpening(typeId),
-              disabled: selectedPiece.locked,
-              className: 'p-3 bg-gray-100 hover:bg-gray-200 rounded-lg text-center transition-all disabled:opacity-50 disabled:cursor-not-allowed'
+              className: 'relative'
             }, [
-              React.createElement('div', {
-                key: 'icon',
-                className: 'text-lg mb-1'
-              }, type.shape === 'circle' ? '⭕' : type.shape === 'arch' ? '🏛️' : '🚪'),
-              React.createElement('div', {
-                key: 'name',
-                className: 'text-xs font-medium text-gray-700'
-              }, type.name),
-              React.createElement('div', {
-                key: 'size',
-                className: 'text-xs text-gray-500'
-              }, `${type.width}" × ${type.height}"`)
+              React.createElement('button', {
+                key: 'add',
+                onClick: () => handleAddOpening(typeId),
+                disabled: selectedPiece.locked || !openingRoom.types[typeId],
+                title: openingRoom.types[typeId] ? type.description : `No room left on this piece for a ${type.name}`,
+                className: `w-full p-3 rounded-lg text-center transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                  type.custom ? 'bg-purple-50 hover:bg-purple-100 border border-purple-200' : 'bg-gray-100 hover:bg-gray-200'
+                }`
+              }, [
+                React.createElement('div', {
+                  key: 'icon',
+                  className: 'text-lg mb-1'
+                }, CatTreePieces.OPENING_SHAPES[type.shape]?.icon || '🚪'),
+                React.createElement('div', {
+                  key: 'name',
+                  className: 'text-xs font-medium text-gray-700'
+                }, type.name),
+                React.createElement('div', {
+                  key: 'size',
+                  className: 'text-xs text-gray-500'
+                }, Units.formatDimensions(type.width, type.height, null, unitSystem))
+              ]),
+              type.custom && React.createElement('button', {
+                key: 'delete',
+                onClick: () => handleDeleteOpeningTemplate(typeId),
+                title: 'Delete this template',
+                className: 'absolute top-1 right-1 text-xs text-gray-400 hover:text-red-600'
+              }, '✕')
             ])
           ))
         ]),
+
+        // Custom Size Opening
+        React.createElement('div', {
+          key: 'custom-opening',
+          className: 'space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200'
+        }, [
+          React.createElement('h3', {
+            key: 'title',
+            className: 'text-sm font-semibold text-gray-700'
+          }, 'Custom Size'),
+          React.createElement('input', {
+            key: 'name',
+            type: 'text',
+            placeholder: 'Name (e.g. Big Cat Door)',
+            value: customOpening.name,
+            onChange: (e) => setCustomOpening(prev => ({ ...prev, name: e.target.value })),
+            className: 'w-full px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-purple-500'
+          }),
+          React.createElement('div', {
+            key: 'size',
+            className: 'flex items-center flex-wrap gap-1 text-xs text-gray-600'
+          }, [
+            renderOpeningShapeSelect('shape', customOpening.shape, shape => setCustomOpening(prev => ({ ...prev, shape }))),
+            renderOpeningLengthInput('width', 'custom:width', CatTreePieces.normalizeOpeningSize(customOpening).width, width => setCustomOpening(prev => ({ ...prev, width }))),
+            React.createElement('span', { key: 'by' }, '×'),
+            renderOpeningLengthInput(
+              'height',
+              'custom:height',
+              CatTreePieces.normalizeOpeningSize(customOpening).height,
+              height => setCustomOpening(prev => ({ ...prev, height })),
+              customOpening.shape === 'circle' || customOpening.shape === 'square'
+            ),
+            React.createElement('span', { key: 'unit' }, Units.lengthSymbol(unitSystem).trim())
+          ]),
+          React.createElement('div', {
+            key: 'actions',
+            className: 'flex space-x-2'
+          }, [
+            React.createElement('button', {
+              key: 'add',
+              onClick: handleAddCustomOpening,
+              disabled: selectedPiece.locked || !openingRoom.custom,
+              title: openingRoom.custom ? undefined : 'No wall on this piece has room for an opening this size',
+              className: 'flex-1 px-2 py-1 bg-purple-500 hover:bg-purple-600 text-white rounded text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+            }, '➕ Add to Piece'),
+            React.createElement('button', {
+              key: 'save',
+              onClick: () => handleSaveOpeningTemplate(customOpening),
+              className: 'flex-1 px-2 py-1 bg-white hover:bg-gray-100 text-gray-700 border border-gray-300 rounded text-xs font-medium transition-colors'
+            }, '⭐ Save to Library')
+          ])
+        ]),
         
         // Existing Openings List
         pieceOpenings.length > 0 && React.createElement('div', {
@@ -607,30 +954,66 @@ const CustomizationPanel = ({
                   React.createElement('div', {
                     key: 'face',
                     className: 'text-xs text-gray-500'
-                  }, `${opening.face} face • ${opening.width}" × ${opening.height}"`)
+                  }, `${opening.face} face • ${Units.formatDimensions(opening.width, opening.height, null, unitSystem)}`),
+                  openingRoom.problems[opening.id] && React.createElement('div', {
+                    key: 'problem',
+                    className: 'text-xs text-red-600'
+                  }, `⚠️ ${openingRoom.problems[opening.id]}`)
                 ]),
-                React.createElement('button', {
-                  key: 'remove',
-                  onClick: (e) => {
-                    e.stopPropagation();
-                    onRemoveOpening(opening.id);
-                  },
-                  className: 'text-red-500 hover:text-red-700 text-sm'
-                }, '✕')
+                React.createElement('div', {
+                  key: 'buttons',
+                  className: 'flex items-center space-x-2'
+                }, [
+                  React.createElement('button', {
+                    key: 'save',
+                    onClick: (e) => {
+                      e.stopPropagation();
+                      handleSaveOpeningTemplate(opening);
+                    },
+                    title: 'Save this size and shape to your opening library',
+                    className: 'text-gray-400 hover:text-purple-600 text-sm'
+                  }, '⭐'),
+                  React.createElement('button', {
+                    key: 'remove',
+                    onClick: (e) => {
+                      e.stopPropagation();
+                      onRemoveOpening(opening.id);
+                    },
+                    className: 'text-red-500 hover:text-red-700 text-sm'
+                  }, '✕')
+                ])
+              ]),
+
+              // Size and shape, edited in place
+              onUpdateOpening && React.createElement('div', {
+                key: 'size',
+                className: 'flex items-center flex-wrap gap-1 mt-2 text-xs text-gray-600'
+              }, [
+                renderOpeningShapeSelect('shape', opening.shape, shape => onUpdateOpening(opening.id, { shape }), opening.locked),
+                renderOpeningLengthInput('width', `${opening.id}:width`, opening.width, width => onUpdateOpening(opening.id, { width }), opening.locked),
+                React.createElement('span', { key: 'by' }, '×'),
+                renderOpeningLengthInput(
+                  'height',
+                  `${opening.id}:height`,
+                  opening.height,
+                  height => onUpdateOpening(opening.id, { height }),
+                  opening.locked || opening.shape === 'circle' || opening.shape === 'square'
+                ),
+                React.createElement('span', { key: 'unit' }, Units.lengthSymbol(unitSystem).trim())
               ])
             ])
           ))
         ]),
         
-        // Maximum openings reached message
-        pieceOpenings.length >= 4 && React.createElement('div', {
-          key: 'max-openings',
+        // No room left message
+        !Object.values(openingRoom.types).some(Boolean) && React.createElement('div', {
+          key: 'no-room',
           className: 'p-3 bg-yellow-50 border border-yellow-200 rounded-lg'
         }, [
           React.createElement('p', {
             key: 'message',
             className: 'text-sm text-yellow-700'
-          }, '⚠️ Maximum 4 openings per piece reached')
+          }, '⚠️ No wall on this piece has room for another opening')
         ])
       ])
     ])
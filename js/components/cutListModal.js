@@ -0,0 +1,377 @@
+// =====================================================
+// CUT LIST MODAL COMPONENT -v1- SHEET & POST CUTTING DIAGRAMS
+// =====================================================
+
+/**
+ * Dialog showing what to cut for the current design
+ * Lists sheet and post stock needed, waste, and a printable cutting diagram per sheet and post length
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Array} props.pieces - Pieces in the design
+ * @param {string} props.unitSystem - 'imperial' or 'metric' display units
+ */
+const CutListModal = ({ isOpen, onClose, pieces, unitSystem = 'imperial' }) => {
+  const { useState, useEffect, useCallback, useMemo, useRef } = React;
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+  const [stock, setStock] = useState(() => CutList.getStock());
+  const diagramsRef = useRef(null);
+
+  // Part colors cycle so neighbouring parts stay distinguishable in print
+  const PART_COLORS = ['#fde68a', '#bfdbfe', '#bbf7d0', '#fbcfe8', '#ddd6fe', '#fed7aa'];
+
+  // ========================================
+  // DERIVED DATA
+  // ========================================
+
+  /**
+   * Cut list for the current pieces and stock sizes
+   */
+  const cutList = useMemo(() => (isOpen ? CutList.generate(pieces, stock) : null), [isOpen, pieces, stock]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Updates one stock size from a value typed in display units and saves it
+   * @param {string} key - Stock field
+   * @param {string} value - Input value
+   * @param {number} min - Smallest allowed size in inches
+   */
+  const handleStockChange = useCallback((key, value, min) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) return;
+    const next = { ...stock, [key]: Math.max(min, Units.fromDisplayLength(parsed, unitSystem)) };
+    setStock(next);
+    DesignStorage.updateSettings({ cutListStock: next });
+  }, [stock, unitSystem]);
+
+  /**
+   * Restores the default 4×8 sheet and 8 ft post stock
+   */
+  const resetStock = useCallback(() => {
+    setStock({ ...CutList.DEFAULT_STOCK });
+    DesignStorage.updateSettings({ cutListStock: null });
+  }, []);
+
+  /**
+   * Opens the cutting diagrams in a print window, one sheet per page
+   */
+  const handlePrint = useCallback(() => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow || !diagramsRef.current) {
+      console.warn('⚠️ Could not open the print window');
+      return;
+    }
+    printWindow.document.write(`<!doctype html><html><head><title>Cut list</title><style>
+      body { font-family: sans-serif; margin: 24px; color: #1f2937; }
+      h3 { font-size: 14px; margin: 0 0 8px; }
+      p { font-size: 12px; margin: 0 0 8px; }
+      svg { width: 100%; height: auto; }
+      .cut-diagram { page-break-after: always; margin-bottom: 24px; }
+    </style></head><body>${diagramsRef.current.innerHTML}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }, []);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+  /**
+   * Shape outline drawn inside a placed part
+   * @param {Object} p - Placement {x, y, width, height, outline, rotated}
+   * @returns {React.Element|null} SVG element
+   */
+  const renderOutline = (p) => {
+    const stroke = { fill: 'none', stroke: '#6b7280', strokeWidth: 0.3, strokeDasharray: '1 1' };
+    switch (p.outline) {
+      case 'circle':
+        return React.createElement('ellipse', {
+          key: 'outline', ...stroke,
+          cx: p.x + p.width / 2, cy: p.y + p.height / 2, rx: p.width / 2, ry: p.height / 2
+        });
+      case 'triangle': {
+        const points = p.rotated
+          ? [[p.x, p.y], [p.x, p.y + p.height], [p.x + p.width, p.y + p.height / 2]]
+          : [[p.x, p.y + p.height], [p.x + p.width, p.y + p.height], [p.x + p.width / 2, p.y]];
+        return React.createElement('polygon', { key: 'outline', ...stroke, points: points.map(pt => pt.join(',')).join(' ') });
+      }
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Cutting diagram for one sheet, long side across
+   * @param {Object} sheet - Nested sheet
+   * @returns {React.Element} Diagram block
+   */
+  const renderSheet = (sheet) => React.createElement('div', {
+    key: `sheet-${sheet.index}`,
+    className: 'cut-diagram bg-white border border-gray-200 rounded-lg p-3'
+  }, [
+    React.createElement('h3', {
+      key: 'title',
+      className: 'text-sm font-semibold text-gray-800 mb-1'
+    }, `Sheet ${sheet.index} • ${Units.formatLength(sheet.thickness, unitSystem)} thick • ${Units.formatDimensions(sheet.length, sheet.width, null, unitSystem)}`),
+    React.createElement('p', {
+      key: 'usage',
+      className: 'text-xs text-gray-500 mb-2'
+    }, `${sheet.placements.length} part${sheet.placements.length !== 1 ? 's' : ''} • ${percent(sheet.utilization)} used, ${percent(1 - sheet.utilization)} waste`),
+    React.createElement('svg', {
+      key: 'diagram',
+      viewBox: `-1 -1 ${sheet.length + 2} ${sheet.width + 2}`,
+      className: 'w-full h-auto',
+      role: 'img',
+      'aria-label': `Cutting diagram for sheet ${sheet.index}`
+    }, [
+      React.createElement('rect', {
+        key: 'stock', x: 0, y: 0, width: sheet.length, height: sheet.width,
+        fill: '#f3f4f6', stroke: '#374151', strokeWidth: 0.4
+      }),
+      ...sheet.placements.map((p, index) => {
+        const fontSize = Math.max(1.2, Math.min(3, p.height / 5, p.width / 8));
+        return React.createElement('g', { key: `part-${index}` }, [
+          React.createElement('rect', {
+            key: 'part', x: p.x, y: p.y, width: p.width, height: p.height,
+            fill: PART_COLORS[index % PART_COLORS.length], stroke: '#374151', strokeWidth: 0.3
+          }),
+          renderOutline(p),
+          React.createElement('text', {
+            key: 'label', x: p.x + p.width / 2, y: p.y + p.height / 2 - fontSize * 0.2,
+            fontSize, textAnchor: 'middle', fill: '#111827'
+          }, p.label),
+          React.createElement('text', {
+            key: 'size', x: p.x + p.width / 2, y: p.y + p.height / 2 + fontSize,
+            fontSize: fontSize * 0.85, textAnchor: 'middle', fill: '#374151'
+          }, `${Units.formatDimensions(p.width, p.height, null, unitSystem)}${p.rotated ? ' ↻' : ''}`)
+        ]);
+      })
+    ])
+  ]);
+
+  /**
+   * Cutting diagram for one length of post stock
+   * @param {Object} bar - Nested post length
+   * @returns {React.Element} Diagram block
+   */
+  const renderBar = (bar) => React.createElement('div', {
+    key: `bar-${bar.index}`,
+    className: 'cut-diagram bg-white border border-gray-200 rounded-lg p-3'
+  }, [
+    React.createElement('h3', {
+      key: 'title',
+      className: 'text-sm font-semibold text-gray-800 mb-1'
+    }, `Post stock ${bar.index} • ${CutList.formatProfile(bar, unitSystem)} • ${Units.formatLength(bar.length, unitSystem)}`),
+    React.createElement('p', {
+      key: 'usage',
+      className: 'text-xs text-gray-500 mb-2'
+    }, `${bar.cuts.length} cut${bar.cuts.length !== 1 ? 's' : ''} • ${Units.formatLength(bar.offcut, unitSystem, 1)} offcut`),
+    React.createElement('svg', {
+      key: 'diagram',
+      viewBox: `-1 -1 ${bar.length + 2} 10`,
+      className: 'w-full h-auto',
+      role: 'img',
+      'aria-label': `Cutting diagram for post stock ${bar.index}`
+    }, [
+      React.createElement('rect', {
+        key: 'stock', x: 0, y: 0, width: bar.length, height: 8,
+        fill: '#f3f4f6', stroke: '#374151', strokeWidth: 0.3
+      }),
+      ...bar.cuts.map((cut, index) => React.createElement('g', { key: `cut-${index}` }, [
+        React.createElement('rect', {
+          key: 'cut', x: cut.offset, y: 0, width: cut.length, height: 8,
+          fill: PART_COLORS[index % PART_COLORS.length], stroke: '#374151', strokeWidth: 0.3
+        }),
+        React.createElement('text', {
+          key: 'label', x: cut.offset + cut.length / 2, y: 5,
+          fontSize: 2.5, textAnchor: 'middle', fill: '#111827'
+        }, `${cut.label} (${Units.formatLength(cut.length, unitSystem)})`)
+      ]))
+    ])
+  ]);
+
+  /**
+   * Number input for a stock size, shown in display units
+   * @param {string} key - Stock field
+   * @param {string} label - Field label
+   * @param {number} min - Smallest allowed size in inches
+   * @param {number} decimals - Decimal places shown
+   * @returns {React.Element} Labelled input
+   */
+  const renderStockInput = (key, label, min, decimals) => React.createElement('label', {
+    key,
+    className: 'flex flex-col text-xs text-gray-600'
+  }, [
+    React.createElement('span', { key: 'label', className: 'mb-1' }, `${label} (${Units.isMetric(unitSystem) ? 'cm' : 'in'})`),
+    React.createElement('input', {
+      key: 'input',
+      type: 'number',
+      min: Number(Units.formatNumber(Units.toDisplayLength(min, unitSystem), decimals)),
+      step: decimals > 2 ? 0.001 : 0.1,
+      value: Number(Units.formatNumber(Units.toDisplayLength(stock[key], unitSystem), decimals, true)),
+      onChange: (e) => handleStockChange(key, e.target.value, min),
+      className: 'w-24 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500'
+    })
+  ]);
+
+  // ========================================
+  // RENDER LOGIC
+  // ========================================
+
+  if (!isOpen || !cutList) return null;
+
+  const { summary } = cutList;
+  const isEmpty = cutList.sheets.length === 0 && cutList.bars.length === 0;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    },
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'cut-list-title'
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl w-full max-w-4xl mx-4 max-h-[90vh] flex flex-col'
+  }, [
+    // ========================================
+    // MODAL HEADER
+    // ========================================
+    React.createElement('div', {
+      key: 'header',
+      className: 'px-6 py-4 border-b border-gray-200'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        id: 'cut-list-title',
+        className: 'text-xl font-bold text-gray-900 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'text-2xl' }, '🪚'),
+        React.createElement('span', { key: 'text' }, 'Cut List')
+      ]),
+      React.createElement('p', {
+        key: 'summary',
+        className: 'text-sm text-gray-600 mt-1'
+      }, `${summary.partCount} parts • ${summary.sheetCount} sheet${summary.sheetCount !== 1 ? 's' : ''} (${percent(summary.sheetWaste)} waste) • ${summary.barCount} post length${summary.barCount !== 1 ? 's' : ''} (${percent(summary.barWaste)} waste)`)
+    ]),
+
+    // ========================================
+    // STOCK SIZES
+    // ========================================
+    React.createElement('div', {
+      key: 'stock',
+      className: 'px-6 py-3 border-b border-gray-200 bg-gray-50 flex flex-wrap items-end gap-3'
+    }, [
+      renderStockInput('sheetWidth', 'Sheet width', 6, 1),
+      renderStockInput('sheetLength', 'Sheet length', 6, 1),
+      renderStockInput('postLength', 'Post length', 6, 1),
+      renderStockInput('kerf', 'Saw kerf', 0, 3),
+      React.createElement('button', {
+        key: 'reset',
+        onClick: resetStock,
+        className: 'px-3 py-1 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition-colors'
+      }, 'Reset to 4×8 sheets')
+    ]),
+
+    // ========================================
+    // CUTTING DIAGRAMS
+    // ========================================
+    React.createElement('div', {
+      key: 'content',
+      className: 'flex-1 overflow-y-auto px-6 py-4 space-y-4'
+    }, [
+      isEmpty && React.createElement(SharedUtils.EmptyState, {
+        key: 'empty',
+        icon: '🪚',
+        title: 'Nothing to cut',
+        subtitle: 'Add platforms, panels, posts or houses to get a cut list'
+      }),
+
+      cutList.oversize.length > 0 && React.createElement('div', {
+        key: 'oversize',
+        className: 'text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3',
+        role: 'alert'
+      }, [
+        React.createElement('div', { key: 'title', className: 'font-medium mb-1' }, '❌ Too big for the stock'),
+        React.createElement('ul', { key: 'list', className: 'list-disc list-inside space-y-0.5' },
+          cutList.oversize.map((part, index) =>
+            React.createElement('li', { key: `${part.pieceId}-${index}` }, `${part.label}: ${part.reason}`)
+          ))
+      ]),
+
+      React.createElement('div', {
+        key: 'diagrams',
+        ref: diagramsRef,
+        className: 'space-y-4'
+      }, [
+        ...cutList.sheets.map(renderSheet),
+        ...cutList.bars.map(renderBar)
+      ]),
+
+      cutList.skipped.length > 0 && React.createElement('div', {
+        key: 'skipped',
+        className: 'text-sm text-gray-600 bg-gray-50 border border-gray-200 rounded-lg p-3'
+      }, [
+        React.createElement('div', { key: 'title', className: 'font-medium text-gray-800 mb-1' }, 'Not in the cut list'),
+        React.createElement('ul', { key: 'list', className: 'list-disc list-inside space-y-0.5' },
+          cutList.skipped.map(item =>
+            React.createElement('li', { key: item.pieceId }, `${item.name}: ${item.reason}`)
+          ))
+      ])
+    ]),
+
+    // ========================================
+    // MODAL ACTIONS
+    // ========================================
+    React.createElement('div', {
+      key: 'actions',
+      className: 'flex items-center justify-between px-6 py-3 border-t border-gray-200'
+    }, [
+      React.createElement('span', {
+        key: 'hint',
+        className: 'text-xs text-gray-500'
+      }, '↻ marks parts turned 90° on the sheet. Curved outlines are cut from the rectangle shown.'),
+      React.createElement('div', { key: 'buttons', className: 'flex space-x-2' }, [
+        React.createElement('button', {
+          key: 'print',
+          onClick: handlePrint,
+          disabled: isEmpty,
+          className: `px-4 py-2 rounded-lg font-medium ${isEmpty ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'}`
+        }, '🖨️ Print'),
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          autoFocus: true,
+          className: 'px-6 py-2 rounded-lg font-medium bg-blue-500 hover:bg-blue-600 text-white shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+        }, 'Close')
+      ])
+    ])
+  ]));
+};
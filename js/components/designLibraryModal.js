@@ -0,0 +1,401 @@
+// =====================================================
+// DESIGN LIBRARY MODAL COMPONENT -v2- IMPORT INTO CURRENT DESIGN
+// =====================================================
+
+/**
+ * Modal for browsing designs saved in the browser's design library
+ * Shows thumbnails, supports open/rename/duplicate/delete/export and JSON file import
+ * Designs and files can also be imported into the current design as a new group
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onOpen - Called with the design record to open
+ * @param {Function} props.onInsert - Called with the design record to import into the current design
+ * @param {Function} props.onImportFile - Called with (File, {merge}) for a JSON file chosen for import
+ * @param {Function} props.onRename - Called with (id, name) after a design has been renamed
+ * @param {string} props.currentDesignId - ID of the design currently open, if any
+ * @param {boolean} props.hasDesign - Whether the current design has pieces (enables merging)
+ */
+const DesignLibraryModal = ({ isOpen, onClose, onOpen, onInsert, onImportFile, onRename, currentDesignId = null, hasDesign = false }) => {
+  const { useState, useEffect, useCallback, useMemo, useRef } = React;
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+  const [designs, setDesigns] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [sortBy, setSortBy] = useState('modified-desc');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const importInputRef = useRef(null);
+  const importMergeRef = useRef(false); // Whether the chosen file is merged into the current design
+
+  // ========================================
+  // DATA LOADING
+  // ========================================
+
+  /**
+   * Reloads the design list from browser storage
+   */
+  const refreshDesigns = useCallback(async () => {
+    setIsLoading(true);
+    const records = await DesignStorage.listDesigns();
+    setDesigns(records);
+    setIsLoading(false);
+  }, []);
+
+  /**
+   * Designs in the selected sort order
+   */
+  const sortedDesigns = useMemo(() => {
+    const sorted = [...designs];
+    switch (sortBy) {
+      case 'modified-asc':
+        return sorted.sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''));
+      case 'name':
+        return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      default:
+        return sorted.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+  }, [designs, sortBy]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Opens a design and closes the library
+   * @param {Object} record - Design record
+   */
+  const handleOpen = useCallback((record) => {
+    if (renamingId) return;
+    onOpen(record);
+    onClose();
+  }, [renamingId, onOpen, onClose]);
+
+  /**
+   * Imports a design into the current one and closes the library
+   * @param {Object} record - Design record
+   */
+  const handleInsert = useCallback((record) => {
+    onInsert(record);
+    onClose();
+  }, [onInsert, onClose]);
+
+  /**
+   * Opens the file picker for a JSON import
+   * @param {boolean} merge - Import into the current design instead of replacing it
+   */
+  const chooseImportFile = useCallback((merge) => {
+    importMergeRef.current = merge;
+    importInputRef.current?.click();
+  }, []);
+
+  /**
+   * Starts inline renaming of a design
+   * @param {Object} record - Design record
+   */
+  const startRename = useCallback((record) => {
+    setRenamingId(record.id);
+    setRenameValue(record.name || '');
+  }, []);
+
+  /**
+   * Commits the inline rename
+   */
+  const commitRename = useCallback(async () => {
+    const name = renameValue.trim();
+    const id = renamingId;
+    setRenamingId(null);
+    if (!id || name.length < 2 || name.length > 50) return;
+
+    const record = await DesignStorage.renameDesign(id, name);
+    if (record && onRename) {
+      onRename(id, record.name);
+    }
+    refreshDesigns();
+  }, [renamingId, renameValue, refreshDesigns, onRename]);
+
+  /**
+   * Duplicates a design into a new library entry
+   * @param {Object} record - Design record
+   */
+  const handleDuplicate = useCallback(async (record) => {
+    await DesignStorage.duplicateDesign(record.id);
+    refreshDesigns();
+  }, [refreshDesigns]);
+
+  /**
+   * Deletes a design after confirmation
+   * @param {Object} record - Design record
+   */
+  const handleDelete = useCallback(async (record) => {
+    if (!confirm(`Delete "${record.name}" from your design library? This cannot be undone.`)) return;
+    await DesignStorage.deleteDesign(record.id);
+    refreshDesigns();
+  }, [refreshDesigns]);
+
+  /**
+   * Downloads a library design as a JSON file
+   * @param {Object} record - Design record
+   */
+  const handleExport = useCallback((record) => {
+    const { id, thumbnail, ...designData } = record;
+    SharedUtils.Utils.downloadJSON(designData, `${(record.name || 'design').replace(/[^a-zA-Z0-9]/g, '_')}_cat_tree.json`);
+  }, []);
+
+  /**
+   * Passes a chosen JSON file to the importer and closes the library
+   * @param {Event} event - File input change event
+   */
+  const handleImportChange = useCallback((event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+      onImportFile(file, { merge: importMergeRef.current });
+      onClose();
+    }
+  }, [onImportFile, onClose]);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Load designs whenever the library opens
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setRenamingId(null);
+      refreshDesigns();
+    }
+  }, [isOpen, refreshDesigns]);
+
+  /**
+   * Close on Escape (unless renaming)
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !renamingId) onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, renamingId, onClose]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  /**
+   * Renders a single design card
+   * @param {Object} record - Design record
+   * @returns {ReactElement} Card element
+   */
+  const renderDesignCard = (record) => {
+    const isCurrent = record.id === currentDesignId;
+    const pieceCount = record.pieces?.length || 0;
+    const totalCost = record.stats?.totalCost;
+    const actions = [
+      ...(hasDesign && !isCurrent ? [{ key: 'insert', icon: '📥', title: 'Import into current design', onClick: () => handleInsert(record) }] : []),
+      { key: 'rename', icon: '✏️', title: 'Rename', onClick: () => startRename(record) },
+      { key: 'duplicate', icon: '📄', title: 'Duplicate', onClick: () => handleDuplicate(record) },
+      { key: 'export', icon: '⬇️', title: 'Export JSON', onClick: () => handleExport(record) },
+      { key: 'delete', icon: '🗑️', title: 'Delete', onClick: () => handleDelete(record) }
+    ];
+
+    return React.createElement('div', {
+      key: record.id,
+      className: `group rounded-lg border-2 overflow-hidden bg-white transition-all hover:shadow-md ${
+        isCurrent ? 'border-app-mint-500' : 'border-gray-200 hover:border-app-purple-300'
+      }`
+    }, [
+      // Thumbnail
+      React.createElement('button', {
+        key: 'thumbnail',
+        onClick: () => handleOpen(record),
+        className: 'block w-full aspect-[4/3] bg-gray-100 focus:outline-none focus:ring-2 focus:ring-app-purple-500',
+        title: `Open ${record.name}`
+      }, record.thumbnail
+        ? React.createElement('img', {
+            src: record.thumbnail,
+            alt: `Preview of ${record.name}`,
+            className: 'w-full h-full object-cover'
+          })
+        : React.createElement('div', {
+            className: 'w-full h-full flex items-center justify-center text-4xl text-gray-300'
+          }, '🐱')
+      ),
+
+      // Details
+      React.createElement('div', {
+        key: 'details',
+        className: 'p-3 space-y-1'
+      }, [
+        renamingId === record.id
+          ? React.createElement('input', {
+              key: 'rename-input',
+              type: 'text',
+              value: renameValue,
+              maxLength: 50,
+              autoFocus: true,
+              onChange: (e) => setRenameValue(e.target.value),
+              onBlur: commitRename,
+              onKeyDown: (e) => {
+                if (e.key === 'Enter') commitRename();
+                if (e.key === 'Escape') setRenamingId(null);
+              },
+              className: 'w-full px-2 py-1 text-sm border-2 border-app-purple-300 rounded focus:outline-none focus:border-app-purple-500'
+            })
+          : React.createElement('div', {
+              key: 'name',
+              className: 'font-semibold text-sm text-gray-900 truncate',
+              title: record.name
+            }, [
+              record.name || 'Untitled',
+              isCurrent && React.createElement('span', {
+                key: 'current',
+                className: 'ml-2 text-xs font-medium text-app-mint-600'
+              }, '• open')
+            ]),
+        React.createElement('div', {
+          key: 'meta',
+          className: 'text-xs text-gray-500'
+        }, `${pieceCount} piece${pieceCount !== 1 ? 's' : ''}${typeof totalCost === 'number' ? ` • ${SharedUtils.Utils.formatCurrency(totalCost)}` : ''}`),
+        React.createElement('div', {
+          key: 'modified',
+          className: 'text-xs text-gray-400'
+        }, `Modified ${record.updatedAt ? new Date(record.updatedAt).toLocaleString() : 'unknown'}`),
+
+        // Actions
+        React.createElement('div', {
+          key: 'actions',
+          className: 'flex justify-end gap-1 pt-1'
+        }, actions.map(action =>
+          React.createElement('button', {
+            key: action.key,
+            onClick: action.onClick,
+            title: action.title,
+            'aria-label': `${action.title} ${record.name}`,
+            className: `p-1 rounded text-sm transition-colors focus:outline-none focus:ring-2 focus:ring-app-purple-500 ${
+              action.key === 'delete' ? 'hover:bg-red-100' : 'hover:bg-gray-100'
+            }`
+          }, action.icon)
+        ))
+      ])
+    ]);
+  };
+
+  // ========================================
+  // RENDER LOGIC
+  // ========================================
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    },
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'library-title'
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl w-full max-w-4xl mx-4 max-h-[85vh] flex flex-col'
+  }, [
+    // ========================================
+    // MODAL HEADER
+    // ========================================
+    React.createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between px-6 py-4 border-b border-gray-200'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        id: 'library-title',
+        className: 'text-xl font-bold text-gray-900 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'text-2xl' }, '📚'),
+        React.createElement('span', { key: 'text' }, 'Design Library'),
+        React.createElement('span', {
+          key: 'count',
+          className: 'text-sm font-normal text-gray-500'
+        }, `(${designs.length})`)
+      ]),
+      React.createElement('div', {
+        key: 'controls',
+        className: 'flex items-center gap-2'
+      }, [
+        React.createElement('select', {
+          key: 'sort',
+          value: sortBy,
+          onChange: (e) => setSortBy(e.target.value),
+          className: 'text-sm border border-gray-300 rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-app-purple-500',
+          'aria-label': 'Sort designs'
+        }, [
+          React.createElement('option', { key: 'modified-desc', value: 'modified-desc' }, 'Recently modified'),
+          React.createElement('option', { key: 'modified-asc', value: 'modified-asc' }, 'Oldest modified'),
+          React.createElement('option', { key: 'name', value: 'name' }, 'Name (A–Z)')
+        ]),
+        React.createElement('input', {
+          key: 'import-input',
+          ref: importInputRef,
+          type: 'file',
+          accept: '.json',
+          onChange: handleImportChange,
+          className: 'hidden'
+        }),
+        React.createElement('button', {
+          key: 'import',
+          onClick: () => chooseImportFile(false),
+          className: 'text-sm px-3 py-1.5 rounded-lg font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500',
+          title: 'Load a design from a JSON file'
+        }, '📂 Import JSON'),
+        hasDesign && React.createElement('button', {
+          key: 'import-merge',
+          onClick: () => chooseImportFile(true),
+          className: 'text-sm px-3 py-1.5 rounded-lg font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500',
+          title: 'Add a design from a JSON file to the current design as a new group'
+        }, '📥 Import into current'),
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          className: 'text-gray-400 hover:text-gray-600 text-2xl transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg p-1',
+          'aria-label': 'Close library'
+        }, '✕')
+      ])
+    ]),
+
+    // ========================================
+    // DESIGN GRID
+    // ========================================
+    React.createElement('div', {
+      key: 'content',
+      className: 'flex-1 overflow-y-auto p-6'
+    }, isLoading && designs.length === 0
+      ? React.createElement('div', {
+          className: 'flex justify-center py-12'
+        }, React.createElement(SharedUtils.LoadingSpinner, { size: 'large' }))
+      : sortedDesigns.length === 0
+        ? React.createElement(SharedUtils.EmptyState, {
+            icon: '📚',
+            title: 'No saved designs yet',
+            subtitle: 'Use Save to keep designs here in your browser. You can still import designs from JSON files.'
+          })
+        : React.createElement('div', {
+            className: 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4'
+          }, sortedDesigns.map(renderDesignCard))
+    ),
+
+    // ========================================
+    // MODAL FOOTER
+    // ========================================
+    React.createElement('div', {
+      key: 'footer',
+      className: 'px-6 py-3 border-t border-gray-200 text-xs text-gray-500'
+    }, 'Designs are stored in this browser only. Export to JSON to back them up or share them. 📥 adds a design to the current one as a new group.')
+  ]));
+};
@@ -1,5 +1,5 @@
 // =====================================================
-// OPTIMIZED PIECE LIBRARY & CUSTOMIZATION -v13- FIXED VARIANT DISPLAY
+// OPTIMIZED PIECE LIBRARY & CUSTOMIZATION -v14- METRIC UNITS
 // =====================================================
 
 // ========================================
@@ -10,8 +10,9 @@
  * Compact toolbox for selecting and adding pieces to the design
  * Organized with category selection and variant display
  * FIXED: Variant shapes section now properly displays when category is selected
+ * Sizes are shown in the selected unit system ('imperial' or 'metric')
  */
-const CompactToolbox = ({ addPieceFromVariant, selectedCategory, setSelectedCategory }) => {
+const CompactToolbox = ({ addPieceFromVariant, selectedCategory, setSelectedCategory, unitSystem = 'imperial' }) => {
   const { useState, useMemo, useCallback } = React;
   
   // State for showing piece info
@@ -147,7 +148,7 @@ const CompactToolbox = ({ addPieceFromVariant, selectedCategory, setSelectedCate
           React.createElement('button', {
             key: variant.id,
             onClick: () => handleVariantClick(variant.id),
-            title: variant.description || `${variant.name} - ${variant.baseWidth}" × ${variant.baseHeight}" × ${variant.baseDepth}" - $${variant.baseCost}`,
+            title: variant.description || `${variant.name} - ${Units.formatDimensions(variant.baseWidth, variant.baseHeight, variant.baseDepth, unitSystem)} - $${variant.baseCost}`,
             className: 'p-1 bg-white border border-app-mint-200 rounded-md hover:border-app-mint-400 hover:shadow-md transition-all duration-200 text-center group'
           }, [
             React.createElement('div', {
@@ -165,7 +166,7 @@ const CompactToolbox = ({ addPieceFromVariant, selectedCategory, setSelectedCate
             React.createElement('div', {
               key: 'variant-dimensions',
               className: 'text-xs text-app-purple-500 leading-tight'
-            }, `${variant.baseWidth}" × ${variant.baseHeight}" × ${variant.baseDepth}"`),
+            }, Units.formatDimensions(variant.baseWidth, variant.baseHeight, variant.baseDepth, unitSystem)),
             React.createElement('div', {
               key: 'variant-features',
               className: 'flex justify-center mt-1 space-x-1'
@@ -202,7 +203,7 @@ const CompactToolbox = ({ addPieceFromVariant, selectedCategory, setSelectedCate
               }, [
                 React.createElement('div', { key: 'materials' }, `Materials: ${variant.availableMaterials.join(', ')}`),
                 variant.hollow && React.createElement('div', { key: 'hollow-info' }, 'Can have openings added for cats to enter/exit'),
-                React.createElement('div', { key: 'dimensions' }, `Default size: ${variant.baseWidth}" W × ${variant.baseHeight}" H × ${variant.baseDepth}" D`)
+                React.createElement('div', { key: 'dimensions' }, `Default size: ${Units.formatLength(variant.baseWidth, unitSystem)} W × ${Units.formatLength(variant.baseHeight, unitSystem)} H × ${Units.formatLength(variant.baseDepth, unitSystem)} D`)
               ])
             ])
           ])
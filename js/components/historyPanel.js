@@ -0,0 +1,162 @@
+// =====================================================
+// HISTORY PANEL COMPONENT -v1- UNDO/REDO STEP LIST
+// =====================================================
+
+/**
+ * Floating panel listing undo/redo history steps
+ * Clicking a past step undoes back through it; clicking an undone step redoes up to it
+ */
+const HistoryPanel = ({ isOpen, onClose, history, onUndo, onRedo }) => {
+  const { useMemo, useEffect } = React;
+
+  // ========================================
+  // DERIVED STATE
+  // ========================================
+
+  /**
+   * Past steps newest first, with the number of undos needed to revert each
+   */
+  const pastSteps = useMemo(() => {
+    return history.past.map((entry, index) => ({
+      ...entry,
+      undoSteps: history.past.length - index
+    })).reverse();
+  }, [history.past]);
+
+  /**
+   * Undone steps in the order they would be redone, furthest first
+   */
+  const futureSteps = useMemo(() => {
+    return history.future.map((entry, index) => ({
+      ...entry,
+      redoSteps: history.future.length - index
+    }));
+  }, [history.future]);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  /**
+   * Formats an ISO timestamp as a short local time
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Time of day
+   */
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  };
+
+  /**
+   * Renders a single history row
+   * @param {Object} entry - History entry
+   * @param {boolean} isUndone - Whether the step is currently undone
+   * @param {Function} onClick - Jump handler
+   */
+  const renderStep = (entry, isUndone, onClick) => {
+    return React.createElement('button', {
+      key: entry.id,
+      onClick,
+      className: `w-full flex items-center justify-between px-3 py-1.5 text-left text-xs rounded transition-colors ${
+        isUndone
+          ? 'text-gray-400 italic hover:bg-gray-100'
+          : 'text-app-purple-800 hover:bg-app-mint-50'
+      }`,
+      title: isUndone ? 'Redo up to this step' : 'Undo this and later steps'
+    }, [
+      React.createElement('span', { key: 'label', className: 'truncate' }, entry.label),
+      React.createElement('span', { key: 'time', className: 'ml-2 text-[10px] text-gray-400 flex-shrink-0' }, formatTime(entry.timestamp))
+    ]);
+  };
+
+  // ========================================
+  // RENDER
+  // ========================================
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: 'fixed top-20 right-4 z-50 w-72 max-h-[70vh] flex flex-col bg-white rounded-xl shadow-2xl border border-app-mint-200 overflow-hidden',
+    role: 'dialog',
+    'aria-label': 'Edit history'
+  }, [
+    // Header
+    React.createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between p-3 border-b border-app-mint-200 bg-gradient-to-r from-app-purple-50 to-app-pink-50 flex-shrink-0'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        className: 'text-sm font-bold text-app-purple-800 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon' }, '🕘'),
+        React.createElement('span', { key: 'text' }, 'History')
+      ]),
+      React.createElement('div', {
+        key: 'actions',
+        className: 'flex items-center space-x-1'
+      }, [
+        React.createElement('button', {
+          key: 'undo',
+          onClick: () => onUndo(1),
+          disabled: history.past.length === 0,
+          className: 'px-2 py-1 text-xs rounded bg-app-mint-100 hover:bg-app-mint-200 text-app-mint-800 disabled:opacity-40 disabled:cursor-not-allowed',
+          title: 'Undo (Ctrl+Z)'
+        }, '↩️'),
+        React.createElement('button', {
+          key: 'redo',
+          onClick: () => onRedo(1),
+          disabled: history.future.length === 0,
+          className: 'px-2 py-1 text-xs rounded bg-app-mint-100 hover:bg-app-mint-200 text-app-mint-800 disabled:opacity-40 disabled:cursor-not-allowed',
+          title: 'Redo (Ctrl+Shift+Z)'
+        }, '↪️'),
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          className: 'text-app-purple-400 hover:text-app-purple-600 transition-colors px-1',
+          'aria-label': 'Close history'
+        }, '✕')
+      ])
+    ]),
+
+    // Step List
+    React.createElement('div', {
+      key: 'steps',
+      className: 'flex-1 overflow-y-auto p-2 space-y-0.5'
+    }, [
+      ...futureSteps.map(entry => renderStep(entry, true, () => onRedo(entry.redoSteps))),
+      React.createElement('div', {
+        key: 'current',
+        className: 'px-3 py-1.5 text-xs font-semibold text-white bg-app-purple-500 rounded'
+      }, '● Current design'),
+      ...pastSteps.map(entry => renderStep(entry, false, () => onUndo(entry.undoSteps))),
+      history.past.length === 0 && history.future.length === 0 && React.createElement('div', {
+        key: 'empty',
+        className: 'px-3 py-4 text-xs text-center text-gray-400'
+      }, 'No edits yet')
+    ]),
+
+    // Footer
+    React.createElement('div', {
+      key: 'footer',
+      className: 'px-3 py-2 border-t border-gray-100 text-[10px] text-gray-400 flex-shrink-0'
+    }, `Keeps the last ${SharedUtils.HISTORY.MAX_ENTRIES} steps`)
+  ]);
+};
@@ -0,0 +1,176 @@
+// =====================================================
+// IMPORT REPORT MODAL COMPONENT -v1- MIGRATION & VALIDATION RESULTS
+// =====================================================
+
+/**
+ * Dialog listing what happened when a design was loaded or imported
+ * Shows the version migration steps and every per-item problem found by DesignSchema
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Report from DesignSchema.prepare (null hides the dialog)
+ * @param {Function} props.onClose - Close handler
+ */
+const ImportReportModal = ({ report, onClose }) => {
+  const { useEffect, useMemo } = React;
+
+  // ========================================
+  // DERIVED DATA
+  // ========================================
+
+  /**
+   * Issues grouped by the kind of item they affect
+   */
+  const issueSections = useMemo(() => {
+    if (!report) return [];
+    const sections = [
+      { scope: 'design', title: 'Design', icon: '📄' },
+      { scope: 'piece', title: 'Pieces', icon: '📦' },
+      { scope: 'group', title: 'Groups', icon: '📁' },
+      { scope: 'opening', title: 'Openings', icon: '🚪' }
+    ];
+    return sections
+      .map(section => ({ ...section, issues: report.issues.filter(issue => issue.scope === section.scope) }))
+      .filter(section => section.issues.length > 0);
+  }, [report]);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    if (!report) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [report, onClose]);
+
+  // ========================================
+  // RENDER LOGIC
+  // ========================================
+
+  if (!report) return null;
+
+  const errorCount = report.issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = report.issues.length - errorCount;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    },
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'import-report-title'
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl w-full max-w-2xl mx-4 max-h-[85vh] flex flex-col'
+  }, [
+    // ========================================
+    // MODAL HEADER
+    // ========================================
+    React.createElement('div', {
+      key: 'header',
+      className: 'px-6 py-4 border-b border-gray-200'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        id: 'import-report-title',
+        className: 'text-xl font-bold text-gray-900 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'text-2xl' }, report.fatal ? '❌' : '📋'),
+        React.createElement('span', { key: 'text' }, report.fatal ? 'Design could not be loaded' : 'Import report')
+      ]),
+      React.createElement('p', {
+        key: 'summary',
+        className: 'text-sm text-gray-600 mt-1'
+      }, report.fatal
+        ? report.designName
+        : `${report.designName} • saved as v${report.sourceVersion || 'unknown'}, loaded as v${report.targetVersion} • ${errorCount} error${errorCount !== 1 ? 's' : ''}, ${warningCount} warning${warningCount !== 1 ? 's' : ''}`)
+    ]),
+
+    // ========================================
+    // REPORT CONTENT
+    // ========================================
+    React.createElement('div', {
+      key: 'content',
+      className: 'flex-1 overflow-y-auto px-6 py-4 space-y-4'
+    }, [
+      report.fatal && React.createElement('div', {
+        key: 'fatal',
+        className: 'text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3',
+        role: 'alert'
+      }, report.fatal),
+
+      // Migration steps
+      report.migrations.length > 0 && React.createElement('div', {
+        key: 'migrations',
+        className: 'text-sm bg-app-purple-50 border border-app-purple-200 rounded-lg p-3'
+      }, [
+        React.createElement('div', {
+          key: 'title',
+          className: 'font-medium text-app-purple-800 mb-1'
+        }, '🔁 Upgraded from an older format'),
+        React.createElement('ul', {
+          key: 'list',
+          className: 'list-disc list-inside text-app-purple-700 space-y-0.5'
+        }, report.migrations.map(step =>
+          React.createElement('li', { key: step.version }, `v${step.version}: ${step.description}`)
+        ))
+      ]),
+
+      // Issues by scope
+      ...issueSections.map(section =>
+        React.createElement('div', { key: section.scope }, [
+          React.createElement('h3', {
+            key: 'title',
+            className: 'text-sm font-semibold text-gray-800 mb-2 flex items-center space-x-1'
+          }, [
+            React.createElement('span', { key: 'icon' }, section.icon),
+            React.createElement('span', { key: 'text' }, `${section.title} (${section.issues.length})`)
+          ]),
+          React.createElement('ul', {
+            key: 'issues',
+            className: 'space-y-1'
+          }, section.issues.map((issue, index) =>
+            React.createElement('li', {
+              key: `${issue.itemId || 'item'}-${index}`,
+              className: `text-sm rounded-md px-3 py-2 border ${
+                issue.severity === 'error'
+                  ? 'bg-red-50 border-red-200 text-red-800'
+                  : 'bg-amber-50 border-amber-200 text-amber-800'
+              }`
+            }, [
+              React.createElement('span', { key: 'icon', className: 'mr-1' }, issue.severity === 'error' ? '❌' : '⚠️'),
+              issue.itemName && React.createElement('span', { key: 'name', className: 'font-medium' }, `${issue.itemName}: `),
+              React.createElement('span', { key: 'message' }, issue.message)
+            ])
+          ))
+        ])
+      )
+    ]),
+
+    // ========================================
+    // MODAL ACTIONS
+    // ========================================
+    React.createElement('div', {
+      key: 'actions',
+      className: 'flex items-center justify-between px-6 py-3 border-t border-gray-200'
+    }, [
+      React.createElement('span', {
+        key: 'hint',
+        className: 'text-xs text-gray-500'
+      }, report.fatal ? 'Your current design was not changed.' : 'Fixes above have been applied. Undo restores your previous design.'),
+      React.createElement('button', {
+        key: 'close',
+        onClick: onClose,
+        autoFocus: true,
+        className: 'px-6 py-2 rounded-lg font-medium bg-blue-500 hover:bg-blue-600 text-white shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+      }, 'OK')
+    ])
+  ]));
+};
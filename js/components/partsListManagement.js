@@ -1,15 +1,16 @@
 // =====================================================
-// OPTIMIZED PARTS LIST MANAGEMENT -v9- PROPER FLEX LAYOUT FOR SCROLLING
+// OPTIMIZED PARTS LIST MANAGEMENT -v15- PASSAGE CONNECTIVITY
 // =====================================================
 
 /**
  * Main parts list management component that displays and manages pieces, groups, and openings
- * Provides search, sorting, selection, and organization features
+ * Provides search, sorting, selection, and organization features, plus the bill of materials
  * FIXED: Uses proper flex layout to enable internal scrolling
  */
 const PartsListManagement = ({ 
   pieces, 
   selectedPiece, 
+  selectedPieceIds = [],
   onPieceClick, 
   getDesignStats, 
   onToggleLock,
@@ -25,7 +26,22 @@ const PartsListManagement = ({
   onToggleOpeningLock,
   // Additional helper functions
   getPieceOpenings,
-  getGroupPieces
+  getGroupPieces,
+  // Collision detection
+  collisions = [],
+  preventOverlap = false,
+  onTogglePreventOverlap,
+  // Passage connectivity between houses and tunnels
+  passages = null,
+  routeTargetId = null,
+  passageRoute = null,
+  onShowRoute,
+  // Display units
+  unitSystem = 'imperial',
+  // Name used for exported files
+  designName = 'My Cat Tree',
+  // Price catalog for hardware costs
+  priceCatalog = null
 }) => {
   const { useState, useMemo, useCallback } = React;
   
@@ -46,9 +62,9 @@ const PartsListManagement = ({
    * Calculates design statistics using SharedUtils if available, with fallback
    */
   const stats = SharedUtils.useMemoizedStats ? 
-    SharedUtils.useMemoizedStats(pieces, openings) :
+    SharedUtils.useMemoizedStats(pieces, openings, priceCatalog) :
     useMemo(() => ({
-      totalCost: pieces.reduce((sum, piece) => sum + piece.cost, 0),
+      totalCost: PriceCatalog.getTotalCost(pieces, priceCatalog),
       maxHeight: pieces.reduce((max, piece) => Math.max(max, piece.y + piece.height), 0),
       averageHeight: pieces.length > 0 ? 
         pieces.reduce((sum, piece) => sum + piece.y + piece.height, 0) / pieces.length : 0,
@@ -56,7 +72,7 @@ const PartsListManagement = ({
       totalOpenings: openings.length,
       hollowPieces: pieces.filter(p => p.hollow).length,
       lockedPieces: pieces.filter(p => p.locked).length
-    }), [pieces, openings]);
+    }), [pieces, openings, priceCatalog]);
 
   /**
    * Processes pieces with filtering and sorting for optimal performance
@@ -88,12 +104,43 @@ const PartsListManagement = ({
       }
     });
 
+    // Nest kit accessories directly under their parent (accessories whose parent is filtered out stay in place)
+    const shownIds = new Set(sorted.map(p => p.id));
+    const nested = [];
+    const appendWithAccessories = (piece) => {
+      nested.push(piece);
+      sorted
+        .filter(child => child.kitParentId === piece.id)
+        .forEach(appendWithAccessories);
+    };
+    sorted
+      .filter(piece => !piece.kitParentId || !shownIds.has(piece.kitParentId))
+      .forEach(appendWithAccessories);
+    if (nested.length < sorted.length) {
+      // Accessories linked in a loop have no root to hang from
+      const nestedIds = new Set(nested.map(p => p.id));
+      nested.push(...sorted.filter(piece => !nestedIds.has(piece.id)));
+    }
+
     const endTime = performance.now();
     console.log(`✅ Piece processing completed in ${(endTime - startTime).toFixed(2)}ms`);
     
-    return sorted;
+    return nested;
   }, [pieces, searchTerm, sortBy]);
 
+  /**
+   * Nesting depth of each listed kit accessory under its parent
+   */
+  const kitDepths = useMemo(() => {
+    const depths = {};
+    processedPieces.forEach(piece => {
+      depths[piece.id] = piece.kitParentId && depths[piece.kitParentId] !== undefined
+        ? depths[piece.kitParentId] + 1
+        : 0;
+    });
+    return depths;
+  }, [processedPieces]);
+
   /**
    * Processes groups with enhanced metadata calculation
    */
@@ -108,7 +155,7 @@ const PartsListManagement = ({
       return {
         ...group,
         pieceCount: groupPieces.length,
-        totalCost: groupPieces.reduce((sum, p) => sum + p.cost, 0),
+        totalCost: PriceCatalog.getTotalCost(groupPieces, priceCatalog),
         pieces: groupPieces,
         boundingBox: groupData,
         maxHeight: groupPieces.reduce((max, p) => Math.max(max, p.y + p.height), 0)
@@ -117,7 +164,7 @@ const PartsListManagement = ({
       // Sort by creation date (newest first)
       return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
     });
-  }, [groups, pieces, getGroupPieces]);
+  }, [groups, pieces, getGroupPieces, priceCatalog]);
 
   /**
    * Processes openings with parent piece validation and grouping
@@ -140,6 +187,13 @@ const PartsListManagement = ({
     return openingsWithParent.sort((a, b) => a.parentPiece.name.localeCompare(b.parentPiece.name));
   }, [openings, pieces]);
 
+  /**
+   * Bill of materials, only built while its tab is open
+   */
+  const billOfMaterials = useMemo(() => (
+    activeSection === 'bom' ? BillOfMaterials.build(pieces, CutList.getStock(), priceCatalog) : null
+  ), [activeSection, pieces, priceCatalog]);
+
   // ========================================
   // MEMOIZED EVENT HANDLERS - PREVENT UNNECESSARY RE-RENDERS
   // ========================================
@@ -204,6 +258,19 @@ const PartsListManagement = ({
     setSelectedForGrouping([]);
   }, []);
 
+  /**
+   * Number of overlap conflicts per piece
+   */
+  const conflictCounts = useMemo(() => {
+    const counts = {};
+    collisions.forEach(conflict => {
+      conflict.pieceIds.forEach(id => {
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [collisions]);
+
   // ========================================
   // REUSABLE COMPONENT - PIECE ITEM CARD
   // ========================================
@@ -211,15 +278,20 @@ const PartsListManagement = ({
   /**
    * Individual piece card component with selection and action capabilities
    */
-  const PieceItemCard = useCallback(({ piece, isSelected, isSelectedForGrouping, isGrouped }) => {
+  const PieceItemCard = useCallback(({ piece, isSelected, isSelectedForGrouping, isGrouped, conflictCount = 0, kitDepth = 0 }) => {
     const pieceOpenings = getPieceOpenings ? getPieceOpenings(piece.id) : openings.filter(o => o.parentPieceId === piece.id);
+    const kitParent = piece.kitParentId ? pieces.find(p => p.id === piece.kitParentId) : null;
     
     return React.createElement('div', {
       key: piece.id,
-      onClick: () => !isGrouped && onPieceClick(piece.id),
+      style: kitDepth > 0 ? { marginLeft: `${kitDepth * 1.25}rem` } : undefined,
+      // Shift/Ctrl-click adds or removes the piece from the selection
+      onClick: (e) => !isGrouped && onPieceClick(piece.id, { additive: e.shiftKey || e.ctrlKey || e.metaKey }),
       className: `relative rounded-lg border-2 transition-all duration-200 ${
         isSelected 
           ? 'border-blue-500 bg-blue-50 shadow-md transform scale-[1.02]' 
+          : conflictCount > 0
+            ? 'border-red-400 bg-red-50 hover:shadow-sm'
           : isSelectedForGrouping
             ? 'border-green-500 bg-green-50 shadow-sm'
             : isGrouped
@@ -272,7 +344,7 @@ const PartsListManagement = ({
               React.createElement('div', {
                 key: 'dimensions',
                 className: 'text-xs text-app-purple-500'
-              }, `${piece.width}" × ${piece.depth}" × ${piece.height}" • ${piece.material || 'wood'}`)
+              }, `${Units.formatDimensions(piece.width, piece.depth, piece.height, unitSystem)} • ${piece.material || 'wood'}`)
             ])
           ]),
           // Stresstester
@@ -280,7 +352,7 @@ const PartsListManagement = ({
             key: 'weight-info',
             className: 'text-xs text-app-purple-400'
           }, window.StructuralAnalysis ? 
-             `Weight: ${window.StructuralAnalysis.calculatePieceWeight(piece).toFixed(1)} lbs` : 
+             `Weight: ${Units.formatWeight(window.StructuralAnalysis.calculatePieceWeight(piece), unitSystem)}` : 
              'Weight: --'),
           // Action Buttons
           React.createElement('div', {
@@ -310,7 +382,19 @@ const PartsListManagement = ({
           React.createElement('div', {
             key: 'position-info',
             className: 'text-xs text-gray-500'
-          }, `Position: ${piece.x.toFixed(1)}", ${piece.y.toFixed(1)}", ${piece.z.toFixed(1)}"`),
+          }, `Position: ${[piece.x, piece.y, piece.z].map(value => Units.formatLength(value, unitSystem, 1)).join(', ')}`),
+          
+          kitParent && React.createElement('div', {
+            key: 'kit-info',
+            className: 'text-xs text-app-mint-700 font-medium'
+          }, piece.included
+            ? `🧩 Included with ${kitParent.name}`
+            : `🧩 Accessory of ${kitParent.name}`),
+          
+          conflictCount > 0 && React.createElement('div', {
+            key: 'conflict-info',
+            className: 'text-xs text-red-600 font-medium'
+          }, `💥 Overlaps ${conflictCount} other piece${conflictCount !== 1 ? 's' : ''}`),
           
           piece.hollow && pieceOpenings.length > 0 && React.createElement('div', {
             key: 'openings-count',
@@ -324,7 +408,7 @@ const PartsListManagement = ({
         ])
       ])
     ]);
-  }, [onPieceClick, onToggleLock, handlePieceSelectionForGrouping, openings, getPieceOpenings]);
+  }, [onPieceClick, onToggleLock, handlePieceSelectionForGrouping, pieces, openings, getPieceOpenings, unitSystem]);
 
   // ========================================
   // REUSABLE COMPONENT - GROUP ITEM CARD
@@ -366,8 +450,8 @@ const PartsListManagement = ({
               key: 'dimensions',
               className: 'text-xs text-app-purple-400'
             }, group.boundingBox ? 
-              `${group.boundingBox.width?.toFixed(1)}" × ${group.boundingBox.height?.toFixed(1)}" × ${group.boundingBox.depth?.toFixed(1)}"` : 
-              `Max height: ${group.maxHeight?.toFixed(1)}"`),
+              Units.formatDimensions(group.boundingBox.width, group.boundingBox.height, group.boundingBox.depth, unitSystem) : 
+              `Max height: ${Units.formatLength(group.maxHeight, unitSystem, 1)}`),
             group.createdAt && React.createElement('div', {
               key: 'created',
               className: 'text-xs text-app-purple-400'
@@ -417,7 +501,7 @@ const PartsListManagement = ({
         }, group.pieces.map(p => p.name).join(', '))
       ])
     ]);
-  }, [onGroupClick, onToggleGroupLock, onUngroupPieces]);
+  }, [onGroupClick, onToggleGroupLock, onUngroupPieces, unitSystem]);
 
   // ========================================
   // REUSABLE COMPONENT - OPENING ITEM CARD
@@ -447,7 +531,7 @@ const PartsListManagement = ({
           React.createElement('span', {
             key: 'icon',
             className: 'text-lg flex-shrink-0'
-          }, opening.shape === 'circle' ? '⭕' : opening.shape === 'square' ? '⬜' : '🚪'),
+          }, CatTreePieces.OPENING_SHAPES[opening.shape]?.icon || '🚪'),
           React.createElement('div', { key: 'details', className: 'min-w-0 flex-1' }, [
             React.createElement('div', {
               key: 'name',
@@ -460,7 +544,7 @@ const PartsListManagement = ({
             React.createElement('div', {
               key: 'details-info',
               className: 'text-xs text-app-purple-400'
-            }, `${opening.face} face • ${opening.width}" × ${opening.height}" • ${opening.shape}`)
+            }, `${opening.face} face • ${Units.formatDimensions(opening.width, opening.height, null, unitSystem)} • ${opening.shape}`)
           ])
         ]),
         React.createElement('button', {
@@ -477,7 +561,245 @@ const PartsListManagement = ({
         }, opening.locked ? '🔒' : '🔓')
       ])
     ]);
-  }, [onOpeningClick, onToggleOpeningLock]);
+  }, [onOpeningClick, onToggleOpeningLock, unitSystem]);
+
+  /**
+   * Downloads the bill of materials as CSV in the current units
+   */
+  const handleExportBom = useCallback(() => {
+    if (billOfMaterials) BillOfMaterials.exportCSV(billOfMaterials, unitSystem, designName);
+  }, [billOfMaterials, unitSystem, designName]);
+
+  // ========================================
+  // BILL OF MATERIALS
+  // ========================================
+
+  /**
+   * Renders the bill of materials sections, totals and CSV export
+   * @returns {ReactElement} Bill of materials panel
+   */
+  const renderBillOfMaterials = () => React.createElement('div', {
+    key: 'bom-content',
+    className: 'space-y-3'
+  }, [
+    React.createElement('div', {
+      key: 'totals',
+      className: 'bg-white rounded-lg border border-app-mint-200 p-3 text-sm'
+    }, [
+      React.createElement('div', { key: 'pieces', className: 'flex justify-between text-gray-600' }, [
+        React.createElement('span', { key: 'label' }, 'Pieces'),
+        React.createElement('span', { key: 'value' }, SharedUtils.Utils.formatCurrency(billOfMaterials.totals.pieceCost))
+      ]),
+      React.createElement('div', { key: 'hardware', className: 'flex justify-between text-gray-600' }, [
+        React.createElement('span', { key: 'label' }, `Hardware (${billOfMaterials.connectionCount} connections)`),
+        React.createElement('span', { key: 'value' }, SharedUtils.Utils.formatCurrency(billOfMaterials.totals.hardwareCost))
+      ]),
+      React.createElement('div', { key: 'total', className: 'flex justify-between font-semibold text-gray-900 border-t border-gray-200 mt-1 pt-1' }, [
+        React.createElement('span', { key: 'label' }, 'Estimated total'),
+        React.createElement('span', { key: 'value' }, SharedUtils.Utils.formatCurrency(billOfMaterials.totals.total))
+      ]),
+      React.createElement('button', {
+        key: 'export',
+        onClick: handleExportBom,
+        className: 'w-full mt-3 px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition-colors'
+      }, '⬇️ Export CSV')
+    ]),
+
+    ...billOfMaterials.sections.map(section => React.createElement('div', {
+      key: section.id,
+      className: 'bg-white rounded-lg border border-gray-200 p-3'
+    }, [
+      React.createElement('div', {
+        key: 'title',
+        className: 'flex items-center justify-between text-sm font-semibold text-gray-800 mb-2'
+      }, [
+        React.createElement('span', { key: 'text' }, `${section.icon} ${section.title}`),
+        section.subtotal !== null && React.createElement('span', {
+          key: 'subtotal',
+          className: 'text-green-600'
+        }, SharedUtils.Utils.formatCurrency(section.subtotal))
+      ]),
+      React.createElement('ul', {
+        key: 'lines',
+        className: 'space-y-1'
+      }, section.lines.map((line, index) => {
+        const { value, unit } = BillOfMaterials.displayQuantity(line, unitSystem);
+        const notes = BillOfMaterials.describeLine(line, unitSystem);
+        return React.createElement('li', {
+          key: `${line.item}-${index}`,
+          className: 'text-xs text-gray-700'
+        }, [
+          React.createElement('div', { key: 'main', className: 'flex justify-between' }, [
+            React.createElement('span', { key: 'item', className: 'font-medium' }, line.item),
+            React.createElement('span', { key: 'quantity' }, `${value} ${unit}`)
+          ]),
+          notes && React.createElement('div', { key: 'notes', className: 'text-gray-500' }, notes)
+        ]);
+      }))
+    ])),
+
+    React.createElement('p', {
+      key: 'hint',
+      className: 'text-xs text-gray-500'
+    }, 'Lumber follows the cut list; hardware follows the connections recommended by the stress test.')
+  ]);
+
+  // ========================================
+  // OVERLAP CONFLICTS
+  // ========================================
+  
+  /**
+   * Renders the overlap conflict list and the prevent-overlap drag toggle
+   * @returns {ReactElement} Conflicts panel
+   */
+  const renderConflicts = () => React.createElement('div', {
+    key: 'conflicts',
+    className: `mb-3 rounded-lg border p-2 text-xs ${
+      collisions.length > 0 ? 'border-red-300 bg-red-50' : 'border-app-mint-200 bg-white'
+    }`
+  }, [
+    React.createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between'
+    }, [
+      React.createElement('span', {
+        key: 'title',
+        className: `font-medium ${collisions.length > 0 ? 'text-red-700' : 'text-green-700'}`
+      }, collisions.length > 0
+        ? `💥 ${collisions.length} overlap conflict${collisions.length !== 1 ? 's' : ''}`
+        : '✅ No overlapping pieces'),
+      onTogglePreventOverlap && React.createElement('label', {
+        key: 'prevent-overlap',
+        className: 'flex items-center space-x-1 text-gray-600 cursor-pointer',
+        title: 'Stop dragged pieces at other pieces instead of letting them pass through'
+      }, [
+        React.createElement('input', {
+          key: 'checkbox',
+          type: 'checkbox',
+          checked: preventOverlap,
+          onChange: (e) => onTogglePreventOverlap(e.target.checked),
+          className: 'w-3 h-3 rounded border-gray-300 text-red-500 focus:ring-red-500'
+        }),
+        React.createElement('span', { key: 'text' }, 'Prevent overlap while dragging')
+      ])
+    ]),
+    collisions.length > 0 && React.createElement('ul', {
+      key: 'list',
+      className: 'mt-2 space-y-1 max-h-32 overflow-y-auto'
+    }, collisions.map(conflict =>
+      React.createElement('li', {
+        key: conflict.id,
+        className: 'flex items-center space-x-1 text-red-800'
+      }, [
+        React.createElement('button', {
+          key: 'first',
+          onClick: () => onPieceClick(conflict.pieceIds[0]),
+          className: 'underline hover:text-red-600 truncate'
+        }, conflict.pieceNames[0]),
+        React.createElement('span', { key: 'separator', className: 'flex-shrink-0' }, '↔'),
+        React.createElement('button', {
+          key: 'second',
+          onClick: () => onPieceClick(conflict.pieceIds[1]),
+          className: 'underline hover:text-red-600 truncate'
+        }, conflict.pieceNames[1])
+      ])
+    ))
+  ]);
+
+  // ========================================
+  // PASSAGE CONNECTIVITY
+  // ========================================
+  
+  /**
+   * Renders the passages between hollow pieces, dead-end tunnels, spaces with no way in,
+   * and the picker for the crawl route shown in the canvas
+   * @returns {ReactElement} Passages panel
+   */
+  const renderPassages = () => {
+    const problemCount = passages.deadEnds.length + passages.enclosed.length;
+    
+    return React.createElement('div', {
+      key: 'passages',
+      className: `mb-3 rounded-lg border p-2 text-xs space-y-2 ${
+        problemCount > 0 ? 'border-amber-300 bg-amber-50' : 'border-app-mint-200 bg-white'
+      }`
+    }, [
+      React.createElement('div', {
+        key: 'header',
+        className: `font-medium ${problemCount > 0 ? 'text-amber-800' : 'text-green-700'}`
+      }, problemCount > 0
+        ? `🕳️ ${passages.passages.length} passage${passages.passages.length !== 1 ? 's' : ''} • ${problemCount} problem${problemCount !== 1 ? 's' : ''}`
+        : `✅ ${passages.passages.length} passage${passages.passages.length !== 1 ? 's' : ''}; every space has a way in`),
+      
+      passages.passages.length > 0 && React.createElement('ul', {
+        key: 'list',
+        className: 'space-y-1 max-h-32 overflow-y-auto'
+      }, passages.passages.map(passage =>
+        React.createElement('li', {
+          key: passage.id,
+          className: `flex items-center space-x-1 ${passage.passable ? 'text-gray-700' : 'text-amber-800'}`,
+          title: passage.passable ? undefined : 'Lined up, but too tight for a cat to squeeze through'
+        }, [
+          React.createElement('button', {
+            key: 'first',
+            onClick: () => onPieceClick(passage.pieceIds[0]),
+            className: 'underline hover:text-blue-600 truncate'
+          }, passage.pieceNames[0]),
+          React.createElement('span', { key: 'separator', className: 'flex-shrink-0' }, '⇄'),
+          React.createElement('button', {
+            key: 'second',
+            onClick: () => onPieceClick(passage.pieceIds[1]),
+            className: 'underline hover:text-blue-600 truncate'
+          }, passage.pieceNames[1]),
+          React.createElement('span', {
+            key: 'clearance',
+            className: 'flex-shrink-0 text-gray-500'
+          }, `${passage.passable ? '' : '⚠️ '}${Units.formatLength(passage.clearance, unitSystem, 1)} clear`)
+        ])
+      )),
+      
+      ...passages.deadEnds.map(deadEnd => React.createElement('div', {
+        key: `dead-end-${deadEnd.pieceId}`,
+        className: 'text-amber-800'
+      }, [
+        React.createElement('button', {
+          key: 'name',
+          onClick: () => onPieceClick(deadEnd.pieceId),
+          className: 'underline hover:text-amber-600'
+        }, `🚧 ${deadEnd.name}`),
+        React.createElement('span', { key: 'text' },
+          ` is a dead end${deadEnd.reasons.length > 0 ? `: ${deadEnd.reasons.join(', ')}` : ''}`)
+      ])),
+      
+      ...passages.enclosed.map(pocket => React.createElement('div', {
+        key: `enclosed-${pocket.pieceIds.join('|')}`,
+        className: 'text-red-700'
+      }, `🔒 No way in from outside: ${pocket.names.join(', ')}`)),
+      
+      onShowRoute && React.createElement('label', {
+        key: 'route',
+        className: 'flex items-center space-x-1 text-gray-600'
+      }, [
+        React.createElement('span', { key: 'label', className: 'flex-shrink-0' }, '🐾 Crawl route to'),
+        React.createElement('select', {
+          key: 'select',
+          value: routeTargetId || '',
+          onChange: (e) => onShowRoute(e.target.value || null),
+          className: 'flex-1 min-w-0 px-1 py-0.5 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-orange-400'
+        }, [
+          React.createElement('option', { key: 'none', value: '' }, 'None'),
+          ...passages.nodes.map(node =>
+            React.createElement('option', { key: node.pieceId, value: node.pieceId }, node.name)
+          )
+        ])
+      ]),
+      routeTargetId && !passageRoute && passages.nodes.some(node => node.pieceId === routeTargetId) &&
+        React.createElement('div', {
+          key: 'no-route',
+          className: 'text-red-700'
+        }, 'A cat can\'t get there from outside')
+    ]);
+  };
 
   // ========================================
   // MAIN COMPONENT RENDER - FIXED FLEX LAYOUT
@@ -516,9 +838,9 @@ const PartsListManagement = ({
           key: 'height-stat',
           className: 'bg-white rounded-lg p-3 text-center border border-yellow-200 hover:shadow-sm transition-shadow'
         }, [
-          React.createElement('div', { key: 'number', className: 'text-2xl font-bold text-yellow-600' }, `${stats.maxHeight}"`),
+          React.createElement('div', { key: 'number', className: 'text-2xl font-bold text-yellow-600' }, Units.formatLength(stats.maxHeight, unitSystem)),
           React.createElement('div', { key: 'label', className: 'text-sm text-gray-600' }, 'Max Height'),
-          React.createElement('div', { key: 'avg', className: 'text-xs text-gray-500 mt-1' }, `${(stats.averageHeight || 0).toFixed(1)}" avg`)
+          React.createElement('div', { key: 'avg', className: 'text-xs text-gray-500 mt-1' }, `${Units.formatLength(stats.averageHeight || 0, unitSystem, 1)} avg`)
         ])
       ])
     ]),
@@ -628,7 +950,16 @@ const PartsListManagement = ({
             ? 'bg-white text-green-600 border-b-2 border-green-600 shadow-sm' 
             : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
         }`
-      }, `🚪 Openings (${processedOpenings.length})`)
+      }, `🚪 Openings (${processedOpenings.length})`),
+      React.createElement('button', {
+        key: 'bom-tab',
+        onClick: () => handleSectionChange('bom'),
+        className: `flex-1 px-4 py-3 text-sm font-medium transition-all ${
+          activeSection === 'bom' 
+            ? 'bg-white text-amber-600 border-b-2 border-amber-600 shadow-sm' 
+            : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+        }`
+      }, '🧾 BOM')
     ]),
 
     // ========================================
@@ -681,6 +1012,9 @@ const PartsListManagement = ({
         key: 'pieces-section',
         className: 'p-4'
       }, [
+        pieces.length > 0 && renderConflicts(),
+        passages && passages.nodes.length > 0 && renderPassages(),
+        
         processedPieces.length === 0 ? React.createElement(SharedUtils.EmptyState, {
           key: 'empty-pieces',
           icon: '📦',
@@ -694,7 +1028,7 @@ const PartsListManagement = ({
           key: 'pieces-content',
           className: viewMode === 'grid' ? 'grid grid-cols-1 gap-3' : 'space-y-2'
         }, processedPieces.map(piece => {
-          const isSelected = selectedPiece?.id === piece.id;
+          const isSelected = selectedPiece?.id === piece.id || selectedPieceIds.includes(piece.id);
           const isSelectedForGrouping = selectedForGrouping.includes(piece.id);
           const isGrouped = !!piece.groupId;
           
@@ -703,7 +1037,9 @@ const PartsListManagement = ({
             piece,
             isSelected,
             isSelectedForGrouping,
-            isGrouped
+            isGrouped,
+            conflictCount: conflictCounts[piece.id] || 0,
+            kitDepth: kitDepths[piece.id] || 0
           });
         }))
       ]),
@@ -772,6 +1108,21 @@ const PartsListManagement = ({
             isSelected
           });
         }))
+      ]),
+
+      // ========================================
+      // BILL OF MATERIALS SECTION
+      // ========================================
+      activeSection === 'bom' && React.createElement('div', {
+        key: 'bom-section',
+        className: 'p-4'
+      }, [
+        pieces.length === 0 ? React.createElement(SharedUtils.EmptyState, {
+          key: 'empty-bom',
+          icon: '🧾',
+          title: 'Nothing to build yet',
+          subtitle: 'Add pieces to see the materials and hardware they need'
+        }) : renderBillOfMaterials()
       ])
     ])
   ]);
@@ -1,14 +1,15 @@
 // =====================================================
-// UNIFIED MOVEMENT CONTROLS COMPONENT -v16- FIXED HOOKS ORDER
+// UNIFIED MOVEMENT CONTROLS COMPONENT -v19- OPENING PLACEMENT
 // =====================================================
 
 /**
- * Unified editing controls for pieces, groups, and openings
+ * Unified editing controls for pieces, multi-piece selections, groups, and openings
  * Provides movement, rotation, flip, and action controls based on current selection
  */
 const PieceEditingControls = ({ 
   pieces, 
   selectedPiece, 
+  selectedPieces = [],  // Every selected piece; more than one shows the bulk controls
   selectedGroup, 
   selectedOpening, 
   openings, 
@@ -26,7 +27,15 @@ const PieceEditingControls = ({
   selectOpening,
   onUpdateCustomization,
   flipPiece,        // Function to flip pieces
-  canFlipPiece      // Function to check if piece can be flipped
+  canFlipPiece,     // Function to check if piece can be flipped
+  onMoveSelection,
+  onRotateSelection,
+  onDeleteSelection,
+  onDuplicateSelection,
+  onToggleSelectionLock,
+  onGroupSelection,
+  unitSystem = 'imperial',  // Increments and sizes are shown in this unit system
+  priceCatalog = null  // Catalog piece costs are shown with
 }) => {
   const { useCallback, useMemo } = React;
 
@@ -70,6 +79,15 @@ const PieceEditingControls = ({
     }
   }, [selectedGroup, onMoveGroup, highestPoint]);
 
+  /**
+   * Handles multi-selection stacking to highest point
+   */
+  const handleSelectionStack = useCallback(() => {
+    if (selectedPieces.length > 1) {
+      onMoveSelection('custom', { y: highestPoint });
+    }
+  }, [selectedPieces.length, onMoveSelection, highestPoint]);
+
   /**
    * Handles piece flip toggle
    */
@@ -85,54 +103,74 @@ const PieceEditingControls = ({
   
   /**
    * Generates movement controls based on opening face orientation
-   * Different faces have different movement axes available
+   * Different faces have different movement axes available; steps run along the wall, so openings
+   * follow roof slopes and slide round curved walls onto the next face
    * FIXED: Moved outside conditional to respect hooks rules
+   * @returns {Object} {handlers, blocked} - blocked marks steps that would leave the opening out of place
    */
   const getOpeningMovementControls = useCallback((face, opening) => {
-    if (!opening || !onMoveOpening) return {};
-    
-    const baseHandlers = {
-      center: () => onMoveOpening(opening.id, 0, 0, 0)
-    };
+    if (!opening || !onMoveOpening) return { handlers: {}, blocked: {} };
+    const parentPiece = pieces.find(p => p.id === opening.parentPieceId);
+    if (!parentPiece) return { handlers: {}, blocked: {} };
 
+    // Steps across the face (u) and up it (v); forward is always towards -z
+    const step = movementIncrement;
+    let steps;
     switch (face) {
-      case 'front':
-      case 'back':
-        // Front/back faces: X (left/right) and Y (up/down) movement
-        return {
-          ...baseHandlers,
-          up: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY + movementIncrement, opening.offsetZ),
-          down: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY - movementIncrement, opening.offsetZ),
-          left: () => onMoveOpening(opening.id, opening.offsetX - movementIncrement, opening.offsetY, opening.offsetZ),
-          right: () => onMoveOpening(opening.id, opening.offsetX + movementIncrement, opening.offsetY, opening.offsetZ)
-        };
-      
       case 'left':
       case 'right':
         // Left/right faces: Z (forward/back) and Y (up/down) movement
-        return {
-          ...baseHandlers,
-          up: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY + movementIncrement, opening.offsetZ),
-          down: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY - movementIncrement, opening.offsetZ),
-          forward: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY, opening.offsetZ - movementIncrement),
-          back: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY, opening.offsetZ + movementIncrement)
-        };
-      
+        steps = { up: [0, step], down: [0, -step], forward: [-step, 0], back: [step, 0] };
+        break;
       case 'top':
       case 'bottom':
         // Top/bottom faces: X (left/right) and Z (forward/back) movement
-        return {
-          ...baseHandlers,
-          forward: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY, opening.offsetZ - movementIncrement),
-          back: () => onMoveOpening(opening.id, opening.offsetX, opening.offsetY, opening.offsetZ + movementIncrement),
-          left: () => onMoveOpening(opening.id, opening.offsetX - movementIncrement, opening.offsetY, opening.offsetZ),
-          right: () => onMoveOpening(opening.id, opening.offsetX + movementIncrement, opening.offsetY, opening.offsetZ)
-        };
-      
+        steps = { forward: [0, -step], back: [0, step], left: [-step, 0], right: [step, 0] };
+        break;
       default:
-        return baseHandlers;
+        // Front/back faces: X (left/right) and Y (up/down) movement
+        steps = { up: [0, step], down: [0, -step], left: [-step, 0], right: [step, 0] };
     }
-  }, [onMoveOpening, movementIncrement]);
+
+    // An opening that is already out of place may move anywhere, so it can be walked back in
+    const inPlace = OpeningPlacement.fits(opening, parentPiece, openings);
+    const handlers = {};
+    const blocked = {};
+    Object.entries(steps).forEach(([direction, [du, dv]]) => {
+      const target = OpeningPlacement.moveBy(opening, parentPiece, du, dv);
+      blocked[direction] = inPlace && !OpeningPlacement.fits({ ...opening, ...target }, parentPiece, openings);
+      handlers[direction] = () => onMoveOpening(opening.id, target.offsetX, target.offsetY, target.offsetZ, target.face);
+    });
+
+    // Center on the face, or as close to it as there is room
+    const center = OpeningPlacement.findSpot(opening, parentPiece, openings, [face]);
+    handlers.center = () => center && onMoveOpening(opening.id, center.offsetX, center.offsetY, center.offsetZ, center.face);
+    blocked.center = !center;
+
+    return { handlers, blocked };
+  }, [pieces, openings, onMoveOpening, movementIncrement]);
+
+  /**
+   * Placement check for the selected opening: problems, where it could go on its face,
+   * and which faces have no wall to cut
+   */
+  const openingPlacement = useMemo(() => {
+    if (!selectedOpening) return null;
+    const parentPiece = pieces.find(p => p.id === selectedOpening.parentPieceId);
+    if (!parentPiece) return null;
+
+    const closedFaces = {};
+    OpeningPlacement.FACES.forEach(face => {
+      const { surface, reason } = OpeningPlacement.getFaceSurface(parentPiece, face);
+      if (!surface) closedFaces[face] = reason;
+    });
+
+    return {
+      check: OpeningPlacement.validate(selectedOpening, parentPiece, openings, unitSystem),
+      region: OpeningPlacement.getValidRegion(selectedOpening, parentPiece, openings),
+      closedFaces
+    };
+  }, [selectedOpening, pieces, openings, unitSystem]);
 
   // ========================================
   // OPENING CONTROLS - SPECIALIZED INTERFACE FOR OPENING MANAGEMENT
@@ -141,14 +179,15 @@ const PieceEditingControls = ({
     const parentPiece = pieces.find(p => p.id === selectedOpening.parentPieceId);
     
     // Now we can safely use the memoized function that was defined outside the conditional
-    const movementHandlers = getOpeningMovementControls(selectedOpening.face, selectedOpening);
+    const { handlers: movementHandlers, blocked: blockedMoves } = getOpeningMovementControls(selectedOpening.face, selectedOpening);
     
     /**
      * Custom movement grid component for opening face-specific controls
      * @param {Object} handlers - Movement handler functions
+     * @param {Object} blocked - Directions with no room to move
      * @param {boolean} disabled - Whether controls are disabled
      */
-    const OpeningMovementGrid = ({ handlers, disabled }) => {
+    const OpeningMovementGrid = ({ handlers, blocked = {}, disabled }) => {
       const face = selectedOpening.face;
       let controls = [];
       
@@ -197,12 +236,93 @@ const PieceEditingControls = ({
         control.content ? React.createElement('button', {
           key: control.key,
           onClick: control.onClick,
-          disabled,
+          disabled: disabled || blocked[control.key],
+          title: blocked[control.key] ? 'No room to move that way' : undefined,
           className: 'bg-green-100 hover:bg-green-200 text-green-800 font-medium py-2 px-2 rounded text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
         }, control.content) : React.createElement('div', { key: control.key })
       ));
     };
 
+    /**
+     * Face diagram: shaded cells are where the opening's center fits, grey outlines are the
+     * other openings on this face, and the selected opening is green when it fits or red when not
+     */
+    const renderOpeningPlacementMap = () => {
+      const { check, region } = openingPlacement;
+      const { extents, cellSize, cells } = region;
+      const face = selectedOpening.face;
+
+      // Seen from outside: v points up the screen, except on top/bottom where forward (-z) does
+      const screenY = v => (face === 'top' || face === 'bottom' ? v : -v);
+      const outlinePoints = opening => {
+        const { u, v } = OpeningPlacement.getFaceCoords(face, opening);
+        const up = face === 'top' ? -1 : 1;
+        return CatTreePieces.getOpeningOutline(opening.shape, opening.width, opening.height, 24)
+          .map(point => `${u + point.x},${screenY(v + point.y * up)}`)
+          .join(' ');
+      };
+      const neighbours = openings.filter(o =>
+        o.id !== selectedOpening.id && o.parentPieceId === selectedOpening.parentPieceId && o.face === face
+      );
+      const stroke = Math.max(extents.u, extents.v) / 60;
+
+      return React.createElement('div', {
+        key: 'placement-map',
+        className: 'bg-gray-50 rounded-lg p-3 border border-gray-200 space-y-2'
+      }, [
+        React.createElement('div', {
+          key: 'map-label',
+          className: 'text-xs font-medium text-gray-700 text-center'
+        }, `Room on the ${face} face`),
+
+        React.createElement('svg', {
+          key: 'map',
+          viewBox: `${-extents.u} ${-extents.v} ${extents.u * 2} ${extents.v * 2}`,
+          className: 'w-full h-32 bg-white rounded border border-gray-200'
+        }, [
+          ...cells.filter(cell => cell.valid).map((cell, index) => React.createElement('rect', {
+            key: `cell-${index}`,
+            x: cell.u - cellSize.u / 2,
+            y: screenY(cell.v) - cellSize.v / 2,
+            width: cellSize.u,
+            height: cellSize.v,
+            fill: '#bbf7d0'
+          })),
+          ...neighbours.map(other => React.createElement('polygon', {
+            key: `other-${other.id}`,
+            points: outlinePoints(other),
+            fill: '#e5e7eb',
+            stroke: '#9ca3af',
+            strokeWidth: stroke
+          })),
+          React.createElement('polygon', {
+            key: 'selected',
+            points: outlinePoints(selectedOpening),
+            fill: 'none',
+            stroke: check.valid ? '#16a34a' : '#dc2626',
+            strokeWidth: stroke * 2
+          })
+        ]),
+
+        React.createElement('p', {
+          key: 'map-legend',
+          className: 'text-xs text-gray-500 text-center'
+        }, 'Green shows where the center of the opening fits'),
+
+        check.valid
+          ? React.createElement('p', {
+              key: 'fits',
+              className: 'text-xs text-green-700 text-center'
+            }, `✅ Fits with ${Units.formatLength(OpeningPlacement.settings.edgeMargin, unitSystem)} of wall all round`)
+          : React.createElement('ul', {
+              key: 'issues',
+              className: 'text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2 space-y-1'
+            }, check.issues.map((issue, index) =>
+              React.createElement('li', { key: `issue-${index}` }, `⚠️ ${issue.message}`)
+            ))
+      ]);
+    };
+
     // ========================================
     // OPENING CONTROLS RENDER
     // ========================================
@@ -245,7 +365,8 @@ const PieceEditingControls = ({
           value: movementIncrement,
           onChange: setMovementIncrement,
           colorClass: 'green',
-          label: 'Move:'
+          label: 'Move:',
+          unitSystem: unitSystem
         }),
 
         // Face selection and movement controls
@@ -265,11 +386,13 @@ const PieceEditingControls = ({
             React.createElement('div', {
               key: 'face-buttons',
               className: 'grid grid-cols-2 gap-1'
-            }, ['front', 'back', 'left', 'right', 'top', 'bottom'].map(face =>
+            }, OpeningPlacement.FACES.map(face =>
               React.createElement('button', {
                 key: `face-button-${face}`,
                 onClick: () => onChangeOpeningFace(selectedOpening.id, face),
-                className: `px-2 py-1 rounded text-xs font-medium capitalize transition-colors ${
+                disabled: !!openingPlacement?.closedFaces[face],
+                title: openingPlacement?.closedFaces[face],
+                className: `px-2 py-1 rounded text-xs font-medium capitalize transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
                   selectedOpening.face === face
                     ? 'bg-green-500 text-white'
                     : 'bg-white hover:bg-gray-100 text-gray-700 border border-gray-300'
@@ -291,11 +414,15 @@ const PieceEditingControls = ({
             React.createElement(OpeningMovementGrid, {
               key: 'movement-grid',
               handlers: movementHandlers,
+              blocked: blockedMoves,
               disabled: selectedOpening.locked
             })
           ])
         ]),
 
+        // Where the opening can go on this face
+        openingPlacement && renderOpeningPlacementMap(),
+
         // Action Buttons
         React.createElement('div', {
           key: 'actions',
@@ -387,7 +514,7 @@ const PieceEditingControls = ({
           key: 'subtitle',
           className: 'text-sm text-gray-600 mt-1'
         }, [
-          `${groupPieces.length} pieces • $${groupPieces.reduce((sum, p) => sum + p.cost, 0)}`,
+          `${groupPieces.length} pieces • $${PriceCatalog.getTotalCost(groupPieces, priceCatalog)}`,
           React.createElement('br', { key: 'br' }),
           React.createElement('span', {
             key: 'status',
@@ -407,7 +534,8 @@ const PieceEditingControls = ({
           value: movementIncrement,
           onChange: setMovementIncrement,
           colorClass: 'purple',
-          label: 'Move:'
+          label: 'Move:',
+          unitSystem: unitSystem
         }),
 
         // Movement and action controls
@@ -468,6 +596,172 @@ const PieceEditingControls = ({
     ]);
   }
 
+  // ========================================
+  // MULTI-SELECTION CONTROLS - BULK OPERATIONS
+  // ========================================
+  if (selectedPieces.length > 1) {
+    const movablePieces = selectedPieces.filter(p => !p.locked && !p.groupId);
+    const lockedCount = selectedPieces.filter(p => p.locked).length;
+    const allLocked = lockedCount === selectedPieces.length;
+    const groupableCount = selectedPieces.filter(p => !p.groupId).length;
+
+    /**
+     * Action buttons configuration for multi-selection operations
+     */
+    const selectionActionButtons = [
+      {
+        key: 'ground',
+        content: '🏠 Ground',
+        onClick: () => onMoveSelection('ground'),
+        color: 'yellow',
+        description: 'Move the selection down until its lowest piece is on the ground'
+      },
+      {
+        key: 'stack',
+        content: '🔝 Stack',
+        onClick: handleSelectionStack,
+        color: 'green',
+        description: 'Stack selection on top of existing pieces'
+      },
+      {
+        key: 'rotate-left',
+        content: '↺ -15°',
+        onClick: () => onRotateSelection(-15),
+        color: 'indigo',
+        description: 'Rotate selection counter-clockwise around its center'
+      },
+      {
+        key: 'rotate-right',
+        content: '↻ +15°',
+        onClick: () => onRotateSelection(15),
+        color: 'indigo',
+        description: 'Rotate selection clockwise around its center'
+      },
+      {
+        key: 'duplicate',
+        content: '📋 Copy',
+        onClick: onDuplicateSelection,
+        color: 'green',
+        description: 'Duplicate every selected piece'
+      },
+      {
+        key: 'delete',
+        content: '🗑️ Delete',
+        onClick: onDeleteSelection,
+        color: 'red',
+        description: 'Delete every unlocked selected piece'
+      },
+      {
+        key: 'lock',
+        content: allLocked ? '🔓 Unlock' : '🔒 Lock',
+        onClick: onToggleSelectionLock,
+        color: 'gray',
+        description: allLocked ? 'Unlock every selected piece' : 'Lock every selected piece'
+      },
+      {
+        key: 'group',
+        content: '🔗 Group',
+        onClick: () => onGroupSelection(),
+        color: 'purple',
+        disabled: groupableCount < 2,
+        description: 'Make a group from the selected pieces that are not already grouped'
+      }
+    ];
+
+    // ========================================
+    // MULTI-SELECTION CONTROLS RENDER
+    // ========================================
+    return React.createElement('div', {
+      className: 'space-y-4'
+    }, [
+      // Selection Header Section
+      React.createElement('div', {
+        key: 'header',
+        className: 'text-center bg-indigo-50 rounded-lg p-3 border border-indigo-200'
+      }, [
+        React.createElement('h3', {
+          key: 'title',
+          className: 'font-medium text-indigo-700 flex items-center justify-center space-x-2'
+        }, [
+          React.createElement('span', { key: 'icon' }, '🔲'),
+          React.createElement('span', { key: 'name' }, `${selectedPieces.length} pieces selected`)
+        ]),
+        React.createElement('p', {
+          key: 'subtitle',
+          className: 'text-sm text-gray-600 mt-1'
+        }, [
+          `$${PriceCatalog.getTotalCost(selectedPieces, priceCatalog)}`,
+          React.createElement('br', { key: 'br' }),
+          React.createElement('span', {
+            key: 'status',
+            className: lockedCount > 0 ? 'text-red-600 font-medium' : 'text-indigo-600'
+          }, lockedCount > 0 ? `🔒 ${lockedCount} locked` : '🔓 All unlocked'),
+          selectedPieces.length - movablePieces.length - lockedCount > 0 && React.createElement('span', {
+            key: 'grouped',
+            className: 'text-purple-600 ml-2'
+          }, `🔗 ${selectedPieces.length - movablePieces.length - lockedCount} grouped`)
+        ])
+      ]),
+
+      // Movement increment selector
+      React.createElement(SharedUtils.IncrementSelector, {
+        key: 'increment',
+        value: movementIncrement,
+        onChange: setMovementIncrement,
+        colorClass: 'indigo',
+        label: 'Move:',
+        unitSystem: unitSystem
+      }),
+
+      // Movement and action controls
+      React.createElement('div', {
+        key: 'compact-controls',
+        className: 'flex items-center justify-center space-x-6'
+      }, [
+        // Movement Grid
+        React.createElement('div', {
+          key: 'movement-section',
+          className: 'text-center'
+        }, [
+          React.createElement('div', {
+            key: 'movement-label',
+            className: 'text-xs font-medium text-gray-700 mb-2'
+          }, 'Move Selection'),
+          React.createElement(SharedUtils.MovementGrid, {
+            key: 'movement-grid',
+            onMove: (direction) => onMoveSelection(direction),
+            onCenter: () => onMoveSelection('center'),
+            disabled: movablePieces.length === 0,
+            colorClass: 'indigo',
+            type: 'selection'
+          })
+        ]),
+
+        // Action Buttons
+        React.createElement('div', {
+          key: 'actions-section',
+          className: 'text-center'
+        }, [
+          React.createElement('div', {
+            key: 'actions-label',
+            className: 'text-xs font-medium text-gray-700 mb-2'
+          }, 'Selection Actions'),
+          React.createElement(SharedUtils.ActionButtonGrid, {
+            key: 'action-buttons',
+            buttons: selectionActionButtons,
+            columns: 2
+          })
+        ])
+      ]),
+
+      // Skipped pieces notice
+      movablePieces.length < selectedPieces.length && React.createElement('p', {
+        key: 'skip-notice',
+        className: 'text-xs text-center text-gray-500'
+      }, 'Locked pieces are not moved, rotated or deleted; grouped pieces move with their group')
+    ]);
+  }
+
   // ========================================
   // NO SELECTION STATE - HELPFUL GUIDANCE
   // ========================================
@@ -481,7 +775,9 @@ const PieceEditingControls = ({
       }, [
         React.createElement('p', { key: 'hint1' }, '• Click on pieces in the 3D view to select them'),
         React.createElement('p', { key: 'hint2' }, '• Use the Parts List to select groups or openings'),
-        React.createElement('p', { key: 'hint3' }, '• Drag pieces directly in the 3D view to move them')
+        React.createElement('p', { key: 'hint3' }, '• Drag pieces directly in the 3D view to move them'),
+        React.createElement('p', { key: 'hint4' }, '• Shift/Ctrl-click or Shift + drag to select several pieces'),
+        React.createElement('p', { key: 'hint5' }, '• Press Ctrl+K for every command and keyboard shortcut')
       ])
     });
   }
@@ -600,7 +896,7 @@ const PieceEditingControls = ({
       }, [
         React.createElement('p', {
           key: 'dimensions'
-        }, `${selectedPiece.width}" × ${selectedPiece.height}" × ${selectedPiece.depth}"`),
+        }, Units.formatDimensions(selectedPiece.width, selectedPiece.height, selectedPiece.depth, unitSystem)),
         // Show flip status for platforms
         canFlip && React.createElement('p', {
           key: 'orientation',
@@ -617,7 +913,7 @@ const PieceEditingControls = ({
           React.createElement('span', {
             key: 'cost',
             className: 'text-green-600 font-medium'
-          }, `$${selectedPiece.cost}`)
+          }, `$${PriceCatalog.getPieceCost(selectedPiece, priceCatalog)}`)
         ])
       ])
     ]),
@@ -633,7 +929,8 @@ const PieceEditingControls = ({
         value: movementIncrement,
         onChange: setMovementIncrement,
         colorClass: 'blue',
-        label: 'Move:'
+        label: 'Move:',
+        unitSystem: unitSystem
       }),
 
       // Movement and action controls
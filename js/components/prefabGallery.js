@@ -0,0 +1,263 @@
+// =====================================================
+// PREFAB GALLERY COMPONENT -v2- METRIC UNITS
+// =====================================================
+
+// Bundled template designs (paths relative to index.html); add new prefabs here
+const PREFAB_FILES = [
+  'prefabas/Amalgam_cat_tree.json'
+];
+
+/**
+ * Collapsible sidebar gallery of bundled prefab designs
+ * Each template can be opened as a new design or inserted into the current one as a locked group
+ * @param {Object} props - Component props
+ * @param {Function} props.onOpenTemplate - Called with the prefab design data to open as a new design
+ * @param {Function} props.onInsertTemplate - Called with (prefab design data, {x, z}) to insert
+ * @param {boolean} props.hasDesign - Whether the current design has pieces (enables insert)
+ * @param {string} props.unitSystem - 'imperial' or 'metric' for sizes and the insert position
+ */
+const PrefabGallery = ({ onOpenTemplate, onInsertTemplate, hasDesign, unitSystem = 'imperial' }) => {
+  const { useState, useEffect, useCallback } = React;
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [prefabs, setPrefabs] = useState([]);
+  const [status, setStatus] = useState('idle'); // idle | loading | ready | error
+  const [insertingFile, setInsertingFile] = useState(null);
+  const [insertPosition, setInsertPosition] = useState({ x: 0, z: 0 });
+  const [positionDrafts, setPositionDrafts] = useState({}); // Positions being typed, applied on blur or Enter
+
+  // ========================================
+  // DATA LOADING
+  // ========================================
+
+  /**
+   * Fetches every bundled prefab; files that fail to load are skipped
+   */
+  const loadPrefabs = useCallback(async () => {
+    setStatus('loading');
+
+    const results = await Promise.all(PREFAB_FILES.map(async (file) => {
+      try {
+        const response = await fetch(file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const design = await response.json();
+        return Array.isArray(design.pieces) ? { file, design } : null;
+      } catch (error) {
+        console.warn(`⚠️ Could not load template ${file}:`, error);
+        return null;
+      }
+    }));
+
+    const loaded = results.filter(Boolean);
+    setPrefabs(loaded);
+    setStatus(loaded.length > 0 || PREFAB_FILES.length === 0 ? 'ready' : 'error');
+    console.log(`🏰 Loaded ${loaded.length}/${PREFAB_FILES.length} templates`);
+  }, []);
+
+  /**
+   * Load templates the first time the gallery is expanded
+   */
+  useEffect(() => {
+    if (isExpanded && status === 'idle') {
+      loadPrefabs();
+    }
+  }, [isExpanded, status, loadPrefabs]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Opens the insert position form for a template
+   * @param {string} file - Prefab file path
+   */
+  const startInsert = useCallback((file) => {
+    setInsertingFile(insertingFile === file ? null : file);
+    setInsertPosition({ x: 0, z: 0 });
+    setPositionDrafts({});
+  }, [insertingFile]);
+
+  /**
+   * The insert position with any typed values applied, clamped to the workspace bounds
+   * Values that don't parse keep the last applied position
+   * @param {Object} drafts - Typed text per axis, in the display unit
+   * @returns {Object} Position {x, z} in inches
+   */
+  const applyPositionDrafts = useCallback((drafts) => {
+    const position = { ...insertPosition };
+    Object.entries(drafts).forEach(([axis, text]) => {
+      const parsed = Units.fromDisplayLength(parseFloat(text), unitSystem);
+      if (!isNaN(parsed)) position[axis] = Math.max(-60, Math.min(60, parsed));
+    });
+    return position;
+  }, [insertPosition, unitSystem]);
+
+  /**
+   * Applies the typed value for one axis of the insert position
+   * @param {string} axis - 'x' or 'z'
+   */
+  const commitPosition = useCallback((axis) => {
+    if (positionDrafts[axis] === undefined) return;
+    setInsertPosition(applyPositionDrafts({ [axis]: positionDrafts[axis] }));
+    setPositionDrafts(({ [axis]: committed, ...rest }) => rest);
+  }, [positionDrafts, applyPositionDrafts]);
+
+  /**
+   * Inserts the template at the chosen position, including a value still being typed
+   * @param {Object} design - Prefab design data
+   */
+  const confirmInsert = useCallback((design) => {
+    onInsertTemplate(design, applyPositionDrafts(positionDrafts));
+    setPositionDrafts({});
+    setInsertingFile(null);
+  }, [positionDrafts, applyPositionDrafts, onInsertTemplate]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  /**
+   * Renders a single template card
+   * @param {Object} prefab - {file, design}
+   * @returns {ReactElement} Card element
+   */
+  const renderPrefabCard = ({ file, design }) => {
+    const stats = design.stats || {};
+    const pieceCount = stats.totalPieces ?? design.pieces.length;
+    const isInserting = insertingFile === file;
+
+    return React.createElement('div', {
+      key: file,
+      className: 'border border-app-purple-200 rounded-lg bg-white p-2 space-y-1'
+    }, [
+      React.createElement('div', {
+        key: 'name',
+        className: 'text-xs font-semibold text-app-purple-800 truncate',
+        title: design.name
+      }, design.name || file),
+      React.createElement('div', {
+        key: 'stats',
+        className: 'text-[10px] text-gray-500 leading-tight'
+      }, [
+        `📦 ${pieceCount} pieces`,
+        typeof stats.maxHeight === 'number' && ` • 📏 ${Units.formatLength(stats.maxHeight, unitSystem, 0)}`,
+        typeof stats.totalCost === 'number' && ` • 💰 ${SharedUtils.Utils.formatCurrency(stats.totalCost)}`
+      ].filter(Boolean).join('')),
+
+      // Actions
+      React.createElement('div', {
+        key: 'actions',
+        className: 'grid grid-cols-2 gap-1'
+      }, [
+        React.createElement('button', {
+          key: 'open',
+          onClick: () => onOpenTemplate(design),
+          className: 'px-1 py-0.5 text-[10px] font-medium rounded bg-app-mint-500 hover:bg-app-mint-600 text-white transition-colors',
+          title: 'Replace the current design with this template (undoable)'
+        }, 'Open'),
+        React.createElement('button', {
+          key: 'insert',
+          onClick: () => startInsert(file),
+          disabled: !hasDesign,
+          className: `px-1 py-0.5 text-[10px] font-medium rounded border transition-colors ${
+            isInserting
+              ? 'border-app-purple-500 bg-app-purple-100 text-app-purple-800'
+              : 'border-app-purple-300 bg-white hover:bg-app-purple-50 text-app-purple-700'
+          } disabled:opacity-50 disabled:cursor-not-allowed`,
+          title: hasDesign ? 'Add this template to the current design as a locked group' : 'Add pieces first, or use Open'
+        }, 'Insert')
+      ]),
+
+      // Insert position form
+      isInserting && React.createElement('div', {
+        key: 'insert-form',
+        className: 'pt-1 border-t border-app-purple-100 space-y-1'
+      }, [
+        React.createElement('div', {
+          key: 'inputs',
+          className: 'grid grid-cols-2 gap-1'
+        }, ['x', 'z'].map(axis =>
+          React.createElement('label', {
+            key: axis,
+            className: 'flex items-center space-x-1 text-[10px] text-gray-600'
+          }, [
+            React.createElement('span', { key: 'label', className: 'uppercase font-medium' }, axis),
+            React.createElement('input', {
+              key: 'input',
+              type: 'number',
+              min: -Math.round(Units.toDisplayLength(60, unitSystem)),
+              max: Math.round(Units.toDisplayLength(60, unitSystem)),
+              step: 1,
+              value: positionDrafts[axis] !== undefined
+                ? positionDrafts[axis]
+                : Math.round(Units.toDisplayLength(insertPosition[axis], unitSystem)),
+              onChange: (e) => {
+                const text = e.target.value;
+                setPositionDrafts(prev => ({ ...prev, [axis]: text }));
+              },
+              onBlur: () => commitPosition(axis),
+              onKeyDown: (e) => {
+                if (e.key === 'Enter') commitPosition(axis);
+                if (e.key === 'Escape') setPositionDrafts(({ [axis]: discarded, ...rest }) => rest);
+              },
+              className: 'w-full px-1 py-0.5 border border-app-purple-300 rounded text-[10px] focus:outline-none focus:border-app-purple-500'
+            })
+          ])
+        )),
+        React.createElement('button', {
+          key: 'confirm',
+          onClick: () => confirmInsert(design),
+          className: 'w-full px-1 py-0.5 text-[10px] font-medium rounded bg-app-purple-500 hover:bg-app-purple-600 text-white transition-colors'
+        }, '📥 Insert at position')
+      ])
+    ]);
+  };
+
+  // ========================================
+  // RENDER LOGIC
+  // ========================================
+  return React.createElement('div', {
+    className: 'flex flex-col overflow-hidden'
+  }, [
+    // Header / toggle
+    React.createElement('button', {
+      key: 'header',
+      onClick: () => setIsExpanded(!isExpanded),
+      className: 'w-full p-1 border-b border-app-mint-200 bg-gradient-to-r from-app-mint-50 to-app-pink-50 flex items-center justify-center space-x-1 text-xs font-bold text-app-purple-800 hover:from-app-mint-100 hover:to-app-pink-100 transition-colors',
+      'aria-expanded': isExpanded
+    }, [
+      React.createElement('span', { key: 'icon' }, '🏰'),
+      React.createElement('span', { key: 'text' }, 'Start from a template'),
+      React.createElement('span', { key: 'chevron', className: 'text-[10px]' }, isExpanded ? '▾' : '▸')
+    ]),
+
+    // Template list
+    isExpanded && React.createElement('div', {
+      key: 'list',
+      className: 'p-1 space-y-1 overflow-y-auto max-h-64'
+    }, status === 'loading'
+      ? React.createElement('div', {
+          className: 'flex justify-center py-3'
+        }, React.createElement(SharedUtils.LoadingSpinner, { size: 'small' }))
+      : status === 'error'
+        ? React.createElement('div', {
+            className: 'text-[10px] text-red-600 text-center p-2 space-y-1'
+          }, [
+            React.createElement('div', { key: 'message' }, 'Templates could not be loaded. They need the app to be served over http(s).'),
+            React.createElement('button', {
+              key: 'retry',
+              onClick: loadPrefabs,
+              className: 'underline hover:text-red-800'
+            }, 'Retry')
+          ])
+        : prefabs.length === 0
+          ? React.createElement('div', {
+              className: 'text-[10px] text-gray-500 text-center p-2'
+            }, 'No templates bundled yet')
+          : prefabs.map(renderPrefabCard)
+    )
+  ]);
+};
@@ -0,0 +1,372 @@
+// =====================================================
+// PRICE CATALOG MODAL COMPONENT -v1- SUPPLIER PROFILES & PRICE OVERRIDES
+// =====================================================
+
+/**
+ * Dialog for editing piece prices, material multipliers and hardware costs
+ * Each supplier profile stores only the prices that differ from the list prices;
+ * the built-in list prices are read-only and can be duplicated into a new profile.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Close handler
+ * @param {Object} props.catalog - Catalog the design is priced with
+ * @param {Function} props.onChangeCatalog - Called with the catalog to price the design with
+ * @param {number} props.totalCost - Current design total, for the header
+ */
+const PriceCatalogModal = ({ isOpen, onClose, catalog, onChangeCatalog, totalCost = 0 }) => {
+  const { useState, useEffect, useCallback, useMemo } = React;
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+  const [activeTab, setActiveTab] = useState('variants');
+  const [profiles, setProfiles] = useState(() => PriceCatalog.getProfiles());
+
+  const TABS = [
+    { id: 'variants', name: 'Pieces', icon: '📦' },
+    { id: 'materials', name: 'Materials', icon: '🎨' },
+    { id: 'hardware', name: 'Hardware', icon: '🔩' }
+  ];
+
+  // Re-read stored profiles whenever the dialog opens
+  useEffect(() => {
+    if (isOpen) setProfiles(PriceCatalog.getProfiles());
+  }, [isOpen]);
+
+  const isReadOnly = !catalog || catalog.builtIn;
+
+  // ========================================
+  // PRICE ROWS
+  // ========================================
+
+  /**
+   * Editable rows for the selected tab, grouped under headings
+   */
+  const rowGroups = useMemo(() => {
+    if (activeTab === 'variants') {
+      return Object.entries(CatTreePieces.categories).map(([categoryKey, category]) => ({
+        key: categoryKey,
+        title: `${category.icon} ${category.name}`,
+        rows: category.variants.map(variant => ({ key: variant.id, name: variant.name }))
+      }));
+    }
+    if (activeTab === 'materials') {
+      return [{
+        key: 'materials',
+        title: 'Cost multiplier applied to the piece price',
+        rows: Object.entries(CatTreePieces.materials).map(([key, material]) => ({ key, name: material.name }))
+      }];
+    }
+    return [{
+      key: 'hardware',
+      title: 'Cost of the hardware for one connection',
+      rows: Object.entries(StructuralAnalysis.connectionTypes)
+        .filter(([key]) => key !== 'none')
+        .map(([key, type]) => ({ key, name: type.description }))
+    }];
+  }, [activeTab]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Stores a changed profile and prices the design with it
+   * @param {Object} next - Updated catalog
+   */
+  const applyProfile = useCallback((next) => {
+    const saved = PriceCatalog.saveProfile(next);
+    setProfiles(PriceCatalog.getProfiles());
+    onChangeCatalog(saved);
+  }, [onChangeCatalog]);
+
+  /**
+   * Sets one price from its input
+   * @param {string} key - Variant ID, material key or connection type
+   * @param {string} value - Input value
+   */
+  const handleValueChange = useCallback((key, value) => {
+    const parsed = parseFloat(value);
+    if (isReadOnly || isNaN(parsed) || parsed < 0) return;
+    applyProfile(PriceCatalog.setOverride(catalog, activeTab, key, parsed));
+  }, [catalog, activeTab, isReadOnly, applyProfile]);
+
+  /**
+   * Drops one override so the list price applies again
+   * @param {string} key - Variant ID, material key or connection type
+   */
+  const handleResetValue = useCallback((key) => {
+    if (isReadOnly) return;
+    applyProfile(PriceCatalog.setOverride(catalog, activeTab, key, null));
+  }, [catalog, activeTab, isReadOnly, applyProfile]);
+
+  /**
+   * Switches which profile prices the design
+   * @param {string} id - Profile ID
+   */
+  const handleSelectProfile = useCallback((id) => {
+    const profile = PriceCatalog.getProfile(id);
+    if (profile) onChangeCatalog(profile);
+  }, [onChangeCatalog]);
+
+  /**
+   * Starts a supplier profile from list prices or a copy of the current profile
+   * @param {boolean} copyCurrent - Copy the current profile's overrides
+   */
+  const handleCreateProfile = useCallback((copyCurrent) => {
+    const name = copyCurrent ? `${catalog.name} (copy)` : `Supplier ${profiles.length}`;
+    const created = PriceCatalog.createProfile(name, copyCurrent ? catalog : null);
+    setProfiles(PriceCatalog.getProfiles());
+    onChangeCatalog(created);
+  }, [catalog, profiles.length, onChangeCatalog]);
+
+  /**
+   * Renames the current profile
+   * @param {string} name - New name
+   */
+  const handleRename = useCallback((name) => {
+    if (isReadOnly || !name.trim() || name.trim() === catalog.name) return;
+    applyProfile({ ...catalog, name: name.trim() });
+  }, [catalog, isReadOnly, applyProfile]);
+
+  /**
+   * Deletes the current profile after confirmation and returns to list prices
+   */
+  const handleDelete = useCallback(() => {
+    if (isReadOnly) return;
+    if (!confirm(`Delete the price profile "${catalog.name}"? This cannot be undone.`)) return;
+    PriceCatalog.deleteProfile(catalog.id);
+    setProfiles(PriceCatalog.getProfiles());
+    onChangeCatalog(PriceCatalog.getDefaultProfile());
+  }, [catalog, isReadOnly, onChangeCatalog]);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Close on Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  /**
+   * Formats a value for its section
+   * @param {number} value - Price or multiplier
+   * @returns {string} '$12.50' or '×1.2'
+   */
+  const formatValue = (value) => (activeTab === 'materials' ? `×${value}` : SharedUtils.Utils.formatCurrency(value));
+
+  /**
+   * One price row: name, list value, editable value and reset
+   * @param {Object} row - {key, name}
+   * @returns {React.Element} Table row
+   */
+  const renderRow = (row) => {
+    const listValue = PriceCatalog.getListValue(activeTab, row.key);
+    const value = PriceCatalog.getValue(catalog, activeTab, row.key);
+    const overridden = catalog?.[activeTab]?.[row.key] !== undefined;
+
+    return React.createElement('tr', {
+      key: row.key,
+      className: overridden ? 'bg-amber-50' : ''
+    }, [
+      React.createElement('td', { key: 'name', className: 'py-1 pr-3 text-gray-800' }, row.name),
+      React.createElement('td', { key: 'list', className: 'py-1 pr-3 text-right text-gray-500' }, formatValue(listValue)),
+      React.createElement('td', { key: 'value', className: 'py-1 pr-3 text-right' },
+        React.createElement('input', {
+          type: 'number',
+          min: 0,
+          step: activeTab === 'materials' ? 0.05 : 0.25,
+          value,
+          disabled: isReadOnly,
+          onChange: (e) => handleValueChange(row.key, e.target.value),
+          'aria-label': `${row.name} ${activeTab === 'materials' ? 'multiplier' : 'price'}`,
+          className: `w-24 px-2 py-1 text-sm text-right border rounded focus:outline-none focus:ring-2 focus:ring-blue-500 ${overridden ? 'border-amber-400' : 'border-gray-300'} ${isReadOnly ? 'bg-gray-100 text-gray-500' : ''}`
+        })
+      ),
+      React.createElement('td', { key: 'reset', className: 'py-1 text-right w-16' },
+        overridden && !isReadOnly && React.createElement('button', {
+          onClick: () => handleResetValue(row.key),
+          title: `Back to ${formatValue(listValue)}`,
+          className: 'text-xs text-blue-600 hover:text-blue-800'
+        }, 'Reset')
+      )
+    ]);
+  };
+
+  // ========================================
+  // RENDER LOGIC
+  // ========================================
+
+  if (!isOpen || !catalog) return null;
+
+  const overrideCount = PriceCatalog.countOverrides(catalog);
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    },
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'price-catalog-title'
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col'
+  }, [
+    // ========================================
+    // MODAL HEADER
+    // ========================================
+    React.createElement('div', {
+      key: 'header',
+      className: 'px-6 py-4 border-b border-gray-200'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        id: 'price-catalog-title',
+        className: 'text-xl font-bold text-gray-900 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon', className: 'text-2xl' }, '🏷️'),
+        React.createElement('span', { key: 'text' }, 'Price Catalog')
+      ]),
+      React.createElement('p', {
+        key: 'summary',
+        className: 'text-sm text-gray-600 mt-1'
+      }, `Design total ${SharedUtils.Utils.formatCurrency(totalCost)} with ${catalog.name} • ${overrideCount} price${overrideCount !== 1 ? 's' : ''} changed from list`)
+    ]),
+
+    // ========================================
+    // SUPPLIER PROFILES
+    // ========================================
+    React.createElement('div', {
+      key: 'profiles',
+      className: 'px-6 py-3 border-b border-gray-200 bg-gray-50 flex flex-wrap items-end gap-3'
+    }, [
+      React.createElement('label', {
+        key: 'select',
+        className: 'flex flex-col text-xs text-gray-600'
+      }, [
+        React.createElement('span', { key: 'label', className: 'mb-1' }, 'Supplier profile'),
+        React.createElement('select', {
+          key: 'input',
+          value: catalog.id,
+          onChange: (e) => handleSelectProfile(e.target.value),
+          className: 'px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500'
+        }, profiles.map(profile =>
+          React.createElement('option', { key: profile.id, value: profile.id }, profile.name)
+        ))
+      ]),
+      !isReadOnly && React.createElement('label', {
+        key: 'rename',
+        className: 'flex flex-col text-xs text-gray-600'
+      }, [
+        React.createElement('span', { key: 'label', className: 'mb-1' }, 'Name'),
+        React.createElement('input', {
+          key: `input-${catalog.id}`,
+          type: 'text',
+          defaultValue: catalog.name,
+          onBlur: (e) => handleRename(e.target.value),
+          onKeyDown: (e) => {
+            if (e.key === 'Enter') e.target.blur();
+          },
+          className: 'w-40 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500'
+        })
+      ]),
+      React.createElement('button', {
+        key: 'new',
+        onClick: () => handleCreateProfile(false),
+        className: 'px-3 py-1 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition-colors'
+      }, '＋ New supplier'),
+      React.createElement('button', {
+        key: 'duplicate',
+        onClick: () => handleCreateProfile(true),
+        className: 'px-3 py-1 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-100 transition-colors'
+      }, '⧉ Duplicate'),
+      !isReadOnly && React.createElement('button', {
+        key: 'reset-all',
+        onClick: () => applyProfile({ ...catalog, variants: {}, materials: {}, hardware: {} }),
+        disabled: overrideCount === 0,
+        className: `px-3 py-1 text-xs border border-gray-300 rounded transition-colors ${overrideCount === 0 ? 'text-gray-400 cursor-not-allowed' : 'text-gray-600 hover:bg-gray-100'}`
+      }, 'Reset all to list'),
+      !isReadOnly && React.createElement('button', {
+        key: 'delete',
+        onClick: handleDelete,
+        className: 'px-3 py-1 text-xs text-red-600 border border-red-200 rounded hover:bg-red-50 transition-colors'
+      }, '🗑️ Delete')
+    ]),
+
+    // ========================================
+    // TABS
+    // ========================================
+    React.createElement('div', {
+      key: 'tabs',
+      className: 'flex border-b border-gray-200 px-6'
+    }, TABS.map(tab => React.createElement('button', {
+      key: tab.id,
+      onClick: () => setActiveTab(tab.id),
+      className: `px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+        activeTab === tab.id ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+      }`
+    }, `${tab.icon} ${tab.name}`))),
+
+    // ========================================
+    // PRICE TABLES
+    // ========================================
+    React.createElement('div', {
+      key: 'content',
+      className: 'flex-1 overflow-y-auto px-6 py-4 space-y-4'
+    }, [
+      isReadOnly && React.createElement('div', {
+        key: 'read-only',
+        className: 'text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg p-3'
+      }, 'List prices can\'t be edited. Duplicate them or add a new supplier to set your own prices.'),
+
+      ...rowGroups.map(group => React.createElement('div', { key: group.key }, [
+        React.createElement('h3', {
+          key: 'title',
+          className: 'text-sm font-semibold text-gray-700 mb-1'
+        }, group.title),
+        React.createElement('table', { key: 'table', className: 'w-full text-sm' }, [
+          React.createElement('thead', { key: 'head' },
+            React.createElement('tr', { className: 'text-xs text-gray-500 border-b border-gray-200' }, [
+              React.createElement('th', { key: 'name', className: 'text-left font-medium py-1' }, 'Item'),
+              React.createElement('th', { key: 'list', className: 'text-right font-medium py-1 pr-3' }, 'List'),
+              React.createElement('th', { key: 'value', className: 'text-right font-medium py-1 pr-3' }, catalog.name),
+              React.createElement('th', { key: 'reset' }, '')
+            ])
+          ),
+          React.createElement('tbody', { key: 'body' }, group.rows.map(renderRow))
+        ])
+      ]))
+    ]),
+
+    // ========================================
+    // MODAL ACTIONS
+    // ========================================
+    React.createElement('div', {
+      key: 'actions',
+      className: 'flex items-center justify-between px-6 py-3 border-t border-gray-200'
+    }, [
+      React.createElement('span', {
+        key: 'hint',
+        className: 'text-xs text-gray-500'
+      }, 'Changes apply to every piece right away and are saved with the design.'),
+      React.createElement('button', {
+        key: 'close',
+        onClick: onClose,
+        autoFocus: true,
+        className: 'px-6 py-2 rounded-lg font-medium bg-blue-500 hover:bg-blue-600 text-white shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+      }, 'Close')
+    ])
+  ]));
+};
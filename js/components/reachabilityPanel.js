@@ -0,0 +1,343 @@
+// =====================================================
+// REACHABILITY PANEL COMPONENT -v1- CAT AGILITY PROFILES & JUMP ROUTES
+// =====================================================
+
+/**
+ * Modal panel for the cat reachability analysis
+ * Compares agility profiles, lists spots a cat can't get to with the gap that stops it,
+ * and the easiest route up to every other spot
+ * Jump limits are kept in inches and shown in the selected unit system
+ */
+const ReachabilityPanel = ({
+  isOpen,
+  onClose,
+  jumpGraph,
+  result,
+  profiles,
+  profileId,
+  onChangeProfile,
+  onSaveProfile,
+  onResetProfile,
+  focusSpotId,
+  onFocusSpot,
+  showInView,
+  onToggleShowInView,
+  unitSystem = 'imperial'
+}) => {
+  const { useMemo, useCallback } = React;
+
+  /**
+   * Reachable spot count for every profile, for the profile buttons
+   */
+  const profileSummaries = useMemo(() => {
+    if (!isOpen || !jumpGraph) return {};
+    const summaries = {};
+    Object.values(profiles).forEach(profile => {
+      const evaluated = CatReachability.evaluate(jumpGraph, profile);
+      summaries[profile.id] = {
+        reachable: evaluated.spots.length - evaluated.unreachable.length,
+        total: evaluated.spots.length
+      };
+    });
+    return summaries;
+  }, [isOpen, jumpGraph, profiles]);
+
+  // ========================================
+  // EVENT HANDLERS
+  // ========================================
+
+  /**
+   * Updates one jump limit from a value typed in display units
+   * @param {string} key - 'maxUp', 'maxDown' or 'maxAcross'
+   * @param {string} value - Input value
+   */
+  const handleLimitChange = useCallback((key, value) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed)) return;
+    onSaveProfile(profileId, { [key]: Units.fromDisplayLength(parsed, unitSystem) });
+  }, [profileId, onSaveProfile, unitSystem]);
+
+  /**
+   * Shows one spot's route (or the gap in the way) in the 3D view
+   * @param {string} spotId - Surface ID
+   */
+  const handleShowSpot = useCallback((spotId) => {
+    onFocusSpot(spotId);
+    if (!showInView) onToggleShowInView();
+    onClose();
+  }, [onFocusSpot, showInView, onToggleShowInView, onClose]);
+
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+
+  const nameOf = (id) => CatReachability.getSpotName(result, id);
+  const heightOf = (spot) => Units.formatLength(spot.y, unitSystem, 0);
+
+  /**
+   * Renders the profile picker and the selected profile's limits
+   * @returns {ReactElement} Profile section
+   */
+  const renderProfiles = () => {
+    const profile = profiles[profileId];
+    const limits = [
+      { key: 'maxUp', label: 'Up' },
+      { key: 'maxDown', label: 'Down' },
+      { key: 'maxAcross', label: 'Across' }
+    ];
+
+    return React.createElement('div', {
+      key: 'profiles',
+      className: 'bg-blue-50 rounded-lg p-4 mb-6'
+    }, [
+      React.createElement('div', {
+        key: 'buttons',
+        className: 'grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3'
+      }, Object.values(profiles).map(option => {
+        const summary = profileSummaries[option.id];
+        const active = option.id === profileId;
+        return React.createElement('button', {
+          key: option.id,
+          onClick: () => onChangeProfile(option.id),
+          className: `px-3 py-2 rounded-lg text-left text-sm border transition-colors ${
+            active ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-200 text-gray-700 hover:border-blue-400'
+          }`,
+          title: option.description
+        }, [
+          React.createElement('div', { key: 'name', className: 'font-medium' }, `${option.icon} ${option.name}${option.customized ? ' *' : ''}`),
+          summary && React.createElement('div', {
+            key: 'count',
+            className: `text-xs ${active ? 'text-blue-100' : 'text-gray-500'}`
+          }, `${summary.reachable} of ${summary.total} spots`)
+        ]);
+      })),
+      React.createElement('div', {
+        key: 'description',
+        className: 'text-xs text-gray-600 mb-2'
+      }, `${profile.description}. Comfortable jump limits:`),
+      React.createElement('div', {
+        key: 'limits',
+        className: 'flex flex-wrap items-center gap-3'
+      }, [
+        ...limits.map(({ key, label }) => React.createElement('label', {
+          key,
+          className: 'flex items-center space-x-2 text-sm text-gray-700'
+        }, [
+          React.createElement('span', { key: 'label', className: 'w-12' }, label),
+          React.createElement('input', {
+            key: 'input',
+            type: 'number',
+            min: 1,
+            step: Units.isMetric(unitSystem) ? 1 : 0.5,
+            value: Number(Units.formatNumber(Units.toDisplayLength(profile[key], unitSystem), 1, true)),
+            onChange: (e) => handleLimitChange(key, e.target.value),
+            className: 'w-20 px-2 py-1 border border-gray-300 rounded text-center focus:outline-none focus:ring-2 focus:ring-blue-500'
+          }),
+          React.createElement('span', { key: 'unit', className: 'text-gray-500' }, Units.lengthSymbol(unitSystem).trim())
+        ])),
+        profile.customized && React.createElement('button', {
+          key: 'reset',
+          onClick: () => onResetProfile(profileId),
+          className: 'px-3 py-1 text-sm text-blue-700 hover:text-blue-900'
+        }, '↺ Reset')
+      ])
+    ]);
+  };
+
+  /**
+   * Renders spots the cat can't get to, each with the easiest gap that would open it up
+   * @returns {ReactElement|null} Unreachable section
+   */
+  const renderUnreachable = () => {
+    if (result.unreachable.length === 0) return null;
+    return React.createElement('div', {
+      key: 'unreachable',
+      className: 'bg-red-50 rounded-lg p-4 mb-6'
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        className: 'font-semibold text-red-800 mb-3 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon' }, '🚫'),
+        React.createElement('span', { key: 'text' }, `Out of Reach (${result.unreachable.length})`)
+      ]),
+      React.createElement('div', {
+        key: 'list',
+        className: 'space-y-2'
+      }, result.unreachable.map(spot => {
+        const gap = result.problemGaps.find(jump => jump.to === spot.id);
+        return React.createElement('div', {
+          key: spot.id,
+          className: 'p-3 bg-white rounded border border-red-200 flex items-start justify-between'
+        }, [
+          React.createElement('div', { key: 'text' }, [
+            React.createElement('div', {
+              key: 'name',
+              className: 'font-medium text-red-700'
+            }, `${spot.name} (${heightOf(spot)} high)`),
+            (gap || spot.crampedBy) && React.createElement('div', {
+              key: 'gap',
+              className: 'text-sm text-gray-600 mt-1'
+            }, spot.crampedBy
+              ? `Not enough headroom to sit under ${spot.crampedBy.name}`
+              : gap.blockedBy
+                ? `Closest way in from ${nameOf(gap.from)} is blocked by ${gap.blockedBy.name}`
+                : `Closest jump: ${CatReachability.describeJump(gap, unitSystem)} from ${nameOf(gap.from)}, ${Math.round(gap.difficulty * 100)}% of this cat's limit`)
+          ]),
+          React.createElement('button', {
+            key: 'show',
+            onClick: () => handleShowSpot(spot.id),
+            className: 'text-xs text-red-600 hover:text-red-800 whitespace-nowrap ml-3'
+          }, 'Show gap')
+        ]);
+      }))
+    ]);
+  };
+
+  /**
+   * Renders the easiest route up to every reachable spot
+   * @returns {ReactElement|null} Routes section
+   */
+  const renderRoutes = () => {
+    const reachable = result.spots.filter(spot => spot.reachable).sort((a, b) => a.y - b.y);
+    if (reachable.length === 0) return null;
+    return React.createElement('div', {
+      key: 'routes',
+      className: 'bg-green-50 rounded-lg p-4 mb-6'
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        className: 'font-semibold text-green-800 mb-3 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon' }, '🐾'),
+        React.createElement('span', { key: 'text' }, 'Easiest Routes from the Floor')
+      ]),
+      React.createElement('div', {
+        key: 'list',
+        className: 'space-y-2'
+      }, reachable.map(spot => React.createElement('div', {
+        key: spot.id,
+        className: `p-3 bg-white rounded border flex items-start justify-between ${spot.id === focusSpotId ? 'border-green-500' : 'border-green-200'}`
+      }, [
+        React.createElement('div', { key: 'text' }, [
+          React.createElement('div', {
+            key: 'name',
+            className: 'font-medium text-gray-800'
+          }, [
+            `${spot.name} (${heightOf(spot)} high)`,
+            spot.hardest > CatReachability.settings.hardJump && React.createElement('span', {
+              key: 'hard',
+              className: 'ml-2 text-xs text-orange-600'
+            }, '⚠️ hard jump'),
+            !spot.canGetDown && React.createElement('span', {
+              key: 'stranded',
+              className: 'ml-2 text-xs text-red-600'
+            }, '⚠️ no safe way down')
+          ]),
+          React.createElement('div', {
+            key: 'route',
+            className: 'text-xs text-gray-600 mt-1'
+          }, ['Floor', ...spot.route.map(jump => `${nameOf(jump.to)} (${CatReachability.describeJump(jump, unitSystem)})`)].join(' → '))
+        ]),
+        React.createElement('button', {
+          key: 'show',
+          onClick: () => handleShowSpot(spot.id),
+          className: 'text-xs text-green-700 hover:text-green-900 whitespace-nowrap ml-3'
+        }, 'Show route')
+      ])))
+    ]);
+  };
+
+  // ========================================
+  // RENDER
+  // ========================================
+
+  if (!isOpen) return null;
+
+  const summaryText = !result || result.spots.length === 0
+    ? 'No resting spots yet: add platforms, perches, beds or houses'
+    : result.unreachable.length === 0
+      ? `Every resting spot can be reached${result.stranded.length > 0 ? `, but ${result.stranded.length} ha${result.stranded.length === 1 ? 's' : 've'} no safe way down` : ''}`
+      : `${result.unreachable.length} of ${result.spots.length} resting spots are out of reach`;
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    }
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl w-full max-w-3xl mx-4 max-h-[85vh] flex flex-col'
+  }, [
+    // ========================================
+    // HEADER
+    // ========================================
+    React.createElement('div', {
+      key: 'header',
+      className: 'px-6 py-4 border-b border-gray-200 flex items-center justify-between bg-gradient-to-r from-green-50 to-blue-50'
+    }, [
+      React.createElement('h2', {
+        key: 'title',
+        className: 'text-xl font-bold text-gray-800 flex items-center space-x-2'
+      }, [
+        React.createElement('span', { key: 'icon' }, '🐾'),
+        React.createElement('span', { key: 'text' }, 'Cat Reachability')
+      ]),
+      React.createElement('button', {
+        key: 'close',
+        onClick: onClose,
+        className: 'text-gray-400 hover:text-gray-600 text-2xl transition-colors'
+      }, '✕')
+    ]),
+
+    // ========================================
+    // CONTENT (SCROLLABLE)
+    // ========================================
+    React.createElement('div', {
+      key: 'content',
+      className: 'flex-1 overflow-y-auto p-6'
+    }, [
+      React.createElement('div', {
+        key: 'status',
+        className: `p-4 rounded-lg mb-6 font-semibold ${
+          result && result.spots.length > 0 && result.unreachable.length === 0 && result.stranded.length === 0
+            ? 'bg-green-100 border-2 border-green-300 text-green-800'
+            : 'bg-yellow-100 border-2 border-yellow-300 text-yellow-800'
+        }`
+      }, summaryText),
+      renderProfiles(),
+      result && renderUnreachable(),
+      result && renderRoutes()
+    ]),
+
+    // ========================================
+    // FOOTER
+    // ========================================
+    React.createElement('div', {
+      key: 'footer',
+      className: 'px-6 py-4 border-t border-gray-200 bg-gray-50'
+    }, [
+      React.createElement('div', {
+        key: 'info',
+        className: 'text-xs text-gray-500 mb-3'
+      }, '💡 Tip: A jump up and across at once counts against both limits; add a step or perch halfway to split a long jump'),
+      React.createElement('div', {
+        key: 'actions',
+        className: 'flex justify-end space-x-2'
+      }, [
+        React.createElement('button', {
+          key: 'view',
+          onClick: () => {
+            onFocusSpot(null);
+            onToggleShowInView();
+          },
+          className: 'px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition-colors'
+        }, showInView ? 'Hide from 3D View' : 'Show All in 3D View'),
+        React.createElement('button', {
+          key: 'done',
+          onClick: onClose,
+          className: 'px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg font-medium transition-colors'
+        }, 'Close')
+      ])
+    ])
+  ]));
+};
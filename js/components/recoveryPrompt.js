@@ -0,0 +1,86 @@
+// =====================================================
+// RECOVERY PROMPT COMPONENT -v1- UNSAVED DESIGN RECOVERY
+// =====================================================
+
+/**
+ * Startup dialog offering to restore an autosaved design that was never saved to file
+ */
+const RecoveryPrompt = ({ record, onRecover, onDiscard }) => {
+  const { useEffect, useRef } = React;
+
+  const recoverButtonRef = useRef(null);
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Focus the primary action when the prompt appears
+   */
+  useEffect(() => {
+    if (record && recoverButtonRef.current) {
+      recoverButtonRef.current.focus();
+    }
+  }, [record]);
+
+  // ========================================
+  // RENDER
+  // ========================================
+
+  if (!record) return null;
+
+  const design = record.design || {};
+  const pieceCount = design.pieces?.length || 0;
+  const openingCount = design.openings?.length || 0;
+  const savedAt = record.savedAt ? new Date(record.savedAt).toLocaleString() : 'an earlier session';
+
+  return React.createElement('div', {
+    className: 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm',
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'recovery-title'
+  }, React.createElement('div', {
+    className: 'bg-white rounded-xl shadow-2xl p-6 w-full max-w-md mx-4',
+    onKeyDown: (e) => {
+      if (e.key === 'Escape') onDiscard();
+    }
+  }, [
+    // Header
+    React.createElement('h2', {
+      key: 'title',
+      id: 'recovery-title',
+      className: 'text-xl font-bold text-gray-900 flex items-center space-x-2 mb-4'
+    }, [
+      React.createElement('span', { key: 'icon', className: 'text-2xl' }, '🛟'),
+      React.createElement('span', { key: 'text' }, 'Recover unsaved design?')
+    ]),
+
+    // Details
+    React.createElement('p', {
+      key: 'description',
+      className: 'text-sm text-gray-600 mb-3'
+    }, `A design from ${savedAt} was not saved before the page closed.`),
+    React.createElement('div', {
+      key: 'summary',
+      className: 'text-sm text-app-purple-700 bg-app-purple-50 border border-app-purple-200 rounded-lg p-3'
+    }, `📦 ${pieceCount} piece${pieceCount !== 1 ? 's' : ''} • 🚪 ${openingCount} opening${openingCount !== 1 ? 's' : ''}`),
+
+    // Actions
+    React.createElement('div', {
+      key: 'actions',
+      className: 'flex justify-end gap-3 mt-6 pt-4 border-t border-gray-200'
+    }, [
+      React.createElement('button', {
+        key: 'discard',
+        onClick: onDiscard,
+        className: 'px-4 py-2 rounded-lg font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500'
+      }, 'Discard'),
+      React.createElement('button', {
+        key: 'recover',
+        ref: recoverButtonRef,
+        onClick: onRecover,
+        className: 'px-6 py-2 rounded-lg font-medium bg-app-mint-500 hover:bg-app-mint-600 text-white shadow-md hover:shadow-lg transition-all focus:outline-none focus:ring-2 focus:ring-app-purple-500'
+      }, 'Recover')
+    ])
+  ]));
+};
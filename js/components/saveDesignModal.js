@@ -1,12 +1,16 @@
 // =====================================================
-// SAVE DESIGN MODAL COMPONENT -v4- SYSTEMATIC ORGANIZATION & ENHANCED UX
+// SAVE DESIGN MODAL COMPONENT -v5- LIBRARY SAVE WITH JSON EXPORT
 // =====================================================
 
 /**
  * Modal dialog for saving cat tree designs with enhanced user experience
  * Provides name input, validation, and keyboard shortcuts
+ * Saves to the in-browser design library by default; JSON download is the secondary option
+ * @param {Object} props - Component props
+ * @param {string} props.currentDesignName - Name of the open library design, if any (enables overwrite)
+ * @param {Function} props.onSave - Called with (name, {destination: 'library'|'file', asNew})
  */
-const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
+const SaveDesignModal = ({ isOpen, onClose, onSave, currentDesignName = null }) => {
   const { useState, useEffect, useCallback, useRef } = React;
   
   // ========================================
@@ -16,6 +20,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
   const [isValid, setIsValid] = useState(true);
   const [errorMessage, setErrorMessage] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [saveAsNew, setSaveAsNew] = useState(false);
   
   // Refs for focus management
   const inputRef = useRef(null);
@@ -72,8 +77,9 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
 
   /**
    * Handles save operation with validation and loading state
+   * @param {string} destination - 'library' or 'file'
    */
-  const handleSave = useCallback(async () => {
+  const handleSave = useCallback(async (destination = 'library') => {
     const validation = validateDesignName(designName);
     
     if (!validation.valid) {
@@ -85,7 +91,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
     setIsSaving(true);
     
     try {
-      await onSave(designName.trim());
+      await onSave(designName.trim(), { destination, asNew: saveAsNew || !currentDesignName });
       onClose();
     } catch (error) {
       setErrorMessage('Failed to save design. Please try again.');
@@ -93,7 +99,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
     } finally {
       setIsSaving(false);
     }
-  }, [designName, validateDesignName, onSave, onClose]);
+  }, [designName, saveAsNew, currentDesignName, validateDesignName, onSave, onClose]);
 
   /**
    * Handles keyboard shortcuts and accessibility
@@ -103,7 +109,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
       case 'Enter':
         e.preventDefault();
         if (isValid && !isSaving) {
-          handleSave();
+          handleSave('library');
         }
         break;
       case 'Escape':
@@ -133,10 +139,11 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
    */
   useEffect(() => {
     if (isOpen) {
-      setDesignName('My Cat Tree');
+      setDesignName(currentDesignName || 'My Cat Tree');
       setIsValid(true);
       setErrorMessage('');
       setIsSaving(false);
+      setSaveAsNew(false);
       
       // Focus the input field when modal opens
       setTimeout(() => {
@@ -146,7 +153,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
         }
       }, 100);
     }
-  }, [isOpen]);
+  }, [isOpen, currentDesignName]);
 
   /**
    * Handle focus trap for accessibility
@@ -237,7 +244,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
         key: 'description',
         id: 'modal-description',
         className: 'text-sm text-gray-600'
-      }, 'Enter a name for your cat tree design. The design will be downloaded as a JSON file.'),
+      }, 'Enter a name for your cat tree design. It will be saved to your design library in this browser, or you can download it as a JSON file.'),
       
       // Input Section
       React.createElement('div', {
@@ -294,6 +301,23 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
           React.createElement('span', { key: 'icon' }, '⚠️'),
           React.createElement('span', { key: 'message' }, errorMessage)
         ])
+      ]),
+      
+      // Overwrite vs. copy (only when editing a library design)
+      currentDesignName && React.createElement('label', {
+        key: 'save-as-new',
+        className: 'flex items-center space-x-2 text-sm text-gray-700 cursor-pointer'
+      }, [
+        React.createElement('input', {
+          key: 'checkbox',
+          type: 'checkbox',
+          checked: saveAsNew,
+          onChange: (e) => setSaveAsNew(e.target.checked),
+          disabled: isSaving,
+          className: 'rounded border-gray-300 text-blue-500 focus:ring-blue-500'
+        }),
+        React.createElement('span', { key: 'text' }, 
+          saveAsNew ? 'Save as a new design' : `Save as a new design (otherwise updates "${currentDesignName}")`)
       ])
     ]),
     
@@ -310,9 +334,16 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
         disabled: isSaving,
         className: 'px-4 py-2 rounded-lg font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-gray-500'
       }, 'Cancel'),
+      React.createElement('button', {
+        key: 'export',
+        onClick: () => handleSave('file'),
+        disabled: !isValid || isSaving || !designName.trim(),
+        className: 'px-4 py-2 rounded-lg font-medium text-blue-700 bg-blue-50 border border-blue-200 hover:bg-blue-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-500',
+        title: 'Download the design as a JSON file'
+      }, '⬇️ Export JSON'),
       React.createElement('button', {
         key: 'save',
-        onClick: handleSave,
+        onClick: () => handleSave('library'),
         disabled: !isValid || isSaving || !designName.trim(),
         className: `px-6 py-2 rounded-lg font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 flex items-center space-x-2 ${
           isValid && designName.trim() && !isSaving
@@ -327,7 +358,7 @@ const SaveDesignModal = ({ isOpen, onClose, onSave }) => {
         }),
         React.createElement('span', { 
           key: 'text' 
-        }, isSaving ? 'Saving...' : 'Save Design')
+        }, isSaving ? 'Saving...' : '📚 Save to Library')
       ])
     ])
   ]));
@@ -1,12 +1,14 @@
 // =====================================================
-// STRESS TEST PANEL COMPONENT -v1- STRUCTURAL ANALYSIS UI
+// STRESS TEST PANEL COMPONENT -v4- CATALOG HARDWARE PRICES
 // =====================================================
 
 /**
  * Modal panel for displaying structural analysis results
- * Shows weight testing, connection recommendations, and weak points
+ * Shows weight testing, tip-over stability, connection recommendations, and weak points
+ * Cat weights are kept in pounds and shown in the selected unit system
+ * Hardware costs come from the active price catalog
  */
-const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeights }) => {
+const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeights, unitSystem = 'imperial', priceCatalog = null }) => {
   const { useState, useEffect, useCallback } = React;
   const [report, setReport] = useState(null);
   const [localCatWeights, setLocalCatWeights] = useState(catWeights);
@@ -17,10 +19,10 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
   
   useEffect(() => {
     if (isOpen && pieces.length > 0) {
-      const newReport = StructuralAnalysis.generateStressReport(pieces, localCatWeights);
+      const newReport = StructuralAnalysis.generateStressReport(pieces, localCatWeights, unitSystem, priceCatalog);
       setReport(newReport);
     }
-  }, [isOpen, pieces, localCatWeights]);
+  }, [isOpen, pieces, localCatWeights, unitSystem, priceCatalog]);
   
   // ========================================
   // EVENT HANDLERS
@@ -28,13 +30,14 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
   
   /**
    * Handle cat weight changes
+   * Input is in the display unit; weights are stored in pounds
    */
   const handleWeightChange = useCallback((index, value) => {
     const newWeights = [...localCatWeights];
-    newWeights[index] = Math.max(1, parseInt(value) || 1);
+    newWeights[index] = Math.max(1, Units.fromDisplayWeight(parseFloat(value), unitSystem) || 1);
     setLocalCatWeights(newWeights);
     onUpdateCatWeights(newWeights);
-  }, [localCatWeights, onUpdateCatWeights]);
+  }, [localCatWeights, onUpdateCatWeights, unitSystem]);
   
   /**
    * Add a new cat
@@ -61,10 +64,77 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
    */
   const handleRecalculate = useCallback(() => {
     if (pieces.length > 0) {
-      const newReport = StructuralAnalysis.generateStressReport(pieces, localCatWeights);
+      const newReport = StructuralAnalysis.generateStressReport(pieces, localCatWeights, unitSystem, priceCatalog);
       setReport(newReport);
     }
-  }, [pieces, localCatWeights]);
+  }, [pieces, localCatWeights, unitSystem, priceCatalog]);
+  
+  // ========================================
+  // RENDER HELPERS
+  // ========================================
+  
+  /**
+   * Renders the tip-over stability section
+   * @param {Object} stability - Result from StabilityAnalysis.analyzeStability
+   * @returns {ReactElement} Stability section
+   */
+  const renderStability = (stability) => {
+    const styles = {
+      stable: { box: 'bg-green-50 border-green-200', title: 'text-green-800', icon: '🟢', label: 'Stable' },
+      marginal: { box: 'bg-yellow-50 border-yellow-200', title: 'text-yellow-800', icon: '🟡', label: 'Marginal' },
+      unstable: { box: 'bg-red-50 border-red-200', title: 'text-red-800', icon: '🔴', label: 'Will tip over' }
+    };
+    const style = styles[stability.rating];
+    const scenarioText = stability.catPlacements.length === 0
+      ? 'No resting spots for cats'
+      : `Cats on the ${stability.scenario === 'highest' ? 'highest' : 'most outboard'} spots`;
+    
+    return React.createElement('div', {
+      key: 'stability',
+      className: `rounded-lg p-4 mb-6 border ${style.box}`
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        className: `font-semibold mb-3 flex items-center justify-between ${style.title}`
+      }, [
+        React.createElement('span', {
+          key: 'text',
+          className: 'flex items-center space-x-2'
+        }, [
+          React.createElement('span', { key: 'icon' }, '🧭'),
+          React.createElement('span', { key: 'label' }, 'Tip-Over Stability')
+        ]),
+        React.createElement('span', { key: 'rating' }, `${style.icon} ${style.label}`)
+      ]),
+      React.createElement('div', {
+        key: 'stats',
+        className: 'grid grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-700'
+      }, [
+        React.createElement('div', { key: 'margin' },
+          `Tip Margin: ${stability.tipMargin === null ? 'n/a' : Units.formatLength(stability.tipMargin, unitSystem, 1)}`),
+        React.createElement('div', { key: 'angle' },
+          `Tip Angle: ${stability.tipAngle.toFixed(1)}°`),
+        React.createElement('div', { key: 'push' },
+          `Critical Push: ${Units.formatWeight(stability.criticalPushForce, unitSystem)} at ${Units.formatLength(stability.pushHeight, unitSystem, 0)}`),
+        React.createElement('div', { key: 'launch' },
+          `Cat Launch Force: ${Units.formatWeight(stability.launchForce, unitSystem)}`),
+        React.createElement('div', { key: 'com' },
+          `Center of Gravity: ${Units.formatLength(stability.centerOfMass.y, unitSystem, 1)} high`),
+        React.createElement('div', { key: 'base' },
+          `Base: ${stability.groundPieceCount} floor piece${stability.groundPieceCount !== 1 ? 's' : ''}`)
+      ]),
+      React.createElement('div', {
+        key: 'scenario',
+        className: 'text-xs text-gray-500 mt-2'
+      }, `Worst case: ${scenarioText}. Margin is the distance from the center of gravity to the nearest base edge.`),
+      stability.recommendations.length > 0 && React.createElement('ul', {
+        key: 'recommendations',
+        className: 'list-disc list-inside text-sm text-gray-700 mt-2 space-y-0.5'
+      }, stability.recommendations.map((text, index) =>
+        React.createElement('li', { key: index }, text)
+      ))
+    ]);
+  };
   
   // ========================================
   // RENDER
@@ -139,16 +209,21 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
           className: 'grid grid-cols-2 gap-4 mt-3 text-sm'
         }, [
           React.createElement('div', { key: 'stat1' }, 
-            `Structure Weight: ${report.summary.totalStructureWeight} lbs`),
+            `Structure Weight: ${Units.formatWeight(report.summary.totalStructureWeight, unitSystem)}`),
           React.createElement('div', { key: 'stat2' }, 
-            `Total Cat Weight: ${report.summary.totalCatWeight} lbs`),
+            `Total Cat Weight: ${Units.formatWeight(report.summary.totalCatWeight, unitSystem)}`),
           React.createElement('div', { key: 'stat3' }, 
             `Safety Factor: ${report.summary.safetyFactor}x`),
           React.createElement('div', { key: 'stat4' }, 
-            `Max Single Cat: ${report.summary.maxCatWeight} lbs`)
+            `Max Single Cat: ${Units.formatWeight(report.summary.maxCatWeight, unitSystem)}`)
         ])
       ]),
       
+      // ========================================
+      // TIP-OVER STABILITY
+      // ========================================
+      report.stability && renderStability(report.stability),
+      
       // ========================================
       // CAT WEIGHT INPUTS
       // ========================================
@@ -161,7 +236,7 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
           className: 'font-semibold text-gray-800 mb-3 flex items-center space-x-2'
         }, [
           React.createElement('span', { key: 'icon' }, '🐱'),
-          React.createElement('span', { key: 'text' }, 'Cat Weights (pounds)')
+          React.createElement('span', { key: 'text' }, `Cat Weights (${Units.getSystem(unitSystem).weightName})`)
         ]),
         React.createElement('div', {
           key: 'weights-list',
@@ -178,16 +253,17 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
             React.createElement('input', {
               key: 'input',
               type: 'number',
-              min: '1',
-              max: '50',
-              value: weight,
+              min: Number(Units.formatNumber(Units.toDisplayWeight(1, unitSystem), 1)),
+              max: Number(Units.formatNumber(Units.toDisplayWeight(50, unitSystem), 1)),
+              step: Units.isMetric(unitSystem) ? 0.1 : 1,
+              value: Number(Units.formatNumber(Units.toDisplayWeight(weight, unitSystem), 1, true)),
               onChange: (e) => handleWeightChange(index, e.target.value),
               className: 'w-20 px-2 py-1 border border-gray-300 rounded text-center focus:outline-none focus:ring-2 focus:ring-blue-500'
             }),
             React.createElement('span', {
               key: 'lbs',
               className: 'text-sm text-gray-500'
-            }, 'lbs'),
+            }, Units.getSystem(unitSystem).weightSymbol),
             localCatWeights.length > 1 && React.createElement('button', {
               key: 'remove',
               onClick: () => handleRemoveCat(index),
@@ -245,7 +321,7 @@ const StressTestPanel = ({ isOpen, onClose, pieces, catWeights, onUpdateCatWeigh
             point.currentCapacity !== undefined && React.createElement('div', {
               key: 'capacity',
               className: 'text-xs text-gray-500 mt-1'
-            }, `Current capacity: ${point.currentCapacity} lbs, Required: ${point.required} lbs`)
+            }, `Current capacity: ${Units.formatWeight(point.currentCapacity, unitSystem)}, Required: ${Units.formatWeight(point.required, unitSystem)}`)
           ])
         ))
       ]),
@@ -0,0 +1,362 @@
+// =====================================================
+// CONSTRUCTIVE SOLID GEOMETRY -v1- BSP BOOLEAN SUBTRACTION
+// =====================================================
+
+/**
+ * Boolean subtraction on Three.js geometry using BSP trees
+ * Geometry is turned into convex polygons (positions, normals and UVs), split against
+ * the planes of the other solid, and turned back into a non-indexed BufferGeometry.
+ * Solid geometry (boxes, extrusions, lathed rings) gets the cut surfaces filled in;
+ * open surfaces (cylinder shells, rings, tubes) only have the cut-away part removed.
+ */
+const CSG = {
+
+  // Distance under which a point counts as lying on a plane
+  EPSILON: 1e-5,
+
+  // Plane sides, combined as bit flags while splitting
+  COPLANAR: 0,
+  FRONT: 1,
+  BACK: 2,
+  SPANNING: 3,
+
+  // ========================================
+  // POLYGONS & PLANES
+  // ========================================
+
+  /**
+   * Creates a vertex
+   * @param {THREE.Vector3} pos - Position
+   * @param {THREE.Vector3} normal - Surface normal
+   * @param {THREE.Vector2} uv - Texture coordinate
+   * @returns {Object} Vertex {pos, normal, uv}
+   */
+  _vertex: (pos, normal, uv) => ({ pos, normal, uv }),
+
+  /**
+   * Vertex partway between two others
+   * @param {Object} a - Start vertex
+   * @param {Object} b - End vertex
+   * @param {number} t - Fraction from a to b
+   * @returns {Object} New vertex
+   */
+  _lerpVertex: (a, b, t) => CSG._vertex(
+    a.pos.clone().lerp(b.pos, t),
+    a.normal.clone().lerp(b.normal, t),
+    a.uv.clone().lerp(b.uv, t)
+  ),
+
+  /**
+   * Plane through three points
+   * @returns {Object|null} Plane {normal, w}, null for degenerate triangles
+   */
+  _planeFromPoints: (a, b, c) => {
+    const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+    if (normal.lengthSq() < 1e-12) return null;
+    normal.normalize();
+    return { normal, w: normal.dot(a) };
+  },
+
+  /**
+   * Creates a convex polygon
+   * @param {Array} vertices - Vertices in counter-clockwise order seen from the front
+   * @param {Object} plane - Supporting plane (computed when omitted)
+   * @returns {Object|null} Polygon {vertices, plane}
+   */
+  _polygon: (vertices, plane = null) => {
+    const supporting = plane || CSG._planeFromPoints(vertices[0].pos, vertices[1].pos, vertices[2].pos);
+    return supporting ? { vertices, plane: supporting } : null;
+  },
+
+  /**
+   * Polygon facing the other way
+   * @param {Object} polygon - Polygon to flip
+   * @returns {Object} Flipped copy
+   */
+  _flipPolygon: (polygon) => ({
+    vertices: polygon.vertices.slice().reverse().map(v => CSG._vertex(v.pos, v.normal.clone().negate(), v.uv)),
+    plane: { normal: polygon.plane.normal.clone().negate(), w: -polygon.plane.w }
+  }),
+
+  /**
+   * Sorts a polygon against a plane, splitting it when it spans the plane
+   * @param {Object} plane - Splitting plane
+   * @param {Object} polygon - Polygon to sort
+   * @param {Array} coplanarFront - Receives coplanar polygons facing the same way
+   * @param {Array} coplanarBack - Receives coplanar polygons facing the other way
+   * @param {Array} front - Receives polygons (or parts) in front
+   * @param {Array} back - Receives polygons (or parts) behind
+   */
+  _splitPolygon: (plane, polygon, coplanarFront, coplanarBack, front, back) => {
+    let polygonType = 0;
+    const types = polygon.vertices.map(v => {
+      const t = plane.normal.dot(v.pos) - plane.w;
+      const type = t < -CSG.EPSILON ? CSG.BACK : (t > CSG.EPSILON ? CSG.FRONT : CSG.COPLANAR);
+      polygonType |= type;
+      return type;
+    });
+
+    switch (polygonType) {
+      case CSG.COPLANAR:
+        (plane.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+        break;
+      case CSG.FRONT:
+        front.push(polygon);
+        break;
+      case CSG.BACK:
+        back.push(polygon);
+        break;
+      default: {
+        const f = [];
+        const b = [];
+        polygon.vertices.forEach((vi, i) => {
+          const j = (i + 1) % polygon.vertices.length;
+          const ti = types[i];
+          const tj = types[j];
+          const vj = polygon.vertices[j];
+          if (ti !== CSG.BACK) f.push(vi);
+          if (ti !== CSG.FRONT) b.push(ti !== CSG.BACK ? CSG._vertex(vi.pos.clone(), vi.normal.clone(), vi.uv.clone()) : vi);
+          if ((ti | tj) === CSG.SPANNING) {
+            const t = (plane.w - plane.normal.dot(vi.pos)) / plane.normal.dot(new THREE.Vector3().subVectors(vj.pos, vi.pos));
+            const v = CSG._lerpVertex(vi, vj, t);
+            f.push(v);
+            b.push(CSG._vertex(v.pos.clone(), v.normal.clone(), v.uv.clone()));
+          }
+        });
+        if (f.length >= 3) front.push({ vertices: f, plane: polygon.plane });
+        if (b.length >= 3) back.push({ vertices: b, plane: polygon.plane });
+      }
+    }
+  },
+
+  // ========================================
+  // BSP TREE
+  // ========================================
+
+  /**
+   * Builds a BSP tree from polygons
+   * @param {Array} polygons - Convex polygons
+   * @returns {Object} Node {plane, front, back, polygons}
+   */
+  _buildNode: (polygons = []) => {
+    const node = { plane: null, front: null, back: null, polygons: [] };
+    CSG._addToNode(node, polygons);
+    return node;
+  },
+
+  /**
+   * Adds polygons to a tree, splitting them down to the leaves
+   * Works on an explicit stack so large meshes can't overflow the call stack
+   * @param {Object} root - Tree to add to
+   * @param {Array} polygons - Convex polygons
+   */
+  _addToNode: (root, polygons) => {
+    const stack = [[root, polygons]];
+    while (stack.length) {
+      const [node, list] = stack.pop();
+      if (!list.length) continue;
+      if (!node.plane) node.plane = list[0].plane;
+
+      const front = [];
+      const back = [];
+      list.forEach(polygon => CSG._splitPolygon(node.plane, polygon, node.polygons, node.polygons, front, back));
+
+      if (front.length) {
+        if (!node.front) node.front = { plane: null, front: null, back: null, polygons: [] };
+        stack.push([node.front, front]);
+      }
+      if (back.length) {
+        if (!node.back) node.back = { plane: null, front: null, back: null, polygons: [] };
+        stack.push([node.back, back]);
+      }
+    }
+  },
+
+  /**
+   * Every node of a tree
+   * @param {Object} root - Tree
+   * @returns {Array} Nodes
+   */
+  _nodes: (root) => {
+    const nodes = [];
+    const stack = [root];
+    while (stack.length) {
+      const node = stack.pop();
+      nodes.push(node);
+      if (node.front) stack.push(node.front);
+      if (node.back) stack.push(node.back);
+    }
+    return nodes;
+  },
+
+  /**
+   * Turns a solid inside out
+   * @param {Object} root - Tree to invert in place
+   */
+  _invert: (root) => {
+    CSG._nodes(root).forEach(node => {
+      node.polygons = node.polygons.map(CSG._flipPolygon);
+      if (node.plane) node.plane = { normal: node.plane.normal.clone().negate(), w: -node.plane.w };
+      [node.front, node.back] = [node.back, node.front];
+    });
+  },
+
+  /**
+   * Removes the polygons (or parts) that lie inside a tree's solid
+   * @param {Object} node - Tree
+   * @param {Array} polygons - Polygons to clip
+   * @returns {Array} Polygons outside the solid
+   */
+  _clipPolygons: (node, polygons) => {
+    if (!node.plane) return polygons.slice();
+    let front = [];
+    let back = [];
+    polygons.forEach(polygon => CSG._splitPolygon(node.plane, polygon, front, back, front, back));
+    if (node.front) front = CSG._clipPolygons(node.front, front);
+    back = node.back ? CSG._clipPolygons(node.back, back) : [];
+    return front.concat(back);
+  },
+
+  /**
+   * Removes everything in one tree that lies inside another
+   * @param {Object} root - Tree to clip in place
+   * @param {Object} other - Tree whose solid is cut away
+   */
+  _clipTo: (root, other) => {
+    CSG._nodes(root).forEach(node => {
+      node.polygons = CSG._clipPolygons(other, node.polygons);
+    });
+  },
+
+  /**
+   * Every polygon of a tree
+   * @param {Object} root - Tree
+   * @returns {Array} Polygons
+   */
+  _allPolygons: (root) => CSG._nodes(root).reduce((all, node) => all.concat(node.polygons), []),
+
+  // ========================================
+  // GEOMETRY CONVERSION
+  // ========================================
+
+  /**
+   * Converts geometry to polygons in another coordinate frame
+   * @param {THREE.BufferGeometry} geometry - Source geometry
+   * @param {THREE.Matrix4} matrix - Transform into the shared frame (identity when omitted)
+   * @returns {Array} Triangles as polygons, degenerate ones dropped
+   */
+  fromGeometry: (geometry, matrix = new THREE.Matrix4()) => {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const position = source.getAttribute('position');
+    const normal = source.getAttribute('normal');
+    const uv = source.getAttribute('uv');
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+    const polygons = [];
+
+    for (let i = 0; i + 2 < position.count; i += 3) {
+      const vertices = [i, i + 1, i + 2].map(index => CSG._vertex(
+        new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(matrix),
+        normal
+          ? new THREE.Vector3().fromBufferAttribute(normal, index).applyMatrix3(normalMatrix).normalize()
+          : new THREE.Vector3(),
+        uv ? new THREE.Vector2().fromBufferAttribute(uv, index) : new THREE.Vector2()
+      ));
+      const polygon = CSG._polygon(vertices);
+      if (polygon) polygons.push(polygon);
+    }
+
+    if (source !== geometry) source.dispose();
+    return polygons;
+  },
+
+  /**
+   * Converts polygons back to geometry
+   * @param {Array} polygons - Convex polygons
+   * @param {THREE.Matrix4} matrix - Transform out of the shared frame (identity when omitted)
+   * @returns {THREE.BufferGeometry} Non-indexed geometry with position, normal and uv
+   */
+  toGeometry: (polygons, matrix = new THREE.Matrix4()) => {
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+
+    polygons.forEach(polygon => {
+      // Convex polygons fan out from their first vertex
+      for (let i = 1; i + 1 < polygon.vertices.length; i++) {
+        [polygon.vertices[0], polygon.vertices[i], polygon.vertices[i + 1]].forEach(v => {
+          const pos = v.pos.clone().applyMatrix4(matrix);
+          const normal = v.normal.clone().applyMatrix3(normalMatrix).normalize();
+          positions.push(pos.x, pos.y, pos.z);
+          normals.push(normal.x, normal.y, normal.z);
+          uvs.push(v.uv.x, v.uv.y);
+        });
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    return geometry;
+  },
+
+  // ========================================
+  // BOOLEAN OPERATIONS
+  // ========================================
+
+  /**
+   * Subtracts one closed solid from another (A − B)
+   * The parts of B inside A become the walls of the cut
+   * @param {Array} a - Polygons of the solid to cut
+   * @param {Array} b - Polygons of the closed cutter
+   * @returns {Array} Polygons of the result
+   */
+  subtract: (a, b) => {
+    const nodeA = CSG._buildNode(a);
+    const nodeB = CSG._buildNode(b);
+    CSG._invert(nodeA);
+    CSG._clipTo(nodeA, nodeB);
+    CSG._clipTo(nodeB, nodeA);
+    CSG._invert(nodeB);
+    CSG._clipTo(nodeB, nodeA);
+    CSG._invert(nodeB);
+    CSG._addToNode(nodeA, CSG._allPolygons(nodeB));
+    CSG._invert(nodeA);
+    return CSG._allPolygons(nodeA);
+  },
+
+  /**
+   * Removes the parts of an open surface that lie inside a closed cutter
+   * @param {Array} surface - Polygons of the surface
+   * @param {Array} cutter - Polygons of the closed cutter
+   * @returns {Array} Polygons left outside the cutter
+   */
+  clip: (surface, cutter) => CSG._clipPolygons(CSG._buildNode(cutter), surface),
+
+  /**
+   * Cuts closed solids out of a mesh's geometry, replacing it
+   * @param {THREE.Mesh} mesh - Mesh to cut (its matrixWorld must be current)
+   * @param {Array} cutters - Cutter geometries in world coordinates
+   * @param {boolean} solid - Whether the mesh is a closed solid (fills in the cut walls)
+   * @returns {boolean} Whether the geometry was replaced
+   */
+  subtractFromMesh: (mesh, cutters, solid) => {
+    if (!cutters.length) return false;
+
+    let polygons = CSG.fromGeometry(mesh.geometry, mesh.matrixWorld);
+    cutters.forEach(cutter => {
+      const cutterPolygons = CSG.fromGeometry(cutter);
+      polygons = solid ? CSG.subtract(polygons, cutterPolygons) : CSG.clip(polygons, cutterPolygons);
+    });
+
+    mesh.geometry.dispose();
+    mesh.geometry = CSG.toGeometry(polygons, new THREE.Matrix4().copy(mesh.matrixWorld).invert());
+    return true;
+  }
+};
+
+// Export for use in other modules
+window.CSG = CSG;
@@ -0,0 +1,336 @@
+// =====================================================
+// CUT LIST SYSTEM -v1- SHEET NESTING & POST STOCK OPTIMIZATION
+// =====================================================
+
+/**
+ * Turns a design into the parts that have to be cut and lays them out on stock
+ * Flat parts (platforms, perches, panels, house and tunnel walls) are nested onto
+ * plywood sheets, one set of sheets per thickness; posts are cut from standard lengths.
+ * All sizes are in inches.
+ */
+const CutList = {
+
+  // ========================================
+  // STOCK SETTINGS
+  // ========================================
+
+  /**
+   * Default stock sizes: a 4×8 ft plywood sheet and 8 ft post stock
+   * The kerf is the width of material lost to each saw cut
+   */
+  DEFAULT_STOCK: {
+    sheetWidth: 48,
+    sheetLength: 96,
+    postLength: 96,
+    kerf: 0.125
+  },
+
+  // Categories that are bought ready-made rather than cut
+  PURCHASED_CATEGORIES: ['bedding', 'accessories'],
+
+  // Outline drawn inside a part's bounding rectangle, by piece shape
+  SHAPE_OUTLINES: {
+    cylinder: 'circle',
+    oval: 'circle',
+    triangle: 'triangle',
+    'triangle-panel': 'triangle',
+    hexagon: 'hexagon',
+    semicircle: 'semicircle',
+    'quarter-circle': 'quarter-circle',
+    lshaped: 'l-shape'
+  },
+
+  /**
+   * Stock sizes from the saved settings, filling in defaults
+   * @returns {Object} {sheetWidth, sheetLength, postLength, kerf}
+   */
+  getStock: () => ({ ...CutList.DEFAULT_STOCK, ...(DesignStorage.getSetting('cutListStock') || {}) }),
+
+  // ========================================
+  // PART EXTRACTION
+  // ========================================
+
+  /**
+   * Splits a design into sheet parts, post cuts and pieces left out of the cut list
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Object} {sheetParts, postParts, skipped}
+   */
+  extractParts: (pieces) => {
+    const sheetParts = [];
+    const postParts = [];
+    const skipped = [];
+
+    pieces.forEach(piece => {
+      const category = CatTreePieces.getCategoryKey(piece.variantId);
+
+      if (piece.included) {
+        skipped.push({ pieceId: piece.id, name: piece.name, reason: 'Comes with its kit' });
+        return;
+      }
+      if (CutList.PURCHASED_CATEGORIES.includes(category)) {
+        skipped.push({ pieceId: piece.id, name: piece.name, reason: 'Bought ready-made' });
+        return;
+      }
+
+      if (category === 'post') {
+        const round = piece.shape !== 'box';
+        postParts.push({
+          pieceId: piece.id,
+          label: piece.name,
+          length: piece.height,
+          section: piece.width * piece.depth,
+          round,
+          width: round ? Math.max(piece.width, piece.depth) : piece.width,
+          depth: round ? Math.max(piece.width, piece.depth) : piece.depth,
+          profile: `${round ? 'round' : 'square'}-${piece.width.toFixed(3)}-${piece.depth.toFixed(3)}`
+        });
+        return;
+      }
+
+      if (piece.hollow) {
+        const panels = CatTreePieces.getWallPanels(piece);
+        if (!panels) {
+          skipped.push({ pieceId: piece.id, name: piece.name, reason: 'Curved walls are not cut from flat stock' });
+          return;
+        }
+        panels.forEach(panel => sheetParts.push({
+          pieceId: piece.id,
+          label: `${piece.name} – ${panel.name}`,
+          width: panel.width,
+          height: panel.height,
+          thickness: panel.thickness,
+          outline: panel.outline
+        }));
+        return;
+      }
+
+      // Panels stand upright; everything else lies flat with its height as thickness
+      const upright = category === 'panel';
+      sheetParts.push({
+        pieceId: piece.id,
+        label: piece.name,
+        width: piece.width,
+        height: upright ? piece.height : piece.depth,
+        thickness: upright ? piece.depth : piece.height,
+        outline: CutList.SHAPE_OUTLINES[piece.shape] || 'rectangle'
+      });
+    });
+
+    return { sheetParts, postParts, skipped };
+  },
+
+  // ========================================
+  // SHEET NESTING - GUILLOTINE PACKING
+  // ========================================
+
+  /**
+   * Nests rectangles onto sheets with guillotine cuts, one sheet set per thickness
+   * Parts are placed largest first into the free area they fill best, turning them 90° when that fits better
+   * @param {Array} parts - Sheet parts {width, height, thickness, ...}
+   * @param {Object} stock - Stock sizes
+   * @returns {Object} {sheets, oversize}
+   */
+  nestSheets: (parts, stock) => {
+    const sheetLength = stock.sheetLength;
+    const sheetWidth = stock.sheetWidth;
+    const kerf = stock.kerf;
+    const sheets = [];
+    const oversize = [];
+
+    const ordered = [...parts].sort((a, b) =>
+      Math.max(b.width, b.height) - Math.max(a.width, a.height) || b.width * b.height - a.width * a.height
+    );
+
+    ordered.forEach(part => {
+      const thicknessKey = part.thickness.toFixed(3);
+      const orientations = [
+        { width: part.width + kerf, height: part.height + kerf, rotated: false },
+        { width: part.height + kerf, height: part.width + kerf, rotated: true }
+      ];
+
+      const fitsStock = orientations.some(o =>
+        o.width <= sheetLength + kerf && o.height <= sheetWidth + kerf
+      );
+      if (!fitsStock) {
+        oversize.push({ ...part, reason: 'Larger than a stock sheet' });
+        return;
+      }
+
+      const findFit = (sheet) => {
+        let best = null;
+        sheet.free.forEach((rect, rectIndex) => {
+          orientations.forEach(o => {
+            if (o.width > rect.width + 1e-9 || o.height > rect.height + 1e-9) return;
+            const leftover = rect.width * rect.height - o.width * o.height;
+            if (!best || leftover < best.leftover) best = { rectIndex, orientation: o, leftover };
+          });
+        });
+        return best;
+      };
+
+      let sheet = null;
+      let fit = null;
+      for (const candidate of sheets) {
+        if (candidate.thicknessKey !== thicknessKey) continue;
+        fit = findFit(candidate);
+        if (fit) {
+          sheet = candidate;
+          break;
+        }
+      }
+
+      if (!sheet) {
+        // The last cut on each edge doesn't need room for a kerf
+        sheet = {
+          index: sheets.length + 1,
+          thickness: part.thickness,
+          thicknessKey,
+          width: sheetWidth,
+          length: sheetLength,
+          placements: [],
+          free: [{ x: 0, y: 0, width: sheetLength + kerf, height: sheetWidth + kerf }]
+        };
+        sheets.push(sheet);
+        fit = findFit(sheet);
+      }
+
+      const rect = sheet.free[fit.rectIndex];
+      const { width, height, rotated } = fit.orientation;
+      sheet.placements.push({
+        pieceId: part.pieceId,
+        label: part.label,
+        outline: part.outline,
+        x: rect.x,
+        y: rect.y,
+        width: width - kerf,
+        height: height - kerf,
+        rotated
+      });
+
+      // Split the leftover along the shorter side so the larger offcut stays whole
+      const splitHorizontally = rect.width - width < rect.height - height;
+      const remainders = splitHorizontally
+        ? [
+            { x: rect.x + width, y: rect.y, width: rect.width - width, height },
+            { x: rect.x, y: rect.y + height, width: rect.width, height: rect.height - height }
+          ]
+        : [
+            { x: rect.x + width, y: rect.y, width: rect.width - width, height: rect.height },
+            { x: rect.x, y: rect.y + height, width, height: rect.height - height }
+          ];
+      sheet.free.splice(fit.rectIndex, 1, ...remainders.filter(r => r.width > kerf && r.height > kerf));
+    });
+
+    return {
+      sheets: sheets.map(({ free, thicknessKey, ...sheet }) => {
+        const usedArea = sheet.placements.reduce((sum, p) => sum + p.width * p.height, 0);
+        return { ...sheet, usedArea, utilization: usedArea / (sheet.width * sheet.length) };
+      }),
+      oversize
+    };
+  },
+
+  // ========================================
+  // POST STOCK - FIRST FIT DECREASING
+  // ========================================
+
+  /**
+   * Cuts post lengths from standard stock, one set of bars per profile
+   * @param {Array} parts - Post parts {length, profile, ...}
+   * @param {Object} stock - Stock sizes
+   * @returns {Object} {bars, oversize}
+   */
+  nestPosts: (parts, stock) => {
+    const bars = [];
+    const oversize = [];
+    const ordered = [...parts].sort((a, b) => b.length - a.length);
+
+    ordered.forEach(part => {
+      if (part.length > stock.postLength) {
+        oversize.push({ ...part, reason: 'Longer than a stock length' });
+        return;
+      }
+
+      // Every cut but one at the very end of a bar loses a kerf
+      let bar = bars.find(b => b.profile === part.profile && b.used + part.length <= stock.postLength + 1e-9);
+      if (!bar) {
+        bar = {
+          index: bars.length + 1,
+          profile: part.profile,
+          round: part.round,
+          width: part.width,
+          depth: part.depth,
+          length: stock.postLength,
+          cuts: [],
+          used: 0
+        };
+        bars.push(bar);
+      }
+      bar.cuts.push({ pieceId: part.pieceId, label: part.label, offset: bar.used, length: part.length, section: part.section });
+      bar.used = Math.min(bar.used + part.length + stock.kerf, stock.postLength);
+    });
+
+    return {
+      bars: bars.map(bar => {
+        const cutLength = bar.cuts.reduce((sum, cut) => sum + cut.length, 0);
+        return { ...bar, cutLength, offcut: bar.length - cutLength, utilization: cutLength / bar.length };
+      }),
+      oversize
+    };
+  },
+
+  /**
+   * Readable cross-section of a post stock profile
+   * @param {Object} bar - Post length {round, width, depth}
+   * @param {string} unitSystem - 'imperial' or 'metric'
+   * @returns {string} e.g. 'Ø3.5" round' or '4" × 4" square'
+   */
+  formatProfile: (bar, unitSystem) => (
+    bar.round
+      ? `Ø${Units.formatLength(bar.width, unitSystem)} round`
+      : `${Units.formatDimensions(bar.width, bar.depth, null, unitSystem)} square`
+  ),
+
+  // ========================================
+  // FULL CUT LIST
+  // ========================================
+
+  /**
+   * Builds the complete cut list for a design
+   * @param {Array} pieces - Array of piece objects
+   * @param {Object} stock - Stock sizes (defaults to the saved settings)
+   * @returns {Object} {sheets, bars, oversize, skipped, summary}
+   */
+  generate: (pieces, stock = CutList.getStock()) => {
+    const { sheetParts, postParts, skipped } = CutList.extractParts(pieces);
+    const sheetResult = CutList.nestSheets(sheetParts, stock);
+    const postResult = CutList.nestPosts(postParts, stock);
+
+    const sheetArea = sheetResult.sheets.length * stock.sheetWidth * stock.sheetLength;
+    const partArea = sheetResult.sheets.reduce((sum, sheet) => sum + sheet.usedArea, 0);
+    const barLength = postResult.bars.length * stock.postLength;
+    const cutLength = postResult.bars.reduce((sum, bar) => sum + bar.cutLength, 0);
+
+    const summary = {
+      sheetCount: sheetResult.sheets.length,
+      sheetWaste: sheetArea > 0 ? 1 - partArea / sheetArea : 0,
+      barCount: postResult.bars.length,
+      barWaste: barLength > 0 ? 1 - cutLength / barLength : 0,
+      partCount: sheetParts.length + postParts.length
+    };
+
+    console.log(`🪚 Cut list: ${summary.partCount} parts on ${summary.sheetCount} sheets and ${summary.barCount} post lengths`);
+
+    return {
+      stock,
+      sheets: sheetResult.sheets,
+      bars: postResult.bars,
+      oversize: [...sheetResult.oversize, ...postResult.oversize],
+      skipped,
+      summary
+    };
+  }
+};
+
+// Export for use in other modules
+window.CutList = CutList;
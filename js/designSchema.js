@@ -0,0 +1,607 @@
+// =====================================================
+// DESIGN SCHEMA -v5- CUSTOM OPENINGS
+// =====================================================
+
+/**
+ * Saved design format, its version history and the import pipeline
+ * Every design entering the workspace (file, library, template, autosave) goes through
+ * prepare(): migrate from its saved version to CURRENT_VERSION, then validate and repair,
+ * collecting a readable report of everything that had to change.
+ * Saved designs declare their units; anything not in inches and pounds is converted on import.
+ * Designs also carry the price catalog they were costed with.
+ */
+const DesignSchema = {
+  CURRENT_VERSION: '1.13',
+  OLDEST_VERSION: '1.0',
+
+  // Smallest dimension kept on import (thin platforms are 0.5")
+  MIN_DIMENSION: 0.25,
+  DEFAULT_DIMENSION: 12,
+
+  // Length fields converted when a design declares units other than inches
+  LENGTH_FIELDS: {
+    piece: ['x', 'y', 'z', 'width', 'height', 'depth'],
+    opening: ['width', 'height', 'offsetX', 'offsetY', 'offsetZ']
+  },
+
+  // ========================================
+  // FIELD SCHEMAS
+  // ========================================
+
+  /**
+   * Expected field types per record kind
+   * Types: string, number, boolean, dimension (positive number); a trailing ? marks optional/nullable
+   */
+  FIELDS: {
+    piece: {
+      id: 'string',
+      variantId: 'string',
+      name: 'string?',
+      width: 'dimension',
+      height: 'dimension',
+      depth: 'dimension',
+      x: 'number',
+      y: 'number',
+      z: 'number',
+      rotationY: 'number?',
+      tiltX: 'number?',
+      tiltZ: 'number?',
+      apexPosition: 'number?',
+      shape: 'string?',
+      material: 'string?',
+      color: 'number?',
+      cost: 'number?',
+      hollow: 'boolean?',
+      flipped: 'boolean?',
+      locked: 'boolean?',
+      included: 'boolean?',
+      groupId: 'string?',
+      kitParentId: 'string?'
+    },
+    opening: {
+      id: 'string',
+      type: 'string',
+      parentPieceId: 'string',
+      width: 'dimension',
+      height: 'dimension',
+      name: 'string?',
+      shape: 'string?',
+      face: 'string?',
+      offsetX: 'number?',
+      offsetY: 'number?',
+      offsetZ: 'number?',
+      locked: 'boolean?'
+    }
+  },
+
+  // ========================================
+  // MIGRATIONS - ONE STEP PER FORMAT CHANGE
+  // ========================================
+
+  /**
+   * Ordered migration steps; each upgrades a design saved before `version`
+   * Steps must tolerate partially-formed data, since validation runs afterwards
+   */
+  MIGRATIONS: [
+    {
+      version: '1.1',
+      description: 'Added piece groups',
+      migrate: (design) => ({
+        ...design,
+        groups: Array.isArray(design.groups) ? design.groups : [],
+        pieces: DesignSchema.mapRecords(design.pieces, piece => ({ ...piece, groupId: piece.groupId ?? null }))
+      })
+    },
+    {
+      version: '1.5',
+      description: 'Added openings',
+      migrate: (design) => ({
+        ...design,
+        openings: Array.isArray(design.openings) ? design.openings : []
+      })
+    },
+    {
+      version: '1.7',
+      description: 'Named pieces with per-type numbering',
+      migrate: (design) => {
+        const counts = {};
+        const pieces = DesignSchema.mapRecords(design.pieces, piece => {
+          const variant = CatTreePieces.getVariantById(piece.variantId);
+          if (!variant || (piece.name && piece.name !== variant.name && piece.variantCount)) return piece;
+
+          const count = (counts[piece.variantId] || 0) + 1;
+          counts[piece.variantId] = count;
+          return { ...piece, name: `${variant.name} ${count}`, variantCount: count };
+        });
+        return { ...design, pieces, pieceCounts: { ...counts, ...(design.pieceCounts || {}) } };
+      }
+    },
+    {
+      version: '1.8',
+      description: 'Added platform flipping, included accessories and panel parents',
+      migrate: (design) => ({
+        ...design,
+        pieces: DesignSchema.mapRecords(design.pieces, piece => ({
+          ...piece,
+          flipped: piece.flipped ?? false,
+          locked: piece.locked ?? false,
+          included: piece.included ?? false,
+          parentPanelId: piece.parentPanelId ?? null
+        }))
+      })
+    },
+    {
+      version: '1.9',
+      description: 'Groups list their member pieces',
+      migrate: (design) => ({
+        ...design,
+        groups: DesignSchema.mapRecords(design.groups, group => ({
+          ...group,
+          pieceIds: Array.isArray(group.pieceIds)
+            ? group.pieceIds
+            : design.pieces.filter(piece => piece?.groupId === group.id).map(piece => piece.id)
+        }))
+      })
+    },
+    {
+      version: '1.10',
+      description: 'Kit accessories link to their parent piece',
+      migrate: (design) => ({
+        ...design,
+        pieces: DesignSchema.mapRecords(design.pieces, ({ parentPanelId, ...piece }) => ({
+          ...piece,
+          kitParentId: piece.kitParentId ?? parentPanelId ?? null
+        }))
+      })
+    },
+    {
+      version: '1.11',
+      description: 'Designs declare their length and weight units',
+      migrate: (design) => ({
+        ...design,
+        units: design.units && typeof design.units === 'object' ? design.units : { ...Units.STORED }
+      })
+    },
+    {
+      version: '1.12',
+      description: 'Designs carry their price catalog',
+      migrate: (design) => ({
+        ...design,
+        priceCatalog: design.priceCatalog ?? null
+      })
+    },
+    {
+      version: '1.13',
+      description: 'Openings carry their own shape and name, so custom sizes and saved templates load anywhere',
+      migrate: (design) => ({
+        ...design,
+        openings: Array.isArray(design.openings)
+          ? DesignSchema.mapRecords(design.openings, opening => {
+              const type = CatTreePieces.openingTypes[opening.type];
+              return {
+                ...opening,
+                shape: opening.shape ?? type?.shape ?? 'rectangle',
+                name: opening.name ?? type?.name ?? 'Opening'
+              };
+            })
+          : design.openings
+      })
+    }
+  ],
+
+  /**
+   * Maps the well-formed records of a list, passing malformed entries through for validate() to report
+   * @param {Array} records - Pieces, openings or groups (anything else counts as an empty list)
+   * @param {Function} transform - Applied to each object record
+   * @returns {Array} Transformed list
+   */
+  mapRecords(records, transform) {
+    if (!Array.isArray(records)) return [];
+    return records.map(record => (record && typeof record === 'object' ? transform(record) : record));
+  },
+
+  /**
+   * Splits a saved version string into its numeric parts ('1.10' is [1, 10])
+   * @param {string} version - Saved version
+   * @returns {Array<number>} [major, minor] (missing or unreadable versions count as the oldest format)
+   */
+  parseVersion(version) {
+    const match = /^(\d+)(?:\.(\d+))?/.exec(String(version ?? ''));
+    if (!match) return this.parseVersion(this.OLDEST_VERSION);
+    return [parseInt(match[1], 10), parseInt(match[2] || '0', 10)];
+  },
+
+  /**
+   * Orders two saved versions part by part, so '1.10' comes after '1.9'
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} Negative when a is older, positive when newer, 0 when the same
+   */
+  compareVersions(a, b) {
+    const [majorA, minorA] = this.parseVersion(a);
+    const [majorB, minorB] = this.parseVersion(b);
+    return majorA !== majorB ? majorA - majorB : minorA - minorB;
+  },
+
+  /**
+   * Upgrades a design to CURRENT_VERSION
+   * @param {Object} design - Design with a pieces array
+   * @returns {Object} {design, applied} where applied lists the steps that ran
+   */
+  migrate(design) {
+    const applied = [];
+
+    const migrated = this.MIGRATIONS.reduce((current, step) => {
+      if (this.compareVersions(design.version, step.version) >= 0) return current;
+      applied.push({ version: step.version, description: step.description });
+      return step.migrate(current);
+    }, { ...design });
+
+    return { design: { ...migrated, version: this.CURRENT_VERSION }, applied };
+  },
+
+  // ========================================
+  // UNITS - CONVERT TO INCHES & POUNDS
+  // ========================================
+
+  /**
+   * Converts a design saved in other units to inches and pounds
+   * @param {Object} design - Migrated design with a units declaration
+   * @returns {Object} {design, converted}; design is null when a declared unit is unknown
+   */
+  convertToStoredUnits(design) {
+    const units = { ...Units.STORED, ...(design.units || {}) };
+    const factors = Units.getStorageFactors(units);
+    if (!factors) return { design: null, converted: false };
+    if (factors.length === 1 && factors.weight === 1) {
+      return { design: { ...design, units: { ...Units.STORED } }, converted: false };
+    }
+
+    const scale = (record, fields) => {
+      const scaled = { ...record };
+      fields.forEach(field => {
+        if (typeof scaled[field] === 'number') scaled[field] *= factors.length;
+      });
+      return scaled;
+    };
+
+    const workspace = design.workspace && Array.isArray(design.workspace.catWeights)
+      ? { ...design.workspace, catWeights: design.workspace.catWeights.map(weight => weight * factors.weight) }
+      : design.workspace;
+
+    return {
+      design: {
+        ...design,
+        units: { ...Units.STORED },
+        pieces: this.mapRecords(design.pieces, piece => scale(piece, this.LENGTH_FIELDS.piece)),
+        openings: Array.isArray(design.openings)
+          ? this.mapRecords(design.openings, opening => scale(opening, this.LENGTH_FIELDS.opening))
+          : design.openings,
+        ...(workspace ? { workspace } : {})
+      },
+      converted: true
+    };
+  },
+
+  // ========================================
+  // VALIDATION - CHECK, REPAIR & REPORT
+  // ========================================
+
+  /**
+   * Checks a record's fields against its schema
+   * @param {Object} record - Piece, opening or group
+   * @param {Object} fields - Field schema from FIELDS
+   * @returns {Array<string>} Names of missing or mistyped fields
+   */
+  checkFields(record, fields) {
+    return Object.entries(fields).filter(([field, type]) => {
+      const optional = type.endsWith('?');
+      const baseType = type.replace('?', '');
+      const value = record[field];
+
+      if (value === undefined || value === null) return !optional;
+      if (baseType === 'dimension') return !(typeof value === 'number' && isFinite(value) && value > 0);
+      if (baseType === 'number') return !(typeof value === 'number' && isFinite(value));
+      return typeof value !== baseType;
+    }).map(([field]) => field);
+  },
+
+  /**
+   * Validates a migrated design, repairing what it can
+   * @param {Object} design - Design at CURRENT_VERSION
+   * @returns {Object} {design, issues} with the repaired design and per-item issues
+   */
+  validate(design) {
+    const issues = [];
+    const { MOVEMENT } = SharedUtils;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const report = (severity, scope, item, message) => issues.push({
+      severity,
+      scope,
+      itemId: item?.id || null,
+      itemName: item?.name || item?.id || null,
+      message
+    });
+
+    // ---- Pieces ----
+    const seenIds = new Set();
+    const pieces = [];
+
+    design.pieces.forEach((raw, index) => {
+      if (!raw || typeof raw !== 'object') {
+        report('error', 'piece', { id: `#${index + 1}` }, 'Not a valid piece record; skipped');
+        return;
+      }
+
+      const piece = { ...raw };
+      const variant = CatTreePieces.getVariantById(piece.variantId);
+      const badFields = this.checkFields(piece, this.FIELDS.piece);
+
+      if (!piece.id || seenIds.has(piece.id)) {
+        const newId = `${piece.variantId || 'piece'}-${Date.now()}-${index}`;
+        report('warning', 'piece', piece, piece.id ? `Duplicate ID "${piece.id}"; renamed to ${newId}` : `Missing ID; assigned ${newId}`);
+        piece.id = newId;
+      }
+      seenIds.add(piece.id);
+
+      if (!variant) {
+        report('warning', 'piece', piece, piece.variantId
+          ? `Unknown piece type "${piece.variantId}"; drawn from its saved shape (${piece.shape || 'box'})`
+          : 'No piece type (variantId); drawn as a box');
+        piece.shape = piece.shape || 'box';
+        if (badFields.includes('cost') || piece.cost == null) {
+          report('warning', 'piece', piece, 'No saved price for this piece type; counted as $0');
+          piece.cost = 0;
+        }
+      }
+
+      // Dimensions: fill missing from the variant, clamp out-of-range
+      [['width', MOVEMENT.MAX_WIDTH, 'baseWidth'], ['height', MOVEMENT.MAX_HEIGHT, 'baseHeight'], ['depth', MOVEMENT.MAX_DEPTH, 'baseDepth']]
+        .forEach(([field, max, baseField]) => {
+          if (badFields.includes(field)) {
+            const fallback = variant?.[baseField] || this.DEFAULT_DIMENSION;
+            report('warning', 'piece', piece, `Missing or invalid ${field} (${JSON.stringify(raw[field])}); using ${fallback}"`);
+            piece[field] = fallback;
+          } else if (piece[field] < this.MIN_DIMENSION || piece[field] > max) {
+            const clamped = clamp(piece[field], this.MIN_DIMENSION, max);
+            report('warning', 'piece', piece, `${field} ${piece[field]}" is outside ${this.MIN_DIMENSION}–${max}"; set to ${clamped}"`);
+            piece[field] = clamped;
+          }
+        });
+
+      // Position: required numbers, kept inside the workspace bounds
+      ['x', 'y', 'z'].forEach(axis => {
+        if (badFields.includes(axis)) {
+          report('warning', 'piece', piece, `Missing or invalid ${axis} position; set to 0`);
+          piece[axis] = 0;
+        }
+      });
+      const position = {
+        x: clamp(piece.x, -MOVEMENT.MAX_POSITION, MOVEMENT.MAX_POSITION),
+        y: Math.max(MOVEMENT.MIN_HEIGHT, piece.y),
+        z: clamp(piece.z, -MOVEMENT.MAX_POSITION, MOVEMENT.MAX_POSITION)
+      };
+      if (position.x !== piece.x || position.y !== piece.y || position.z !== piece.z) {
+        report('warning', 'piece', piece, `Position (${piece.x}, ${piece.y}, ${piece.z}) is outside the workspace; moved to (${position.x}, ${position.y}, ${position.z})`);
+        Object.assign(piece, position);
+      }
+
+      // Orientation
+      piece.rotationY = SharedUtils.PieceValidator.validateRotation(isFinite(piece.rotationY) ? piece.rotationY : 0);
+      ['tiltX', 'tiltZ'].forEach(axis => {
+        const tilt = isFinite(piece[axis]) ? piece[axis] : 0;
+        const clamped = clamp(tilt, -Math.PI / 2, Math.PI / 2);
+        if (clamped !== tilt) {
+          report('warning', 'piece', piece, `${axis} exceeds ±90°; clamped`);
+        }
+        piece[axis] = clamped;
+      });
+
+      // Remaining mistyped optional fields fall back to defaults
+      ['flipped', 'locked', 'included'].forEach(field => {
+        if (typeof piece[field] !== 'boolean') piece[field] = !!piece[field];
+      });
+      piece.name = piece.name || variant?.name || piece.variantId || 'Unnamed piece';
+      piece.groupId = piece.groupId || null;
+      piece.kitParentId = piece.kitParentId || null;
+      piece.lastModified = piece.lastModified || new Date().toISOString();
+
+      pieces.push(piece);
+    });
+
+    const pieceIds = new Set(pieces.map(p => p.id));
+
+    pieces.forEach(piece => {
+      if (piece.kitParentId && !pieceIds.has(piece.kitParentId)) {
+        report('warning', 'piece', piece, `Accessory of "${piece.kitParentId}", which is not in the design; now a standalone piece`);
+        piece.kitParentId = null;
+        piece.included = false;
+      }
+    });
+
+    // ---- Groups ----
+    const groups = [];
+    const rawGroups = Array.isArray(design.groups) ? design.groups : [];
+    rawGroups.forEach((raw, index) => {
+      if (!raw || typeof raw !== 'object' || !raw.id) {
+        report('error', 'group', { id: `#${index + 1}` }, 'Not a valid group record; skipped');
+        return;
+      }
+
+      const group = { ...raw, name: raw.name || `Group ${index + 1}`, locked: !!raw.locked };
+      const listed = Array.isArray(raw.pieceIds) ? raw.pieceIds : [];
+      const missing = listed.filter(id => !pieceIds.has(id));
+      if (missing.length > 0) {
+        report('warning', 'group', group, `References ${missing.length} deleted piece${missing.length !== 1 ? 's' : ''} (${missing.join(', ')}); removed from the group`);
+      }
+
+      group.pieceIds = pieces.filter(p => p.groupId === group.id).map(p => p.id);
+      if (group.pieceIds.length < 2) {
+        report('warning', 'group', group, `Has ${group.pieceIds.length} piece${group.pieceIds.length !== 1 ? 's' : ''} left; group removed`);
+        pieces.forEach(p => {
+          if (p.groupId === group.id) p.groupId = null;
+        });
+        return;
+      }
+      groups.push(group);
+    });
+
+    const groupIds = new Set(groups.map(g => g.id));
+    pieces.forEach(piece => {
+      if (piece.groupId && !groupIds.has(piece.groupId)) {
+        if (!rawGroups.some(g => g?.id === piece.groupId)) {
+          report('warning', 'piece', piece, `Belongs to group "${piece.groupId}", which is not in the design; ungrouped`);
+        }
+        piece.groupId = null;
+      }
+    });
+
+    // ---- Openings ----
+    const openings = [];
+    const openingIds = new Set();
+    (Array.isArray(design.openings) ? design.openings : []).forEach((raw, index) => {
+      if (!raw || typeof raw !== 'object') {
+        report('error', 'opening', { id: `#${index + 1}` }, 'Not a valid opening record; skipped');
+        return;
+      }
+
+      const opening = { ...raw };
+      if (!pieceIds.has(opening.parentPieceId)) {
+        report('warning', 'opening', opening, opening.parentPieceId
+          ? `Orphaned: parent piece "${opening.parentPieceId}" does not exist; removed`
+          : 'Orphaned: no parent piece; removed');
+        return;
+      }
+
+      // Openings carry their own size and shape, so a template missing from this browser's library is fine
+      const openingType = CatTreePieces.getOpeningType(opening.type);
+      if (!openingType && !CatTreePieces.OPENING_SHAPES[opening.shape]) {
+        report('warning', 'opening', opening, `Unknown opening type "${opening.type}"`);
+      }
+      if (opening.shape !== undefined && !CatTreePieces.OPENING_SHAPES[opening.shape]) {
+        report('warning', 'opening', opening, `Unknown shape "${opening.shape}"; cut as a rectangle`);
+        opening.shape = 'rectangle';
+      }
+
+      const badFields = this.checkFields(opening, this.FIELDS.opening);
+      ['width', 'height'].forEach(field => {
+        if (badFields.includes(field)) {
+          const fallback = openingType?.[field] || 6;
+          report('warning', 'opening', opening, `Missing or invalid ${field}; using ${fallback}"`);
+          opening[field] = fallback;
+        }
+      });
+      ['offsetX', 'offsetY', 'offsetZ'].forEach(field => {
+        if (!isFinite(opening[field])) opening[field] = 0;
+      });
+
+      if (!opening.id || openingIds.has(opening.id)) {
+        opening.id = `${opening.type || 'opening'}-${Date.now()}-${index}`;
+      }
+      openingIds.add(opening.id);
+      openings.push(opening);
+    });
+
+    // ---- Piece counts (keep auto-names from colliding) ----
+    const pieceCounts = { ...(design.pieceCounts || {}) };
+    pieces.forEach(piece => {
+      if (piece.variantId && (piece.variantCount || 0) > (pieceCounts[piece.variantId] || 0)) {
+        pieceCounts[piece.variantId] = piece.variantCount;
+      }
+    });
+
+    // ---- Price catalog (list prices when unreadable) ----
+    let priceCatalog = null;
+    if (design.priceCatalog) {
+      priceCatalog = PriceCatalog.normalize(design.priceCatalog);
+      if (!priceCatalog) {
+        report('warning', 'design', null, 'Price catalog could not be read; using the active prices');
+      }
+    }
+
+    return { design: { ...design, pieces, groups, openings, pieceCounts, priceCatalog }, issues };
+  },
+
+  // ========================================
+  // IMPORT PIPELINE
+  // ========================================
+
+  /**
+   * Migrates and validates raw design data for loading
+   * @param {Object} rawData - Parsed design from a file, the library, a template or autosave
+   * @returns {Object} {design, report}; design is null when the data can't be loaded at all
+   */
+  prepare(rawData) {
+    const report = {
+      designName: rawData?.name || 'Unnamed design',
+      sourceVersion: rawData?.version || null,
+      targetVersion: this.CURRENT_VERSION,
+      migrations: [],
+      issues: [],
+      fatal: null
+    };
+
+    if (!rawData || typeof rawData !== 'object' || !Array.isArray(rawData.pieces)) {
+      report.fatal = 'This is not a Critter Castle design: it has no pieces list.';
+      return { design: null, report };
+    }
+
+    if (this.compareVersions(rawData.version, this.CURRENT_VERSION) > 0) {
+      report.issues.push({
+        severity: 'warning', scope: 'design', itemId: null, itemName: null,
+        message: `Saved by a newer version (${rawData.version}); features from that version may be lost`
+      });
+    }
+
+    const { design: migrated, applied } = this.migrate(rawData);
+    report.migrations = applied;
+
+    const { design: converted, converted: wasConverted } = this.convertToStoredUnits(migrated);
+    if (!converted) {
+      report.fatal = `This design uses units this version can't read (${JSON.stringify(migrated.units)}).`;
+      return { design: null, report };
+    }
+    if (wasConverted) {
+      report.issues.push({
+        severity: 'warning', scope: 'design', itemId: null, itemName: null,
+        message: `Saved in ${migrated.units.length || Units.STORED.length} and ${migrated.units.weight || Units.STORED.weight}; converted to inches and pounds`
+      });
+    }
+
+    const { design, issues } = this.validate(converted);
+    report.issues.push(...issues);
+
+    if (applied.length > 0) {
+      console.log(`🔁 Migrated ${report.designName} from v${report.sourceVersion || this.OLDEST_VERSION} to v${this.CURRENT_VERSION}`);
+    }
+    return { design, report };
+  },
+
+  /**
+   * Builds a report for data that could not be read at all (e.g. invalid JSON)
+   * @param {string} designName - File or design name
+   * @param {string} message - What went wrong
+   * @returns {Object} Import report with a fatal message
+   */
+  failureReport(designName, message) {
+    return {
+      designName,
+      sourceVersion: null,
+      targetVersion: this.CURRENT_VERSION,
+      migrations: [],
+      issues: [],
+      fatal: message
+    };
+  },
+
+  /**
+   * Whether a report needs the user's attention
+   * @param {Object} report - Import report
+   * @returns {boolean} True for fatal reports or reports with issues
+   */
+  needsReview(report) {
+    return !!report && (!!report.fatal || report.issues.length > 0);
+  }
+};
+
+window.DesignSchema = DesignSchema;
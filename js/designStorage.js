@@ -0,0 +1,347 @@
+// =====================================================
+// DESIGN STORAGE -v2- DESIGN LIBRARY, AUTOSAVE & APP SETTINGS
+// =====================================================
+
+/**
+ * Browser-side persistence for designs and user preferences
+ * Designs live in IndexedDB (room for background images); settings live in localStorage.
+ * When IndexedDB is unavailable (private browsing, file:// in some browsers) records
+ * fall back to localStorage.
+ */
+const DesignStorage = {
+  DB_NAME: 'critter-castle',
+  DB_VERSION: 2,
+  STORES: {
+    AUTOSAVE: 'autosave',
+    DESIGNS: 'designs'
+  },
+  AUTOSAVE_ID: 'current',
+  SETTINGS_KEY: 'critter-castle-settings',
+  FALLBACK_PREFIX: 'critter-castle-',
+
+  // Default values for every persisted setting
+  DEFAULT_SETTINGS: {
+    autosaveEnabled: true,
+    textureQuality: 'high',   // 'low' | 'medium' | 'high' procedural texture resolution
+    unitSystem: 'imperial',   // 'imperial' | 'metric' display and input units
+    cutListStock: null,       // Cut list stock sizes in inches, null uses CutList.DEFAULT_STOCK
+    priceProfiles: [],        // Supplier price catalogs (overrides only), see PriceCatalog
+    activePriceProfile: 'default', // ID of the catalog new sessions are priced with
+    openingTemplates: [],     // Saved opening templates, see CatTreePieces.getCustomOpeningTypes
+    keymap: {},               // Keyboard shortcut overrides, command ID -> combo list
+    agilityProfiles: {},      // Cat agility limit overrides by profile ID, see CatReachability
+    agilityProfile: 'adult'   // Profile the reachability analysis opens with
+  },
+
+  _dbPromise: null,
+
+  // ========================================
+  // SETTINGS - LOCALSTORAGE
+  // ========================================
+
+  /**
+   * Reads all settings merged over the defaults
+   * @returns {Object} Settings object
+   */
+  getSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}');
+      return { ...this.DEFAULT_SETTINGS, ...stored };
+    } catch (error) {
+      console.warn('⚠️ Could not read settings, using defaults:', error);
+      return { ...this.DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * Reads a single setting
+   * @param {string} key - Setting name
+   * @returns {any} Setting value (or its default)
+   */
+  getSetting(key) {
+    return this.getSettings()[key];
+  },
+
+  /**
+   * Merges and persists settings changes
+   * @param {Object} updates - Settings to change
+   * @returns {Object} Updated settings
+   */
+  updateSettings(updates) {
+    const settings = { ...this.getSettings(), ...updates };
+    try {
+      localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('⚠️ Could not save settings:', error);
+    }
+    return settings;
+  },
+
+  // ========================================
+  // INDEXEDDB ACCESS
+  // ========================================
+
+  /**
+   * Opens (and upgrades) the design database once per session
+   * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+   */
+  openDatabase() {
+    if (this._dbPromise) return this._dbPromise;
+
+    if (!window.indexedDB) {
+      this._dbPromise = Promise.resolve(null);
+      return this._dbPromise;
+    }
+
+    this._dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(this.STORES).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+
+      let settled = false;
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Gave up waiting on a blocked upgrade; a later call opens its own connection
+        if (settled) {
+          db.close();
+          return;
+        }
+        settled = true;
+
+        // Step aside when another tab upgrades the database, and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        settled = true;
+        console.warn('⚠️ IndexedDB unavailable, falling back to localStorage:', request.error);
+        resolve(null);
+      };
+
+      // An older connection in another tab is holding up the upgrade
+      request.onblocked = () => {
+        if (settled) return;
+        settled = true;
+        console.warn('⚠️ IndexedDB upgrade blocked by another open tab, falling back to localStorage');
+        this._dbPromise = null;
+        resolve(null);
+      };
+    });
+
+    return this._dbPromise;
+  },
+
+  /**
+   * Runs a single request against an object store
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store, returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async _withStore(storeName, mode, operation) {
+    const db = await this.openDatabase();
+    if (!db) return this._fallback(storeName, mode, operation);
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Minimal localStorage stand-in for an object store (get/put/delete/getAll)
+   * @param {string} storeName - Object store name
+   * @param {string} mode - Unused, kept for signature parity
+   * @param {Function} operation - Receives a store-like object
+   * @returns {Promise<any>} Operation result
+   */
+  async _fallback(storeName, mode, operation) {
+    const storageKey = `${this.FALLBACK_PREFIX}${storeName}`;
+    const records = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    const persist = () => localStorage.setItem(storageKey, JSON.stringify(records));
+
+    const store = {
+      get: (id) => ({ result: records[id] }),
+      getAll: () => ({ result: Object.values(records) }),
+      put: (record) => { records[record.id] = record; persist(); return { result: record.id }; },
+      delete: (id) => { delete records[id]; persist(); return { result: undefined }; }
+    };
+
+    return operation(store).result;
+  },
+
+  // ========================================
+  // AUTOSAVE
+  // ========================================
+
+  /**
+   * Reads the autosaved working copy
+   * @returns {Promise<Object|null>} Autosave record or null
+   */
+  async loadAutosave() {
+    try {
+      const record = await this._withStore(this.STORES.AUTOSAVE, 'readonly', store => store.get(this.AUTOSAVE_ID));
+      return record || null;
+    } catch (error) {
+      console.error('❌ Failed to read autosave:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Writes the working copy
+   * @param {Object} data - {design, workspace}
+   * @param {boolean} savedToFile - Whether this state has also been saved to file
+   * @returns {Promise<Object|null>} Stored record, or null on failure
+   */
+  async saveAutosave(data, savedToFile = false) {
+    const record = {
+      id: this.AUTOSAVE_ID,
+      ...data,
+      savedAt: new Date().toISOString(),
+      savedToFile
+    };
+
+    try {
+      await this._withStore(this.STORES.AUTOSAVE, 'readwrite', store => store.put(record));
+      return record;
+    } catch (error) {
+      console.error('❌ Autosave failed:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Removes the working copy
+   * @returns {Promise<void>}
+   */
+  async clearAutosave() {
+    try {
+      await this._withStore(this.STORES.AUTOSAVE, 'readwrite', store => store.delete(this.AUTOSAVE_ID));
+    } catch (error) {
+      console.error('❌ Failed to clear autosave:', error);
+    }
+  },
+
+  /**
+   * Checks whether an autosave record holds work worth offering for recovery
+   * @param {Object} record - Autosave record
+   * @returns {boolean} Whether to prompt for recovery
+   */
+  isRecoverable(record) {
+    return !!record && !record.savedToFile && (record.design?.pieces?.length || 0) > 0;
+  },
+
+  // ========================================
+  // DESIGN LIBRARY
+  // ========================================
+
+  /**
+   * Lists every saved design, most recently modified first
+   * @returns {Promise<Array>} Design records
+   */
+  async listDesigns() {
+    try {
+      const records = await this._withStore(this.STORES.DESIGNS, 'readonly', store => store.getAll());
+      return (records || []).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    } catch (error) {
+      console.error('❌ Failed to list designs:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Reads a single saved design
+   * @param {string} id - Design ID
+   * @returns {Promise<Object|null>} Design record or null
+   */
+  async getDesign(id) {
+    try {
+      const record = await this._withStore(this.STORES.DESIGNS, 'readonly', store => store.get(id));
+      return record || null;
+    } catch (error) {
+      console.error('❌ Failed to read design:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Creates or overwrites a saved design
+   * Passing an existing id keeps its createdAt; otherwise a new entry is created.
+   * @param {Object} designData - Design document (see getDesignData) plus optional id, thumbnail and workspace
+   * @returns {Promise<Object|null>} Stored record, or null on failure
+   */
+  async saveDesign(designData) {
+    const now = new Date().toISOString();
+    const existing = designData.id ? await this.getDesign(designData.id) : null;
+    const record = {
+      ...designData,
+      id: existing ? existing.id : SharedUtils.Utils.generateId('design'),
+      createdAt: existing ? existing.createdAt : (designData.createdAt || now),
+      updatedAt: now
+    };
+
+    try {
+      await this._withStore(this.STORES.DESIGNS, 'readwrite', store => store.put(record));
+      console.log(`📚 Saved "${record.name}" to design library`);
+      return record;
+    } catch (error) {
+      console.error('❌ Failed to save design:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Renames a saved design
+   * @param {string} id - Design ID
+   * @param {string} name - New name
+   * @returns {Promise<Object|null>} Updated record, or null on failure
+   */
+  async renameDesign(id, name) {
+    const record = await this.getDesign(id);
+    if (!record) return null;
+    return this.saveDesign({ ...record, name });
+  },
+
+  /**
+   * Copies a saved design into a new library entry
+   * @param {string} id - Design ID to copy
+   * @returns {Promise<Object|null>} New record, or null on failure
+   */
+  async duplicateDesign(id) {
+    const record = await this.getDesign(id);
+    if (!record) return null;
+    return this.saveDesign({ ...record, id: null, createdAt: null, name: `${record.name} (copy)`.slice(0, 50) });
+  },
+
+  /**
+   * Removes a saved design
+   * @param {string} id - Design ID
+   * @returns {Promise<boolean>} Whether the design was deleted
+   */
+  async deleteDesign(id) {
+    try {
+      await this._withStore(this.STORES.DESIGNS, 'readwrite', store => store.delete(id));
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to delete design:', error);
+      return false;
+    }
+  }
+};
+
+window.DesignStorage = DesignStorage;
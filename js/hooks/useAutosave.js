@@ -0,0 +1,102 @@
+// =====================================================
+// AUTOSAVE HOOK -v1- DEBOUNCED BROWSER AUTOSAVE
+// =====================================================
+
+/**
+ * Continuously saves the working design to browser storage
+ * Writes are debounced; a pending write is flushed when the page is hidden or closed.
+ * @param {Object} options - Autosave options
+ * @param {boolean} options.enabled - Whether autosave is switched on
+ * @param {boolean} options.paused - Suspends writes (e.g. while a recovery prompt is open)
+ * @param {Object} options.design - Memoized design document from getDesignData
+ * @param {Object} options.workspace - Memoized {gridWidth, gridHeight, catWeights, background}
+ * @returns {Object} Autosave status {lastSavedAt, status} and markSaved()
+ */
+const useAutosave = ({ enabled, paused, design, workspace }) => {
+  const { useState, useEffect, useRef } = React;
+
+  // ========================================
+  // STATE MANAGEMENT
+  // ========================================
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | pending | saved | error
+  const pendingRef = useRef(null);
+  const latestRef = useRef({ design, workspace });
+  latestRef.current = { design, workspace };
+
+  /**
+   * Writes the given payload and updates status
+   * @param {Object} payload - {design, workspace}
+   * @param {boolean} savedToFile - Whether the payload was also saved to file
+   */
+  const writeAutosave = (payload, savedToFile = false) => {
+    pendingRef.current = null;
+    DesignStorage.saveAutosave(payload, savedToFile).then(record => {
+      if (record) {
+        setLastSavedAt(record.savedAt);
+        setStatus('saved');
+      } else {
+        setStatus('error');
+      }
+    });
+  };
+
+  // ========================================
+  // EFFECTS
+  // ========================================
+
+  /**
+   * Debounced write whenever the design or workspace changes
+   */
+  useEffect(() => {
+    if (!enabled || paused) return;
+
+    pendingRef.current = { design, workspace };
+    setStatus('pending');
+
+    const timer = setTimeout(() => {
+      if (pendingRef.current) writeAutosave(pendingRef.current);
+    }, SharedUtils.PERFORMANCE.AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [enabled, paused, design, workspace]);
+
+  /**
+   * Flush a pending write before the tab goes away
+   */
+  useEffect(() => {
+    const flush = () => {
+      if (pendingRef.current) writeAutosave(pendingRef.current);
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, []);
+
+  /**
+   * Drop stored work when autosave is switched off
+   */
+  useEffect(() => {
+    if (!enabled) {
+      pendingRef.current = null;
+      setStatus('idle');
+      DesignStorage.clearAutosave();
+    }
+  }, [enabled]);
+
+  /**
+   * Records that the current design was saved to file or the design library, so it is not offered for recovery
+   */
+  const markSaved = () => {
+    if (enabled) writeAutosave(latestRef.current, true);
+  };
+
+  return { lastSavedAt, status, markSaved };
+};
@@ -0,0 +1,43 @@
+// =====================================================
+// KEYBOARD SHORTCUTS HOOK -v1- KEYMAP DISPATCH
+// =====================================================
+
+/**
+ * Runs commands from the keyboard using the active keymap
+ * Text fields keep their native keys. Bound combos never reach the browser, even while their
+ * command is disabled (so Ctrl+D doesn't bookmark the page), except the plain scroll keys,
+ * which still scroll when nothing is selected.
+ * @param {Object} options - Shortcut options
+ * @param {Array} options.commands - Commands {id, run, enabled}
+ * @param {Object} options.keymap - Command ID -> combo list
+ * @param {boolean} options.active - Set false to suspend shortcuts (e.g. while rebinding a key)
+ */
+const useKeyboardShortcuts = ({ commands, keymap, active = true }) => {
+  const { useEffect, useRef } = React;
+
+  // Latest commands for the listener, which is bound once per keymap
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+
+  useEffect(() => {
+    if (!active) return;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || KeyboardShortcuts.isTypingTarget(e.target)) return;
+
+      const combo = KeyboardShortcuts.formatCombo(e);
+      const commandId = KeyboardShortcuts.findCommand(keymap, combo);
+      if (!commandId) return;
+
+      const command = commandsRef.current.find(c => c.id === commandId);
+      const enabled = !!command && command.enabled !== false;
+      if (!enabled && KeyboardShortcuts.SCROLL_KEYS.includes(combo)) return;
+
+      e.preventDefault();
+      if (enabled) command.run();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap, active]);
+};
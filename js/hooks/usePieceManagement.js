@@ -1,9 +1,9 @@
 // =====================================================
-// STATE MANAGEMENT HOOK -v18- PLATFORM FLIP FUNCTIONALITY
+// STATE MANAGEMENT HOOK -v28- PASSAGE CONNECTIVITY
 // =====================================================
 
 const usePieceManagement = () => {
-  const { useState, useCallback } = React;
+  const { useState, useCallback, useRef, useEffect, useMemo } = React;
   
   // ========================================
   // CORE STATE MANAGEMENT
@@ -15,7 +15,8 @@ const usePieceManagement = () => {
   const [groups, setGroups] = useState([]);
   
   // Selection States
-  const [selectedPiece, setSelectedPiece] = useState(null);
+  const [selectedPiece, setSelectedPiece] = useState(null);        // Primary selection (last piece clicked)
+  const [selectedPieceIds, setSelectedPieceIds] = useState([]);    // Every selected piece, in selection order
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [selectedOpening, setSelectedOpening] = useState(null);
   
@@ -26,6 +27,39 @@ const usePieceManagement = () => {
   // Auto-naming State
   const [pieceCounts, setPieceCounts] = useState({}); // Tracks piece counts for auto-naming
 
+  // Import report for the last loaded/imported design (null when there is nothing to review)
+  const [importReport, setImportReport] = useState(null);
+  const [preventOverlap, setPreventOverlap] = useState(false); // Block drags that push a piece into another
+  const [priceCatalog, setPriceCatalog] = useState(() => PriceCatalog.getActiveProfile());
+
+  // History States
+  const [historyPast, setHistoryPast] = useState([]);     // Entries hold the design state before each step
+  const [historyFuture, setHistoryFuture] = useState([]); // Entries hold the design state after each undone step
+  const designRef = useRef({ pieces: [], groups: [], openings: [], pieceCounts: {} });
+  const lastHistoryRef = useRef({ key: null, time: 0 });
+  const priceCatalogRef = useRef(priceCatalog);
+  priceCatalogRef.current = priceCatalog;
+
+  // Keep the latest committed design available to stable callbacks
+  useEffect(() => {
+    designRef.current = { pieces, groups, openings, pieceCounts };
+  }, [pieces, groups, openings, pieceCounts]);
+
+  // Selected piece objects, kept current as pieces change
+  const selectedPieces = useMemo(() => (
+    selectedPieceIds.map(id => pieces.find(p => p.id === id)).filter(Boolean)
+  ), [pieces, selectedPieceIds]);
+
+  // Pairs of pieces that occupy the same space
+  const collisions = useMemo(() => (
+    window.CollisionDetection ? CollisionDetection.findCollisions(pieces) : []
+  ), [pieces]);
+
+  // Which hollow pieces a cat can crawl between, and which lead nowhere
+  const passages = useMemo(() => (
+    window.PassageConnectivity ? PassageConnectivity.analyze(pieces, openings) : null
+  ), [pieces, openings]);
+
   // ========================================
   // UTILITY FUNCTIONS
   // ========================================
@@ -53,6 +87,22 @@ const usePieceManagement = () => {
    */
   const clampTilt = (tilt) => clamp(tilt, -Math.PI/2, Math.PI/2);
 
+  /**
+   * Checks whether applying updates would change anything
+   * Edits that change nothing return early so they don't leave an empty undo step
+   * @param {Object} target - Piece or opening being edited
+   * @param {Object} updates - Properties about to be applied
+   * @returns {boolean} Whether any property differs
+   */
+  const hasChanges = (target, updates) => Object.keys(updates).some(key => target[key] !== updates[key]);
+
+  /**
+   * Whether a turn by this many degrees leaves a piece facing the same way
+   * @param {number} degrees - Degrees to rotate
+   * @returns {boolean} Whether the turn is a no-op
+   */
+  const isFullTurn = (degrees) => !degrees || degrees % 360 === 0;
+
   /**
    * Checks if a piece can be flipped (only platforms)
    * @param {Object} piece - Piece to check
@@ -64,6 +114,218 @@ const usePieceManagement = () => {
     return piece.variantId.startsWith('platform-');
   }, []);
 
+  /**
+   * Looks up a piece in the latest committed design
+   * @param {string} pieceId - ID of piece to find
+   * @returns {Object|undefined} Piece if found
+   */
+  const findPiece = (pieceId) => designRef.current.pieces.find(p => p.id === pieceId);
+
+  /**
+   * IDs of the kit accessories attached to the given pieces, accessories of accessories included
+   * @param {Iterable<string>} pieceIds - Parent piece IDs
+   * @param {Object[]} pieceList - Pieces to search (defaults to the latest committed design)
+   * @returns {Set<string>} Accessory IDs, not counting the given pieces themselves
+   */
+  const getKitChildIds = (pieceIds, pieceList = designRef.current.pieces) => {
+    const parents = new Set(pieceIds);
+    const children = new Set();
+    let found = true;
+    while (found) {
+      found = false;
+      pieceList.forEach(piece => {
+        if (piece.kitParentId && parents.has(piece.kitParentId) && !parents.has(piece.id)) {
+          parents.add(piece.id);
+          children.add(piece.id);
+          found = true;
+        }
+      });
+    }
+    return children;
+  };
+
+  /**
+   * Carries kit accessories along with their parent's move or turn
+   * Accessories the edit already changed itself, and locked accessories, keep their place
+   * @param {Object[]} before - Pieces before the edit
+   * @param {Object[]} after - Pieces after the edit
+   * @returns {Object[]} Pieces with every accessory following its parent
+   */
+  const carryKitChildren = (before, after) => {
+    const beforeById = new Map(before.map(p => [p.id, p]));
+    const result = new Map(after.map(p => [p.id, p]));
+    const carried = new Set();
+
+    // Repeat so accessories of accessories follow too
+    let changed = true;
+    while (changed) {
+      changed = false;
+      after.forEach(child => {
+        if (!child.kitParentId || child.locked || carried.has(child.id) || child !== beforeById.get(child.id)) return;
+        const parentBefore = beforeById.get(child.kitParentId);
+        const parentAfter = result.get(child.kitParentId);
+        if (!parentBefore || !parentAfter) return;
+
+        const turn = (parentAfter.rotationY || 0) - (parentBefore.rotationY || 0);
+        if (parentAfter.x === parentBefore.x && parentAfter.y === parentBefore.y &&
+            parentAfter.z === parentBefore.z && turn === 0) return;
+
+        const relX = child.x - parentBefore.x;
+        const relZ = child.z - parentBefore.z;
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+        result.set(child.id, {
+          ...child,
+          x: clamp(parentAfter.x + relX * cos + relZ * sin, -60, 60),
+          y: Math.max(0, child.y + parentAfter.y - parentBefore.y),
+          z: clamp(parentAfter.z - relX * sin + relZ * cos, -60, 60),
+          rotationY: normalizeRotation((child.rotationY || 0) + turn),
+          lastModified: new Date().toISOString()
+        });
+        carried.add(child.id);
+        changed = true;
+      });
+    }
+
+    if (carried.size === 0) return after;
+    setSelectedPiece(current => current && carried.has(current.id) ? result.get(current.id) : current);
+    return after.map(p => result.get(p.id));
+  };
+
+  /**
+   * Replaces the piece selection with a single piece (or nothing)
+   * @param {Object|null} piece - Piece to select
+   */
+  const setSingleSelection = (piece) => {
+    setSelectedPiece(piece || null);
+    setSelectedPieceIds(piece ? [piece.id] : []);
+  };
+
+  // ========================================
+  // UNDO/REDO HISTORY
+  // ========================================
+
+  /**
+   * Records the current design as an undo step before a mutation is applied
+   * Calls sharing a coalesce key within the coalesce window collapse into one step,
+   * so a drag gesture or a run of nudges undoes in a single Ctrl+Z.
+   * Callers record only once they know the edit changes something.
+   * @param {string} label - Human readable description of the step
+   * @param {string} coalesceKey - Optional key identifying repeatable edits
+   * @param {Object} options - Record options
+   * @param {boolean} options.withCatalog - The step also switches the price catalog, so keep the current one to undo to
+   */
+  const recordHistory = useCallback((label, coalesceKey = null, { withCatalog = false } = {}) => {
+    const now = Date.now();
+    const last = lastHistoryRef.current;
+
+    if (coalesceKey && last.key === coalesceKey && now - last.time < SharedUtils.HISTORY.COALESCE_WINDOW) {
+      last.time = now;
+      return;
+    }
+    lastHistoryRef.current = { key: coalesceKey, time: now };
+
+    const entry = {
+      id: SharedUtils.Utils.generateId('history'),
+      label,
+      timestamp: new Date().toISOString(),
+      snapshot: withCatalog
+        ? { ...designRef.current, priceCatalog: priceCatalogRef.current }
+        : { ...designRef.current }
+    };
+
+    setHistoryPast(prev => {
+      // The design hasn't changed since the last step was recorded, so that step would undo
+      // nothing on its own; let this one take its place instead of stacking an empty step
+      const top = prev[prev.length - 1];
+      if (top && ['pieces', 'groups', 'openings', 'pieceCounts'].every(key => top.snapshot[key] === entry.snapshot[key])) {
+        return [...prev.slice(0, -1), { ...top, label }];
+      }
+      return [...prev, entry].slice(-SharedUtils.HISTORY.MAX_ENTRIES);
+    });
+    setHistoryFuture([]);
+  }, []);
+
+  /**
+   * Applies a design snapshot and re-points selections at the restored objects
+   * @param {Object} snapshot - Design state {pieces, groups, openings, pieceCounts}
+   * @param {Object} catalog - Price catalog to go back to, if the steps switched it
+   */
+  const restoreSnapshot = useCallback((snapshot, catalog = priceCatalogRef.current) => {
+    designRef.current = snapshot;
+    if (catalog !== priceCatalogRef.current) {
+      setPriceCatalog(catalog);
+      PriceCatalog.setActiveProfileId(catalog.id);
+    }
+    setPieces(snapshot.pieces);
+    setGroups(snapshot.groups);
+    setOpenings(snapshot.openings);
+    setPieceCounts(snapshot.pieceCounts);
+
+    setSelectedPiece(current => current ? snapshot.pieces.find(p => p.id === current.id) || null : null);
+    setSelectedPieceIds(current => current.filter(id => snapshot.pieces.some(p => p.id === id)));
+    setSelectedGroup(current => current ? snapshot.groups.find(g => g.id === current.id) || null : null);
+    setSelectedOpening(current => current ? snapshot.openings.find(o => o.id === current.id) || null : null);
+  }, []);
+
+  /**
+   * Walks steps from one history stack onto the other
+   * Each step moved across keeps the state it replaces, so it can be walked back again;
+   * steps that switched the price catalog (design loads) carry the catalog across too
+   * @param {Array} source - Stack to take steps from
+   * @param {Array} target - Stack the steps move onto
+   * @param {number} steps - Number of steps
+   * @param {string} verb - Log prefix
+   * @returns {Object} {source, target, design, catalog} after the walk
+   */
+  const walkHistory = (source, target, steps, verb) => {
+    const from = [...source];
+    const to = [...target];
+    let design = designRef.current;
+    let catalog = priceCatalogRef.current;
+
+    for (let i = 0; i < steps && from.length > 0; i++) {
+      const entry = from.pop();
+      const { priceCatalog: stepCatalog, ...snapshot } = entry.snapshot;
+      to.push({ ...entry, snapshot: stepCatalog ? { ...design, priceCatalog: catalog } : design });
+      design = snapshot;
+      if (stepCatalog) catalog = stepCatalog;
+      console.log(`${verb}: ${entry.label}`);
+    }
+
+    return { source: from, target: to, design, catalog };
+  };
+
+  /**
+   * Undoes one or more steps
+   * @param {number} steps - Number of steps to undo
+   */
+  const undo = useCallback((steps = 1) => {
+    if (historyPast.length === 0) return;
+
+    const { source: past, target: future, design, catalog } = walkHistory(historyPast, historyFuture, steps, '↩️ Undo');
+
+    lastHistoryRef.current = { key: null, time: 0 };
+    setHistoryPast(past);
+    setHistoryFuture(future);
+    restoreSnapshot(design, catalog);
+  }, [historyPast, historyFuture, restoreSnapshot]);
+
+  /**
+   * Redoes one or more previously undone steps
+   * @param {number} steps - Number of steps to redo
+   */
+  const redo = useCallback((steps = 1) => {
+    if (historyFuture.length === 0) return;
+
+    const { source: future, target: past, design, catalog } = walkHistory(historyFuture, historyPast, steps, '↪️ Redo');
+
+    lastHistoryRef.current = { key: null, time: 0 };
+    setHistoryPast(past);
+    setHistoryFuture(future);
+    restoreSnapshot(design, catalog);
+  }, [historyPast, historyFuture, restoreSnapshot]);
+
   // ========================================
   // PIECE CREATION AND MANAGEMENT
   // ========================================
@@ -87,6 +349,7 @@ const usePieceManagement = () => {
     const newPiece = CatTreePieces.createPieceFromVariant(variantId, customizations);
     if (!newPiece) return;
     
+    recordHistory(`Add ${variant.name} ${newCount}`);
     newPiece.name = `${variant.name} ${newCount}`;
     newPiece.variantCount = newCount;
     newPiece.flipped = false; // Add flipped property
@@ -97,81 +360,105 @@ const usePieceManagement = () => {
       [variantId]: newCount
     }));
 
-    // Check if this is a rock wall panel and add included rocks
+    // Add the accessories listed in the variant's kit, attached to the new piece
     const allNewPieces = [newPiece];
+    const kit = CatTreePieces.getKit(variantId);
     
-    if (variantId === 'panel-rockwall') {
-      console.log('🪨 Adding included sisal rocks for Rock Wall Panel...');
+    if (kit.length > 0) {
+      console.log(`🧩 Adding ${kit.length} kit accessories for ${variant.name}...`);
       
-      // Create 2 small rocks, 1 medium rock, 1 large rock
-      const rockVariants = [
-        { variantId: 'accessory-sisal-rock-small', offsetX: -6, offsetZ: 3 },
-        { variantId: 'accessory-sisal-rock-small', offsetX: 6, offsetZ: 3 },
-        { variantId: 'accessory-sisal-rock-medium', offsetX: 0, offsetZ: 6 },
-        { variantId: 'accessory-sisal-rock-large', offsetX: -3, offsetZ: -3 }
-      ];
+      // Track piece counts locally to ensure unique names for several accessories of one type
+      const localPieceCounts = { ...pieceCounts, [variantId]: newCount };
       
-      // Track piece counts locally to ensure unique IDs for multiple rocks of same type
-      let localPieceCounts = { ...pieceCounts };
-      
-      rockVariants.forEach((rockConfig, index) => {
-        const rockVariant = CatTreePieces.getVariantById(rockConfig.variantId);
-        if (rockVariant) {
-          // Get and increment the count for this specific rock type
-          const currentCount = localPieceCounts[rockConfig.variantId] || 0;
-          const rockCount = currentCount + 1;
-          localPieceCounts[rockConfig.variantId] = rockCount;
-          
-          const rock = CatTreePieces.createPieceFromVariant(rockConfig.variantId);
-          
-          if (rock) {
-            // Ensure unique ID by adding timestamp and index
-            rock.id = `${rockConfig.variantId}-${Date.now()}-${index}`;
-            
-            // Position rocks relative to the panel
-            rock.x = newPiece.x + rockConfig.offsetX;
-            rock.y = newPiece.y;
-            rock.z = newPiece.z + rockConfig.offsetZ;
-            rock.name = `${rockVariant.name} ${rockCount}`;
-            rock.variantCount = rockCount;
-            
-            // Mark as included with rock wall panel (no cost)
-            rock.included = true;
-            rock.parentPanelId = newPiece.id;
-            
-            allNewPieces.push(rock);
-            
-            console.log(`  Added ${rock.name} (ID: ${rock.id}) at (${rock.x}, ${rock.y}, ${rock.z}) - INCLUDED`);
-          }
-        }
+      kit.forEach((entry, index) => {
+        const childVariant = CatTreePieces.getVariantById(entry.variantId);
+        const child = childVariant && CatTreePieces.createPieceFromVariant(entry.variantId);
+        if (!child) return;
+        
+        const childCount = (localPieceCounts[entry.variantId] || 0) + 1;
+        localPieceCounts[entry.variantId] = childCount;
+        
+        Object.assign(child, CatTreePieces.getKitChildPosition(newPiece, entry.offset), {
+          // Ensure unique ID by adding timestamp and index
+          id: `${entry.variantId}-${Date.now()}-${index}`,
+          name: `${childVariant.name} ${childCount}`,
+          variantCount: childCount,
+          included: !!entry.included,
+          kitParentId: newPiece.id
+        });
+        allNewPieces.push(child);
+        
+        console.log(`  Added ${child.name} (ID: ${child.id}) at (${child.x}, ${child.y}, ${child.z})${child.included ? ' - INCLUDED' : ''}`);
       });
       
-      // Update piece counts for all rock types at once
       setPieceCounts(prev => ({
         ...prev,
         ...localPieceCounts
       }));
     }
 
-    // Add all pieces (panel + rocks) and select the main piece
+    // Add the piece with its accessories and select the main piece
     setPieces(prev => [...prev, ...allNewPieces]);
-    setSelectedPiece(newPiece);
+    setSingleSelection(newPiece);
     setShowCustomizationPanel(true);
-  }, [pieceCounts]);
+  }, [pieceCounts, recordHistory]);
 
   /**
    * Selects a piece and clears other selections
+   * With additive set (Shift/Ctrl-click) the piece is toggled in or out of the current selection
    * @param {string} pieceId - ID of piece to select
+   * @param {Object} options - Selection options
+   * @param {boolean} options.additive - Add to / remove from the selection instead of replacing it
    */
-  const selectPiece = useCallback((pieceId) => {
+  const selectPiece = useCallback((pieceId, { additive = false } = {}) => {
     const piece = pieces.find(p => p.id === pieceId);
-    setSelectedPiece(piece || null);
     setSelectedGroup(null);
     setSelectedOpening(null);
+    
+    if (additive && piece) {
+      const ids = selectedPieceIds.includes(pieceId)
+        ? selectedPieceIds.filter(id => id !== pieceId)
+        : [...selectedPieceIds, pieceId];
+      setSelectedPieceIds(ids);
+      setSelectedPiece(pieces.find(p => p.id === ids[ids.length - 1]) || null);
+    } else {
+      setSingleSelection(piece);
+    }
+    
     if (piece) {
       setShowCustomizationPanel(true);
     }
-  }, [pieces]);
+  }, [pieces, selectedPieceIds]);
+
+  /**
+   * Selects several pieces at once (drag-rectangle selection)
+   * @param {string[]} pieceIds - IDs of pieces to select
+   * @param {Object} options - Selection options
+   * @param {boolean} options.additive - Add to the current selection instead of replacing it
+   */
+  const selectPieces = useCallback((pieceIds, { additive = false } = {}) => {
+    const found = pieceIds.filter(id => pieces.some(p => p.id === id));
+    const ids = additive
+      ? [...selectedPieceIds, ...found.filter(id => !selectedPieceIds.includes(id))]
+      : found;
+    
+    setSelectedGroup(null);
+    setSelectedOpening(null);
+    setSelectedPieceIds(ids);
+    setSelectedPiece(pieces.find(p => p.id === ids[ids.length - 1]) || null);
+    if (ids.length > 0) {
+      setShowCustomizationPanel(true);
+    }
+  }, [pieces, selectedPieceIds]);
+
+  /**
+   * Clears piece, group and opening selections
+   */
+  const clearSelection = useCallback(() => {
+    setSingleSelection(null);
+    setSelectedGroup(null);
+    setSelectedOpening(null);
+  }, []);
 
   /**
    * Updates piece customization properties with proper validation
@@ -179,21 +466,29 @@ const usePieceManagement = () => {
    * @param {Object} updates - Properties to update
    */
   const updatePieceCustomization = useCallback((pieceId, updates) => {
+    const target = findPiece(pieceId);
+    if (!target) return;
+    
+    // Apply validation to updated properties
+    const validatedUpdates = { ...updates };
+    
+    if (updates.width !== undefined) validatedUpdates.width = clamp(updates.width, 1, 48);
+    if (updates.height !== undefined) validatedUpdates.height = clamp(updates.height, 1, 72);
+    if (updates.depth !== undefined) validatedUpdates.depth = clamp(updates.depth, 1, 48);
+    if (updates.rotationY !== undefined) validatedUpdates.rotationY = normalizeRotation(updates.rotationY);
+    
+    // FIXED: Tilt angles should be clamped, not normalized
+    if (updates.tiltX !== undefined) validatedUpdates.tiltX = clampTilt(updates.tiltX);
+    if (updates.tiltZ !== undefined) validatedUpdates.tiltZ = clampTilt(updates.tiltZ);
+    
+    if (!hasChanges(target, validatedUpdates)) return;
+    
+    const changedKeys = Object.keys(updates).join(', ');
+    recordHistory(`Change ${changedKeys} of ${target.name}`, `customize:${pieceId}:${changedKeys}`);
+    
     setPieces(prev => 
       prev.map(piece => {
         if (piece.id === pieceId) {
-          // Apply validation to updated properties
-          const validatedUpdates = { ...updates };
-          
-          if (updates.width !== undefined) validatedUpdates.width = clamp(updates.width, 1, 48);
-          if (updates.height !== undefined) validatedUpdates.height = clamp(updates.height, 1, 72);
-          if (updates.depth !== undefined) validatedUpdates.depth = clamp(updates.depth, 1, 48);
-          if (updates.rotationY !== undefined) validatedUpdates.rotationY = normalizeRotation(updates.rotationY);
-          
-          // FIXED: Tilt angles should be clamped, not normalized
-          if (updates.tiltX !== undefined) validatedUpdates.tiltX = clampTilt(updates.tiltX);
-          if (updates.tiltZ !== undefined) validatedUpdates.tiltZ = clampTilt(updates.tiltZ);
-          
           const updated = { ...piece, ...validatedUpdates, lastModified: new Date().toISOString() };
           
           // Update selected piece state if this is the selected piece
@@ -203,13 +498,18 @@ const usePieceManagement = () => {
         return piece;
       })
     );
-  }, []);
+  }, [recordHistory]);
 
   /**
    * Flips a platform piece between horizontal and vertical orientation
    * @param {string} pieceId - ID of piece to flip
    */
   const flipPiece = useCallback((pieceId) => {
+    const target = findPiece(pieceId);
+    if (!target || !canFlipPiece(target) || target.locked) return;
+    
+    recordHistory(`Flip ${target.name}`);
+    
     setPieces(prev => 
       prev.map(piece => {
         if (piece.id === pieceId && canFlipPiece(piece) && !piece.locked) {
@@ -235,7 +535,7 @@ const usePieceManagement = () => {
         return piece;
       })
     );
-  }, [canFlipPiece]);
+  }, [canFlipPiece, recordHistory]);
 
   /**
    * Opens customization panel for a specific piece
@@ -244,7 +544,7 @@ const usePieceManagement = () => {
   const openCustomizationPanel = useCallback((pieceId) => {
     const piece = pieces.find(p => p.id === pieceId);
     if (piece) {
-      setSelectedPiece(piece);
+      setSingleSelection(piece);
       setShowCustomizationPanel(true);
     }
   }, [pieces]);
@@ -261,6 +561,11 @@ const usePieceManagement = () => {
    * @param {string} pieceId - ID of piece to toggle
    */
   const togglePieceLock = useCallback((pieceId) => {
+    const target = findPiece(pieceId);
+    if (!target) return;
+    
+    recordHistory(`${target.locked ? 'Unlock' : 'Lock'} ${target.name}`);
+    
     setPieces(prev => {
       let updatedPiece = null;
       const newPieces = prev.map(piece => {
@@ -275,68 +580,126 @@ const usePieceManagement = () => {
       setSelectedPiece(current => current?.id === pieceId ? updatedPiece : current);
       return newPieces;
     });
-  }, []);
+  }, [recordHistory]);
 
   /**
-   * Deletes a piece and all associated openings
+   * Deletes a piece, its kit accessories and all associated openings
    * @param {string} pieceId - ID of piece to delete
    */
   const deletePiece = useCallback((pieceId) => {
     const piece = pieces.find(p => p.id === pieceId);
-    if (piece?.locked) return;
+    if (!piece || piece.locked) return;
+    
+    recordHistory(`Delete ${piece.name}`);
+    
+    // Accessories go with their parent
+    const ids = new Set([pieceId, ...getKitChildIds([pieceId], pieces)]);
     
     // Remove piece
-    setPieces(prev => prev.filter(piece => piece.id !== pieceId));
+    setPieces(prev => prev.filter(piece => !ids.has(piece.id)));
     
     // Clear selection if this piece was selected
-    setSelectedPiece(current => current?.id === pieceId ? null : current);
+    setSelectedPiece(current => current && ids.has(current.id) ? null : current);
+    setSelectedPieceIds(current => current.filter(id => !ids.has(id)));
     
     // Remove associated openings
-    setOpenings(prev => prev.filter(opening => opening.parentPieceId !== pieceId));
-    setSelectedOpening(current => current?.parentPieceId === pieceId ? null : current);
-  }, [pieces]);
+    setOpenings(prev => prev.filter(opening => !ids.has(opening.parentPieceId)));
+    setSelectedOpening(current => current && ids.has(current.parentPieceId) ? null : current);
+  }, [pieces, recordHistory]);
 
   /**
-   * Duplicates a piece with a new auto-generated name
+   * Duplicates a piece (and its kit accessories) with new auto-generated names
    * @param {string} pieceId - ID of piece to duplicate
    */
   const duplicatePiece = useCallback((pieceId) => {
+    const target = findPiece(pieceId);
+    if (!target) return;
+    
+    recordHistory(`Duplicate ${target.name}`);
+    
     setPieces(prev => {
       const originalPiece = prev.find(p => p.id === pieceId);
       if (!originalPiece) return prev;
 
-      const variantId = originalPiece.variantId;
-      const currentCount = pieceCounts[variantId] || 0;
-      const newCount = currentCount + 1;
-
-      const duplicatedPiece = {
-        ...originalPiece,
-        id: `${originalPiece.variantId}-${Date.now()}`,
-        name: `${CatTreePieces.getVariantById(variantId)?.name || 'Copy'} ${newCount}`,
-        variantCount: newCount,
-        x: clamp(originalPiece.x + movementIncrement * 2, -60, 60),
-        z: clamp(originalPiece.z + movementIncrement * 2, -60, 60),
-        locked: false,
-        groupId: null,
-        createdAt: new Date().toISOString(),
-        lastModified: new Date().toISOString()
-      };
+      const kitIds = getKitChildIds([pieceId], prev);
+      const originals = [originalPiece, ...prev.filter(p => kitIds.has(p.id))];
+      const timestamp = Date.now();
+      const localPieceCounts = { ...pieceCounts };
+      const idMap = {};
+
+      const copies = originals.map((original, index) => {
+        const variantId = original.variantId;
+        const newCount = (localPieceCounts[variantId] || 0) + 1;
+        localPieceCounts[variantId] = newCount;
+        idMap[original.id] = index === 0 ? `${variantId}-${timestamp}` : `${variantId}-${timestamp}-${index}`;
+
+        return {
+          ...original,
+          id: idMap[original.id],
+          name: `${CatTreePieces.getVariantById(variantId)?.name || 'Copy'} ${newCount}`,
+          variantCount: newCount,
+          x: clamp(original.x + movementIncrement * 2, -60, 60),
+          z: clamp(original.z + movementIncrement * 2, -60, 60),
+          locked: false,
+          groupId: null,
+          createdAt: new Date().toISOString(),
+          lastModified: new Date().toISOString()
+        };
+      }).map((piece, index) => index === 0
+        // The copy stands alone even when the original is an included kit accessory
+        ? { ...piece, kitParentId: null, included: false }
+        : { ...piece, kitParentId: idMap[piece.kitParentId] });
 
       // Update piece count tracking
       setPieceCounts(prevCounts => ({
         ...prevCounts,
-        [variantId]: newCount
+        ...localPieceCounts
       }));
 
-      setSelectedPiece(duplicatedPiece);
-      return [...prev, duplicatedPiece];
+      setSingleSelection(copies[0]);
+      return [...prev, ...copies];
     });
-  }, [movementIncrement, pieceCounts]);
+  }, [movementIncrement, pieceCounts, recordHistory]);
 
   // ========================================
   // PIECE MOVEMENT SYSTEM
   // ========================================
   
+  /**
+   * Works out where a single piece move lands, within the build area
+   * @param {Object} piece - Piece being moved
+   * @param {string} direction - Movement direction or 'custom'
+   * @param {Object} customPos - Custom position {x, y, z} when direction is 'custom'
+   * @returns {Object} New position {x, y, z}
+   */
+  const getMovedPosition = (piece, direction, customPos) => {
+    let newX = piece.x;
+    let newY = piece.y;
+    let newZ = piece.z;
+
+    if (customPos) {
+      // Apply custom position
+      if (customPos.x !== undefined) newX = customPos.x;
+      if (customPos.y !== undefined) newY = customPos.y;
+      if (customPos.z !== undefined) newZ = customPos.z;
+    } else {
+      // Apply directional movement
+      switch (direction) {
+        case 'left': newX -= movementIncrement; break;
+        case 'right': newX += movementIncrement; break;
+        case 'forward': newZ -= movementIncrement; break;
+        case 'back': newZ += movementIncrement; break;
+        case 'up': newY += movementIncrement; break;
+        case 'down': newY = Math.max(0, newY - movementIncrement); break;
+        case 'center': newX = 0; newZ = 0; break;
+        case 'ground': newY = 0; break;
+      }
+    }
+
+    // Apply bounds checking
+    return { x: clamp(newX, -60, 60), y: Math.max(0, newY), z: clamp(newZ, -60, 60) };
+  };
+
   /**
    * Moves a piece in a specified direction or to custom position
    * @param {string} pieceId - ID of piece to move
@@ -344,46 +707,48 @@ const usePieceManagement = () => {
    * @param {Object} customPos - Custom position {x, y, z} when direction is 'custom'
    */
   const movePiece = useCallback((pieceId, direction, customPos = null) => {
-    setPieces(prev => 
+    const target = findPiece(pieceId);
+    if (!target || target.locked || target.groupId) return;
+    if (!hasChanges(target, getMovedPosition(target, direction, customPos))) return;
+    
+    recordHistory(`Move ${target.name}`, `move:${pieceId}`);
+    
+    setPieces(prev => carryKitChildren(prev,
       prev.map(piece => {
         if (piece.id !== pieceId || piece.locked || piece.groupId) return piece;
 
-        let newX = piece.x;
-        let newY = piece.y;
-        let newZ = piece.z;
-
-        if (customPos) {
-          // Apply custom position
-          if (customPos.x !== undefined) newX = customPos.x;
-          if (customPos.y !== undefined) newY = customPos.y;
-          if (customPos.z !== undefined) newZ = customPos.z;
-        } else {
-          // Apply directional movement
-          switch (direction) {
-            case 'left': newX -= movementIncrement; break;
-            case 'right': newX += movementIncrement; break;
-            case 'forward': newZ -= movementIncrement; break;
-            case 'back': newZ += movementIncrement; break;
-            case 'up': newY += movementIncrement; break;
-            case 'down': newY = Math.max(0, newY - movementIncrement); break;
-            case 'center': newX = 0; newZ = 0; break;
-            case 'ground': newY = 0; break;
-          }
-        }
-
-        // Apply bounds checking
-        newX = clamp(newX, -60, 60);
-        newY = Math.max(0, newY);
-        newZ = clamp(newZ, -60, 60);
-
-        const updated = { ...piece, x: newX, y: newY, z: newZ, lastModified: new Date().toISOString() };
+        const updated = { ...piece, ...getMovedPosition(piece, direction, customPos), lastModified: new Date().toISOString() };
         
         // Update selected piece state if this is the selected piece
         setSelectedPiece(current => current?.id === pieceId ? updated : current);
         return updated;
-      })
+      }))
     );
-  }, [movementIncrement]);
+  }, [movementIncrement, recordHistory]);
+
+  /**
+   * Finds where a dragged piece can go without pushing into another piece
+   * Overlaps that already existed before the drag don't block it, so a piece can be pulled free.
+   * When the full move is blocked, slides along one axis at a time.
+   * @param {Object} target - Piece being dragged
+   * @param {Object} position - Requested {x, y, z}
+   * @returns {Object|null} Allowed position, or null if every option is blocked
+   */
+  const findOverlapFreePosition = (target, position) => {
+    if (!window.CollisionDetection) return position;
+    
+    const others = designRef.current.pieces.filter(p => p.id !== target.id);
+    const existing = new Set(CollisionDetection.findOverlapping(target, others));
+    const candidates = [
+      position,
+      { ...position, z: target.z },
+      { ...position, x: target.x }
+    ];
+    
+    return candidates.find(candidate =>
+      CollisionDetection.findOverlapping({ ...target, ...candidate }, others).every(id => existing.has(id))
+    ) || null;
+  };
 
   /**
    * Handles piece dragging from 3D canvas
@@ -393,24 +758,33 @@ const usePieceManagement = () => {
    * @param {number} z - New Z position
    */
   const dragPiece = useCallback((pieceId, x, y, z) => {
-    setPieces(prev => 
+    const target = findPiece(pieceId);
+    if (!target || target.locked || target.groupId) return;
+    
+    // Apply bounds checking
+    let position = { x: clamp(x, -60, 60), y: Math.max(0, y), z: clamp(z, -60, 60) };
+    
+    if (preventOverlap) {
+      position = findOverlapFreePosition(target, position);
+      if (!position) return;
+    }
+    if (!hasChanges(target, position)) return;
+    
+    recordHistory(`Drag ${target.name}`, `drag:${pieceId}`);
+    
+    setPieces(prev => carryKitChildren(prev,
       prev.map(piece => {
         if (piece.id === pieceId && !piece.locked && !piece.groupId) {
-          // Apply bounds checking
-          const newX = clamp(x, -60, 60);
-          const newY = Math.max(0, y);
-          const newZ = clamp(z, -60, 60);
-          
-          const updated = { ...piece, x: newX, y: newY, z: newZ, lastModified: new Date().toISOString() };
+          const updated = { ...piece, ...position, lastModified: new Date().toISOString() };
           
           // Update selected piece state if this is the selected piece
           setSelectedPiece(current => current?.id === pieceId ? updated : current);
           return updated;
         }
         return piece;
-      })
+      }))
     );
-  }, []);
+  }, [recordHistory, preventOverlap]);
 
   /**
    * Rotates a piece by specified degrees
@@ -419,7 +793,12 @@ const usePieceManagement = () => {
    * @param {number} degrees - Degrees to rotate (positive = clockwise)
    */
   const rotatePiece = useCallback((pieceId, degrees) => {
-    setPieces(prev => 
+    const target = findPiece(pieceId);
+    if (!target || target.locked || isFullTurn(degrees)) return;
+    
+    recordHistory(`Rotate ${target.name}`, `rotate:${pieceId}`);
+    
+    setPieces(prev => carryKitChildren(prev,
       prev.map(piece => {
         if (piece.id === pieceId && !piece.locked) {
           // Simple in-place rotation for ALL pieces including panels
@@ -440,9 +819,9 @@ const usePieceManagement = () => {
           return updated;
         }
         return piece;
-      })
+      }))
     );
-  }, []);
+  }, [recordHistory]);
 
   /**
    * Updates piece dimensions with validation
@@ -450,14 +829,23 @@ const usePieceManagement = () => {
    * @param {Object} newDimensions - New dimensions {width, height, depth}
    */
   const updatePieceDimensions = useCallback((pieceId, newDimensions) => {
+    const target = findPiece(pieceId);
+    if (!target || target.locked) return;
+    
+    // Requested dimensions within limits, keeping any the request leaves out
+    const resize = (piece) => ({
+      width: newDimensions.width !== undefined ? clamp(newDimensions.width, 1, 48) : piece.width,
+      height: newDimensions.height !== undefined ? clamp(newDimensions.height, 1, 72) : piece.height,
+      depth: newDimensions.depth !== undefined ? clamp(newDimensions.depth, 1, 48) : piece.depth
+    });
+    if (!hasChanges(target, resize(target))) return;
+    
+    recordHistory(`Resize ${target.name}`, `dimensions:${pieceId}`);
+    
     setPieces(prev => 
       prev.map(piece => {
         if (piece.id === pieceId && !piece.locked) {
-          const width = clamp(newDimensions.width ?? piece.width, 1, 48);
-          const height = clamp(newDimensions.height ?? piece.height, 1, 72);
-          const depth = clamp(newDimensions.depth ?? piece.depth, 1, 48);
-          
-          const updated = { ...piece, width, height, depth, lastModified: new Date().toISOString() };
+          const updated = { ...piece, ...resize(piece), lastModified: new Date().toISOString() };
           
           // Update selected piece state if this is the selected piece
           setSelectedPiece(current => current?.id === pieceId ? updated : current);
@@ -466,7 +854,7 @@ const usePieceManagement = () => {
         return piece;
       })
     );
-  }, []);
+  }, [recordHistory]);
 
   // ========================================
   // GROUP MANAGEMENT SYSTEM
@@ -483,6 +871,8 @@ const usePieceManagement = () => {
     const groupId = `group-${Date.now()}`;
     const autoGroupName = groupName || `Group ${groups.length + 1}`;
     
+    recordHistory(`Create ${autoGroupName}`);
+    
     const newGroup = {
       id: groupId,
       name: autoGroupName,
@@ -503,32 +893,44 @@ const usePieceManagement = () => {
     // Add group and select it
     setGroups(prev => [...prev, newGroup]);
     setSelectedGroup(newGroup);
-    setSelectedPiece(null);
+    setSingleSelection(null);
     setSelectedOpening(null);
-  }, [groups.length]);
+  }, [groups.length, recordHistory]);
 
   /**
    * Removes group association from pieces
    * @param {string} groupId - ID of group to ungroup
    */
   const ungroupPieces = useCallback((groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+    
+    recordHistory(`Ungroup ${group.name}`);
+    
+    // Imported groups fall back to the groups they had in their source design
+    const subgroups = group.subgroups || [];
+    const subgroupFor = (pieceId) => subgroups.find(sg => sg.pieceIds.includes(pieceId))?.id || null;
+    
     // Remove group ID from pieces
     setPieces(prev => 
       prev.map(piece => 
         piece.groupId === groupId 
-          ? { ...piece, groupId: null, lastModified: new Date().toISOString() }
+          ? { ...piece, groupId: subgroupFor(piece.id), lastModified: new Date().toISOString() }
           : piece
       )
     );
     
-    // Remove group
-    setGroups(prev => prev.filter(group => group.id !== groupId));
+    // Remove group (restoring any imported subgroups)
+    setGroups(prev => [
+      ...prev.filter(group => group.id !== groupId),
+      ...subgroups.map(sg => ({ ...sg, createdAt: new Date().toISOString() }))
+    ]);
     
     // Clear selection if this group was selected
     if (selectedGroup?.id === groupId) {
       setSelectedGroup(null);
     }
-  }, [selectedGroup]);
+  }, [groups, selectedGroup, recordHistory]);
 
   /**
    * Selects a group and clears other selections
@@ -537,7 +939,7 @@ const usePieceManagement = () => {
   const selectGroup = useCallback((groupId) => {
     const group = groups.find(g => g.id === groupId);
     setSelectedGroup(group || null);
-    setSelectedPiece(null);
+    setSingleSelection(null);
     setSelectedOpening(null);
   }, [groups]);
 
@@ -546,6 +948,11 @@ const usePieceManagement = () => {
    * @param {string} groupId - ID of group to toggle
    */
   const toggleGroupLock = useCallback((groupId) => {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+    
+    recordHistory(`${group.locked ? 'Unlock' : 'Lock'} ${group.name}`);
+    
     setGroups(prev => 
       prev.map(group => 
         group.id === groupId 
@@ -553,7 +960,7 @@ const usePieceManagement = () => {
           : group
       )
     );
-  }, []);
+  }, [groups, recordHistory]);
 
   /**
    * Moves all pieces in a group together
@@ -601,26 +1008,26 @@ const usePieceManagement = () => {
       }
     }
 
+    // Where each piece ends up, within the build area
+    const shift = (piece) => ({
+      x: clamp(piece.x + deltaX, -60, 60),
+      y: Math.max(0, piece.y + deltaY),
+      z: clamp(piece.z + deltaZ, -60, 60)
+    });
+    if (!groupPieces.some(piece => hasChanges(piece, shift(piece)))) return;
+
+    recordHistory(`Move ${group.name}`, `move-group:${groupId}`);
+
     // Apply movement to all pieces in group
-    setPieces(prev => 
+    setPieces(prev => carryKitChildren(prev,
       prev.map(piece => {
         if (piece.groupId === groupId) {
-          const newX = clamp(piece.x + deltaX, -60, 60);
-          const newY = Math.max(0, piece.y + deltaY);
-          const newZ = clamp(piece.z + deltaZ, -60, 60);
-          
-          return {
-            ...piece,
-            x: newX,
-            y: newY,
-            z: newZ,
-            lastModified: new Date().toISOString()
-          };
+          return { ...piece, ...shift(piece), lastModified: new Date().toISOString() };
         }
         return piece;
-      })
+      }))
     );
-  }, [groups, pieces, movementIncrement]);
+  }, [groups, pieces, movementIncrement, recordHistory]);
 
   /**
    * Rotates all pieces in a group around the group center
@@ -629,9 +1036,11 @@ const usePieceManagement = () => {
    */
   const rotateGroup = useCallback((groupId, degrees) => {
     const group = groups.find(g => g.id === groupId);
-    if (!group || group.locked) return;
+    if (!group || group.locked || isFullTurn(degrees)) return;
+    if (!designRef.current.pieces.some(p => p.groupId === groupId)) return;
 
     console.log(`🔄 Group rotation of group ${groupId} by ${degrees}°`);
+    recordHistory(`Rotate ${group.name}`, `rotate-group:${groupId}`);
 
     setPieces(prev => {
       const groupPieces = prev.filter(p => p.groupId === groupId);
@@ -647,7 +1056,7 @@ const usePieceManagement = () => {
       const cos = Math.cos(radians);
       const sin = Math.sin(radians);
     
-      return prev.map(piece => {
+      return carryKitChildren(prev, prev.map(piece => {
         if (piece.groupId !== groupId) return piece;
       
         // Calculate relative position from group center
@@ -672,11 +1081,259 @@ const usePieceManagement = () => {
           rotationY: newRotationY,
           lastModified: new Date().toISOString()
         };
-      });
+      }));
     });
     
     console.log('✅ Group rotation completed');
-  }, [groups]);
+  }, [groups, recordHistory]);
+
+  // ========================================
+  // MULTI-SELECTION SYSTEM
+  // ========================================
+
+  /**
+   * Selected pieces as they are in the latest committed design
+   * @returns {Object[]} Selected pieces
+   */
+  const getSelectionTargets = () => selectedPieceIds
+    .map(id => designRef.current.pieces.find(p => p.id === id))
+    .filter(Boolean);
+
+  /**
+   * Selected pieces that selection moves and rotations may change
+   * Locked and grouped pieces stay put, as they do when moved on their own
+   * @returns {Object[]} Movable selected pieces
+   */
+  const getMovableSelection = () => getSelectionTargets().filter(p => !p.locked && !p.groupId);
+
+  /**
+   * Moves every selected piece together
+   * Locked and grouped pieces stay put, as they do when moved on their own
+   * @param {string} direction - Movement direction or 'custom'
+   * @param {Object} customPos - Custom position for the selection center when direction is 'custom'
+   */
+  const moveSelection = useCallback((direction, customPos = null) => {
+    const targets = getMovableSelection();
+    if (targets.length === 0) return;
+
+    const center = {
+      x: targets.reduce((sum, p) => sum + p.x, 0) / targets.length,
+      y: targets.reduce((sum, p) => sum + p.y, 0) / targets.length,
+      z: targets.reduce((sum, p) => sum + p.z, 0) / targets.length
+    };
+
+    let deltaX = 0, deltaY = 0, deltaZ = 0;
+
+    if (customPos) {
+      deltaX = customPos.x !== undefined ? customPos.x - center.x : 0;
+      deltaY = customPos.y !== undefined ? customPos.y - center.y : 0;
+      deltaZ = customPos.z !== undefined ? customPos.z - center.z : 0;
+    } else {
+      switch (direction) {
+        case 'left': deltaX = -movementIncrement; break;
+        case 'right': deltaX = movementIncrement; break;
+        case 'forward': deltaZ = -movementIncrement; break;
+        case 'back': deltaZ = movementIncrement; break;
+        case 'up': deltaY = movementIncrement; break;
+        case 'down': deltaY = -Math.min(movementIncrement, ...targets.map(p => p.y)); break;
+        case 'center':
+          deltaX = -center.x;
+          deltaZ = -center.z;
+          break;
+        case 'ground':
+          // Lowest selected piece lands on the floor, the rest keep their spacing
+          deltaY = -Math.min(...targets.map(p => p.y));
+          break;
+      }
+    }
+
+    // Where each piece ends up, within the build area
+    const shift = (piece) => ({
+      x: clamp(piece.x + deltaX, -60, 60),
+      y: Math.max(0, piece.y + deltaY),
+      z: clamp(piece.z + deltaZ, -60, 60)
+    });
+    if (!targets.some(piece => hasChanges(piece, shift(piece)))) return;
+
+    recordHistory(`Move ${targets.length} pieces`, `move-selection:${targets.map(p => p.id).join(',')}`);
+
+    const ids = new Set(targets.map(p => p.id));
+    setPieces(prev => carryKitChildren(prev,
+      prev.map(piece => {
+        if (!ids.has(piece.id)) return piece;
+
+        const updated = { ...piece, ...shift(piece), lastModified: new Date().toISOString() };
+        setSelectedPiece(current => current?.id === piece.id ? updated : current);
+        return updated;
+      }))
+    );
+  }, [selectedPieceIds, movementIncrement, recordHistory]);
+
+  /**
+   * Rotates every selected piece around the selection center
+   * Locked and grouped pieces stay put, as they do for selection moves
+   * @param {number} degrees - Degrees to rotate
+   */
+  const rotateSelection = useCallback((degrees) => {
+    const targets = getMovableSelection();
+    if (targets.length === 0 || isFullTurn(degrees)) return;
+
+    recordHistory(`Rotate ${targets.length} pieces`, `rotate-selection:${targets.map(p => p.id).join(',')}`);
+
+    const centerX = targets.reduce((sum, p) => sum + p.x, 0) / targets.length;
+    const centerZ = targets.reduce((sum, p) => sum + p.z, 0) / targets.length;
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const ids = new Set(targets.map(p => p.id));
+
+    console.log(`🔄 Rotating ${targets.length} pieces by ${degrees}° around (${centerX.toFixed(2)}, ${centerZ.toFixed(2)})`);
+
+    setPieces(prev => carryKitChildren(prev,
+      prev.map(piece => {
+        if (!ids.has(piece.id)) return piece;
+
+        const relX = piece.x - centerX;
+        const relZ = piece.z - centerZ;
+        const updated = {
+          ...piece,
+          x: centerX + relX * cos + relZ * sin,
+          z: centerZ - relX * sin + relZ * cos,
+          rotationY: normalizeRotation((piece.rotationY || 0) + radians),
+          lastModified: new Date().toISOString()
+        };
+        setSelectedPiece(current => current?.id === piece.id ? updated : current);
+        return updated;
+      }))
+    );
+  }, [selectedPieceIds, recordHistory]);
+
+  /**
+   * Deletes every unlocked selected piece, its kit accessories and its openings
+   * Locked pieces stay selected
+   */
+  const deleteSelection = useCallback(() => {
+    const targets = getSelectionTargets().filter(p => !p.locked);
+    if (targets.length === 0) return;
+
+    recordHistory(`Delete ${targets.length} pieces`);
+
+    const ids = new Set(targets.map(p => p.id));
+    getKitChildIds(ids).forEach(id => ids.add(id));
+    const remainingIds = selectedPieceIds.filter(id => !ids.has(id));
+
+    setPieces(prev => prev.filter(piece => !ids.has(piece.id)));
+    setOpenings(prev => prev.filter(opening => !ids.has(opening.parentPieceId)));
+    setSelectedOpening(current => current && ids.has(current.parentPieceId) ? null : current);
+
+    setSelectedPieceIds(remainingIds);
+    setSelectedPiece(designRef.current.pieces.find(p => p.id === remainingIds[remainingIds.length - 1]) || null);
+  }, [selectedPieceIds, recordHistory]);
+
+  /**
+   * Duplicates every selected piece, keeping their arrangement, and selects the copies
+   * Kit accessories of selected pieces are copied along with them
+   */
+  const duplicateSelection = useCallback(() => {
+    const selected = getSelectionTargets();
+    if (selected.length === 0) return;
+
+    recordHistory(`Duplicate ${selected.length} pieces`);
+
+    const selectedIds = new Set(selected.map(p => p.id));
+    const kitIds = getKitChildIds(selectedIds);
+    const targets = [...selected, ...designRef.current.pieces.filter(p => kitIds.has(p.id) && !selectedIds.has(p.id))];
+
+    const timestamp = Date.now();
+    const now = new Date().toISOString();
+    const localPieceCounts = { ...pieceCounts };
+    const idMap = {};
+
+    const copies = targets.map((original, index) => {
+      const count = (localPieceCounts[original.variantId] || 0) + 1;
+      localPieceCounts[original.variantId] = count;
+      idMap[original.id] = `${original.variantId}-${timestamp}-${index}`;
+
+      return {
+        ...original,
+        id: idMap[original.id],
+        name: `${CatTreePieces.getVariantById(original.variantId)?.name || 'Copy'} ${count}`,
+        variantCount: count,
+        x: clamp(original.x + movementIncrement * 2, -60, 60),
+        z: clamp(original.z + movementIncrement * 2, -60, 60),
+        locked: false,
+        groupId: null,
+        createdAt: now,
+        lastModified: now
+      };
+    }).map(piece => {
+      // Accessories copied along with their parent stay attached to the copy, others stand alone
+      if (!piece.kitParentId) return piece;
+      return idMap[piece.kitParentId]
+        ? { ...piece, kitParentId: idMap[piece.kitParentId] }
+        : { ...piece, kitParentId: null, included: false };
+    });
+
+    const selectedCopies = copies.slice(0, selected.length);
+    setPieceCounts(localPieceCounts);
+    setPieces(prev => [...prev, ...copies]);
+    setSelectedPieceIds(selectedCopies.map(p => p.id));
+    setSelectedPiece(selectedCopies[selectedCopies.length - 1]);
+  }, [selectedPieceIds, movementIncrement, pieceCounts, recordHistory]);
+
+  /**
+   * Locks the whole selection, or unlocks it when every selected piece is already locked
+   */
+  const toggleSelectionLock = useCallback(() => {
+    const targets = getSelectionTargets();
+    if (targets.length === 0) return;
+
+    const locked = !targets.every(p => p.locked);
+    recordHistory(`${locked ? 'Lock' : 'Unlock'} ${targets.length} pieces`);
+
+    const ids = new Set(targets.map(p => p.id));
+    setPieces(prev =>
+      prev.map(piece => {
+        if (!ids.has(piece.id)) return piece;
+
+        const updated = { ...piece, locked, lastModified: new Date().toISOString() };
+        setSelectedPiece(current => current?.id === piece.id ? updated : current);
+        return updated;
+      })
+    );
+  }, [selectedPieceIds, recordHistory]);
+
+  /**
+   * Applies the same customization (material, color, ...) to every unlocked selected piece
+   * @param {Object} updates - Properties to update
+   */
+  const updateSelectionCustomization = useCallback((updates) => {
+    const targets = getSelectionTargets().filter(p => !p.locked && hasChanges(p, updates));
+    if (targets.length === 0) return;
+
+    const changedKeys = Object.keys(updates).join(', ');
+    recordHistory(`Change ${changedKeys} of ${targets.length} pieces`, `customize-selection:${changedKeys}`);
+
+    const ids = new Set(targets.map(p => p.id));
+    setPieces(prev =>
+      prev.map(piece => {
+        if (!ids.has(piece.id)) return piece;
+
+        const updated = { ...piece, ...updates, lastModified: new Date().toISOString() };
+        setSelectedPiece(current => current?.id === piece.id ? updated : current);
+        return updated;
+      })
+    );
+  }, [selectedPieceIds, recordHistory]);
+
+  /**
+   * Groups the selected pieces that are not already in a group
+   * @param {string} groupName - Optional custom group name
+   */
+  const groupSelection = useCallback((groupName = null) => {
+    const ids = getSelectionTargets().filter(p => !p.groupId).map(p => p.id);
+    createGroup(ids, groupName);
+  }, [selectedPieceIds, createGroup]);
 
   // ========================================
   // OPENING MANAGEMENT SYSTEM
@@ -684,25 +1341,27 @@ const usePieceManagement = () => {
   
   /**
    * Adds a new opening to a hollow piece
+   * Placed at the free spot nearest the middle of the requested face, or of the next face with
+   * room; nothing is added when no wall has room left
    * @param {string} pieceId - ID of parent piece
-   * @param {string} openingType - Type of opening to add
+   * @param {string} openingType - Built-in or saved opening type ('custom' for a one-off size)
    * @param {string} face - Face to place opening on
+   * @param {Object} overrides - Name, width, height or shape that differ from the type
    */
-  const addOpening = useCallback((pieceId, openingType, face = 'front') => {
+  const addOpening = useCallback((pieceId, openingType, face = 'front', overrides = {}) => {
     const piece = pieces.find(p => p.id === pieceId);
     if (!piece || !piece.hollow) return;
     
-    // Check opening limit
-    const pieceOpenings = openings.filter(o => o.parentPieceId === pieceId);
-    if (pieceOpenings.length >= 4) {
-      console.warn('Maximum 4 openings per piece');
-      return;
-    }
-    
-    const template = CatTreePieces.openingTypes[openingType];
-    if (!template) return;
+    const baseType = CatTreePieces.getOpeningType(openingType);
+    if (!baseType && !overrides.shape) return;
+    const template = {
+      name: 'Custom Opening',
+      ...baseType,
+      ...overrides,
+      ...CatTreePieces.normalizeOpeningSize({ ...baseType, ...overrides })
+    };
 
-    const newOpening = {
+    const candidate = {
       id: `${openingType}-${Date.now()}`,
       type: openingType,
       name: template.name,
@@ -718,32 +1377,67 @@ const usePieceManagement = () => {
       createdAt: new Date().toISOString()
     };
 
+    const faces = [face, ...OpeningPlacement.FACES.filter(other => other !== face)];
+    const spot = OpeningPlacement.findSpot(candidate, piece, openings, faces);
+    if (!spot) {
+      console.warn(`⚠️ No room left on ${piece.name} for a ${template.name}`);
+      return;
+    }
+
+    recordHistory(`Add ${template.name} to ${piece.name}`);
+
+    const newOpening = { ...candidate, ...spot };
     setOpenings(prev => [...prev, newOpening]);
     setSelectedOpening(newOpening);
-  }, [pieces, openings]);
+  }, [pieces, openings, recordHistory]);
 
   /**
    * Removes an opening
    * @param {string} openingId - ID of opening to remove
    */
   const removeOpening = useCallback((openingId) => {
+    const opening = openings.find(o => o.id === openingId);
+    if (!opening) return;
+    
+    recordHistory(`Remove ${opening.name}`);
+    
     setOpenings(prev => prev.filter(o => o.id !== openingId));
     setSelectedOpening(current => current?.id === openingId ? null : current);
-  }, []);
+  }, [openings, recordHistory]);
 
   /**
    * Moves an opening on its face
+   * Moves that leave the opening off its wall or crowding another opening are refused, unless the
+   * opening was already out of place (so it can be walked back into a valid spot)
    * @param {string} openingId - ID of opening to move
    * @param {number} offsetX - X offset on face
    * @param {number} offsetY - Y offset on face
    * @param {number} offsetZ - Z offset on face
+   * @param {string} face - Face to move onto (openings slide between faces around round walls)
    */
-  const moveOpening = useCallback((openingId, offsetX, offsetY, offsetZ) => {
+  const moveOpening = useCallback((openingId, offsetX, offsetY, offsetZ, face = null) => {
+    const opening = openings.find(o => o.id === openingId);
+    if (!opening || opening.locked) return;
+
+    const parentPiece = pieces.find(p => p.id === opening.parentPieceId);
+    const newFace = face || opening.face;
+    if (!hasChanges(opening, { face: newFace, offsetX, offsetY, offsetZ })) return;
+    if (parentPiece) {
+      const target = OpeningPlacement.validate({ ...opening, face: newFace, offsetX, offsetY, offsetZ }, parentPiece, openings);
+      if (!target.valid && OpeningPlacement.validate(opening, parentPiece, openings).valid) {
+        console.warn(`⚠️ Can't move ${opening.name} there: ${target.issues[0].message}`);
+        return;
+      }
+    }
+    
+    recordHistory(`Move ${opening.name}`, `move-opening:${openingId}`);
+    
     setOpenings(prev => 
       prev.map(opening => {
         if (opening.id === openingId && !opening.locked) {
           const updated = { 
             ...opening, 
+            face: newFace,
             offsetX, 
             offsetY, 
             offsetZ, 
@@ -757,7 +1451,55 @@ const usePieceManagement = () => {
         return opening;
       })
     );
-  }, []);
+  }, [pieces, openings, recordHistory]);
+
+  /**
+   * Changes an opening's size, shape or name
+   * A resized opening stays put when it still fits, otherwise it moves to the nearest free spot on
+   * its face; changes that fit nowhere on that face are refused
+   * @param {string} openingId - ID of opening to change
+   * @param {Object} changes - Any of name, width, height, shape
+   */
+  const updateOpening = useCallback((openingId, changes) => {
+    const opening = openings.find(o => o.id === openingId);
+    if (!opening || opening.locked) return;
+
+    const parentPiece = pieces.find(p => p.id === opening.parentPieceId);
+    if (!parentPiece) return;
+
+    const resized = {
+      ...opening,
+      ...changes,
+      ...CatTreePieces.normalizeOpeningSize({ ...opening, ...changes })
+    };
+    let spot = null;
+    if (!OpeningPlacement.fits(resized, parentPiece, openings)) {
+      spot = OpeningPlacement.findSpot(resized, parentPiece, openings, [opening.face]);
+      if (!spot) {
+        const { issues } = OpeningPlacement.validate(resized, parentPiece, openings);
+        console.warn(`⚠️ ${opening.name} won't fit on the ${opening.face} face at that size: ${issues[0]?.message || 'no room'}`);
+        return;
+      }
+    }
+    if (!hasChanges(opening, { ...resized, ...spot })) return;
+
+    recordHistory(`Resize ${opening.name}`, `resize-opening:${openingId}`);
+
+    setOpenings(prev =>
+      prev.map(current => {
+        if (current.id !== openingId) return current;
+        const updated = {
+          ...resized,
+          ...spot,
+          lastModified: new Date().toISOString()
+        };
+
+        // Update selected opening state if this is the selected opening
+        setSelectedOpening(selected => selected?.id === openingId ? updated : selected);
+        return updated;
+      })
+    );
+  }, [pieces, openings, recordHistory]);
 
   /**
    * Selects an opening and clears other selections
@@ -766,7 +1508,7 @@ const usePieceManagement = () => {
   const selectOpening = useCallback((openingId) => {
     const opening = openings.find(o => o.id === openingId);
     setSelectedOpening(opening || null);
-    setSelectedPiece(null);
+    setSingleSelection(null);
     setSelectedGroup(null);
   }, [openings]);
 
@@ -775,6 +1517,11 @@ const usePieceManagement = () => {
    * @param {string} openingId - ID of opening to toggle
    */
   const toggleOpeningLock = useCallback((openingId) => {
+    const opening = openings.find(o => o.id === openingId);
+    if (!opening) return;
+    
+    recordHistory(`${opening.locked ? 'Unlock' : 'Lock'} ${opening.name}`);
+    
     setOpenings(prev => 
       prev.map(opening => {
         if (opening.id === openingId) {
@@ -791,23 +1538,36 @@ const usePieceManagement = () => {
         return opening;
       })
     );
-  }, []);
+  }, [openings, recordHistory]);
 
   /**
    * Changes which face an opening is on
+   * The opening lands on the free spot nearest the middle of the new face
    * @param {string} openingId - ID of opening to move
    * @param {string} newFace - New face for opening
    */
   const changeOpeningFace = useCallback((openingId, newFace) => {
+    const opening = openings.find(o => o.id === openingId);
+    if (!opening || opening.locked) return;
+
+    const parentPiece = pieces.find(p => p.id === opening.parentPieceId);
+    if (!parentPiece) return;
+    const spot = OpeningPlacement.findSpot(opening, parentPiece, openings, [newFace]);
+    if (!spot) {
+      const { surface, reason } = OpeningPlacement.getFaceSurface(parentPiece, newFace);
+      console.warn(`⚠️ Can't move ${opening.name} to the ${newFace} face: ${surface ? 'no room left there' : reason}`);
+      return;
+    }
+    if (!hasChanges(opening, spot)) return;
+    
+    recordHistory(`Move ${opening.name} to ${newFace} face`);
+    
     setOpenings(prev => 
       prev.map(opening => {
         if (opening.id === openingId && !opening.locked) {
           const updated = { 
             ...opening, 
-            face: newFace, 
-            offsetX: 0, 
-            offsetY: 0, 
-            offsetZ: 0, 
+            ...spot,
             lastModified: new Date().toISOString() 
           };
           
@@ -818,7 +1578,7 @@ const usePieceManagement = () => {
         return opening;
       })
     );
-  }, []);
+  }, [pieces, openings, recordHistory]);
 
   // ========================================
   // DATA MANAGEMENT & STATISTICS
@@ -828,15 +1588,20 @@ const usePieceManagement = () => {
    * Clears all pieces, groups, openings and resets state
    */
   const clearAllPieces = useCallback(() => {
+    const { pieces: currentPieces, openings: currentOpenings } = designRef.current;
+    if (currentPieces.length === 0 && currentOpenings.length === 0) return;
+    
+    recordHistory('Clear all pieces');
+    
     setPieces([]);
-    setSelectedPiece(null);
+    setSingleSelection(null);
     setGroups([]);
     setSelectedGroup(null);
     setOpenings([]);
     setSelectedOpening(null);
     setShowCustomizationPanel(false);
     setPieceCounts({});
-  }, []);
+  }, [recordHistory]);
 
   /**
    * Calculates design statistics
@@ -844,10 +1609,8 @@ const usePieceManagement = () => {
    */
   const getDesignStats = useCallback(() => {
     return {
-      totalCost: pieces.reduce((sum, piece) => {
-        // Exclude included pieces (like rocks that come with rock wall panel) from cost
-        return sum + (piece.included ? 0 : piece.cost);
-      }, 0),
+      // Leaves out included pieces (like rocks that come with rock wall panel)
+      totalCost: PriceCatalog.getTotalCost(pieces, priceCatalog),
       maxHeight: pieces.reduce((max, piece) => Math.max(max, piece.y + piece.height), 0),
       totalPieces: pieces.length,
       totalOpenings: openings.length,
@@ -855,95 +1618,289 @@ const usePieceManagement = () => {
       lockedPieces: pieces.filter(p => p.locked).length,
       includedPieces: pieces.filter(p => p.included).length
     };
-  }, [pieces, openings]);
+  }, [pieces, openings, priceCatalog]);
+
+  /**
+   * Switches the price catalog; every piece is repriced and new sessions start with it
+   * @param {Object} catalog - Catalog from PriceCatalog
+   */
+  const changePriceCatalog = useCallback((catalog) => {
+    setPriceCatalog(catalog);
+    PriceCatalog.setActiveProfileId(catalog.id);
+  }, []);
 
   // ========================================
   // SAVE/LOAD SYSTEM
   // ========================================
   
+  /**
+   * Builds the serializable design document used by file export and the design library
+   * @param {string} designName - Name for the design
+   * @returns {Object} Design data with version and stats
+   */
+  const getDesignData = useCallback((designName = 'My Cat Tree') => ({
+    name: designName,
+    createdAt: new Date().toISOString(),
+    version: DesignSchema.CURRENT_VERSION,
+    units: { ...Units.STORED },
+    pieces: pieces,
+    groups: groups,
+    openings: openings,
+    pieceCounts: pieceCounts,
+    priceCatalog: priceCatalog,
+    stats: getDesignStats()
+  }), [pieces, groups, openings, pieceCounts, priceCatalog, getDesignStats]);
+
   /**
    * Saves the current design to a JSON file
    * @param {string} designName - Name for the saved design
    */
   const saveDesign = useCallback((designName = 'My Cat Tree') => {
-    const stats = getDesignStats();
-    const designData = {
-      name: designName,
-      createdAt: new Date().toISOString(),
-      version: '1.8',
-      pieces: pieces,
-      groups: groups,
-      openings: openings,
-      pieceCounts: pieceCounts,
-      stats: stats
-    };
+    const designData = getDesignData(designName);
+    SharedUtils.Utils.downloadJSON(designData, `${designName.replace(/[^a-zA-Z0-9]/g, '_')}_cat_tree.json`);
+  }, [getDesignData]);
+
+  /**
+   * Shows the import report when migration or validation found something worth reviewing
+   * @param {Object} report - Report from DesignSchema.prepare
+   */
+  const presentImportReport = (report) => {
+    if (DesignSchema.needsReview(report)) {
+      setImportReport(report);
+    }
+  };
+
+  /**
+   * Runs raw data through the import pipeline and shows its report
+   * Unexpected errors in migration or validation become a failure report rather than escaping
+   * @param {Object} rawData - Parsed design data
+   * @returns {Object|null} Design ready to apply, or null when it can't be loaded
+   */
+  const prepareDesign = (rawData) => {
+    let prepared;
+    try {
+      prepared = DesignSchema.prepare(rawData);
+    } catch (error) {
+      console.error('Error preparing design:', error);
+      prepared = {
+        design: null,
+        report: DesignSchema.failureReport(rawData?.name || 'Unnamed design', `The design could not be read: ${error.message}`)
+      };
+    }
+    presentImportReport(prepared.report);
+    return prepared.design;
+  };
+
+  /**
+   * Migrates, validates and applies parsed design data to the workspace
+   * Shared by file loading, autosave recovery, templates and the design library
+   * @param {Object} rawData - Parsed design {pieces, groups, openings, pieceCounts}
+   * @param {string} label - History label for the load step
+   * @returns {boolean} Whether the data was valid and applied
+   */
+  const loadDesignData = useCallback((rawData, label = null) => {
+    const designData = prepareDesign(rawData);
+    if (!designData) return false;
+    
+    // Load all data (undoable so a wrong file doesn't replace unsaved work)
+    recordHistory(label || `Load ${designData.name || 'design'}`, null, { withCatalog: !!designData.priceCatalog });
+    setPieces(designData.pieces);
+    setGroups(designData.groups);
+    setOpenings(designData.openings);
+    setPieceCounts(designData.pieceCounts);
+    
+    // Price with the catalog the design was saved with, even when the local profile with its ID
+    // has since been edited; catalogs new to this browser are kept as a profile
+    if (designData.priceCatalog) {
+      const localProfile = PriceCatalog.getProfile(designData.priceCatalog.id);
+      if (localProfile && JSON.stringify(PriceCatalog.normalize(localProfile)) !== JSON.stringify(designData.priceCatalog)) {
+        console.log(`🏷️ Pricing with the "${designData.priceCatalog.name}" prices saved in the design, not your edited profile`);
+      }
+      PriceCatalog.importProfile(designData.priceCatalog);
+      changePriceCatalog(designData.priceCatalog);
+    }
+    
+    // Clear selections
+    setSingleSelection(null);
+    setSelectedGroup(null);
+    setSelectedOpening(null);
+    setShowCustomizationPanel(false);
+    
+    console.log(`✅ Loaded design: ${designData.name || 'Unnamed'} (from v${rawData.version || 'unknown'})`);
+    return true;
+  }, [recordHistory, changePriceCatalog]);
+
+  /**
+   * Finds a footprint center beside the existing pieces where new content won't overlap
+   * Tries right, left, behind and in front of the current design, preferring spots inside the workspace
+   * @param {Object} incomingBounds - Bounding box of the content to place
+   * @returns {Object} Target {x, z} for the incoming footprint center
+   */
+  const findOpenPosition = (incomingBounds) => {
+    const existing = SharedUtils.DataUtils.calculateBoundingBox(designRef.current.pieces);
+    if (!existing) return { x: 0, z: 0 };
+    
+    const gap = 6; // Half a foot of clearance between old and new content
+    const halfWidth = incomingBounds.width / 2;
+    const halfDepth = incomingBounds.depth / 2;
+    const candidates = [
+      { x: existing.maxX + gap + halfWidth, z: existing.centerZ },
+      { x: existing.minX - gap - halfWidth, z: existing.centerZ },
+      { x: existing.centerX, z: existing.maxZ + gap + halfDepth },
+      { x: existing.centerX, z: existing.minZ - gap - halfDepth }
+    ];
+    
+    // Smallest overflow past the ±60" workspace bounds wins (0 = fully inside)
+    const overflow = (c) => Math.max(0, Math.abs(c.x) + halfWidth - 60, Math.abs(c.z) + halfDepth - 60);
+    const best = candidates.reduce((bestSoFar, c) => overflow(c) < overflow(bestSoFar) ? c : bestSoFar);
+    if (overflow(best) > 0) {
+      console.warn('⚠️ No clear space inside the workspace; imported content placed at the edge');
+    }
+    return best;
+  };
+
+  /**
+   * Inserts another design's pieces and openings into the current design as one group
+   * Every incoming item gets a fresh ID and auto-numbered name so nothing collides;
+   * the incoming design's own groups are kept on the new group and restored when it is ungrouped
+   * @param {Object} rawData - Parsed design {name, pieces, groups, openings}
+   * @param {Object} options - Insert options
+   * @param {Object} options.position - Target {x, z} for the footprint center (inches); null finds open space
+   * @param {boolean} options.locked - Lock the new group
+   * @param {string} options.label - History label
+   * @returns {string|null} ID of the created group (or single piece), null if nothing was inserted
+   */
+  const insertDesignData = useCallback((rawData, { position = null, locked = false, label = null } = {}) => {
+    const designData = prepareDesign(rawData);
+    if (!designData || designData.pieces.length === 0) return null;
+    
+    const timestamp = Date.now();
+    const now = new Date().toISOString();
+    const designName = designData.name || 'Imported design';
+    
+    // Offset that moves the incoming footprint center onto the target position
+    const incomingBounds = SharedUtils.DataUtils.calculateBoundingBox(designData.pieces);
+    const target = position || findOpenPosition(incomingBounds);
+    const deltaX = (target.x || 0) - incomingBounds.centerX;
+    const deltaZ = (target.z || 0) - incomingBounds.centerZ;
+    
+    // Re-ID and re-number pieces
+    const idMap = {};
+    const localPieceCounts = { ...pieceCounts };
+    const groupId = designData.pieces.length > 1 ? `group-${timestamp}` : null;
+    const groupIdMap = {};
+    designData.groups.forEach((group, index) => {
+      groupIdMap[group.id] = `group-${timestamp}-${index}`;
+    });
+    
+    const newPieces = designData.pieces.map((piece, index) => {
+      const newId = `${piece.variantId || 'piece'}-${timestamp}-${index}`;
+      idMap[piece.id] = newId;
+      
+      const variant = CatTreePieces.getVariantById(piece.variantId);
+      const count = (localPieceCounts[piece.variantId] || 0) + 1;
+      localPieceCounts[piece.variantId] = count;
+      
+      return {
+        ...piece,
+        id: newId,
+        name: variant ? `${variant.name} ${count}` : piece.name,
+        variantCount: count,
+        x: clamp(piece.x + deltaX, -60, 60),
+        z: clamp(piece.z + deltaZ, -60, 60),
+        locked: groupId ? piece.locked : locked,
+        groupId,
+        createdAt: now,
+        lastModified: now
+      };
+    }).map(piece => ({
+      ...piece,
+      kitParentId: piece.kitParentId ? (idMap[piece.kitParentId] || null) : null
+    }));
+    
+    // Incoming groups, re-IDed, to restore on ungroup (groups need at least two pieces)
+    const subgroups = designData.groups
+      .map(group => ({
+        id: groupIdMap[group.id],
+        name: group.name,
+        locked: !!group.locked,
+        pieceIds: designData.pieces.filter(p => p.groupId === group.id).map(p => idMap[p.id])
+      }))
+      .filter(group => group.pieceIds.length >= 2);
+    
+    // Re-ID openings and point them at their new parents
+    const newOpenings = designData.openings
+      .map((opening, index) => ({
+        ...opening,
+        id: `${opening.type || 'opening'}-${timestamp}-${index}`,
+        parentPieceId: idMap[opening.parentPieceId],
+        createdAt: now,
+        lastModified: now
+      }));
     
-    const dataStr = JSON.stringify(designData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    recordHistory(label || `Insert ${designName}`);
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${designName.replace(/[^a-zA-Z0-9]/g, '_')}_cat_tree.json`;
-    link.click();
+    setPieces(prev => [...prev, ...newPieces]);
+    setOpenings(prev => [...prev, ...newOpenings]);
+    setPieceCounts(prev => ({ ...prev, ...localPieceCounts }));
+    
+    setSelectedOpening(null);
+    setShowCustomizationPanel(false);
+    
+    if (groupId) {
+      const newGroup = {
+        id: groupId,
+        name: designName,
+        pieceIds: newPieces.map(p => p.id),
+        locked,
+        createdAt: now,
+        ...(subgroups.length > 0 && { subgroups })
+      };
+      setGroups(prev => [...prev, newGroup]);
+      setSelectedGroup(newGroup);
+      setSingleSelection(null);
+    } else {
+      setSelectedGroup(null);
+      setSingleSelection(newPieces[0]);
+    }
     
-    URL.revokeObjectURL(url);
-  }, [pieces, groups, openings, pieceCounts, getDesignStats]);
+    console.log(`📥 Inserted ${designName}: ${newPieces.length} pieces, ${newOpenings.length} openings`);
+    return groupId || newPieces[0].id;
+  }, [pieceCounts, recordHistory]);
 
   /**
    * Loads a design from a JSON file
    * @param {File} file - File to load design from
+   * @param {Object} options - Load options
+   * @param {boolean} options.merge - Import into the current design as a new group instead of replacing it
+   * @returns {Promise<boolean>} Resolves true once the design has been applied, false if it could not be read
    */
-  const loadDesign = useCallback((file) => {
+  const loadDesign = useCallback((file, { merge = false } = {}) => new Promise((resolve) => {
     const reader = new FileReader();
     reader.onload = (e) => {
+      let designData;
       try {
-        const designData = JSON.parse(e.target.result);
-        if (designData.pieces && Array.isArray(designData.pieces)) {
-          // Validate and clean loaded pieces
-          const cleanPieces = designData.pieces.map(piece => ({
-            ...piece,
-            x: clamp(piece.x || 0, -60, 60),
-            y: Math.max(0, piece.y || 0),
-            z: clamp(piece.z || 0, -60, 60),
-            width: clamp(piece.width || 12, 1, 48),
-            height: clamp(piece.height || 12, 1, 72),
-            depth: clamp(piece.depth || 12, 1, 48),
-            rotationY: normalizeRotation(piece.rotationY || 0),
-            // FIXED: Apply proper tilt clamping when loading
-            tiltX: clampTilt(piece.tiltX || 0),
-            tiltZ: clampTilt(piece.tiltZ || 0),
-            flipped: piece.flipped ?? false, // Handle flipped property for older saves
-            locked: piece.locked ?? false,
-            groupId: piece.groupId ?? null,
-            included: piece.included ?? false, // Handle included property for older saves
-            parentPanelId: piece.parentPanelId ?? null, // Handle parent panel reference
-            lastModified: piece.lastModified || new Date().toISOString()
-          }));
-          
-          // Load all data
-          setPieces(cleanPieces);
-          setGroups(designData.groups || []);
-          setOpenings(designData.openings || []);
-          setPieceCounts(designData.pieceCounts || {});
-          
-          // Clear selections
-          setSelectedPiece(null);
-          setSelectedGroup(null);
-          setSelectedOpening(null);
-          setShowCustomizationPanel(false);
-          
-          console.log(`✅ Loaded design: ${designData.name || 'Unnamed'} (v${designData.version || 'unknown'})`);
-        } else {
-          alert('Invalid design file format');
-        }
+        designData = JSON.parse(e.target.result);
       } catch (error) {
         console.error('Error loading design file:', error);
-        alert('Error loading design file: ' + error.message);
+        setImportReport(DesignSchema.failureReport(file.name, `The file is not valid JSON: ${error.message}`));
+        resolve(false);
+        return;
       }
+      
+      if (merge) {
+        resolve(!!insertDesignData(designData, { label: `Import ${designData.name || file.name}` }));
+      } else {
+        resolve(loadDesignData(designData));
+      }
+    };
+    reader.onerror = () => {
+      console.error('Error reading design file:', reader.error);
+      setImportReport(DesignSchema.failureReport(file.name, 'The file could not be read'));
+      resolve(false);
     };
     reader.readAsText(file);
-  }, []);
+  }), [loadDesignData, insertDesignData]);
 
   // ========================================
   // HOOK RETURN - ORGANIZED BY FUNCTIONALITY
@@ -953,9 +1910,12 @@ const usePieceManagement = () => {
     pieces,
     openings,
     groups,
+    pieceCounts,
     
     // Selection State
     selectedPiece,
+    selectedPieceIds,
+    selectedPieces,
     selectedGroup,
     selectedOpening,
     
@@ -967,6 +1927,8 @@ const usePieceManagement = () => {
     // Piece Management
     addPieceFromVariant,
     selectPiece,
+    selectPieces,
+    clearSelection,
     updatePieceCustomization,
     openCustomizationPanel,
     closeCustomizationPanel,
@@ -979,9 +1941,22 @@ const usePieceManagement = () => {
     // Movement & Positioning
     movePiece,
     dragPiece,
+    collisions,
+    preventOverlap,
+    setPreventOverlap,
+    passages,
     rotatePiece,
     updatePieceDimensions,
     
+    // Multi-Selection
+    moveSelection,
+    rotateSelection,
+    deleteSelection,
+    duplicateSelection,
+    toggleSelectionLock,
+    updateSelectionCustomization,
+    groupSelection,
+    
     // Group Management
     createGroup,
     ungroupPieces,
@@ -990,10 +1965,18 @@ const usePieceManagement = () => {
     moveGroup,
     rotateGroup,
     
+    // History
+    history: { past: historyPast, future: historyFuture },
+    canUndo: historyPast.length > 0,
+    canRedo: historyFuture.length > 0,
+    undo,
+    redo,
+    
     // Opening Management
     addOpening,
     removeOpening,
     moveOpening,
+    updateOpening,
     selectOpening,
     toggleOpeningLock,
     changeOpeningFace,
@@ -1001,7 +1984,14 @@ const usePieceManagement = () => {
     // Data & Statistics
     clearAllPieces,
     getDesignStats,
+    getDesignData,
+    priceCatalog,
+    changePriceCatalog,
     saveDesign,
-    loadDesign
+    loadDesign,
+    loadDesignData,
+    insertDesignData,
+    importReport,
+    clearImportReport: () => setImportReport(null)
   };
 };
\ No newline at end of file
@@ -0,0 +1,169 @@
+// =====================================================
+// KEYBOARD SHORTCUTS SYSTEM -v1- REBINDABLE KEYMAP
+// =====================================================
+
+const KeyboardShortcuts = {
+
+  // ========================================
+  // DEFAULT KEYMAP
+  // ========================================
+
+  /**
+   * Default key combos per command ID
+   * Combos are written as modifiers in Ctrl, Alt, Shift order followed by the key, e.g. 'Ctrl+Shift+Z'.
+   * Ctrl also matches Cmd on macOS.
+   */
+  DEFAULT_KEYMAP: {
+    'move-left': ['ArrowLeft'],
+    'move-right': ['ArrowRight'],
+    'move-forward': ['ArrowUp'],
+    'move-back': ['ArrowDown'],
+    'move-up': ['PageUp'],
+    'move-down': ['PageDown'],
+    'rotate-right': ['R'],
+    'rotate-left': ['Shift+R'],
+    'duplicate': ['Ctrl+D'],
+    'delete': ['Delete', 'Backspace'],
+    'toggle-lock': ['L'],
+    'deselect': ['Escape'],
+    'undo': ['Ctrl+Z'],
+    'redo': ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    'save': ['Ctrl+S'],
+    'command-palette': ['Ctrl+K']
+  },
+
+  // Keys that only modify other keys and never form a combo on their own
+  MODIFIER_KEYS: ['Control', 'Shift', 'Alt', 'Meta', 'OS'],
+
+  // Plain keys the page scrolls with; when their command is disabled the browser gets them back
+  SCROLL_KEYS: ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'PageUp', 'PageDown'],
+
+  // ========================================
+  // COMBO FORMATTING
+  // ========================================
+
+  /**
+   * Normalizes a key event into a combo string
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string|null} Combo such as 'Ctrl+D', or null for a bare modifier press
+   */
+  formatCombo: (event) => {
+    if (!event.key || KeyboardShortcuts.MODIFIER_KEYS.includes(event.key)) return null;
+
+    let key = event.key;
+    if (key === ' ') key = 'Space';
+    else if (key === 'Esc') key = 'Escape';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (event.ctrlKey || event.metaKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+  },
+
+  /**
+   * Display label for a combo, using arrows for the arrow keys
+   * @param {string} combo - Combo string
+   * @returns {string} Human readable combo
+   */
+  describeCombo: (combo) => combo
+    .replace('ArrowLeft', '←')
+    .replace('ArrowRight', '→')
+    .replace('ArrowUp', '↑')
+    .replace('ArrowDown', '↓')
+    .replace('Escape', 'Esc')
+    .replace('Delete', 'Del'),
+
+  /**
+   * Display label for every combo bound to a command
+   * @param {Object} keymap - Active keymap
+   * @param {string} commandId - Command ID
+   * @returns {string} Combos joined with ' / ', or an empty string when unbound
+   */
+  describe: (keymap, commandId) => (keymap[commandId] || [])
+    .map(KeyboardShortcuts.describeCombo)
+    .join(' / '),
+
+  // ========================================
+  // KEYMAP LOOKUP
+  // ========================================
+
+  /**
+   * Finds the command bound to a combo
+   * @param {Object} keymap - Active keymap
+   * @param {string} combo - Combo string from formatCombo
+   * @returns {string|null} Command ID
+   */
+  findCommand: (keymap, combo) => {
+    if (!combo) return null;
+    const entry = Object.entries(keymap).find(([, combos]) => combos.includes(combo));
+    return entry ? entry[0] : null;
+  },
+
+  /**
+   * Whether a key event comes from a text field, which keeps its native keys
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for inputs, textareas, selects and editable content
+   */
+  isTypingTarget: (target) => {
+    const tag = target?.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!target?.isContentEditable;
+  },
+
+  // ========================================
+  // PERSISTENCE
+  // ========================================
+
+  /**
+   * Active keymap: the defaults with the user's saved overrides applied
+   * @returns {Object} Command ID -> combo list
+   */
+  getKeymap: () => {
+    const overrides = DesignStorage.getSetting('keymap') || {};
+    const keymap = { ...KeyboardShortcuts.DEFAULT_KEYMAP };
+    Object.entries(overrides).forEach(([commandId, combos]) => {
+      if (commandId in keymap && Array.isArray(combos)) keymap[commandId] = combos;
+    });
+    return keymap;
+  },
+
+  /**
+   * Binds a command to a single combo and saves the change
+   * The combo is taken away from any other command that used it
+   * @param {string} commandId - Command to rebind
+   * @param {string} combo - New combo
+   * @returns {Object} Updated keymap
+   */
+  rebind: (commandId, combo) => {
+    const keymap = KeyboardShortcuts.getKeymap();
+    Object.keys(keymap).forEach(id => {
+      keymap[id] = keymap[id].filter(c => c !== combo);
+    });
+    keymap[commandId] = [combo];
+
+    // Only differences from the defaults are stored, so new defaults still reach existing users
+    const overrides = {};
+    Object.entries(keymap).forEach(([id, combos]) => {
+      if (combos.join('|') !== KeyboardShortcuts.DEFAULT_KEYMAP[id].join('|')) overrides[id] = combos;
+    });
+    DesignStorage.updateSettings({ keymap: overrides });
+
+    console.log(`⌨️ Bound ${combo} to ${commandId}`);
+    return keymap;
+  },
+
+  /**
+   * Restores the default keymap
+   * @returns {Object} Default keymap
+   */
+  resetKeymap: () => {
+    DesignStorage.updateSettings({ keymap: {} });
+    console.log('⌨️ Keymap reset to defaults');
+    return { ...KeyboardShortcuts.DEFAULT_KEYMAP };
+  }
+};
+
+// Export for use in other modules
+window.KeyboardShortcuts = KeyboardShortcuts;
@@ -0,0 +1,740 @@
+// =====================================================
+// OPENING PLACEMENT SYSTEM -v1- WALL SURFACES & CLEARANCE CHECKS
+// =====================================================
+
+const OpeningPlacement = {
+
+  // ========================================
+  // PLACEMENT SETTINGS
+  // ========================================
+
+  /**
+   * Clearance rules, in inches
+   */
+  settings: {
+    edgeMargin: 1,     // Wall left between an opening and the edge of its wall
+    minSpacing: 1,     // Wall left between two openings on the same wall
+    renderScale: 0.96, // CatTreePieces shrinks rendered geometry by this factor
+    searchSteps: 16,   // Grid resolution when looking for a free spot on a face
+    outlineSegments: 24,
+    epsilon: 1e-6
+  },
+
+  FACES: ['front', 'back', 'left', 'right', 'top', 'bottom'],
+
+  /**
+   * Faces with no wall to cut, and why
+   */
+  CLOSED_FACES: {
+    aframe: {
+      top: 'The roof slopes meet at the ridge here; put roof openings on the left or right slope'
+    },
+    cylinder: {
+      top: 'The top of a cylinder is an open ring',
+      bottom: 'The bottom of a cylinder is an open ring'
+    },
+    tunnel: {
+      left: 'The tunnel ends are already open',
+      right: 'The tunnel ends are already open'
+    },
+    'tube-tunnel': {
+      left: 'The tube ends are already open',
+      right: 'The tube ends are already open'
+    },
+    'tunnel-ramp': {
+      left: 'The ramp ends are already open',
+      right: 'The ramp ends are already open'
+    },
+    'tunnel-curve90': {
+      front: 'The bend ends are already open',
+      right: 'The bend ends are already open'
+    }
+  },
+
+  // ========================================
+  // FACE COORDINATES
+  // ========================================
+
+  /**
+   * The two offsets that move an opening across a face
+   * @param {string} face - Face name
+   * @param {Object} opening - Opening (or any object with offsetX/Y/Z)
+   * @returns {Object} {u, v} - horizontal and vertical position as seen from that face
+   */
+  getFaceCoords: (face, opening) => {
+    switch (face) {
+      case 'left':
+      case 'right':
+        return { u: opening.offsetZ || 0, v: opening.offsetY || 0 };
+      case 'top':
+      case 'bottom':
+        return { u: opening.offsetX || 0, v: opening.offsetZ || 0 };
+      default:
+        return { u: opening.offsetX || 0, v: opening.offsetY || 0 };
+    }
+  },
+
+  /**
+   * Inverse of getFaceCoords
+   * @param {string} face - Face name
+   * @param {number} u - Horizontal position on the face
+   * @param {number} v - Vertical position on the face
+   * @returns {Object} {offsetX, offsetY, offsetZ}
+   */
+  toOffsets: (face, u, v) => {
+    const round = value => Math.round(value * 100) / 100 || 0;
+    switch (face) {
+      case 'left':
+      case 'right':
+        return { offsetX: 0, offsetY: round(v), offsetZ: round(u) };
+      case 'top':
+      case 'bottom':
+        return { offsetX: round(u), offsetY: 0, offsetZ: round(v) };
+      default:
+        return { offsetX: round(u), offsetY: round(v), offsetZ: 0 };
+    }
+  },
+
+  /**
+   * Half-extents of a piece's bounding-box face, as rendered
+   * @param {Object} piece - Parent piece
+   * @param {string} face - Face name
+   * @returns {Object} {u, v} half-width and half-height of the face
+   */
+  getFaceExtents: (piece, face) => {
+    const half = OpeningPlacement.settings.renderScale / 2;
+    const width = piece.width * half;
+    const height = piece.height * half;
+    const depth = piece.depth * half;
+    switch (face) {
+      case 'left':
+      case 'right':
+        return { u: depth, v: height };
+      case 'top':
+      case 'bottom':
+        return { u: width, v: depth };
+      default:
+        return { u: width, v: height };
+    }
+  },
+
+  // ========================================
+  // WALL SURFACES
+  // ========================================
+
+  /**
+   * Face mapping for a flat wall that lines up with its face
+   * @param {number} angle - Turn from the opening's own axes to the wall's
+   * @returns {Object} Face map
+   */
+  _flatMap: (angle = 0) => ({
+    toSurface: (u, v) => [u, v],
+    fromSurface: (s, t) => ({ u: s, v: t, facing: 1 }),
+    angle
+  }),
+
+  /**
+   * Face mapping onto a round wall, measured as arc length around it
+   * The face sees the wall as a projection, so only the half of the wall turned towards it maps back
+   * @param {number} radius - Wall radius
+   * @param {number} centerAngle - Angle around the wall that faces straight at this face
+   * @param {number} sign - Whether the face coordinate grows (1) or shrinks (-1) with the angle
+   * @param {string} roundAxis - Face coordinate that runs around the wall ('u' or 'v')
+   * @param {number} angle - Turn from the opening's own axes to the wall's
+   * @returns {Object} Face map
+   */
+  _roundMap: (radius, centerAngle, sign, roundAxis, angle = 0) => {
+    const wrapAngle = value => Math.atan2(Math.sin(value), Math.cos(value));
+    const toArc = value => {
+      const ratio = Math.max(-1, Math.min(1, sign * value / radius));
+      return radius * wrapAngle(centerAngle + Math.asin(ratio));
+    };
+    const fromArc = arc => {
+      const turn = wrapAngle(arc / radius - centerAngle);
+      const facing = Math.cos(turn);
+      return facing > 0 ? { value: sign * radius * Math.sin(turn), facing } : null;
+    };
+
+    if (roundAxis === 'u') {
+      return {
+        toSurface: (u, v) => [toArc(u), v],
+        fromSurface: (s, t) => {
+          const result = fromArc(s);
+          return result && { u: result.value, v: t, facing: result.facing };
+        },
+        angle
+      };
+    }
+    return {
+      toSurface: (u, v) => [u, toArc(v)],
+      fromSurface: (s, t) => {
+        const result = fromArc(t);
+        return result && { u: s, v: result.value, facing: result.facing };
+      },
+      angle
+    };
+  },
+
+  /**
+   * Usable wall surfaces of a piece
+   * Each surface is laid out flat in its own (s, t) coordinates: a convex boundary polygon inset
+   * from the joints with neighbouring walls, and a map from each face that looks onto it.
+   * Round walls wrap, so openings can slide around them from one face to the next.
+   * @param {Object} piece - Parent piece
+   * @returns {Array} Surfaces {id, name, boundary, faces, wrap}
+   */
+  getSurfaces: (piece) => {
+    const scale = OpeningPlacement.settings.renderScale;
+    const width = piece.width * scale;
+    const height = piece.height * scale;
+    const depth = piece.depth * scale;
+    const wall = CatTreePieces.getHollowWallThickness(piece) * scale;
+    const flat = OpeningPlacement._flatMap;
+    const rect = (w, h) => [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]];
+    const surface = (id, name, boundary, faces, wrap = null) => ({ id, name, boundary, faces, wrap });
+
+    switch (piece.shape) {
+      case 'aframe': {
+        // Roof openings are placed by height, but fit along the slope
+        const slope = Math.atan2(height, width / 2);
+        const roofLength = Math.sqrt((width / 2) * (width / 2) + height * height);
+        const roofMap = {
+          toSurface: (u, v) => [u, v / Math.sin(slope)],
+          fromSurface: (s, t) => ({ u: s, v: t * Math.sin(slope), facing: 1 }),
+          angle: 0
+        };
+        const gable = [[-width / 2 + wall, -height / 2 + wall], [width / 2 - wall, -height / 2 + wall], [0, height / 2 - wall]];
+        return [
+          surface('front', 'front gable', gable, { front: flat() }),
+          surface('back', 'back gable', gable, { back: flat() }),
+          surface('left', 'left roof slope', rect(depth - 2 * wall, roofLength - 2 * wall), { left: roofMap }),
+          surface('right', 'right roof slope', rect(depth - 2 * wall, roofLength - 2 * wall), { right: roofMap }),
+          surface('bottom', 'floor', rect(width - 2 * wall, depth - 2 * wall), { bottom: flat() })
+        ];
+      }
+
+      case 'cylinder': {
+        const radius = width / 2;
+        const around = 2 * Math.PI * radius;
+        const round = (centerAngle, sign) => OpeningPlacement._roundMap(radius, centerAngle, sign, 'u');
+        return [
+          surface('wall', 'curved wall', rect(around, height - 2 * wall), {
+            front: round(0, 1),
+            right: round(Math.PI / 2, -1),
+            back: round(Math.PI, -1),
+            left: round(-Math.PI / 2, 1)
+          }, { axis: 's', period: around })
+        ];
+      }
+
+      case 'tunnel':
+        return [
+          surface('front', 'front wall', rect(width, height - 2 * wall), { front: flat() }),
+          surface('back', 'back wall', rect(width, height - 2 * wall), { back: flat() }),
+          surface('top', 'roof', rect(width, depth - 2 * wall), { top: flat(Math.PI) }),
+          surface('bottom', 'floor', rect(width, depth - 2 * wall), { bottom: flat() })
+        ];
+
+      case 'tube-tunnel': {
+        const radius = height / 2;
+        const around = 2 * Math.PI * radius;
+        const round = (centerAngle, sign, angle) => OpeningPlacement._roundMap(radius, centerAngle, sign, 'v', angle);
+        return [
+          surface('wall', 'tube wall', rect(width, around), {
+            front: round(0, 1, 0),
+            top: round(Math.PI / 2, -1, 0),
+            back: round(Math.PI, -1, Math.PI),
+            bottom: round(-Math.PI / 2, 1, 0)
+          }, { axis: 't', period: around })
+        ];
+      }
+
+      case 'tunnel-ramp': {
+        // The whole tunnel is tipped up by 30°; openings stay upright as seen from the side
+        const tilt = Math.PI / 6;
+        const cos = Math.cos(tilt);
+        const sin = Math.sin(tilt);
+        const sideMap = {
+          toSurface: (u, v) => [u * cos + v * sin, -u * sin + v * cos],
+          fromSurface: (s, t) => ({ u: s * cos - t * sin, v: s * sin + t * cos, facing: 1 }),
+          angle: -tilt
+        };
+        const deckMap = (lift, angle) => ({
+          toSurface: (u, v) => [(u + lift) / cos, v],
+          fromSurface: (s, t) => ({ u: s * cos - lift, v: t, facing: 1 }),
+          angle
+        });
+        return [
+          surface('front', 'front wall', rect(width, height - 2 * wall), { front: sideMap }),
+          surface('back', 'back wall', rect(width, height - 2 * wall), { back: sideMap }),
+          surface('top', 'roof', rect(width, depth - 2 * wall), { top: deckMap((height / 2) * sin, Math.PI) }),
+          surface('bottom', 'floor', rect(width, depth - 2 * wall), { bottom: deckMap(-(height / 2) * sin, 0) })
+        ];
+      }
+
+      case 'tunnel-curve90':
+        return [OpeningPlacement._bendSurface(piece)];
+
+      default:
+        return [
+          surface('front', 'front wall', rect(width - 2 * wall, height - 2 * wall), { front: flat() }),
+          surface('back', 'back wall', rect(width - 2 * wall, height - 2 * wall), { back: flat() }),
+          surface('left', 'left wall', rect(depth - 2 * wall, height - 2 * wall), { left: flat() }),
+          surface('right', 'right wall', rect(depth - 2 * wall, height - 2 * wall), { right: flat() }),
+          surface('top', 'top', rect(width - 2 * wall, depth - 2 * wall), { top: flat(Math.PI) }),
+          surface('bottom', 'floor', rect(width - 2 * wall, depth - 2 * wall), { bottom: flat() })
+        ];
+    }
+  },
+
+  /**
+   * Outside of the 90° bend, unrolled: s runs along the bend (measured at its outer edge), t runs
+   * around the tube from the outer edge (0) over the crown (+) or under the belly (-)
+   * The bend circles the piece's origin from -x round to -z, so its ends face front and right.
+   * Openings are laid out upright in s/t, which is close enough on a bend this tight.
+   * @param {Object} piece - Bent tunnel piece
+   * @returns {Object} Wall surface
+   */
+  _bendSurface: (piece) => {
+    const scale = OpeningPlacement.settings.renderScale;
+    const tube = (piece.height * scale) / 2;
+    const bend = (Math.min(piece.width, piece.depth) * scale) / 3;
+    const outer = bend + tube;
+    const middle = Math.PI * 1.25;
+    const wrapAngle = value => Math.atan2(Math.sin(value), Math.cos(value));
+    const clampUnit = value => Math.max(-1, Math.min(1, value));
+
+    // Point on the tube from its angle along the bend and around the tube
+    const toPoint = (s, t) => {
+      const along = middle + s / outer;
+      const around = t / tube;
+      const ring = bend + tube * Math.cos(around);
+      return {
+        x: ring * Math.cos(along),
+        y: tube * Math.sin(around),
+        z: ring * Math.sin(along),
+        normal: [Math.cos(around) * Math.cos(along), Math.sin(around), Math.cos(around) * Math.sin(along)]
+      };
+    };
+    const toArc = (x, z, around) => [outer * wrapAngle(Math.atan2(z, x) - middle), tube * around];
+    const stretch = (x, z) => [outer / Math.max(Math.hypot(x, z), tube * 0.25), 1];
+
+    // Looking down (or up) at the crown (or belly)
+    const deckMap = (sign) => ({
+      toSurface: (u, v) => {
+        const around = Math.acos(clampUnit((Math.hypot(u, v) - bend) / tube));
+        return toArc(u, v, sign * around);
+      },
+      fromSurface: (s, t) => {
+        const point = toPoint(s, t);
+        const facing = sign * point.normal[1];
+        return facing > 0 ? { u: point.x, v: point.z, facing } : null;
+      },
+      stretch: (u, v) => stretch(u, v),
+      angle: 0
+    });
+
+    // Looking in at the outside of the bend; the face's horizontal axis is z (left) or x (back)
+    const sideMap = (axis) => ({
+      toSurface: (u, v) => {
+        const around = Math.asin(clampUnit(v / tube));
+        const ring = bend + tube * Math.cos(around);
+        const across = -Math.sqrt(Math.max(0, ring * ring - u * u));
+        return axis === 'z' ? toArc(across, u, around) : toArc(u, across, around);
+      },
+      fromSurface: (s, t) => {
+        const point = toPoint(s, t);
+        const facing = -point.normal[axis === 'z' ? 0 : 2];
+        if (facing <= 0) return null;
+        return { u: axis === 'z' ? point.z : point.x, v: point.y, facing };
+      },
+      stretch: (u, v) => {
+        const ring = bend + tube * Math.cos(Math.asin(clampUnit(v / tube)));
+        return [outer / ring, 1];
+      },
+      angle: 0
+    });
+
+    const length = outer * Math.PI / 2;
+    const around = tube * Math.PI * 1.5;
+    return {
+      id: 'wall',
+      name: 'tunnel wall',
+      boundary: [[-length / 2, -around / 2], [length / 2, -around / 2], [length / 2, around / 2], [-length / 2, around / 2]],
+      faces: { top: deckMap(1), bottom: deckMap(-1), left: sideMap('z'), back: sideMap('x') },
+      wrap: null
+    };
+  },
+
+  /**
+   * The wall surface a face looks onto
+   * @param {Object} piece - Parent piece
+   * @param {string} face - Face name
+   * @returns {Object} {surface, map} or {surface: null, reason} when the face has no wall to cut
+   */
+  getFaceSurface: (piece, face) => {
+    const surface = OpeningPlacement.getSurfaces(piece).find(candidate => candidate.faces[face]);
+    if (surface) return { surface, map: surface.faces[face] };
+
+    const reason = (OpeningPlacement.CLOSED_FACES[piece.shape] || {})[face] || `There is no wall on the ${face} of this piece`;
+    return { surface: null, map: null, reason };
+  },
+
+  /**
+   * Outline of an opening around its own center
+   * @param {Object} opening - Opening definition
+   * @returns {Array} Points [x, y]
+   */
+  _outline: (opening) => CatTreePieces
+    .getOpeningOutline(opening.shape, opening.width, opening.height, OpeningPlacement.settings.outlineSegments)
+    .map(point => [point.x, point.y]),
+
+  /**
+   * Outline of an opening laid out on its wall surface
+   * @param {Object} opening - Opening definition
+   * @param {Object} piece - Parent piece
+   * @param {Object} faceSurface - getFaceSurface result for the opening's face, when already known
+   * @param {Array} outline - _outline result for the opening, when already known
+   * @returns {Object|null} {surface, center, points} with points as [s, t], or null on a closed face
+   */
+  getFootprint: (opening, piece, faceSurface = null, outline = null) => {
+    const { surface, map } = faceSurface || OpeningPlacement.getFaceSurface(piece, opening.face);
+    if (!surface) return null;
+
+    const { u, v } = OpeningPlacement.getFaceCoords(opening.face, opening);
+    const [s, t] = map.toSurface(u, v);
+    const [stretchS, stretchT] = map.stretch ? map.stretch(u, v) : [1, 1];
+    const cos = Math.cos(map.angle);
+    const sin = Math.sin(map.angle);
+    const points = (outline || OpeningPlacement._outline(opening)).map(([x, y]) => [
+      s + (x * cos - y * sin) * stretchS,
+      t + (x * sin + y * cos) * stretchT
+    ]);
+
+    return { surface, center: [s, t], points };
+  },
+
+  /**
+   * Footprints of the other openings on the same piece
+   * @param {Object} opening - Opening being placed
+   * @param {Object} piece - Parent piece
+   * @param {Array} openings - Openings in the design
+   * @returns {Array} Footprints, each with the opening it belongs to
+   */
+  _neighbourFootprints: (opening, piece, openings) => openings
+    .filter(other => other.id !== opening.id && other.parentPieceId === opening.parentPieceId)
+    .map(other => ({ opening: other, footprint: OpeningPlacement.getFootprint(other, piece) }))
+    .filter(neighbour => neighbour.footprint),
+
+  // ========================================
+  // CLEARANCE GEOMETRY
+  // ========================================
+
+  /**
+   * Smallest distance from any outline point to the edge of the surface (negative when outside)
+   * Edges across a wrapping axis are seams, not edges, and are skipped
+   * @param {Array} points - Outline points [s, t]
+   * @param {Object} surface - Wall surface
+   * @param {number} enough - Stop looking once the clearance drops below this
+   * @returns {number} Clearance
+   */
+  _edgeClearance: (points, surface, enough = -Infinity) => {
+    const { boundary, wrap } = surface;
+    let clearance = Infinity;
+
+    for (let i = 0; i < boundary.length; i++) {
+      const start = boundary[i];
+      const end = boundary[(i + 1) % boundary.length];
+      const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+      if (length < OpeningPlacement.settings.epsilon) continue;
+
+      // Inward normal of a counter-clockwise boundary
+      const normalS = -(end[1] - start[1]) / length;
+      const normalT = (end[0] - start[0]) / length;
+      if (wrap && Math.abs(wrap.axis === 's' ? normalS : normalT) > 0.5) continue;
+
+      for (const [ps, pt] of points) {
+        clearance = Math.min(clearance, (ps - start[0]) * normalS + (pt - start[1]) * normalT);
+        if (clearance < enough) return clearance;
+      }
+    }
+
+    return clearance;
+  },
+
+  /**
+   * Gap between two convex outlines (0 when they overlap)
+   * The widest gap along any edge normal, which never overstates the true distance
+   * @param {Array} a - Outline points [s, t]
+   * @param {Array} b - Outline points [s, t]
+   * @param {number} enough - Stop looking once the gap reaches this
+   * @returns {number} Gap
+   */
+  _outlineGap: (a, b, enough = Infinity) => {
+    const bounds = points => {
+      let minS = Infinity, maxS = -Infinity, minT = Infinity, maxT = -Infinity;
+      for (const [ps, pt] of points) {
+        if (ps < minS) minS = ps;
+        if (ps > maxS) maxS = ps;
+        if (pt < minT) minT = pt;
+        if (pt > maxT) maxT = pt;
+      }
+      return { minS, maxS, minT, maxT };
+    };
+    const boxA = bounds(a);
+    const boxB = bounds(b);
+    let gap = Math.max(0, boxB.minS - boxA.maxS, boxA.minS - boxB.maxS, boxB.minT - boxA.maxT, boxA.minT - boxB.maxT);
+    if (gap >= enough) return gap;
+
+    const project = (points, axisS, axisT) => {
+      let min = Infinity, max = -Infinity;
+      for (const [ps, pt] of points) {
+        const value = ps * axisS + pt * axisT;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      return [min, max];
+    };
+
+    for (const outline of [a, b]) {
+      for (let i = 0; i < outline.length; i++) {
+        const start = outline[i];
+        const end = outline[(i + 1) % outline.length];
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+        if (length < OpeningPlacement.settings.epsilon) continue;
+
+        const axisS = -(end[1] - start[1]) / length;
+        const axisT = (end[0] - start[0]) / length;
+        const rangeA = project(a, axisS, axisT);
+        const rangeB = project(b, axisS, axisT);
+        gap = Math.max(gap, rangeB[0] - rangeA[1], rangeA[0] - rangeB[1]);
+        if (gap >= enough) return gap;
+      }
+    }
+    return gap;
+  },
+
+  /**
+   * Gap between two footprints on the same surface, measured the short way round a wrapping wall
+   * @param {Object} a - Footprint
+   * @param {Object} b - Footprint
+   * @param {number} enough - Stop looking once the gap reaches this
+   * @returns {number} Gap
+   */
+  _footprintGap: (a, b, enough = Infinity) => {
+    const { wrap } = a.surface;
+    const shifts = wrap ? [0, wrap.period, -wrap.period] : [0];
+    const index = wrap && wrap.axis === 't' ? 1 : 0;
+
+    return Math.min(...shifts.map(shift => {
+      const shifted = shift === 0 ? b.points : b.points.map(point => {
+        const moved = [...point];
+        moved[index] += shift;
+        return moved;
+      });
+      return OpeningPlacement._outlineGap(a.points, shifted, enough);
+    }));
+  },
+
+  // ========================================
+  // VALIDATION
+  // ========================================
+
+  /**
+   * Checks that an opening fits its wall with a margin all round and keeps clear of its neighbours
+   * @param {Object} opening - Opening at the position being checked
+   * @param {Object} piece - Parent piece
+   * @param {Array} openings - Openings in the design (others on the same piece are checked)
+   * @param {string} unitSystem - Unit system for lengths in messages
+   * @returns {Object} {valid, issues, surfaceId} - issues are {type, message, openingId?}
+   */
+  validate: (opening, piece, openings = [], unitSystem = null) => {
+    const { edgeMargin, minSpacing, epsilon } = OpeningPlacement.settings;
+    const footprint = OpeningPlacement.getFootprint(opening, piece);
+    if (!footprint) {
+      const { reason } = OpeningPlacement.getFaceSurface(piece, opening.face);
+      return { valid: false, issues: [{ type: 'face', message: reason }], surfaceId: null };
+    }
+
+    const issues = [];
+    const { surface } = footprint;
+    const margin = Units.formatLength(edgeMargin, unitSystem);
+
+    const clearance = OpeningPlacement._edgeClearance(footprint.points, surface);
+    if (clearance < edgeMargin - epsilon) {
+      const xs = surface.boundary.map(point => point[0]);
+      const ys = surface.boundary.map(point => point[1]);
+      const across = surface.wrap && surface.wrap.axis === 's' ? Infinity : Math.max(...xs) - Math.min(...xs);
+      const tall = surface.wrap && surface.wrap.axis === 't' ? Infinity : Math.max(...ys) - Math.min(...ys);
+      const spanS = Math.max(...footprint.points.map(p => p[0])) - Math.min(...footprint.points.map(p => p[0]));
+      const spanT = Math.max(...footprint.points.map(p => p[1])) - Math.min(...footprint.points.map(p => p[1]));
+      const tooBig = spanS > across - edgeMargin * 2 || spanT > tall - edgeMargin * 2;
+
+      issues.push({
+        type: 'edge',
+        message: tooBig
+          ? `Too big for the ${surface.name}`
+          : `Needs ${margin} of wall between it and the edge of the ${surface.name}`
+      });
+    }
+
+    OpeningPlacement._neighbourFootprints(opening, piece, openings).forEach(({ opening: other, footprint: otherFootprint }) => {
+      if (otherFootprint.surface.id !== surface.id) return;
+
+      const gap = OpeningPlacement._footprintGap(footprint, otherFootprint, minSpacing);
+      if (gap < minSpacing - epsilon) {
+        issues.push({
+          type: 'overlap',
+          openingId: other.id,
+          message: gap <= epsilon
+            ? `Overlaps ${other.name}`
+            : `Needs ${Units.formatLength(minSpacing, unitSystem)} of wall between it and ${other.name}`
+        });
+      }
+    });
+
+    return { valid: issues.length === 0, issues, surfaceId: surface.id };
+  },
+
+  /**
+   * Whether a footprint clears the edge of its wall and every neighbour
+   * @param {Object|null} footprint - Footprint being checked
+   * @param {Array} neighbours - _neighbourFootprints result
+   * @returns {boolean} Whether it fits
+   */
+  _footprintFits: (footprint, neighbours) => {
+    const { edgeMargin, minSpacing, epsilon } = OpeningPlacement.settings;
+    if (!footprint) return false;
+    if (OpeningPlacement._edgeClearance(footprint.points, footprint.surface, edgeMargin - epsilon) < edgeMargin - epsilon) return false;
+
+    return neighbours.every(neighbour => (
+      neighbour.footprint.surface.id !== footprint.surface.id ||
+      OpeningPlacement._footprintGap(footprint, neighbour.footprint, minSpacing) >= minSpacing - epsilon
+    ));
+  },
+
+  /**
+   * Quick yes/no form of validate
+   * @param {Object} opening - Opening at the position being checked
+   * @param {Object} piece - Parent piece
+   * @param {Array} openings - Openings in the design
+   * @returns {boolean} Whether the opening fits where it is
+   */
+  fits: (opening, piece, openings = []) => OpeningPlacement._footprintFits(
+    OpeningPlacement.getFootprint(opening, piece),
+    OpeningPlacement._neighbourFootprints(opening, piece, openings)
+  ),
+
+  /**
+   * Where on a face an opening's center can go, sampled on a grid
+   * @param {Object} opening - Opening being placed (its face is used)
+   * @param {Object} piece - Parent piece
+   * @param {Array} openings - Openings in the design
+   * @param {number} steps - Grid cells across each side of the face
+   * @returns {Object} {face, extents, cellSize, cells} - cells are {u, v, valid}
+   */
+  getValidRegion: (opening, piece, openings = [], steps = 20) => {
+    const extents = OpeningPlacement.getFaceExtents(piece, opening.face);
+    const cellSize = { u: (extents.u * 2) / steps, v: (extents.v * 2) / steps };
+    const cells = [];
+    const faceSurface = OpeningPlacement.getFaceSurface(piece, opening.face);
+    const neighbours = OpeningPlacement._neighbourFootprints(opening, piece, openings);
+    const outline = OpeningPlacement._outline(opening);
+
+    for (let i = 0; i < steps; i++) {
+      for (let j = 0; j < steps; j++) {
+        const u = -extents.u + cellSize.u * (i + 0.5);
+        const v = -extents.v + cellSize.v * (j + 0.5);
+        const candidate = { ...opening, ...OpeningPlacement.toOffsets(opening.face, u, v) };
+        const footprint = faceSurface.surface && OpeningPlacement.getFootprint(candidate, piece, faceSurface, outline);
+        cells.push({ u, v, valid: !!footprint && OpeningPlacement._footprintFits(footprint, neighbours) });
+      }
+    }
+
+    return { face: opening.face, extents, cellSize, cells };
+  },
+
+  /**
+   * Nearest valid spot to the middle of a face, trying faces in order
+   * @param {Object} opening - Opening to place (size and shape are used)
+   * @param {Object} piece - Parent piece
+   * @param {Array} openings - Openings in the design
+   * @param {Array} faces - Faces to try, most preferred first
+   * @returns {Object|null} {face, offsetX, offsetY, offsetZ}, or null when nothing fits
+   */
+  findSpot: (opening, piece, openings = [], faces = [opening.face]) => {
+    const steps = OpeningPlacement.settings.searchSteps;
+    const neighbours = OpeningPlacement._neighbourFootprints(opening, piece, openings);
+    const outline = OpeningPlacement._outline(opening);
+
+    for (const face of faces) {
+      const faceSurface = OpeningPlacement.getFaceSurface(piece, face);
+      if (!faceSurface.surface) continue;
+
+      const extents = OpeningPlacement.getFaceExtents(piece, face);
+      const candidates = [];
+      for (let i = 0; i <= steps; i++) {
+        for (let j = 0; j <= steps; j++) {
+          candidates.push({
+            u: -extents.u + (extents.u * 2 * i) / steps,
+            v: -extents.v + (extents.v * 2 * j) / steps
+          });
+        }
+      }
+      candidates.sort((a, b) => (a.u * a.u + a.v * a.v) - (b.u * b.u + b.v * b.v));
+
+      for (const { u, v } of candidates) {
+        const spot = { face, ...OpeningPlacement.toOffsets(face, u, v) };
+        const footprint = OpeningPlacement.getFootprint({ ...opening, ...spot }, piece, faceSurface, outline);
+        if (OpeningPlacement._footprintFits(footprint, neighbours)) return spot;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Slides an opening across its wall
+   * The step is measured along the wall, so openings follow slopes and curves; on a round wall
+   * the opening is handed to whichever face looks most squarely at its new spot
+   * @param {Object} opening - Opening to move
+   * @param {Object} piece - Parent piece
+   * @param {number} du - Step along the face's horizontal axis
+   * @param {number} dv - Step along the face's vertical axis
+   * @returns {Object} {face, offsetX, offsetY, offsetZ}
+   */
+  moveBy: (opening, piece, du, dv) => {
+    const { face } = opening;
+    const { u, v } = OpeningPlacement.getFaceCoords(face, opening);
+    const { surface, map } = OpeningPlacement.getFaceSurface(piece, face);
+    const distance = Math.hypot(du, dv);
+    if (!surface || distance === 0) return { face, ...OpeningPlacement.toOffsets(face, u + du, v + dv) };
+
+    // Which way the face's step runs along the wall
+    const probe = 0.01;
+    const [s, t] = map.toSurface(u, v);
+    const [probeS, probeT] = map.toSurface(u + (du / distance) * probe, v + (dv / distance) * probe);
+    const length = Math.hypot(probeS - s, probeT - t) || 1;
+    const next = [s + ((probeS - s) / length) * distance, t + ((probeT - t) / length) * distance];
+
+    if (surface.wrap) {
+      const index = surface.wrap.axis === 's' ? 0 : 1;
+      const { period } = surface.wrap;
+      next[index] = ((next[index] + period / 2) % period + period) % period - period / 2;
+    }
+
+    let best = null;
+    Object.entries(surface.faces).forEach(([candidateFace, candidateMap]) => {
+      const result = candidateMap.fromSurface(next[0], next[1]);
+      if (!result) return;
+      const preferred = candidateFace === face ? OpeningPlacement.settings.epsilon : 0;
+      if (!best || result.facing + preferred > best.facing) best = { face: candidateFace, ...result, facing: result.facing + preferred };
+    });
+
+    if (!best) return { face, ...OpeningPlacement.toOffsets(face, u + du, v + dv) };
+    return { face: best.face, ...OpeningPlacement.toOffsets(best.face, best.u, best.v) };
+  }
+};
+
+// Export for use in other modules
+window.OpeningPlacement = OpeningPlacement;
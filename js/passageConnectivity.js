@@ -0,0 +1,454 @@
+// =====================================================
+// PASSAGE CONNECTIVITY SYSTEM -v1- CRAWL-THROUGH GRAPH
+// =====================================================
+
+const PassageConnectivity = {
+
+  // ========================================
+  // ANALYSIS SETTINGS
+  // ========================================
+
+  /**
+   * Tolerances for lining up openings and tunnel ends
+   * Distances in inches, angles in degrees
+   */
+  settings: {
+    minPassage: 5,        // Narrowest gap a cat can squeeze through
+    minOverlap: 1,        // Portals sharing less than this are merely near each other
+    maxGap: 2,            // Portals this far apart along their normals still line up
+    maxAngle: 30,         // How far two portals may be from facing each other squarely
+    probeDistance: 2,     // How far past an unmatched portal to look for something in the way
+    routeStandoff: 4      // Routes start and end this far outside an entrance
+  },
+
+  // Graph node for the space around the cat tree
+  OUTSIDE: 'outside',
+
+  // Shapes that count as tunnels; everything else hollow is a house
+  TUNNEL_SHAPES: ['tunnel', 'tube-tunnel', 'tunnel-ramp', 'tunnel-curve90'],
+
+  // Local-space portals by piece ID: {signature, portals}, replaced when the piece or its openings change
+  _localPortalCache: new Map(),
+
+  // ========================================
+  // PORTALS - OPENINGS & OPEN TUNNEL ENDS
+  // ========================================
+
+  /**
+   * Open ends of a tunnel, in the frame the hollow walls are built in
+   * Clear sizes are the bore inside the walls, matching _buildHollowWalls
+   * @param {Object} piece - Hollow piece
+   * @returns {Array} Portals {key, kind, position, normal, up, width, height}
+   */
+  getOpenEnds: (piece) => {
+    const scale = OpeningPlacement.settings.renderScale;
+    const wall = CatTreePieces.getHollowWallThickness(piece);
+    const vector = (x, y, z) => new THREE.Vector3(x, y, z);
+    const end = (key, position, normal, up, width, height) => ({ key, kind: 'end', position, normal, up, width, height });
+
+    switch (piece.shape) {
+      case 'tunnel':
+      case 'tunnel-ramp': {
+        const half = (piece.width * scale) / 2;
+        const clearHeight = (piece.height - 2 * wall) * scale;
+        const clearDepth = (piece.depth - 2 * wall) * scale;
+        const ends = [
+          end('left', vector(-half, 0, 0), vector(-1, 0, 0), vector(0, 1, 0), clearDepth, clearHeight),
+          end('right', vector(half, 0, 0), vector(1, 0, 0), vector(0, 1, 0), clearDepth, clearHeight)
+        ];
+        if (piece.shape === 'tunnel') return ends;
+
+        // The ramp is the same tunnel tipped up by 30°
+        const tilt = new THREE.Quaternion().setFromAxisAngle(vector(0, 0, 1), Math.PI / 6);
+        return ends.map(portal => ({
+          ...portal,
+          position: portal.position.applyQuaternion(tilt),
+          normal: portal.normal.applyQuaternion(tilt),
+          up: portal.up.applyQuaternion(tilt)
+        }));
+      }
+
+      case 'tube-tunnel': {
+        const half = (piece.width * scale) / 2;
+        const bore = piece.height * scale - 2 * wall;
+        return [
+          end('left', vector(-half, 0, 0), vector(-1, 0, 0), vector(0, 1, 0), bore, bore),
+          end('right', vector(half, 0, 0), vector(1, 0, 0), vector(0, 1, 0), bore, bore)
+        ];
+      }
+
+      case 'tunnel-curve90': {
+        // The bend circles the origin from -x round to -z; its ends face front and right
+        const bend = (Math.min(piece.width, piece.depth) * scale) / 3;
+        const bore = piece.height * scale - 2 * wall;
+        return [
+          end('front', vector(-bend, 0, 0), vector(0, 0, 1), vector(0, 1, 0), bore, bore),
+          end('right', vector(0, 0, -bend), vector(1, 0, 0), vector(0, 1, 0), bore, bore)
+        ];
+      }
+
+      default:
+        return [];
+    }
+  },
+
+  /**
+   * Openings cut in a piece's walls, in the frame the hollow walls are built in
+   * A paw print is only as passable as its biggest pad, so each portal is the largest hole cut
+   * @param {Object} piece - Hollow piece
+   * @param {Array} openings - Openings on the piece
+   * @returns {Array} Portals {key, kind, openingId, position, normal, up, width, height}
+   */
+  _openingPortals: (piece, openings) => {
+    if (openings.length === 0) return [];
+    const walls = CatTreePieces._buildHollowWalls(piece);
+
+    const portals = openings.map(opening => {
+      const placement = CatTreePieces.getOpeningPlacement(opening, piece, walls);
+      const holes = CatTreePieces.getOpeningCutouts(opening.shape, opening.width, opening.height, 16)
+        .map(points => new THREE.Box2().setFromPoints(points));
+      const hole = holes.reduce((best, box) => {
+        const size = box.getSize(new THREE.Vector2());
+        return !best || Math.min(size.x, size.y) > Math.min(best.size.x, best.size.y) ? { box, size } : best;
+      }, null);
+      const center = hole.box.getCenter(new THREE.Vector2());
+
+      return {
+        key: opening.id,
+        kind: 'opening',
+        openingId: opening.id,
+        position: placement.position.clone()
+          .addScaledVector(placement.side, center.x)
+          .addScaledVector(placement.up, center.y),
+        normal: placement.normal.clone(),
+        up: placement.up.clone(),
+        width: hole.size.x,
+        height: hole.size.y
+      };
+    });
+
+    // The uncut walls were only needed to find the surface
+    walls.traverse(child => child.isMesh && child.geometry.dispose());
+    return portals;
+  },
+
+  /**
+   * Every way into or out of a hollow piece, relative to the piece
+   * @param {Object} piece - Hollow piece
+   * @param {Array} openings - Openings on the piece
+   * @returns {Array} Local-space portals
+   */
+  getLocalPortals: (piece, openings) => {
+    const signature = [
+      CollisionDetection.getShapeKey(piece),
+      ...openings.map(o => [o.id, o.face, o.shape, o.width, o.height, o.offsetX, o.offsetY, o.offsetZ].join(','))
+    ].join(';');
+    const cached = PassageConnectivity._localPortalCache.get(piece.id);
+    if (cached && cached.signature === signature) return cached.portals;
+
+    const portals = [
+      ...PassageConnectivity.getOpenEnds(piece),
+      ...PassageConnectivity._openingPortals(piece, openings)
+    ];
+    PassageConnectivity._localPortalCache.set(piece.id, { signature, portals });
+    return portals;
+  },
+
+  /**
+   * Portals of a piece placed in the world
+   * @param {Object} piece - Hollow piece
+   * @param {Array} openings - Openings on the piece
+   * @returns {Array} Portals {id, pieceId, key, kind, openingId, position, normal, up, side, width, height}
+   */
+  getPortals: (piece, openings) => {
+    const matrix = CollisionDetection.getPlacementMatrix(piece);
+    const rotation = new THREE.Matrix3().getNormalMatrix(matrix);
+
+    return PassageConnectivity.getLocalPortals(piece, openings).map(portal => {
+      const normal = portal.normal.clone().applyMatrix3(rotation).normalize();
+      const up = portal.up.clone().applyMatrix3(rotation).normalize();
+      return {
+        ...portal,
+        id: `${piece.id}:${portal.key}`,
+        pieceId: piece.id,
+        position: portal.position.clone().applyMatrix4(matrix),
+        normal,
+        up,
+        side: new THREE.Vector3().crossVectors(up, normal)
+      };
+    });
+  },
+
+  /**
+   * Point in the middle of a piece's inside, where a crawl route passes through
+   * @param {Object} piece - Hollow piece
+   * @returns {THREE.Vector3} World-space point
+   */
+  getInteriorPoint: (piece) => {
+    const point = new THREE.Vector3();
+    if (piece.shape === 'tunnel-curve90') {
+      // Halfway round the bend rather than the empty corner it wraps
+      const bend = (Math.min(piece.width, piece.depth) * OpeningPlacement.settings.renderScale) / 3;
+      point.set(bend * Math.cos(Math.PI * 1.25), 0, bend * Math.sin(Math.PI * 1.25));
+    }
+    return point.applyMatrix4(CollisionDetection.getPlacementMatrix(piece));
+  },
+
+  // ========================================
+  // ALIGNMENT
+  // ========================================
+
+  /**
+   * How well two portals on different pieces line up
+   * They must face each other, sit close along their normals and overlap across them
+   * @param {Object} a - World-space portal
+   * @param {Object} b - World-space portal
+   * @returns {Object|null} {gap, clearance} - clearance is the narrower side of the shared hole
+   */
+  getAlignment: (a, b) => {
+    const { maxAngle, maxGap, minOverlap } = PassageConnectivity.settings;
+    if (a.normal.dot(b.normal) > -Math.cos(maxAngle * Math.PI / 180)) return null;
+
+    const offset = b.position.clone().sub(a.position);
+    const gap = Math.abs(offset.dot(a.normal));
+    if (gap > maxGap) return null;
+
+    // Overlap of the two holes along one of a's axes, with b projected onto it
+    const overlap = (axis, size) => {
+      const center = offset.dot(axis);
+      const reach = Math.abs(b.side.dot(axis)) * b.width / 2 + Math.abs(b.up.dot(axis)) * b.height / 2;
+      return Math.min(size / 2, center + reach) - Math.max(-size / 2, center - reach);
+    };
+    const clearance = Math.min(overlap(a.side, a.width), overlap(a.up, a.height));
+    return clearance >= minOverlap ? { gap, clearance } : null;
+  },
+
+  // ========================================
+  // GRAPH ANALYSIS
+  // ========================================
+
+  /**
+   * Builds the passage graph of a design
+   * Lined-up portals become passages between pieces; unmatched portals lead outside unless
+   * something (another piece or the floor) is in the way. Passages and exits narrower than
+   * settings.minPassage are reported but a cat can't use them.
+   * @param {Array} pieces - Array of piece objects
+   * @param {Array} openings - Array of opening objects
+   * @returns {Object} {portals, passages, nodes, graph, enclosed, deadEnds}
+   */
+  analyze: (pieces, openings = []) => {
+    const startTime = performance.now();
+    const { minPassage, probeDistance } = PassageConnectivity.settings;
+    const hollowPieces = pieces.filter(p => p.hollow);
+
+    // Forget pieces that are gone
+    const hollowIds = new Set(hollowPieces.map(p => p.id));
+    PassageConnectivity._localPortalCache.forEach((entry, pieceId) => {
+      if (!hollowIds.has(pieceId)) PassageConnectivity._localPortalCache.delete(pieceId);
+    });
+
+    const portals = hollowPieces.flatMap(piece => {
+      try {
+        return PassageConnectivity.getPortals(piece, openings.filter(o => o.parentPieceId === piece.id));
+      } catch (error) {
+        console.warn(`⚠️ Could not find the openings of ${piece.name}:`, error);
+        return [];
+      }
+    });
+
+    // Pair up facing portals, best overlap first, each portal used once
+    const candidates = [];
+    for (let i = 0; i < portals.length; i++) {
+      for (let j = i + 1; j < portals.length; j++) {
+        if (portals[i].pieceId === portals[j].pieceId) continue;
+        const alignment = PassageConnectivity.getAlignment(portals[i], portals[j]);
+        if (alignment) candidates.push({ a: portals[i], b: portals[j], ...alignment });
+      }
+    }
+    candidates.sort((x, y) => y.clearance - x.clearance);
+
+    const passages = [];
+    candidates.forEach(({ a, b, gap, clearance }) => {
+      if (a.passageId || b.passageId) return;
+      const passage = {
+        id: `${a.id}|${b.id}`,
+        pieceIds: [a.pieceId, b.pieceId],
+        pieceNames: [a.pieceId, b.pieceId].map(id => hollowPieces.find(p => p.id === id).name),
+        portalIds: [a.id, b.id],
+        gap,
+        clearance,
+        passable: clearance >= minPassage
+      };
+      a.passageId = passage.id;
+      b.passageId = passage.id;
+      passages.push(passage);
+    });
+
+    // Whatever isn't joined to another piece opens outside, or onto something in the way
+    portals.forEach(portal => {
+      if (portal.passageId) {
+        portal.status = 'linked';
+        return;
+      }
+      portal.clearance = Math.min(portal.width, portal.height);
+      const probe = portal.position.clone().addScaledVector(portal.normal, probeDistance);
+      const obstruction = probe.y < 0
+        ? { id: null, name: 'the floor' }
+        : CollisionDetection.findObstruction(portal.position, probe, pieces.filter(p => p.id !== portal.pieceId));
+
+      if (obstruction) {
+        portal.status = 'blocked';
+        portal.blockedBy = { pieceId: obstruction.id, name: obstruction.name };
+      } else {
+        portal.status = 'exit';
+        portal.passable = portal.clearance >= minPassage;
+      }
+    });
+
+    // Adjacency over the ways a cat fits through
+    const graph = new Map([[PassageConnectivity.OUTSIDE, []], ...hollowPieces.map(p => [p.id, []])]);
+    const portalById = new Map(portals.map(portal => [portal.id, portal]));
+    passages.filter(passage => passage.passable).forEach(passage => {
+      const [a, b] = passage.portalIds.map(id => portalById.get(id));
+      graph.get(a.pieceId).push({ pieceId: b.pieceId, fromPortal: a, toPortal: b, passageId: passage.id });
+      graph.get(b.pieceId).push({ pieceId: a.pieceId, fromPortal: b, toPortal: a, passageId: passage.id });
+    });
+    portals.filter(portal => portal.status === 'exit' && portal.passable).forEach(portal => {
+      graph.get(portal.pieceId).push({ pieceId: PassageConnectivity.OUTSIDE, fromPortal: portal, toPortal: null });
+      graph.get(PassageConnectivity.OUTSIDE).push({ pieceId: portal.pieceId, fromPortal: null, toPortal: portal });
+    });
+
+    const nodes = hollowPieces.map(piece => {
+      const own = portals.filter(portal => portal.pieceId === piece.id);
+      return {
+        pieceId: piece.id,
+        name: piece.name,
+        kind: PassageConnectivity.TUNNEL_SHAPES.includes(piece.shape) ? 'tunnel' : 'house',
+        interior: PassageConnectivity.getInteriorPoint(piece),
+        portalIds: own.map(portal => portal.id),
+        ways: graph.get(piece.id).length
+      };
+    });
+
+    // Spaces a cat can't reach from outside, grouped into connected pockets
+    const reachable = PassageConnectivity._reach(graph, PassageConnectivity.OUTSIDE);
+    const enclosed = [];
+    const grouped = new Set();
+    nodes.forEach(node => {
+      if (reachable.has(node.pieceId) || grouped.has(node.pieceId)) return;
+      const pocket = [...PassageConnectivity._reach(graph, node.pieceId)];
+      pocket.forEach(id => grouped.add(id));
+      enclosed.push({
+        pieceIds: pocket,
+        names: pocket.map(id => nodes.find(n => n.pieceId === id).name)
+      });
+    });
+
+    // Tunnels a cat can only back out of
+    const deadEnds = nodes
+      .filter(node => node.kind === 'tunnel' && node.ways < 2)
+      .map(node => ({
+        pieceId: node.pieceId,
+        name: node.name,
+        reasons: node.portalIds
+          .map(id => PassageConnectivity._describeUnusable(portalById.get(id), passages))
+          .filter(Boolean)
+      }));
+
+    const elapsed = performance.now() - startTime;
+    if (elapsed > 50) {
+      console.log(`🕳️ Passage graph: ${passages.length} passage(s) between ${hollowPieces.length} piece(s) in ${elapsed.toFixed(1)}ms`);
+    }
+
+    return { portals, passages, nodes, graph, enclosed, deadEnds };
+  },
+
+  /**
+   * Every node reachable from a starting node
+   * @param {Map} graph - Adjacency from analyze
+   * @param {string} start - Piece ID or OUTSIDE
+   * @returns {Set} Reachable node IDs, including the start
+   */
+  _reach: (graph, start) => {
+    const seen = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+      graph.get(queue.shift()).forEach(edge => {
+        if (seen.has(edge.pieceId)) return;
+        seen.add(edge.pieceId);
+        queue.push(edge.pieceId);
+      });
+    }
+    return seen;
+  },
+
+  /**
+   * Why a cat can't use a portal
+   * @param {Object} portal - Analyzed portal
+   * @param {Array} passages - Passages from analyze
+   * @returns {string|null} Short reason, or null when the portal is usable
+   */
+  _describeUnusable: (portal, passages) => {
+    const label = portal.kind === 'end' ? `${portal.key} end` : 'opening';
+
+    if (portal.status === 'blocked') return `${label} blocked by ${portal.blockedBy.name}`;
+    if (portal.status === 'exit' && !portal.passable) return `${label} too small for a cat`;
+    if (portal.status === 'linked' && !passages.find(p => p.id === portal.passageId).passable) {
+      return `${label} only partly lines up with its neighbour`;
+    }
+    return null;
+  },
+
+  // ========================================
+  // ROUTES
+  // ========================================
+
+  /**
+   * Shortest crawl between two spaces (fewest pieces), through passages and entrances
+   * @param {Object} analysis - Result of analyze
+   * @param {string} toId - Destination piece ID (or OUTSIDE)
+   * @param {string} fromId - Starting piece ID, outside the tree by default
+   * @returns {Object|null} {pieceIds, passageIds, points} with world-space {x, y, z} waypoints,
+   *   or null when there is no way through
+   */
+  findRoute: (analysis, toId, fromId = PassageConnectivity.OUTSIDE) => {
+    const { graph, nodes } = analysis;
+    if (!graph.has(toId) || !graph.has(fromId) || toId === fromId) return null;
+
+    // Breadth-first search, remembering the edge that reached each node
+    const via = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length > 0 && !via.has(toId)) {
+      const current = queue.shift();
+      graph.get(current).forEach(edge => {
+        if (via.has(edge.pieceId)) return;
+        via.set(edge.pieceId, { ...edge, from: current });
+        queue.push(edge.pieceId);
+      });
+    }
+    if (!via.has(toId)) return null;
+
+    const edges = [];
+    for (let edge = via.get(toId); edge; edge = via.get(edge.from)) edges.unshift(edge);
+
+    const standoff = portal => portal.position.clone()
+      .addScaledVector(portal.normal, PassageConnectivity.settings.routeStandoff);
+    const interior = id => nodes.find(node => node.pieceId === id).interior;
+
+    const points = [fromId === PassageConnectivity.OUTSIDE ? standoff(edges[0].toPortal) : interior(fromId)];
+    edges.forEach(edge => {
+      if (edge.fromPortal) points.push(edge.fromPortal.position);
+      if (edge.toPortal) points.push(edge.toPortal.position);
+      points.push(edge.pieceId === PassageConnectivity.OUTSIDE ? standoff(edge.fromPortal) : interior(edge.pieceId));
+    });
+
+    return {
+      pieceIds: edges.map(edge => edge.pieceId).filter(id => id !== PassageConnectivity.OUTSIDE),
+      passageIds: edges.map(edge => edge.passageId).filter(Boolean),
+      points: points.map(point => ({ x: point.x, y: point.y, z: point.z }))
+    };
+  }
+};
+
+// Export for use in other modules
+window.PassageConnectivity = PassageConnectivity;
@@ -0,0 +1,233 @@
+// =====================================================
+// PRICE CATALOG SYSTEM -v1- SUPPLIER PROFILES & PRICE OVERRIDES
+// =====================================================
+
+/**
+ * Prices pieces and hardware from an editable catalog
+ * A catalog (supplier profile) only stores overrides; anything it doesn't list falls back to
+ * the variant's baseCost, the material's costMultiplier and the connection type's cost.
+ * The built-in profile has no overrides and can't be edited; user profiles are kept in settings.
+ *
+ * Catalog shape: { id, name, variants: {variantId: price}, materials: {material: multiplier}, hardware: {connectionType: cost} }
+ */
+const PriceCatalog = {
+
+  DEFAULT_PROFILE_ID: 'default',
+
+  // Override tables every catalog carries
+  SECTIONS: ['variants', 'materials', 'hardware'],
+
+  // ========================================
+  // PROFILES
+  // ========================================
+
+  /**
+   * The built-in catalog: list prices from the piece and hardware definitions
+   * @returns {Object} Catalog with no overrides
+   */
+  getDefaultProfile: () => ({
+    id: PriceCatalog.DEFAULT_PROFILE_ID,
+    name: 'List prices',
+    builtIn: true,
+    variants: {},
+    materials: {},
+    hardware: {}
+  }),
+
+  /**
+   * Every profile, built-in first
+   * @returns {Array} Catalogs
+   */
+  getProfiles: () => {
+    const stored = DesignStorage.getSetting('priceProfiles') || [];
+    return [PriceCatalog.getDefaultProfile(), ...stored.map(PriceCatalog.normalize).filter(Boolean)];
+  },
+
+  /**
+   * Finds a profile by ID
+   * @param {string} id - Profile ID
+   * @returns {Object|null} Catalog or null if not found
+   */
+  getProfile: (id) => PriceCatalog.getProfiles().find(profile => profile.id === id) || null,
+
+  /**
+   * The profile selected in settings, falling back to the built-in one
+   * @returns {Object} Catalog
+   */
+  getActiveProfile: () => (
+    PriceCatalog.getProfile(DesignStorage.getSetting('activePriceProfile')) || PriceCatalog.getDefaultProfile()
+  ),
+
+  /**
+   * Remembers which profile new sessions start with
+   * @param {string} id - Profile ID
+   */
+  setActiveProfileId: (id) => {
+    DesignStorage.updateSettings({ activePriceProfile: id });
+  },
+
+  /**
+   * Adds or replaces a user profile
+   * @param {Object} profile - Catalog to store (the built-in profile is ignored)
+   * @returns {Object} The stored catalog
+   */
+  saveProfile: (profile) => {
+    if (profile.id === PriceCatalog.DEFAULT_PROFILE_ID) return PriceCatalog.getDefaultProfile();
+
+    const normalized = PriceCatalog.normalize(profile);
+    const stored = (DesignStorage.getSetting('priceProfiles') || []).filter(p => p.id !== normalized.id);
+    DesignStorage.updateSettings({ priceProfiles: [...stored, normalized] });
+    return normalized;
+  },
+
+  /**
+   * Creates a supplier profile, copying another profile's prices
+   * @param {string} name - Supplier name
+   * @param {Object} basedOn - Catalog to copy overrides from
+   * @returns {Object} The new catalog
+   */
+  createProfile: (name, basedOn = null) => {
+    console.log(`🏷️ Creating price profile "${name}"`);
+    return PriceCatalog.saveProfile({
+      ...(basedOn || PriceCatalog.getDefaultProfile()),
+      id: SharedUtils.Utils.generateId('supplier'),
+      name,
+      builtIn: false
+    });
+  },
+
+  /**
+   * Deletes a user profile
+   * @param {string} id - Profile ID
+   */
+  deleteProfile: (id) => {
+    const stored = (DesignStorage.getSetting('priceProfiles') || []).filter(p => p.id !== id);
+    const updates = { priceProfiles: stored };
+    if (DesignStorage.getSetting('activePriceProfile') === id) updates.activePriceProfile = PriceCatalog.DEFAULT_PROFILE_ID;
+    DesignStorage.updateSettings(updates);
+  },
+
+  /**
+   * Keeps a catalog that arrived with a design, unless a profile with its ID already exists
+   * @param {Object} catalog - Catalog saved in a design
+   */
+  importProfile: (catalog) => {
+    if (catalog.id === PriceCatalog.DEFAULT_PROFILE_ID || PriceCatalog.getProfile(catalog.id)) return;
+    console.log(`🏷️ Added price profile "${catalog.name}" from the opened design`);
+    PriceCatalog.saveProfile(catalog);
+  },
+
+  /**
+   * Cleans up a catalog from storage or a design file
+   * Keeps only finite, non-negative numbers in the override tables
+   * @param {Object} raw - Catalog-like object
+   * @returns {Object|null} Catalog, or null when it has no ID
+   */
+  normalize: (raw) => {
+    if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string') return null;
+
+    const catalog = {
+      id: raw.id,
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Unnamed supplier',
+      builtIn: raw.id === PriceCatalog.DEFAULT_PROFILE_ID
+    };
+    PriceCatalog.SECTIONS.forEach(section => {
+      const table = raw[section] && typeof raw[section] === 'object' ? raw[section] : {};
+      catalog[section] = Object.fromEntries(
+        Object.entries(table).filter(([, value]) => typeof value === 'number' && isFinite(value) && value >= 0)
+      );
+    });
+    return catalog;
+  },
+
+  /**
+   * Copy of a catalog with one override set, or removed when it matches the list price
+   * @param {Object} catalog - Catalog to change
+   * @param {string} section - 'variants', 'materials' or 'hardware'
+   * @param {string} key - Variant ID, material key or connection type
+   * @param {number|null} value - New value (null removes the override)
+   * @returns {Object} Updated catalog
+   */
+  setOverride: (catalog, section, key, value) => {
+    const table = { ...catalog[section] };
+    const listValue = PriceCatalog.getListValue(section, key);
+    if (value === null || Math.abs(value - listValue) < 1e-9) {
+      delete table[key];
+    } else {
+      table[key] = value;
+    }
+    return { ...catalog, [section]: table };
+  },
+
+  // ========================================
+  // PRICE LOOKUP
+  // ========================================
+
+  /**
+   * Price, multiplier or cost from the piece and hardware definitions
+   * @param {string} section - 'variants', 'materials' or 'hardware'
+   * @param {string} key - Variant ID, material key or connection type
+   * @returns {number} List value
+   */
+  getListValue: (section, key) => {
+    switch (section) {
+      case 'variants':
+        return CatTreePieces.getVariantById(key)?.baseCost ?? 0;
+      case 'materials':
+        return CatTreePieces.materials[key]?.costMultiplier ?? 1;
+      default:
+        return StructuralAnalysis.connectionTypes[key]?.cost ?? 0;
+    }
+  },
+
+  /**
+   * Catalog value with fallback to the list value
+   * @param {Object|null} catalog - Catalog (null uses list prices)
+   * @param {string} section - 'variants', 'materials' or 'hardware'
+   * @param {string} key - Variant ID, material key or connection type
+   * @returns {number} Value in effect
+   */
+  getValue: (catalog, section, key) => catalog?.[section]?.[key] ?? PriceCatalog.getListValue(section, key),
+
+  /**
+   * Cost of a connection's hardware
+   * @param {string} connectionType - Key of StructuralAnalysis.connectionTypes
+   * @param {Object|null} catalog - Catalog (null uses list prices)
+   * @returns {number} Cost in dollars
+   */
+  getConnectionCost: (connectionType, catalog = null) => PriceCatalog.getValue(catalog, 'hardware', connectionType),
+
+  /**
+   * Cost of a piece: its variant's price times its material's multiplier
+   * Pieces from unknown variants keep the cost they were saved with, or count as free without one
+   * @param {Object} piece - Piece object
+   * @param {Object|null} catalog - Catalog (null uses list prices)
+   * @returns {number} Cost in dollars, rounded to cents
+   */
+  getPieceCost: (piece, catalog = null) => {
+    if (!CatTreePieces.getVariantById(piece.variantId)) return Number.isFinite(piece.cost) ? piece.cost : 0;
+    const price = PriceCatalog.getValue(catalog, 'variants', piece.variantId);
+    const multiplier = PriceCatalog.getValue(catalog, 'materials', piece.material || 'wood');
+    return Math.round(price * multiplier * 100) / 100;
+  },
+
+  /**
+   * Combined cost of pieces, leaving out accessories that come included with a kit
+   * @param {Array} pieces - Array of piece objects
+   * @param {Object|null} catalog - Catalog (null uses list prices)
+   * @returns {number} Cost in dollars, rounded to cents
+   */
+  getTotalCost: (pieces, catalog = null) => Math.round(pieces.reduce((sum, piece) => (
+    sum + (piece.included ? 0 : PriceCatalog.getPieceCost(piece, catalog))
+  ), 0) * 100) / 100,
+
+  /**
+   * Number of overrides in a catalog
+   * @param {Object} catalog - Catalog
+   * @returns {number} Override count
+   */
+  countOverrides: (catalog) => PriceCatalog.SECTIONS.reduce((sum, section) => sum + Object.keys(catalog[section] || {}).length, 0)
+};
+
+// Export for use in other modules
+window.PriceCatalog = PriceCatalog;
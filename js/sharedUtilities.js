@@ -1,5 +1,5 @@
 // =====================================================
-// SHARED UTILITIES & CONSTANTS -v2- SYSTEMATIC ORGANIZATION & DOCUMENTATION
+// SHARED UTILITIES & CONSTANTS -v4- CSV DOWNLOAD
 // =====================================================
 
 // ========================================
@@ -68,6 +68,10 @@ const MOVEMENT = {
   INCREMENTS: [0.5, 2, 6],
   DEFAULT_INCREMENT: 2,
   
+  // Movement increments offered in metric mode, in centimeters (see Units.getIncrements)
+  METRIC_INCREMENTS: [1, 5, 15],
+  DEFAULT_METRIC_INCREMENT: 5,
+  
   // Grid size limits for workspace
   MAX_GRID_SIZE: 20,        // Maximum grid size in feet
   MIN_GRID_SIZE: 2,         // Minimum grid size in feet
@@ -93,7 +97,21 @@ const PERFORMANCE = {
   DEBOUNCE_DELAY: 300,      // Default debounce delay in ms
   ANIMATION_DURATION: 200,   // Standard animation duration in ms
   UPDATE_THROTTLE: 16,      // ~60fps update throttling in ms
-  BATCH_SIZE: 50            // Maximum items to process in a batch
+  BATCH_SIZE: 50,           // Maximum items to process in a batch
+  AUTOSAVE_DELAY: 1500      // Quiet period before the working design is autosaved in ms
+};
+
+// ========================================
+// HISTORY CONSTANTS - UNDO/REDO
+// ========================================
+
+/**
+ * Undo/redo history limits
+ * Snapshots share unchanged piece objects, so memory grows with edits rather than design size
+ */
+const HISTORY = {
+  MAX_ENTRIES: 100,         // Oldest steps are dropped beyond this
+  COALESCE_WINDOW: 1000     // Repeated edits of the same kind within this many ms become one step
 };
 
 // ========================================
@@ -152,9 +170,14 @@ const PieceValidator = {
     if (!piece.hollow) {
       return { valid: false, reason: 'Only hollow pieces can have openings' };
     }
-    const pieceOpenings = existingOpenings.filter(o => o.parentPieceId === piece.id);
-    if (pieceOpenings.length >= 4) {
-      return { valid: false, reason: 'Maximum 4 openings per piece' };
+    const hasRoom = Object.values(CatTreePieces.getOpeningTypes()).some(type => OpeningPlacement.findSpot(
+      { ...type, id: 'candidate', parentPieceId: piece.id, face: 'front' },
+      piece,
+      existingOpenings,
+      OpeningPlacement.FACES
+    ));
+    if (!hasRoom) {
+      return { valid: false, reason: 'No wall has room for another opening' };
     }
     return { valid: true };
   },
@@ -209,13 +232,14 @@ const useDebounced = (value, delay = PERFORMANCE.DEBOUNCE_DELAY) => {
  * Memoized statistics calculation hook for design data
  * @param {Array} pieces - Array of piece objects
  * @param {Array} openings - Array of opening objects
+ * @param {Object|null} priceCatalog - Price catalog the cost is worked out with
  * @returns {Object} Calculated statistics
  */
-const useMemoizedStats = (pieces, openings) => {
+const useMemoizedStats = (pieces, openings, priceCatalog = null) => {
   const { useMemo } = React;
   
   return useMemo(() => {
-    const totalCost = pieces.reduce((sum, piece) => sum + piece.cost, 0);
+    const totalCost = PriceCatalog.getTotalCost(pieces, priceCatalog);
     const maxHeight = pieces.reduce((max, piece) => Math.max(max, piece.y + piece.height), 0);
     const averageHeight = pieces.length > 0 ? 
       pieces.reduce((sum, piece) => sum + piece.y + piece.height, 0) / pieces.length : 0;
@@ -246,7 +270,7 @@ const useMemoizedStats = (pieces, openings) => {
       lockedPieces: pieces.filter(p => p.locked).length,
       groupedPieces: pieces.filter(p => p.groupId).length
     };
-  }, [pieces, openings]);
+  }, [pieces, openings, priceCatalog]);
 };
 
 /**
@@ -280,8 +304,9 @@ const useThrottled = (callback, limit = PERFORMANCE.UPDATE_THROTTLE) => {
  * @param {Function} props.onChange - Change handler
  * @param {string} props.colorClass - Tailwind color class
  * @param {string} props.label - Label text
+ * @param {string} props.unitSystem - 'imperial' or 'metric'; picks the increments offered
  */
-const IncrementSelector = ({ value, onChange, colorClass = 'blue', label = 'Move:' }) => 
+const IncrementSelector = ({ value, onChange, colorClass = 'blue', label = 'Move:', unitSystem = 'imperial' }) => 
   React.createElement('div', {
     className: 'flex items-center justify-center space-x-2'
   }, [
@@ -292,17 +317,17 @@ const IncrementSelector = ({ value, onChange, colorClass = 'blue', label = 'Move
     React.createElement('div', { 
       key: 'buttons', 
       className: 'flex space-x-1' 
-    }, MOVEMENT.INCREMENTS.map(increment =>
+    }, Units.getIncrements(unitSystem).map(increment =>
       React.createElement('button', {
         key: increment,
         onClick: () => onChange(increment),
         className: `px-3 py-1 text-xs rounded-lg font-medium transition-all duration-200 transform hover:scale-105 ${
-          value === increment 
+          Math.abs(value - increment) < 1e-6 
             ? `bg-${colorClass}-500 text-white shadow-md scale-105` 
             : 'bg-gray-200 hover:bg-gray-300 text-gray-700 hover:shadow-sm'
         }`,
-        title: `Set movement increment to ${increment} inches`
-      }, `${increment}"`)
+        title: `Set movement increment to ${Units.formatLength(increment, unitSystem)}`
+      }, Units.formatLength(increment, unitSystem))
     ))
   ]);
 
@@ -477,9 +502,14 @@ const useThreeJSCleanup = () => {
   
   /**
    * Properly disposes of Three.js geometry and materials
+   * Piece meshes hand their cached materials back to the CatTreePieces reference count instead
    * @param {THREE.Object3D} object - Object to clean up
    */
   const cleanupGeometry = useCallback((object) => {
+    if (object.sharedMaterialKey && typeof CatTreePieces !== 'undefined') {
+      CatTreePieces.disposeMesh(object);
+      return;
+    }
     if (object.geometry) {
       object.geometry.dispose();
     }
@@ -508,10 +538,7 @@ const useThreeJSCleanup = () => {
     while (scene.children.length > 0) {
       const child = scene.children[0];
       scene.remove(child);
-      if (child.children) {
-        child.children.forEach(cleanupGeometry);
-      }
-      cleanupGeometry(child);
+      child.traverse(cleanupGeometry);
     }
   }, [cleanupGeometry]);
 
@@ -520,6 +547,8 @@ const useThreeJSCleanup = () => {
    * @param {THREE.Texture} texture - Texture to dispose
    */
   const cleanupTexture = useCallback((texture) => {
+    // Cached piece textures are freed by CatTreePieces when their last mesh is released
+    if (texture && texture.isSharedTexture) return;
     if (texture && typeof texture.dispose === 'function') {
       texture.dispose();
     }
@@ -567,6 +596,7 @@ const DataUtils = {
   
   /**
    * Calculates 3D bounding box for a collection of pieces
+   * Footprints account for each piece's Y rotation
    * @param {Array} pieces - Array of piece objects
    * @returns {Object|null} Bounding box dimensions or null if no pieces
    */
@@ -578,8 +608,10 @@ const DataUtils = {
     let maxY = 0;
     
     pieces.forEach(piece => {
-      const halfWidth = piece.width / 2;
-      const halfDepth = piece.depth / 2;
+      const cos = Math.abs(Math.cos(piece.rotationY || 0));
+      const sin = Math.abs(Math.sin(piece.rotationY || 0));
+      const halfWidth = (piece.width * cos + piece.depth * sin) / 2;
+      const halfDepth = (piece.width * sin + piece.depth * cos) / 2;
       
       minX = Math.min(minX, piece.x - halfWidth);
       maxX = Math.max(maxX, piece.x + halfWidth);
@@ -602,7 +634,7 @@ const DataUtils = {
   /**
    * Filters pieces by various criteria
    * @param {Array} pieces - Array of piece objects
-   * @param {Object} filters - Filter criteria
+   * @param {Object} filters - Filter criteria (cost limits use filters.catalog)
    * @returns {Array} Filtered pieces array
    */
   filterPieces: (pieces, filters) => {
@@ -614,8 +646,8 @@ const DataUtils = {
         const category = piece.variantId?.split('-')[0];
         if (category !== filters.category) return false;
       }
-      if (filters.minCost !== undefined && piece.cost < filters.minCost) return false;
-      if (filters.maxCost !== undefined && piece.cost > filters.maxCost) return false;
+      if (filters.minCost !== undefined && PriceCatalog.getPieceCost(piece, filters.catalog) < filters.minCost) return false;
+      if (filters.maxCost !== undefined && PriceCatalog.getPieceCost(piece, filters.catalog) > filters.maxCost) return false;
       return true;
     });
   },
@@ -625,9 +657,10 @@ const DataUtils = {
    * @param {Array} pieces - Array of piece objects
    * @param {string} sortBy - Sort criteria
    * @param {boolean} ascending - Sort direction
+   * @param {Object|null} catalog - Price catalog used when sorting by cost
    * @returns {Array} Sorted pieces array
    */
-  sortPieces: (pieces, sortBy, ascending = true) => {
+  sortPieces: (pieces, sortBy, ascending = true, catalog = null) => {
     const sorted = [...pieces].sort((a, b) => {
       let comparison = 0;
       
@@ -636,7 +669,7 @@ const DataUtils = {
           comparison = (a.y + a.height) - (b.y + b.height);
           break;
         case 'cost':
-          comparison = a.cost - b.cost;
+          comparison = PriceCatalog.getPieceCost(a, catalog) - PriceCatalog.getPieceCost(b, catalog);
           break;
         case 'name':
           comparison = a.name.localeCompare(b.name);
@@ -782,10 +815,11 @@ const Utils = {
    * @param {number} width - Width in inches
    * @param {number} height - Height in inches
    * @param {number} depth - Depth in inches
+   * @param {string} unitSystem - 'imperial' or 'metric'
    * @returns {string} Formatted dimensions
    */
-  formatDimensions: (width, height, depth) => {
-    return `${width}" × ${height}" × ${depth}"`;
+  formatDimensions: (width, height, depth, unitSystem = 'imperial') => {
+    return Units.formatDimensions(width, height, depth, unitSystem);
   },
 
   /**
@@ -806,6 +840,30 @@ const Utils = {
     URL.revokeObjectURL(url);
   },
 
+  /**
+   * Downloads rows as a CSV file
+   * Cells containing commas, quotes or line breaks are quoted
+   * @param {Array<Array>} rows - Rows of cell values, header row first
+   * @param {string} filename - Filename for download
+   */
+  downloadCSV: (rows, filename) => {
+    const escapeCell = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+    // Byte order mark so Excel reads the file as UTF-8 (¼, ⅜, × in item names)
+    const dataBlob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.endsWith('.csv') ? filename : `${filename}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  },
+
   /**
    * Reads a file as text
    * @param {File} file - File to read
@@ -834,7 +892,8 @@ window.SharedUtils = {
   COLORS,
   MOVEMENT,
   PERFORMANCE,
-  
+  HISTORY,
+
   // Validation
   PieceValidator,
   
@@ -0,0 +1,282 @@
+// =====================================================
+// STABILITY ANALYSIS SYSTEM -v2- ORIENTED SUPPORT POLYGON
+// =====================================================
+
+const StabilityAnalysis = {
+
+  // ========================================
+  // ANALYSIS SETTINGS
+  // ========================================
+
+  /**
+   * Tuning values for the tip-over check
+   * Distances in inches, forces in pounds
+   */
+  settings: {
+    groundTolerance: 0.5,     // Pieces whose bottom is within this of y=0 rest on the floor
+    catBodyHeight: 4,         // Height of a resting cat's center of mass above the surface
+    launchForceFactor: 1.0,   // Lateral push of a jumping cat as a multiple of its weight
+    marginalMargin: 2         // Tip margins under this many inches are flagged as marginal
+  },
+
+  // ========================================
+  // SUPPORT POLYGON
+  // ========================================
+
+  /**
+   * Support polygon: convex hull of the oriented bottom surface of every piece touching the floor
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Object} {polygon, groundPieces}
+   */
+  computeSupportPolygon: (pieces) => {
+    const groundPieces = pieces.filter(p =>
+      StructuralAnalysis.getOrientedFootprint(p).bottom.y <= StabilityAnalysis.settings.groundTolerance
+    );
+    const points = groundPieces.flatMap(p => StructuralAnalysis.getOrientedFootprint(p).bottom.parts.flat());
+    return {
+      polygon: StructuralAnalysis.convexHull(points),
+      groundPieces
+    };
+  },
+
+  /**
+   * Signed distance from a point to the edge of a convex polygon
+   * Positive inside the polygon, negative outside
+   * @param {Object} point - {x, z}
+   * @param {Array} polygon - Counter-clockwise hull points
+   * @returns {Object} {distance, edge} where edge is the nearest {from, to}
+   */
+  distanceToPolygonEdge: (point, polygon) => {
+    if (polygon.length === 0) return { distance: -Infinity, edge: null };
+
+    let nearest = { distance: Infinity, edge: null };
+    let inside = polygon.length >= 3;
+
+    polygon.forEach((from, i) => {
+      const to = polygon[(i + 1) % polygon.length];
+      const dx = to.x - from.x;
+      const dz = to.z - from.z;
+      const lengthSq = dx * dx + dz * dz;
+
+      // Left of every edge means inside a counter-clockwise polygon
+      if (dx * (point.z - from.z) - dz * (point.x - from.x) < 0) inside = false;
+
+      const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.z - from.z) * dz) / lengthSq))
+        : 0;
+      const distance = Math.hypot(point.x - (from.x + t * dx), point.z - (from.z + t * dz));
+      if (distance < nearest.distance) {
+        nearest = { distance, edge: { from, to } };
+      }
+    });
+
+    return { distance: inside ? nearest.distance : -nearest.distance, edge: nearest.edge };
+  },
+
+  // ========================================
+  // CENTER OF MASS
+  // ========================================
+
+  /**
+   * Places cats on resting spots for a worst-case scenario
+   * 'highest' fills the tallest spots first, 'outboard' the spots farthest from the base center
+   * Heaviest cats take the first spots; with more cats than spots they double up
+   * @param {Array} pieces - Array of piece objects
+   * @param {Array} catWeights - Cat weights in pounds
+   * @param {string} scenario - 'highest' or 'outboard'
+   * @param {Object} baseCenter - {x, z} center of the support polygon
+   * @returns {Array} Cat placements {spotId, spotName, weight, position}
+   */
+  placeCats: (pieces, catWeights, scenario, baseCenter) => {
+    const spots = StructuralAnalysis.getRestingSpots(pieces);
+    if (spots.length === 0 || catWeights.length === 0) return [];
+
+    const score = (spot) => scenario === 'highest'
+      ? StructuralAnalysis.getOrientedFootprint(spot).top.y
+      : Math.hypot(spot.x - baseCenter.x, spot.z - baseCenter.z);
+    const rankedSpots = spots.slice().sort((a, b) => score(b) - score(a));
+    const heaviestFirst = catWeights.slice().sort((a, b) => b - a);
+
+    return heaviestFirst.map((weight, index) => {
+      const spot = rankedSpots[index % rankedSpots.length];
+      return {
+        spotId: spot.id,
+        spotName: spot.name,
+        weight,
+        position: {
+          x: spot.x,
+          y: StructuralAnalysis.getOrientedFootprint(spot).top.y + StabilityAnalysis.settings.catBodyHeight,
+          z: spot.z
+        }
+      };
+    });
+  },
+
+  /**
+   * Combined center of mass of the structure plus placed cats
+   * Each piece's weight acts at its oriented center (tilted panels lean their weight over)
+   * @param {Array} pieces - Array of piece objects
+   * @param {Array} catPlacements - From placeCats
+   * @returns {Object} {x, y, z, structureWeight, catWeight, totalWeight}
+   */
+  calculateCenterOfMass: (pieces, catPlacements = []) => {
+    const masses = pieces.map(piece => {
+      const center = StructuralAnalysis.getOrientedFootprint(piece).center;
+      return {
+        weight: StructuralAnalysis.calculatePieceWeight(piece),
+        x: center.x,
+        y: center.y,
+        z: center.z
+      };
+    }).concat(catPlacements.map(cat => ({ weight: cat.weight, ...cat.position })));
+
+    const totalWeight = masses.reduce((sum, m) => sum + m.weight, 0);
+    const catWeight = catPlacements.reduce((sum, cat) => sum + cat.weight, 0);
+
+    if (totalWeight <= 0) {
+      return { x: 0, y: 0, z: 0, structureWeight: 0, catWeight, totalWeight: 0 };
+    }
+
+    return {
+      x: masses.reduce((sum, m) => sum + m.weight * m.x, 0) / totalWeight,
+      y: masses.reduce((sum, m) => sum + m.weight * m.y, 0) / totalWeight,
+      z: masses.reduce((sum, m) => sum + m.weight * m.z, 0) / totalWeight,
+      structureWeight: totalWeight - catWeight,
+      catWeight,
+      totalWeight
+    };
+  },
+
+  // ========================================
+  // TIP-OVER ANALYSIS
+  // ========================================
+
+  /**
+   * Tip-over check for a single cat placement scenario
+   * Critical push is the lateral force at the top of the tree that tips it over the nearest base edge
+   * @param {Array} pieces - Array of piece objects
+   * @param {Array} catWeights - Cat weights in pounds
+   * @param {string} scenario - 'highest' or 'outboard'
+   * @param {Object} support - From computeSupportPolygon
+   * @returns {Object} Scenario result
+   */
+  analyzeScenario: (pieces, catWeights, scenario, support) => {
+    const polygon = support.polygon;
+    const baseCenter = polygon.length > 0
+      ? {
+          x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+          z: polygon.reduce((sum, p) => sum + p.z, 0) / polygon.length
+        }
+      : { x: 0, z: 0 };
+
+    const catPlacements = StabilityAnalysis.placeCats(pieces, catWeights, scenario, baseCenter);
+    const centerOfMass = StabilityAnalysis.calculateCenterOfMass(pieces, catPlacements);
+    const { distance, edge } = StabilityAnalysis.distanceToPolygonEdge(centerOfMass, polygon);
+    const pushHeight = Math.max(...pieces.map(p => StructuralAnalysis.getOrientedFootprint(p).top.y));
+
+    const tipMargin = Number.isFinite(distance) ? distance : null;
+    const criticalPushForce = tipMargin !== null && tipMargin > 0 && pushHeight > 0
+      ? centerOfMass.totalWeight * tipMargin / pushHeight
+      : 0;
+    const tipAngle = tipMargin !== null && tipMargin > 0 && centerOfMass.y > 0
+      ? Math.atan2(tipMargin, centerOfMass.y) * 180 / Math.PI
+      : 0;
+
+    return {
+      scenario,
+      catPlacements,
+      centerOfMass,
+      tipMargin,
+      tipEdge: edge,
+      tipAngle,
+      pushHeight,
+      criticalPushForce
+    };
+  },
+
+  /**
+   * Full stability analysis: worst case of cats on the highest or the most outboard spots
+   * @param {Array} pieces - Array of piece objects
+   * @param {Array} catWeights - Cat weights in pounds
+   * @returns {Object|null} Stability result, or null for an empty design
+   */
+  analyzeStability: (pieces, catWeights = [15]) => {
+    if (!pieces || pieces.length === 0) return null;
+
+    const support = StabilityAnalysis.computeSupportPolygon(pieces);
+    const scenarios = ['highest', 'outboard'].map(scenario =>
+      StabilityAnalysis.analyzeScenario(pieces, catWeights, scenario, support)
+    );
+
+    // Worst case is the scenario with the least margin (no margin at all beats everything)
+    const marginOf = (result) => result.tipMargin === null ? -Infinity : result.tipMargin;
+    const worst = scenarios.reduce((a, b) => marginOf(b) < marginOf(a) ? b : a);
+
+    const maxCatWeight = catWeights.length > 0 ? Math.max(...catWeights) : 0;
+    const launchForce = maxCatWeight * StabilityAnalysis.settings.launchForceFactor;
+
+    let rating = 'stable';
+    if (support.groundPieces.length === 0 || worst.tipMargin === null || worst.tipMargin <= 0) {
+      rating = 'unstable';
+    } else if (worst.tipMargin < StabilityAnalysis.settings.marginalMargin || worst.criticalPushForce < launchForce) {
+      rating = 'marginal';
+    }
+
+    const result = {
+      rating,
+      scenario: worst.scenario,
+      supportPolygon: support.polygon,
+      groundPieceCount: support.groundPieces.length,
+      centerOfMass: worst.centerOfMass,
+      catPlacements: worst.catPlacements,
+      tipMargin: worst.tipMargin,
+      tipEdge: worst.tipEdge,
+      tipAngle: worst.tipAngle,
+      pushHeight: worst.pushHeight,
+      criticalPushForce: worst.criticalPushForce,
+      launchForce,
+      scenarios
+    };
+    result.recommendations = StabilityAnalysis.recommendStabilityFixes(result);
+
+    console.log(`🧭 Stability: ${rating} (margin ${worst.tipMargin === null ? 'n/a' : worst.tipMargin.toFixed(1) + '"'}, push ${worst.criticalPushForce.toFixed(1)} lbs, ${worst.scenario} cats)`);
+    return result;
+  },
+
+  /**
+   * Display color for a stability rating
+   * @param {string} rating - 'stable', 'marginal' or 'unstable'
+   * @returns {number} Hex color
+   */
+  getRatingColor: (rating) => {
+    if (rating === 'stable') return 0x00cc44; // Green - safe
+    if (rating === 'marginal') return 0xffaa00; // Amber - caution
+    return 0xff0000; // Red - tips over
+  },
+
+  /**
+   * Suggestions for improving tip-over resistance
+   * @param {Object} result - Stability result
+   * @returns {Array} Recommendation strings
+   */
+  recommendStabilityFixes: (result) => {
+    if (result.groundPieceCount === 0) {
+      return ['Nothing rests on the floor. Move the lowest piece down to y = 0.'];
+    }
+    if (result.rating === 'stable') return [];
+
+    const recommendations = [];
+    if (result.tipMargin !== null && result.tipMargin <= 0) {
+      recommendations.push('The center of gravity falls outside the base. The tree will tip over without an anchor.');
+    }
+    recommendations.push('Widen the base or add a floor-level platform under the overhanging side.');
+    if (result.catPlacements.length > 0) {
+      recommendations.push(`Move high or outboard resting spots (e.g. ${result.catPlacements[0].spotName}) closer to the center of the base.`);
+    }
+    recommendations.push('Anchor the tree to a wall with an anti-tip strap.');
+    return recommendations;
+  }
+};
+
+// Export for use in other modules
+window.StabilityAnalysis = StabilityAnalysis;
@@ -1,5 +1,5 @@
 // =====================================================
-// STRUCTURAL ANALYSIS SYSTEM -v1- WEIGHT & STRESS TESTING
+// STRUCTURAL ANALYSIS SYSTEM -v6- CATALOG HARDWARE PRICES
 // =====================================================
 
 const StructuralAnalysis = {
@@ -57,42 +57,50 @@ const StructuralAnalysis = {
   /**
    * Joint/bracket types that could be used between pieces
    * These would be actual hardware in the real build
+   * `hardware` lists the fasteners one connection uses, by BillOfMaterials.HARDWARE_ITEMS key
    */
   connectionTypes: {
     none: { 
       strength: 0, 
       cost: 0,
-      description: 'No connection (just stacked)'
+      description: 'No connection (just stacked)',
+      hardware: []
     },
     screws: { 
       strength: 50, 
       cost: 2,
-      description: 'Wood screws'
+      description: 'Wood screws',
+      hardware: [{ item: 'screw', count: 4 }]
     },
     brackets_light: { 
       strength: 75, 
       cost: 5,
-      description: 'Light duty L-brackets'
+      description: 'Light duty L-brackets',
+      hardware: [{ item: 'bracketLight', count: 2 }, { item: 'screw', count: 8 }]
     },
     brackets_heavy: { 
       strength: 150, 
       cost: 12,
-      description: 'Heavy duty brackets'
+      description: 'Heavy duty brackets',
+      hardware: [{ item: 'bracketHeavy', count: 2 }, { item: 'screwLong', count: 8 }]
     },
     bolts: { 
       strength: 200, 
       cost: 8,
-      description: 'Through-bolts with washers'
+      description: 'Through-bolts with washers',
+      hardware: [{ item: 'bolt', count: 2 }, { item: 'washer', count: 4 }, { item: 'nut', count: 2 }]
     },
     glue_and_screws: { 
       strength: 100, 
       cost: 6,
-      description: 'Wood glue + screws'
+      description: 'Wood glue + screws',
+      hardware: [{ item: 'screw', count: 4 }, { item: 'glue', count: 1 }]
     },
     metal_plate: { 
       strength: 250, 
       cost: 20,
-      description: 'Metal reinforcement plate'
+      description: 'Metal reinforcement plate',
+      hardware: [{ item: 'plate', count: 1 }, { item: 'screwLong', count: 6 }]
     }
   },
 
@@ -145,6 +153,268 @@ const StructuralAnalysis = {
     );
   },
 
+  // ========================================
+  // ORIENTED FOOTPRINTS
+  // ========================================
+  
+  /**
+   * Contact detection tolerances (inches / square inches)
+   */
+  contactSettings: {
+    verticalGap: 1,           // Max gap between a top and a bottom surface that still counts as resting
+    surfaceTolerance: 0.5,    // Vertices this close to a piece's highest/lowest point form its contact surface
+    minContactArea: 4,        // Smallest overlap that carries a load (e.g. 2" x 2")
+    roundSegments: 16         // Matches the radial segments used by CatTreePieces
+  },
+  
+  // Footprints are derived from immutable piece objects, so they can be cached per object
+  _footprintCache: new WeakMap(),
+  
+  /**
+   * Builds a regular or elliptical outline in local XZ
+   * @param {number} radiusX - Radius along X
+   * @param {number} radiusZ - Radius along Z
+   * @param {number} startAngle - Start angle in radians
+   * @param {number} endAngle - End angle in radians
+   * @param {number} segments - Number of segments over the full arc
+   * @returns {Array} Array of {x, z} points
+   */
+  _arcOutline: (radiusX, radiusZ, startAngle, endAngle, segments) => {
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const angle = startAngle + (endAngle - startAngle) * (i / segments);
+      points.push({ x: radiusX * Math.cos(angle), z: radiusZ * Math.sin(angle) });
+    }
+    // Closed arcs repeat the first point
+    if (Math.abs(endAngle - startAngle - Math.PI * 2) < 1e-9) points.pop();
+    return points;
+  },
+  
+  /**
+   * Local XZ outline of a piece's top or bottom surface as convex parts
+   * Mirrors the geometry built by CatTreePieces (flat shapes are extruded shapes rotated
+   * onto the floor, so shape-space Y becomes -Z)
+   * @param {Object} piece - Piece object
+   * @param {string} surface - 'top' or 'bottom'
+   * @returns {Array} Array of convex polygons, each an array of {x, z} points
+   */
+  getShapeOutline: (piece, surface) => {
+    const w = piece.width;
+    const d = piece.depth;
+    const segments = StructuralAnalysis.contactSettings.roundSegments;
+    const rect = (minX, maxX, minZ, maxZ) => [
+      { x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }
+    ];
+    const flip = (points) => points.map(p => ({ x: p.x, z: -p.z }));
+    
+    switch (piece.shape) {
+      case 'cylinder':
+      case 'raised-edge-round':
+        return [StructuralAnalysis._arcOutline(w / 2, w / 2, 0, Math.PI * 2, segments)];
+        
+      case 'tapered': {
+        const radius = surface === 'top' ? w / 4 : w / 2;
+        return [StructuralAnalysis._arcOutline(radius, radius, 0, Math.PI * 2, segments)];
+      }
+      
+      case 'oval':
+      case 'cushion':
+        return [StructuralAnalysis._arcOutline(w / 2, d / 2, 0, Math.PI * 2, segments)];
+        
+      case 'hexagon':
+        return [flip(StructuralAnalysis._arcOutline(w / 2, w / 2, 0, Math.PI * 2, 6))];
+        
+      case 'triangle':
+        return [[{ x: 0, z: -d / 2 }, { x: w / 2, z: d / 2 }, { x: -w / 2, z: d / 2 }]];
+        
+      case 'quarter-circle':
+        return [flip([{ x: 0, z: 0 }, ...StructuralAnalysis._arcOutline(w / 2, w / 2, 0, Math.PI / 2, segments / 4)])];
+        
+      case 'semicircle':
+        return [flip(StructuralAnalysis._arcOutline(w / 2, w / 2, 0, Math.PI, segments / 2))
+          .map(p => ({ x: p.x, z: p.z - d / 2 }))];
+        
+      case 'lshaped':
+        // Full-depth left leg plus the back half of the right side
+        return [rect(-w / 2, 0, -d / 2, d / 2), rect(0, w / 2, -d / 2, 0)];
+        
+      case 'aframe':
+        // Only the 1" ridge running front to back can carry anything on top
+        return surface === 'top' ? [rect(-0.5, 0.5, -d / 2, d / 2)] : [rect(-w / 2, w / 2, -d / 2, d / 2)];
+        
+      case 'tube-tunnel':
+        // A lying tube touches along a narrow strip
+        return [rect(-w / 2, w / 2, -1, 1)];
+        
+      default:
+        return [rect(-w / 2, w / 2, -d / 2, d / 2)];
+    }
+  },
+  
+  /**
+   * World-space footprint of a piece honoring rotationY, tiltX, tiltZ and shape
+   * Panels pivot from their bottom edge (YXZ order), other pieces rotate about their center,
+   * exactly as Canvas3D places them
+   * @param {Object} piece - Piece object
+   * @returns {Object} {top: {y, parts}, bottom: {y, parts}, center: {x, y, z}}
+   */
+  getOrientedFootprint: (piece) => {
+    const cached = StructuralAnalysis._footprintCache.get(piece);
+    if (cached) return cached;
+    
+    const isPanel = piece.shape && piece.shape.includes('panel');
+    const euler = new THREE.Euler(piece.tiltX || 0, piece.rotationY || 0, piece.tiltZ || 0, isPanel ? 'YXZ' : 'XYZ');
+    const origin = isPanel
+      ? new THREE.Vector3(piece.x, piece.y, piece.z - (piece.tiltX ? Math.sin(piece.tiltX) * (piece.height / 2) : 0))
+      : new THREE.Vector3(piece.x, piece.y + piece.height / 2, piece.z);
+    const localBase = isPanel ? 0 : -piece.height / 2;
+    
+    const toWorld = (x, y, z) => new THREE.Vector3(x, localBase + y, z).applyEuler(euler).add(origin);
+    
+    // Each convex part becomes a prism between its bottom and top outline
+    const bottomOutline = StructuralAnalysis.getShapeOutline(piece, 'bottom');
+    const topOutline = StructuralAnalysis.getShapeOutline(piece, 'top');
+    const prisms = bottomOutline.map((part, index) => [
+      ...part.map(p => toWorld(p.x, 0, p.z)),
+      ...(topOutline[index] || part).map(p => toWorld(p.x, piece.height, p.z))
+    ]);
+    
+    const allVertices = prisms.flat();
+    const maxY = Math.max(...allVertices.map(v => v.y));
+    const minY = Math.min(...allVertices.map(v => v.y));
+    const tolerance = StructuralAnalysis.contactSettings.surfaceTolerance;
+    
+    // Contact surface = hull of the vertices at the extreme height, per convex part
+    const surfaceParts = (isOnSurface) => prisms
+      .map(vertices => StructuralAnalysis.convexHull(
+        vertices.filter(isOnSurface).map(v => ({ x: v.x, z: v.z }))
+      ))
+      .filter(part => part.length >= 3);
+    
+    const footprint = {
+      top: { y: maxY, parts: surfaceParts(v => v.y >= maxY - tolerance) },
+      bottom: { y: minY, parts: surfaceParts(v => v.y <= minY + tolerance) },
+      center: toWorld(0, piece.height / 2, 0)
+    };
+    
+    StructuralAnalysis._footprintCache.set(piece, footprint);
+    return footprint;
+  },
+  
+  /**
+   * Convex hull of XZ points (monotone chain), counter-clockwise
+   * @param {Array} points - Array of {x, z} points
+   * @returns {Array} Hull points
+   */
+  convexHull: (points) => {
+    if (points.length < 3) return points.slice();
+    
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    
+    const lower = [];
+    sorted.forEach(p => {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+      lower.push(p);
+    });
+    
+    const upper = [];
+    sorted.slice().reverse().forEach(p => {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+      upper.push(p);
+    });
+    
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+  },
+  
+  /**
+   * Area and centroid of a simple polygon
+   * @param {Array} polygon - Array of {x, z} points
+   * @returns {Object} {area, x, z}
+   */
+  polygonArea: (polygon) => {
+    let twiceArea = 0, cx = 0, cz = 0;
+    polygon.forEach((p, i) => {
+      const q = polygon[(i + 1) % polygon.length];
+      const cross = p.x * q.z - q.x * p.z;
+      twiceArea += cross;
+      cx += (p.x + q.x) * cross;
+      cz += (p.z + q.z) * cross;
+    });
+    if (Math.abs(twiceArea) < 1e-9) return { area: 0, x: 0, z: 0 };
+    return { area: Math.abs(twiceArea) / 2, x: cx / (3 * twiceArea), z: cz / (3 * twiceArea) };
+  },
+  
+  /**
+   * Intersection of two convex counter-clockwise polygons (Sutherland-Hodgman)
+   * @param {Array} subject - Polygon to clip
+   * @param {Array} clip - Convex clipping polygon
+   * @returns {Array} Intersection polygon (empty if none)
+   */
+  clipPolygon: (subject, clip) => {
+    let output = subject;
+    for (let i = 0; i < clip.length && output.length > 0; i++) {
+      const a = clip[i];
+      const b = clip[(i + 1) % clip.length];
+      const inside = (p) => (b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x) >= 0;
+      const intersect = (p, q) => {
+        const denominator = (p.x - q.x) * (a.z - b.z) - (p.z - q.z) * (a.x - b.x);
+        const t = ((p.x - a.x) * (a.z - b.z) - (p.z - a.z) * (a.x - b.x)) / denominator;
+        return { x: p.x + t * (q.x - p.x), z: p.z + t * (q.z - p.z) };
+      };
+      
+      const input = output;
+      output = [];
+      input.forEach((current, j) => {
+        const previous = input[(j + input.length - 1) % input.length];
+        if (inside(current)) {
+          if (!inside(previous)) output.push(intersect(previous, current));
+          output.push(current);
+        } else if (inside(previous)) {
+          output.push(intersect(previous, current));
+        }
+      });
+    }
+    return output;
+  },
+  
+  /**
+   * Contact between the top surface of one piece and the bottom surface of another
+   * @param {Object} lowerPiece - Potentially supporting piece
+   * @param {Object} upperPiece - Potentially supported piece
+   * @returns {Object} {gap, area, x, z, polygons}
+   */
+  calculateContact: (lowerPiece, upperPiece) => {
+    const lowerTop = StructuralAnalysis.getOrientedFootprint(lowerPiece).top;
+    const upperBottom = StructuralAnalysis.getOrientedFootprint(upperPiece).bottom;
+    
+    let area = 0, weightedX = 0, weightedZ = 0;
+    const polygons = [];
+    lowerTop.parts.forEach(lowerPart => {
+      upperBottom.parts.forEach(upperPart => {
+        const overlap = StructuralAnalysis.clipPolygon(upperPart, lowerPart);
+        if (overlap.length < 3) return;
+        const measured = StructuralAnalysis.polygonArea(overlap);
+        if (measured.area <= 0) return;
+        area += measured.area;
+        weightedX += measured.x * measured.area;
+        weightedZ += measured.z * measured.area;
+        polygons.push(overlap);
+      });
+    });
+    
+    return {
+      gap: upperBottom.y - lowerTop.y,
+      area,
+      x: area > 0 ? weightedX / area : (lowerPiece.x + upperPiece.x) / 2,
+      z: area > 0 ? weightedZ / area : (lowerPiece.z + upperPiece.z) / 2,
+      surfaceY: lowerTop.y,
+      polygons
+    };
+  },
+
   // ========================================
   // STRUCTURAL ANALYSIS
   // ========================================
@@ -196,35 +466,19 @@ const StructuralAnalysis = {
 
   /**
    * Check if one piece is supporting another
+   * Compares the real oriented top surface of the lower piece with the bottom of the upper one
    * @param {Object} lowerPiece - Potentially supporting piece
    * @param {Object} upperPiece - Potentially supported piece
    * @returns {boolean} Whether lower supports upper
    */
   isSupporting: (lowerPiece, upperPiece) => {
-    // Check vertical alignment
-    const lowerTop = lowerPiece.y + lowerPiece.height;
-    const upperBottom = upperPiece.y;
+    const contact = StructuralAnalysis.calculateContact(lowerPiece, upperPiece);
     
     // Must be within 1 inch vertically to be supporting
-    if (Math.abs(lowerTop - upperBottom) > 1) return false;
-    
-    // Check horizontal overlap
-    const overlapX = StructuralAnalysis.calculateOverlap(
-      lowerPiece.x - lowerPiece.width/2, 
-      lowerPiece.x + lowerPiece.width/2,
-      upperPiece.x - upperPiece.width/2, 
-      upperPiece.x + upperPiece.width/2
-    );
-    
-    const overlapZ = StructuralAnalysis.calculateOverlap(
-      lowerPiece.z - lowerPiece.depth/2, 
-      lowerPiece.z + lowerPiece.depth/2,
-      upperPiece.z - upperPiece.depth/2, 
-      upperPiece.z + upperPiece.depth/2
-    );
+    if (Math.abs(contact.gap) > StructuralAnalysis.contactSettings.verticalGap) return false;
     
-    // Need at least 2 inches of overlap in both directions
-    return overlapX >= 2 && overlapZ >= 2;
+    // Need enough shared surface to carry a load
+    return contact.area >= StructuralAnalysis.contactSettings.minContactArea;
   },
 
   /**
@@ -236,35 +490,18 @@ const StructuralAnalysis = {
 
   /**
    * Calculate connection point between two pieces
+   * The point is the centroid of the actual contact area between their surfaces
    */
   calculateConnectionPoint: (lowerPiece, upperPiece) => {
-    const overlapCenterX = (
-      Math.max(lowerPiece.x - lowerPiece.width/2, upperPiece.x - upperPiece.width/2) +
-      Math.min(lowerPiece.x + lowerPiece.width/2, upperPiece.x + upperPiece.width/2)
-    ) / 2;
-    
-    const overlapCenterZ = (
-      Math.max(lowerPiece.z - lowerPiece.depth/2, upperPiece.z - upperPiece.depth/2) +
-      Math.min(lowerPiece.z + lowerPiece.depth/2, upperPiece.z + upperPiece.depth/2)
-    ) / 2;
-    
-    const overlapArea = StructuralAnalysis.calculateOverlap(
-      lowerPiece.x - lowerPiece.width/2, 
-      lowerPiece.x + lowerPiece.width/2,
-      upperPiece.x - upperPiece.width/2, 
-      upperPiece.x + upperPiece.width/2
-    ) * StructuralAnalysis.calculateOverlap(
-      lowerPiece.z - lowerPiece.depth/2, 
-      lowerPiece.z + lowerPiece.depth/2,
-      upperPiece.z - upperPiece.depth/2, 
-      upperPiece.z + upperPiece.depth/2
-    );
+    const contact = StructuralAnalysis.calculateContact(lowerPiece, upperPiece);
+    const overlapArea = Math.round(contact.area * 10) / 10;
     
     return {
-      x: overlapCenterX,
-      y: lowerPiece.y + lowerPiece.height,
-      z: overlapCenterZ,
+      x: contact.x,
+      y: contact.surfaceY,
+      z: contact.z,
       area: overlapArea,
+      contactPolygons: contact.polygons,
       upperPieceId: upperPiece.id,
       lowerPieceId: lowerPiece.id,
       suggestedConnection: StructuralAnalysis.suggestConnection(overlapArea, upperPiece)
@@ -341,14 +578,28 @@ const StructuralAnalysis = {
   // CAT WEIGHT TESTING
   // ========================================
   
+  /**
+   * Pieces a cat would rest on (platforms, perches and houses)
+   * @param {Array} pieces - Array of piece objects
+   * @returns {Array} Resting spot pieces
+   */
+  getRestingSpots: (pieces) => {
+    return pieces.filter(p => 
+      p.variantId?.includes('platform') || 
+      p.variantId?.includes('perch') ||
+      p.variantId?.includes('house')
+    );
+  },
+
   /**
    * Test if structure can support specified cat weights
    * @param {Array} pieces - Array of piece objects
    * @param {Array} catWeights - Array of cat weights in pounds
    * @param {Object} supportMap - Pre-calculated support map
+   * @param {string} unitSystem - Units for weights in messages ('imperial' or 'metric')
    * @returns {Object} Test results with pass/fail and weak points
    */
-  testCatWeights: (pieces, catWeights, supportMap) => {
+  testCatWeights: (pieces, catWeights, supportMap, unitSystem = 'imperial') => {
     const totalCatWeight = catWeights.reduce((sum, w) => sum + w, 0);
     const maxSingleCat = Math.max(...catWeights);
     
@@ -362,11 +613,7 @@ const StructuralAnalysis = {
     };
     
     // Find platforms and perches where cats would rest
-    const restingSpots = pieces.filter(p => 
-      p.variantId?.includes('platform') || 
-      p.variantId?.includes('perch') ||
-      p.variantId?.includes('house')
-    );
+    const restingSpots = StructuralAnalysis.getRestingSpots(pieces);
     
     // Test each resting spot
     restingSpots.forEach(spot => {
@@ -374,8 +621,9 @@ const StructuralAnalysis = {
       const material = StructuralAnalysis.materialStrength[spot.material] || 
                       StructuralAnalysis.materialStrength.wood;
       
-      // Calculate spot capacity
-      const contactArea = spot.width * spot.depth;
+      // Calculate spot capacity from the real top surface
+      const contactArea = StructuralAnalysis.getOrientedFootprint(spot).top.parts
+        .reduce((sum, part) => sum + StructuralAnalysis.polygonArea(part).area, 0);
       const spotCapacity = material.baseCapacity * contactArea;
       
       // Check if it can hold the heaviest cat with safety factor
@@ -395,7 +643,7 @@ const StructuralAnalysis = {
         results.weakPoints.push({
           pieceId: spot.id,
           pieceName: spot.name,
-          issue: `Cannot safely support ${maxSingleCat}lb cat`,
+          issue: `Cannot safely support a ${Units.formatWeight(maxSingleCat, unitSystem)} cat`,
           currentCapacity: Math.round((spotCapacity / results.safetyFactor) - node.totalLoad),
           required: maxSingleCat
         });
@@ -424,7 +672,7 @@ const StructuralAnalysis = {
         pieceId: null,
         pieceName: 'Overall Design',
         stress: 100,
-        suggestion: `Design cannot safely support ${maxSingleCat}lb cat. Add support posts or use stronger materials.`
+        suggestion: `Design cannot safely support a ${Units.formatWeight(maxSingleCat, unitSystem)} cat. Add support posts or use stronger materials.`
       });
     }
     
@@ -438,9 +686,10 @@ const StructuralAnalysis = {
   /**
    * Generate hardware/connection recommendations
    * @param {Object} supportMap - Support structure map
+   * @param {Object|null} catalog - Price catalog for hardware costs (null uses list prices)
    * @returns {Array} List of recommended connections
    */
-  recommendConnections: (supportMap) => {
+  recommendConnections: (supportMap, catalog = null) => {
     const recommendations = [];
     const totalCost = { brackets: 0, hardware: 0 };
     
@@ -448,17 +697,18 @@ const StructuralAnalysis = {
       node.connections.forEach(conn => {
         const connectionType = conn.suggestedConnection;
         const connection = StructuralAnalysis.connectionTypes[connectionType];
+        const cost = PriceCatalog.getConnectionCost(connectionType, catalog);
         
         recommendations.push({
           between: [conn.lowerPieceId, conn.upperPieceId],
           type: connectionType,
           description: connection.description,
-          cost: connection.cost,
+          cost,
           strength: connection.strength,
           location: { x: conn.x, y: conn.y, z: conn.z }
         });
         
-        totalCost.hardware += connection.cost;
+        totalCost.hardware += cost;
       });
     });
     
@@ -488,18 +738,23 @@ const StructuralAnalysis = {
   /**
    * Generate stress report for display
    * @param {Array} pieces - Array of pieces
-   * @param {Array} catWeights - Array of cat weights
+   * @param {Array} catWeights - Array of cat weights in pounds
+   * @param {string} unitSystem - Units for weights in messages (report numbers stay in pounds)
+   * @param {Object|null} catalog - Price catalog for hardware costs
    * @returns {Object} Complete analysis report
    */
-  generateStressReport: (pieces, catWeights = [15]) => {
+  generateStressReport: (pieces, catWeights = [15], unitSystem = 'imperial', catalog = null) => {
     const supportMap = StructuralAnalysis.analyzeSupportStructure(pieces);
-    const testResults = StructuralAnalysis.testCatWeights(pieces, catWeights, supportMap);
-    const connections = StructuralAnalysis.recommendConnections(supportMap);
+    const testResults = StructuralAnalysis.testCatWeights(pieces, catWeights, supportMap, unitSystem);
+    const connections = StructuralAnalysis.recommendConnections(supportMap, catalog);
     const totalWeight = StructuralAnalysis.calculateTotalWeight(pieces);
+    const stability = window.StabilityAnalysis
+      ? window.StabilityAnalysis.analyzeStability(pieces, catWeights)
+      : null;
     
     return {
       summary: {
-        passed: testResults.passed,
+        passed: testResults.passed && stability?.rating !== 'unstable',
         totalStructureWeight: Math.round(totalWeight * 10) / 10,
         maxCatWeight: Math.max(...catWeights),
         totalCatWeight: catWeights.reduce((sum, w) => sum + w, 0),
@@ -510,7 +765,8 @@ const StructuralAnalysis = {
       testResults: testResults,
       connections: connections,
       criticalPoints: testResults.weakPoints,
-      recommendations: testResults.recommendations
+      recommendations: testResults.recommendations,
+      stability: stability
     };
   }
 };
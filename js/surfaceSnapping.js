@@ -0,0 +1,206 @@
+// =====================================================
+// SURFACE SNAPPING SYSTEM -v1- DRAG-TIME STACKING & ALIGNMENT
+// =====================================================
+
+const SurfaceSnapping = {
+
+  // ========================================
+  // SNAP SETTINGS
+  // ========================================
+
+  /**
+   * Tuning values for drag-time snapping, in inches
+   */
+  settings: {
+    alignThreshold: 1.5,  // Edges/centers closer than this snap together
+    renderScale: 0.96,    // CatTreePieces shrinks rendered geometry by this factor
+    epsilon: 1e-6
+  },
+
+  // ========================================
+  // SURFACE HEIGHT
+  // ========================================
+
+  /**
+   * Height of triangle i directly above/below (x, z), or null when the point is outside it
+   * @param {Float32Array} triangles - 9 floats per triangle
+   * @param {number} i - Triangle index
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {number|null} Interpolated y
+   */
+  _heightOnTriangle: (triangles, i, x, z) => {
+    const o = i * 9;
+    const ax = triangles[o], ay = triangles[o + 1], az = triangles[o + 2];
+    const bx = triangles[o + 3], by = triangles[o + 4], bz = triangles[o + 5];
+    const cx = triangles[o + 6], cy = triangles[o + 7], cz = triangles[o + 8];
+
+    // Vertical faces have no area in plan view
+    const det = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+    if (Math.abs(det) < SurfaceSnapping.settings.epsilon) return null;
+
+    const u = ((bz - cz) * (x - cx) + (cx - bx) * (z - cz)) / det;
+    const v = ((cz - az) * (x - cx) + (ax - cx) * (z - cz)) / det;
+    const w = 1 - u - v;
+    const tolerance = -SurfaceSnapping.settings.epsilon;
+    if (u < tolerance || v < tolerance || w < tolerance) return null;
+
+    return u * ay + v * by + w * cy;
+  },
+
+  /**
+   * Highest point of a piece's actual geometry directly above (x, z)
+   * Uses the rendered triangles, so tilt and shape (round tops, A-frame ridges, hollow walls) are respected
+   * @param {Object} piece - Piece object
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {number|null} Surface y, or null when (x, z) is not over the piece
+   */
+  getSurfaceHeightAt: (piece, x, z) => {
+    const { triangles } = CollisionDetection.getWorldShape(piece);
+    let highest = null;
+
+    for (let i = 0; i < triangles.length / 9; i++) {
+      const y = SurfaceSnapping._heightOnTriangle(triangles, i, x, z);
+      if (y !== null && (highest === null || y > highest)) highest = y;
+    }
+    if (highest === null) return null;
+
+    // Undo the render shrink about the piece center so stacked pieces sit on the true top
+    const center = new THREE.Vector3().applyMatrix4(CollisionDetection.getPlacementMatrix(piece));
+    return center.y + (highest - center.y) / SurfaceSnapping.settings.renderScale;
+  },
+
+  /**
+   * Bottom y the dragged piece should take to rest on a target at (x, z)
+   * Every corner of the dragged footprint is checked so it sits on tilted surfaces without sinking in
+   * @param {Object} piece - Piece being dragged
+   * @param {number} x - Candidate x
+   * @param {number} z - Candidate z
+   * @param {Object} target - Piece under the cursor
+   * @returns {number|null} Piece y, or null when no part of the footprint is over the target
+   */
+  findLandingHeight: (piece, x, z, target) => {
+    const moved = { ...piece, x, y: 0, z };
+    const footprint = StructuralAnalysis.getOrientedFootprint(moved);
+    const samples = footprint.bottom.parts.flat().concat([{ x, z }]);
+
+    let surface = null;
+    samples.forEach(point => {
+      const height = SurfaceSnapping.getSurfaceHeightAt(target, point.x, point.z);
+      if (height !== null && (surface === null || height > surface)) surface = height;
+    });
+    if (surface === null) return null;
+
+    // A tilted piece's lowest point can sit below its own y; lift by that offset
+    return Math.max(0, Math.round((surface - footprint.bottom.y) * 1000) / 1000);
+  },
+
+  // ========================================
+  // ALIGNMENT GUIDES
+  // ========================================
+
+  /**
+   * World-space x/z extents of a piece relative to its own position
+   * @param {Object} piece - Piece object
+   * @returns {Object} {minX, maxX, minZ, maxZ}
+   */
+  getPlanExtents: (piece) => {
+    const { box } = CollisionDetection.getWorldShape(piece);
+    const scale = SurfaceSnapping.settings.renderScale;
+    const center = box.getCenter(new THREE.Vector3());
+    const halfX = (box.max.x - box.min.x) / 2 / scale;
+    const halfZ = (box.max.z - box.min.z) / 2 / scale;
+    return {
+      minX: center.x - halfX - piece.x,
+      maxX: center.x + halfX - piece.x,
+      minZ: center.z - halfZ - piece.z,
+      maxZ: center.z + halfZ - piece.z
+    };
+  },
+
+  /**
+   * Snaps a candidate position so edges or centers line up with neighboring pieces
+   * Each axis snaps independently to the closest match within the threshold
+   * @param {Object} piece - Piece being dragged
+   * @param {number} x - Candidate x
+   * @param {number} z - Candidate z
+   * @param {Array} neighbors - Pieces to align against
+   * @returns {Object} {x, z, guides} where each guide is {axis, value, from, to}
+   */
+  alignToNeighbors: (piece, x, z, neighbors) => {
+    const threshold = SurfaceSnapping.settings.alignThreshold;
+    const own = SurfaceSnapping.getPlanExtents(piece);
+    const result = { x, z, guides: [] };
+
+    ['x', 'z'].forEach(axis => {
+      const other = axis === 'x' ? 'z' : 'x';
+      const A = axis.toUpperCase();
+      const O = other.toUpperCase();
+      const position = axis === 'x' ? x : z;
+      const offsets = [own[`min${A}`], (own[`min${A}`] + own[`max${A}`]) / 2, own[`max${A}`]];
+
+      let best = null;
+      neighbors.forEach(neighbor => {
+        const ext = SurfaceSnapping.getPlanExtents(neighbor);
+        const lines = [ext[`min${A}`], (ext[`min${A}`] + ext[`max${A}`]) / 2, ext[`max${A}`]]
+          .map(value => value + neighbor[axis]);
+
+        offsets.forEach(offset => lines.forEach(line => {
+          const delta = line - (position + offset);
+          if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+            best = { delta, value: line, neighbor, ext };
+          }
+        }));
+      });
+
+      if (!best) return;
+      // Extents come from float32 triangles; keep snapped positions to a thousandth of an inch
+      result[axis] = Math.round((position + best.delta) * 1000) / 1000;
+
+      // Guide runs along the other axis across both pieces
+      const ownPosition = axis === 'x' ? z : result.x;
+      result.guides.push({
+        axis,
+        value: best.value,
+        from: Math.min(ownPosition + own[`min${O}`], best.neighbor[other] + best.ext[`min${O}`]),
+        to: Math.max(ownPosition + own[`max${O}`], best.neighbor[other] + best.ext[`max${O}`])
+      });
+    });
+
+    return result;
+  },
+
+  // ========================================
+  // DRAG PLACEMENT
+  // ========================================
+
+  /**
+   * Resolves where a dragged piece lands
+   * Over another piece it stacks on that piece's top surface and aligns to it;
+   * over the floor it drops to the floor and aligns to any nearby piece
+   * @param {Object} piece - Piece being dragged
+   * @param {Object} position - Grid-snapped {x, z} under the cursor
+   * @param {Object|null} target - Piece under the cursor, if any
+   * @param {Array} pieces - All pieces in the design
+   * @returns {Object} {x, y, z, guides, targetId}
+   */
+  resolveDragPlacement: (piece, position, target, pieces) => {
+    const others = pieces.filter(p => p.id !== piece.id);
+    const aligned = SurfaceSnapping.alignToNeighbors(piece, position.x, position.z, target ? [target] : others);
+
+    if (target) {
+      const y = SurfaceSnapping.findLandingHeight(piece, aligned.x, aligned.z, target);
+      if (y !== null) {
+        return { x: aligned.x, y, z: aligned.z, guides: aligned.guides, targetId: target.id };
+      }
+    }
+
+    // The floor is a surface too
+    const bottom = StructuralAnalysis.getOrientedFootprint({ ...piece, x: aligned.x, y: 0, z: aligned.z }).bottom;
+    return { x: aligned.x, y: Math.max(0, -bottom.y), z: aligned.z, guides: aligned.guides, targetId: null };
+  }
+};
+
+// Export for use in other modules
+window.SurfaceSnapping = SurfaceSnapping;
@@ -0,0 +1,330 @@
+// =====================================================
+// TRANSFORM GIZMO SYSTEM -v1- VIEWPORT MOVE/ROTATE/TILT HANDLES
+// =====================================================
+
+const TransformGizmo = {
+
+  // ========================================
+  // GIZMO SETTINGS
+  // ========================================
+
+  /**
+   * Handle definitions: what each handle changes and its color
+   * Move amounts are inches, rotate and tilt amounts are degrees
+   */
+  HANDLES: {
+    'move-x': { kind: 'move', axis: 'x', color: 0xef4444 },
+    'move-y': { kind: 'move', axis: 'y', color: 0x22c55e },
+    'move-z': { kind: 'move', axis: 'z', color: 0x3b82f6 },
+    'rotate-y': { kind: 'rotate', axis: 'rotationY', color: 0x22c55e },
+    'tilt-x': { kind: 'tilt', axis: 'tiltX', color: 0xef4444 },
+    'tilt-z': { kind: 'tilt', axis: 'tiltZ', color: 0x3b82f6 }
+  },
+
+  settings: {
+    angleStep: 15,         // Rotation and tilt snap, in degrees
+    screenScale: 0.14,     // Gizmo size as a fraction of its distance to the camera
+    highlightColor: 0xfacc15,
+    renderOrder: 1000      // Drawn over the pieces
+  },
+
+  // Unit vectors by Euler axis letter
+  UNIT_AXES: {
+    X: new THREE.Vector3(1, 0, 0),
+    Y: new THREE.Vector3(0, 1, 0),
+    Z: new THREE.Vector3(0, 0, 1)
+  },
+
+  // ========================================
+  // GIZMO CONSTRUCTION
+  // ========================================
+
+  /**
+   * Material shared by a handle's visible parts, always drawn on top
+   * @param {number} color - Hex color
+   * @returns {THREE.MeshBasicMaterial} Material
+   */
+  _createHandleMaterial: (color) => new THREE.MeshBasicMaterial({
+    color,
+    depthTest: false,
+    depthWrite: false,
+    transparent: true,
+    opacity: 0.9
+  }),
+
+  /**
+   * Tags a mesh as part of a handle and puts it above the scene
+   * @param {THREE.Mesh} mesh - Handle mesh
+   * @param {string} handleId - Key of HANDLES
+   * @returns {THREE.Mesh} The same mesh
+   */
+  _tagHandle: (mesh, handleId) => {
+    mesh.userData = { gizmoHandle: handleId };
+    mesh.renderOrder = TransformGizmo.settings.renderOrder;
+    return mesh;
+  },
+
+  /**
+   * Builds a translate arrow pointing along +Y, plus a thicker invisible grab area
+   * @param {string} handleId - Key of HANDLES
+   * @returns {THREE.Group} Arrow
+   */
+  _createArrow: (handleId) => {
+    const material = TransformGizmo._createHandleMaterial(TransformGizmo.HANDLES[handleId].color);
+    const arrow = new THREE.Group();
+
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8), material);
+    shaft.position.y = 0.4;
+    const tip = new THREE.Mesh(new THREE.ConeGeometry(0.07, 0.2, 12), material);
+    tip.position.y = 0.9;
+    const grab = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.09, 0.09, 1.0, 8),
+      new THREE.MeshBasicMaterial({ visible: false })
+    );
+    grab.position.y = 0.5;
+
+    [shaft, tip, grab].forEach(mesh => arrow.add(TransformGizmo._tagHandle(mesh, handleId)));
+    return arrow;
+  },
+
+  /**
+   * Builds a rotation ring around its local Z axis, plus a thicker invisible grab area
+   * @param {string} handleId - Key of HANDLES
+   * @param {number} radius - Ring radius before scaling
+   * @returns {THREE.Group} Ring
+   */
+  _createRing: (handleId, radius) => {
+    const ring = new THREE.Group();
+    const band = new THREE.Mesh(
+      new THREE.TorusGeometry(radius, 0.015, 6, 64),
+      TransformGizmo._createHandleMaterial(TransformGizmo.HANDLES[handleId].color)
+    );
+    const grab = new THREE.Mesh(
+      new THREE.TorusGeometry(radius, 0.07, 6, 32),
+      new THREE.MeshBasicMaterial({ visible: false })
+    );
+
+    [band, grab].forEach(mesh => ring.add(TransformGizmo._tagHandle(mesh, handleId)));
+    ring.userData = { gizmoRing: handleId };
+    return ring;
+  },
+
+  /**
+   * Creates the gizmo: X/Y/Z translate arrows and a Y rotation ring, plus tilt rings when asked
+   * @param {Object} options - Gizmo options
+   * @param {boolean} options.tilt - Include the tiltX/tiltZ rings (single pieces only)
+   * @returns {THREE.Group} Gizmo, sized 1 unit before scaling
+   */
+  createGizmo: ({ tilt = false } = {}) => {
+    const gizmo = new THREE.Group();
+    gizmo.userData = { isGizmo: true };
+
+    const arrowX = TransformGizmo._createArrow('move-x');
+    arrowX.rotation.z = -Math.PI / 2;
+    const arrowY = TransformGizmo._createArrow('move-y');
+    const arrowZ = TransformGizmo._createArrow('move-z');
+    arrowZ.rotation.x = Math.PI / 2;
+    gizmo.add(arrowX, arrowY, arrowZ);
+
+    gizmo.add(TransformGizmo._createRing('rotate-y', 0.75));
+    if (tilt) {
+      gizmo.add(TransformGizmo._createRing('tilt-x', 0.6));
+      gizmo.add(TransformGizmo._createRing('tilt-z', 0.6));
+    }
+
+    TransformGizmo.orientRings(gizmo, null);
+    return gizmo;
+  },
+
+  // ========================================
+  // ORIENTATION & HIGHLIGHT
+  // ========================================
+
+  /**
+   * World direction an Euler angle turns about, given the rotations applied before it
+   * Three.js applies Euler rotations right to left, so the axis of the angle at position i
+   * is its unit axis turned by the rotations that come before it in the order string.
+   * @param {THREE.Euler} rotation - Object rotation (with its order)
+   * @param {string} axis - 'X', 'Y' or 'Z'
+   * @returns {THREE.Vector3} Unit axis in world space
+   */
+  getEulerAxis: (rotation, axis) => {
+    const preceding = new THREE.Quaternion();
+    for (const letter of rotation.order) {
+      if (letter === axis) break;
+      preceding.multiply(new THREE.Quaternion().setFromAxisAngle(
+        TransformGizmo.UNIT_AXES[letter], rotation[letter.toLowerCase()]
+      ));
+    }
+    return TransformGizmo.UNIT_AXES[axis].clone().applyQuaternion(preceding);
+  },
+
+  /**
+   * Turns each ring to face the axis its angle actually rotates the piece about
+   * @param {THREE.Group} gizmo - Gizmo from createGizmo
+   * @param {THREE.Euler|null} rotation - Piece object rotation, or null for world axes (groups)
+   */
+  orientRings: (gizmo, rotation) => {
+    const ringAxes = { 'rotate-y': 'Y', 'tilt-x': 'X', 'tilt-z': 'Z' };
+    gizmo.children.forEach(child => {
+      const handleId = child.userData.gizmoRing;
+      if (!handleId) return;
+      const letter = ringAxes[handleId];
+      const axis = rotation
+        ? TransformGizmo.getEulerAxis(rotation, letter)
+        : TransformGizmo.UNIT_AXES[letter].clone();
+      child.quaternion.setFromUnitVectors(TransformGizmo.UNIT_AXES.Z, axis);
+    });
+  },
+
+  /**
+   * Scales the gizmo so it keeps the same size on screen at any zoom
+   * @param {THREE.Group} gizmo - Gizmo from createGizmo
+   * @param {THREE.Camera} camera - Viewing camera
+   */
+  fitToCamera: (gizmo, camera) => {
+    gizmo.scale.setScalar(camera.position.distanceTo(gizmo.position) * TransformGizmo.settings.screenScale);
+  },
+
+  /**
+   * Colors one handle in the highlight color and restores the rest
+   * @param {THREE.Group} gizmo - Gizmo from createGizmo
+   * @param {string|null} handleId - Handle to highlight, or null for none
+   */
+  setHighlight: (gizmo, handleId) => {
+    gizmo.traverse(child => {
+      const id = child.userData.gizmoHandle;
+      if (!id || !child.material.visible) return;
+      child.material.color.setHex(id === handleId ? TransformGizmo.settings.highlightColor : TransformGizmo.HANDLES[id].color);
+    });
+  },
+
+  /**
+   * Finds the handle under a ray
+   * @param {THREE.Group} gizmo - Gizmo from createGizmo
+   * @param {THREE.Raycaster} raycaster - Raycaster already set from the camera
+   * @returns {string|null} Handle ID
+   */
+  pickHandle: (gizmo, raycaster) => {
+    const hit = raycaster.intersectObject(gizmo, true).find(intersect => intersect.object.userData.gizmoHandle);
+    return hit ? hit.object.userData.gizmoHandle : null;
+  },
+
+  // ========================================
+  // DRAG MEASUREMENT
+  // ========================================
+
+  /**
+   * World axis a handle works along (arrows) or around (rings)
+   * @param {THREE.Group} gizmo - Gizmo from createGizmo
+   * @param {string} handleId - Handle ID
+   * @returns {THREE.Vector3} Unit axis
+   */
+  getHandleAxis: (gizmo, handleId) => {
+    const handle = TransformGizmo.HANDLES[handleId];
+    if (handle.kind === 'move') return TransformGizmo.UNIT_AXES[handle.axis.toUpperCase()].clone();
+    const ring = gizmo.children.find(child => child.userData.gizmoRing === handleId);
+    return TransformGizmo.UNIT_AXES.Z.clone().applyQuaternion(ring.quaternion);
+  },
+
+  /**
+   * Plane the cursor is projected onto while dragging a handle
+   * Arrows use the plane through their axis that faces the camera most; rings use their own plane.
+   * @param {string} handleId - Handle ID
+   * @param {THREE.Vector3} axis - From getHandleAxis
+   * @param {THREE.Vector3} origin - Gizmo position
+   * @param {THREE.Camera} camera - Viewing camera
+   * @returns {THREE.Plane} Drag plane
+   */
+  getDragPlane: (handleId, axis, origin, camera) => {
+    if (TransformGizmo.HANDLES[handleId].kind !== 'move') {
+      return new THREE.Plane().setFromNormalAndCoplanarPoint(axis, origin);
+    }
+
+    const view = camera.getWorldDirection(new THREE.Vector3());
+    const normal = new THREE.Vector3().crossVectors(axis, new THREE.Vector3().crossVectors(view, axis));
+    if (normal.lengthSq() < 1e-6) normal.copy(view); // Looking straight down the arrow
+    return new THREE.Plane().setFromNormalAndCoplanarPoint(normal.normalize(), origin);
+  },
+
+  /**
+   * Raw drag amount between two points on the drag plane
+   * @param {string} handleId - Handle ID
+   * @param {THREE.Vector3} axis - From getHandleAxis
+   * @param {THREE.Vector3} origin - Gizmo position
+   * @param {THREE.Vector3} from - Previous point on the plane
+   * @param {THREE.Vector3} to - Current point on the plane
+   * @returns {number} Inches along the arrow, or degrees around the ring
+   */
+  measureDrag: (handleId, axis, origin, from, to) => {
+    if (TransformGizmo.HANDLES[handleId].kind === 'move') {
+      return to.clone().sub(from).dot(axis);
+    }
+
+    const start = from.clone().sub(origin);
+    const end = to.clone().sub(origin);
+    const angle = Math.atan2(new THREE.Vector3().crossVectors(start, end).dot(axis), start.dot(end));
+    return angle * 180 / Math.PI;
+  },
+
+  /**
+   * Snaps a drag amount to the movement increment or the angle step
+   * @param {string} handleId - Handle ID
+   * @param {number} amount - Raw amount from measureDrag
+   * @param {number} movementIncrement - Move snap in inches
+   * @returns {number} Snapped amount
+   */
+  snapAmount: (handleId, amount, movementIncrement) => {
+    const step = TransformGizmo.HANDLES[handleId].kind === 'move'
+      ? movementIncrement
+      : TransformGizmo.settings.angleStep;
+    return step > 0 ? Math.round(amount / step) * step : amount;
+  },
+
+  // ========================================
+  // PREVIEW
+  // ========================================
+
+  /**
+   * Pieces as they will look once a gizmo change is applied, for drawing during the drag
+   * Mirrors the clamps in usePieceManagement so the preview matches the result
+   * @param {Array} pieces - Pieces the gizmo is attached to
+   * @param {Object} change - {handleId, amount}
+   * @returns {Array} Transformed copies
+   */
+  previewChange: (pieces, { handleId, amount }) => {
+    const { kind, axis } = TransformGizmo.HANDLES[handleId];
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+    if (kind === 'move') {
+      return pieces.map(piece => {
+        const value = piece[axis] + amount;
+        return { ...piece, [axis]: axis === 'y' ? Math.max(0, value) : clamp(value, -60, 60) };
+      });
+    }
+
+    const radians = amount * Math.PI / 180;
+    if (kind === 'tilt') {
+      return pieces.map(piece => ({ ...piece, [axis]: clamp((piece[axis] || 0) + radians, -Math.PI / 2, Math.PI / 2) }));
+    }
+
+    // Rotation turns several pieces around their shared center, like rotateGroup
+    const centerX = pieces.reduce((sum, p) => sum + p.x, 0) / pieces.length;
+    const centerZ = pieces.reduce((sum, p) => sum + p.z, 0) / pieces.length;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return pieces.map(piece => {
+      const relX = piece.x - centerX;
+      const relZ = piece.z - centerZ;
+      return {
+        ...piece,
+        x: centerX + relX * cos + relZ * sin,
+        z: centerZ - relX * sin + relZ * cos,
+        rotationY: (piece.rotationY || 0) + radians
+      };
+    });
+  }
+};
+
+// Export for use in other modules
+window.TransformGizmo = TransformGizmo;
@@ -0,0 +1,271 @@
+// =====================================================
+// UNIT SYSTEM -v2- MATERIAL QUANTITIES
+// =====================================================
+
+/**
+ * Converts between the stored units and the units the user works in
+ * Designs are always stored in inches and pounds; only display and input change
+ * with the selected system, so saved files are interchangeable.
+ */
+const Units = {
+  CM_PER_INCH: 2.54,
+  KG_PER_POUND: 0.45359237,
+
+  // Units every design is stored and saved in
+  STORED: { length: 'in', weight: 'lb' },
+
+  // Length and weight units a saved design may declare, as inches / pounds per unit
+  LENGTH_FACTORS: { in: 1, ft: 12, mm: 1 / 25.4, cm: 1 / 2.54, m: 100 / 2.54 },
+  WEIGHT_FACTORS: { lb: 1, oz: 1 / 16, g: 1 / 453.59237, kg: 1 / 0.45359237 },
+
+  DEFAULT_SYSTEM: 'imperial',
+
+  /**
+   * Display settings per unit system
+   * Grid spacings are in the system's own unit (inches or centimeters)
+   */
+  SYSTEMS: {
+    imperial: {
+      label: 'Imperial (in, ft, lb)',
+      lengthName: 'inches',
+      weightName: 'pounds',
+      weightSymbol: 'lbs',
+      decimals: 2,
+      grid: { minor: 6, major: 24, ruler: 12 },
+      pillar: { height: 72, marker: 12 }
+    },
+    metric: {
+      label: 'Metric (cm, m, kg)',
+      lengthName: 'centimeters',
+      weightName: 'kilograms',
+      weightSymbol: 'kg',
+      decimals: 1,
+      grid: { minor: 10, major: 50, ruler: 50 },
+      pillar: { height: 180, marker: 25 }
+    }
+  },
+
+  // ========================================
+  // SYSTEM LOOKUP
+  // ========================================
+
+  /**
+   * Falls back to the default system for unknown values
+   * @param {string} system - 'imperial' or 'metric'
+   * @returns {string} A known system ID
+   */
+  normalizeSystem: (system) => (Units.SYSTEMS[system] ? system : Units.DEFAULT_SYSTEM),
+
+  /**
+   * Whether a system is metric
+   * @param {string} system - Unit system ID
+   * @returns {boolean} True for metric
+   */
+  isMetric: (system) => Units.normalizeSystem(system) === 'metric',
+
+  /**
+   * Display settings for a system
+   * @param {string} system - Unit system ID
+   * @returns {Object} Entry from SYSTEMS
+   */
+  getSystem: (system) => Units.SYSTEMS[Units.normalizeSystem(system)],
+
+  // ========================================
+  // LENGTH CONVERSION
+  // ========================================
+
+  /**
+   * Converts a stored length to the display unit
+   * @param {number} inches - Length in inches
+   * @param {string} system - Unit system ID
+   * @returns {number} Inches or centimeters
+   */
+  toDisplayLength: (inches, system) => (Units.isMetric(system) ? inches * Units.CM_PER_INCH : inches),
+
+  /**
+   * Converts a length the user typed back to inches
+   * @param {number} value - Inches or centimeters
+   * @param {string} system - Unit system ID
+   * @returns {number} Length in inches
+   */
+  fromDisplayLength: (value, system) => (Units.isMetric(system) ? value / Units.CM_PER_INCH : value),
+
+  /**
+   * Short symbol for lengths in the display unit
+   * @param {string} system - Unit system ID
+   * @returns {string} '"' or ' cm'
+   */
+  lengthSymbol: (system) => (Units.isMetric(system) ? ' cm' : '"'),
+
+  /**
+   * Formats a stored length for display
+   * @param {number} inches - Length in inches
+   * @param {string} system - Unit system ID
+   * @param {number} decimals - Decimal places (trailing zeros are trimmed when omitted)
+   * @returns {string} e.g. '12"' or '30.5 cm'
+   */
+  formatLength: (inches, system, decimals = null) => {
+    const value = Units.toDisplayLength(inches || 0, system);
+    return `${Units.formatNumber(value, decimals ?? Units.getSystem(system).decimals, decimals === null)}${Units.lengthSymbol(system)}`;
+  },
+
+  /**
+   * Formats width × height × depth with a single unit
+   * @param {number} width - Width in inches
+   * @param {number} height - Height in inches
+   * @param {number} depth - Depth in inches
+   * @param {string} system - Unit system ID
+   * @returns {string} e.g. '12" × 1" × 12"' or '30.5 × 2.5 × 30.5 cm'
+   */
+  formatDimensions: (width, height, depth, system) => {
+    const parts = [width, height, depth].filter(value => value !== undefined && value !== null);
+    if (!Units.isMetric(system)) return parts.map(value => Units.formatLength(value, system)).join(' × ');
+    return `${parts.map(value => Units.formatNumber(Units.toDisplayLength(value, system), 1, true)).join(' × ')} cm`;
+  },
+
+  /**
+   * Formats a workspace size given in feet
+   * @param {number} feet - Size in feet
+   * @param {string} system - Unit system ID
+   * @returns {string} e.g. "6'" or '1.83 m'
+   */
+  formatFeet: (feet, system) => (
+    Units.isMetric(system)
+      ? `${Units.formatNumber(feet * 12 * Units.CM_PER_INCH / 100, 2, true)} m`
+      : `${feet}'`
+  ),
+
+  // ========================================
+  // MATERIAL QUANTITIES
+  // ========================================
+
+  /**
+   * Converts a long run (rope, stock length) to feet or meters
+   * @param {number} inches - Length in inches
+   * @param {string} system - Unit system ID
+   * @returns {number} Feet or meters
+   */
+  toDisplayRun: (inches, system) => (Units.isMetric(system) ? inches * Units.CM_PER_INCH / 100 : inches / 12),
+
+  /**
+   * Converts a surface area to square feet or square meters
+   * @param {number} squareInches - Area in square inches
+   * @param {string} system - Unit system ID
+   * @returns {number} Square feet or square meters
+   */
+  toDisplayArea: (squareInches, system) => (
+    Units.isMetric(system) ? squareInches * Math.pow(Units.CM_PER_INCH / 100, 2) : squareInches / 144
+  ),
+
+  /**
+   * Converts a lumber volume to board feet or cubic meters
+   * @param {number} cubicInches - Volume in cubic inches
+   * @param {string} system - Unit system ID
+   * @returns {number} Board feet or cubic meters
+   */
+  toDisplayVolume: (cubicInches, system) => (
+    Units.isMetric(system) ? cubicInches * Math.pow(Units.CM_PER_INCH / 100, 3) : cubicInches / 144
+  ),
+
+  /**
+   * Unit names for material quantities
+   * @param {string} system - Unit system ID
+   * @returns {Object} {run, area, volume}
+   */
+  quantityUnits: (system) => (
+    Units.isMetric(system)
+      ? { run: 'm', area: 'm²', volume: 'm³' }
+      : { run: 'ft', area: 'sq ft', volume: 'board ft' }
+  ),
+
+  // ========================================
+  // WEIGHT CONVERSION
+  // ========================================
+
+  /**
+   * Converts a stored weight to the display unit
+   * @param {number} pounds - Weight in pounds
+   * @param {string} system - Unit system ID
+   * @returns {number} Pounds or kilograms
+   */
+  toDisplayWeight: (pounds, system) => (Units.isMetric(system) ? pounds * Units.KG_PER_POUND : pounds),
+
+  /**
+   * Converts a weight the user typed back to pounds
+   * @param {number} value - Pounds or kilograms
+   * @param {string} system - Unit system ID
+   * @returns {number} Weight in pounds
+   */
+  fromDisplayWeight: (value, system) => (Units.isMetric(system) ? value / Units.KG_PER_POUND : value),
+
+  /**
+   * Formats a stored weight (or force in pounds-force) for display
+   * @param {number} pounds - Weight in pounds
+   * @param {string} system - Unit system ID
+   * @param {number} decimals - Decimal places
+   * @returns {string} e.g. '15.0 lbs' or '6.8 kg'
+   */
+  formatWeight: (pounds, system, decimals = 1) => (
+    `${Units.toDisplayWeight(Number(pounds) || 0, system).toFixed(decimals)} ${Units.getSystem(system).weightSymbol}`
+  ),
+
+  // ========================================
+  // MOVEMENT INCREMENTS
+  // ========================================
+
+  /**
+   * Movement increments offered in a system, converted to inches
+   * @param {string} system - Unit system ID
+   * @returns {Array<number>} Increments in inches
+   */
+  getIncrements: (system) => (
+    Units.isMetric(system)
+      ? SharedUtils.MOVEMENT.METRIC_INCREMENTS.map(cm => cm / Units.CM_PER_INCH)
+      : SharedUtils.MOVEMENT.INCREMENTS
+  ),
+
+  /**
+   * Default movement increment of a system, in inches
+   * @param {string} system - Unit system ID
+   * @returns {number} Increment in inches
+   */
+  getDefaultIncrement: (system) => (
+    Units.isMetric(system)
+      ? SharedUtils.MOVEMENT.DEFAULT_METRIC_INCREMENT / Units.CM_PER_INCH
+      : SharedUtils.MOVEMENT.DEFAULT_INCREMENT
+  ),
+
+  // ========================================
+  // SAVED DESIGN UNITS
+  // ========================================
+
+  /**
+   * Conversion factors to the stored units for a design's declared units
+   * @param {Object} units - {length, weight} as declared in a saved design
+   * @returns {Object|null} {length, weight} factors, or null when a unit is unknown
+   */
+  getStorageFactors: (units = Units.STORED) => {
+    const length = Units.LENGTH_FACTORS[units.length || Units.STORED.length];
+    const weight = Units.WEIGHT_FACTORS[units.weight || Units.STORED.weight];
+    return length && weight ? { length, weight } : null;
+  },
+
+  // ========================================
+  // FORMATTING HELPERS
+  // ========================================
+
+  /**
+   * Rounds a number for display
+   * @param {number} value - Number to format
+   * @param {number} decimals - Decimal places
+   * @param {boolean} trim - Drop trailing zeros
+   * @returns {string} Formatted number
+   */
+  formatNumber: (value, decimals, trim = false) => {
+    const fixed = Number(value).toFixed(decimals);
+    return trim ? String(parseFloat(fixed)) : fixed;
+  }
+};
+
+// Export for use in other modules
+window.Units = Units;